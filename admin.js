@@ -2,6 +2,17 @@
 
 let isAdminLoggedIn = false;
 
+// Redacted view of the ticket modal (always on for users without pii:read)
+let transcriptRedacted = false;
+
+// Labels for the placeholders of the redacted view (backend/privacy/pii-redaction.js)
+const PII_LABELS = {
+    NATIONAL_ID: { ar: 'رقم الهوية', en: 'ID number' },
+    PHONE: { ar: 'رقم الجوال', en: 'Phone' },
+    EMAIL: { ar: 'البريد الإلكتروني', en: 'Email' },
+    PLATE: { ar: 'رقم اللوحة', en: 'Plate' }
+};
+
 /**
  * Clean JSON blocks and code fences from message text
  * Used to remove technical JSON from assistant messages in the UI
@@ -21,20 +32,64 @@ function cleanMessageText(text) {
     return cleanText;
 }
 
-// Admin Login
-function adminLogin(event) {
+// Ticket status labels (lifecycle defined in backend/tickets/status-workflow.js)
+const STATUS_LABELS = {
+    submitted: { ar: 'مقدّم', en: 'Submitted' },
+    under_review: { ar: 'قيد المراجعة', en: 'Under review' },
+    awaiting_documents: { ar: 'بانتظار المستندات', en: 'Awaiting documents' },
+    liability_assessed: { ar: 'تم تحديد المسؤولية', en: 'Liability assessed' },
+    closed: { ar: 'مغلق', en: 'Closed' },
+    rejected: { ar: 'مرفوض', en: 'Rejected' }
+};
+
+/**
+ * Get the display label of a ticket status in the current language
+ */
+function getStatusLabel(status) {
+    const label = STATUS_LABELS[status];
+    if (!label) return escapeHtml(status || '-');
+    return currentLanguage === 'ar' ? label.ar : label.en;
+}
+
+// Accident types (taxonomy defined in backend/tickets/accident-classifier.js)
+const ACCIDENT_TYPE_LABELS = {
+    rear_end: { ar: 'اصطدام من الخلف', en: 'Rear-end collision' },
+    side_swipe: { ar: 'احتكاك جانبي', en: 'Side-swipe' },
+    head_on: { ar: 'اصطدام وجهاً لوجه', en: 'Head-on collision' },
+    parking: { ar: 'حادث في موقف', en: 'Parking' },
+    single_vehicle: { ar: 'مركبة واحدة', en: 'Single vehicle' },
+    pedestrian: { ar: 'دهس مشاة', en: 'Pedestrian' }
+};
+
+/**
+ * Get the accident type of a ticket with the classifier's confidence, e.g. "Parking (75%)"
+ */
+function getAccidentTypeLabel(ticket) {
+    const label = ACCIDENT_TYPE_LABELS[ticket.accident_type];
+    if (!label) return currentLanguage === 'ar' ? 'غير مصنّف' : 'Unclassified';
+
+    const confidence = typeof ticket.accident_type_confidence === 'number'
+        ? ` (${Math.round(ticket.accident_type_confidence * 100)}%)`
+        : '';
+    return `${currentLanguage === 'ar' ? label.ar : label.en}${confidence}`;
+}
+
+// Admin Login (backend authentication, see auth.js)
+async function adminLogin(event) {
     event.preventDefault();
 
     const username = document.getElementById('adminUsername').value;
     const password = document.getElementById('adminPassword').value;
 
-    if (username === CONFIG.ADMIN.USERNAME && password === CONFIG.ADMIN.PASSWORD) {
+    const result = await AUTH.login(username, password);
+
+    if (result.success) {
         isAdminLoggedIn = true;
         showAdminDashboard();
     } else {
         alert(currentLanguage === 'ar'
             ? 'اسم المستخدم أو كلمة المرور غير صحيحة'
-            : 'Invalid username or password');
+            : result.message || 'Invalid username or password');
     }
 }
 
@@ -50,6 +105,7 @@ function showAdminDashboard() {
 // Admin Logout
 function adminLogout() {
     isAdminLoggedIn = false;
+    AUTH.logout();
     document.getElementById('adminLogin').style.display = 'flex';
     document.getElementById('adminDashboard').style.display = 'none';
 
@@ -58,6 +114,83 @@ function adminLogout() {
     document.getElementById('adminPassword').value = '';
 }
 
+// Ticket list state: active filters and the cursors of the pages visited so far
+const TICKETS_PAGE_SIZE = 20;
+let ticketFilters = {};
+let ticketPageCursors = [null];
+let ticketPageIndex = 0;
+let ticketNextCursor = null;
+
+/**
+ * Read the filter controls into query parameters for GET /tickets
+ */
+function readTicketFilters() {
+    const value = id => document.getElementById(id).value.trim();
+    const [sort, order] = value('filterSort').split(':');
+
+    return {
+        q: value('filterSearch'),
+        status: value('filterStatus'),
+        from: value('filterFrom'),
+        to: value('filterTo'),
+        plate: value('filterPlate'),
+        national_id: value('filterNationalId'),
+        vehicles: value('filterVehicles'),
+        injuries: value('filterInjuries'),
+        accident_type: value('filterAccidentType'),
+        sort,
+        order
+    };
+}
+
+// Apply filters and go back to the first page
+function applyTicketFilters(event) {
+    if (event) event.preventDefault();
+
+    ticketFilters = readTicketFilters();
+    ticketPageCursors = [null];
+    ticketPageIndex = 0;
+    loadTickets();
+}
+
+// Clear all filters
+function resetTicketFilters() {
+    document.getElementById('ticketFilters').reset();
+    applyTicketFilters();
+}
+
+// Page navigation (cursor pagination can only step forward, so earlier cursors are kept)
+function nextTicketsPage() {
+    if (!ticketNextCursor) return;
+
+    ticketPageIndex++;
+    ticketPageCursors[ticketPageIndex] = ticketNextCursor;
+    loadTickets();
+}
+
+function previousTicketsPage() {
+    if (ticketPageIndex === 0) return;
+
+    ticketPageIndex--;
+    loadTickets();
+}
+
+/**
+ * Update the pagination bar
+ */
+function renderTicketsPagination(total, count) {
+    const info = document.getElementById('ticketsPageInfo');
+    const start = count === 0 ? 0 : ticketPageIndex * TICKETS_PAGE_SIZE + 1;
+    const end = ticketPageIndex * TICKETS_PAGE_SIZE + count;
+
+    info.textContent = currentLanguage === 'ar'
+        ? `${start}-${end} من ${total}`
+        : `${start}-${end} of ${total}`;
+
+    document.getElementById('ticketsPrevBtn').disabled = ticketPageIndex === 0;
+    document.getElementById('ticketsNextBtn').disabled = !ticketNextCursor;
+}
+
 // Load and display tickets from backend
 async function loadTickets() {
     const tableBody = document.getElementById('ticketsTableBody');
@@ -66,34 +199,34 @@ async function loadTickets() {
         // Show loading message
         tableBody.innerHTML = `
             <tr>
-                <td colspan="3" style="text-align: center; padding: 40px;">
+                <td colspan="5" style="text-align: center; padding: 40px;">
                     ${currentLanguage === 'ar' ? 'جاري التحميل...' : 'Loading...'}
                 </td>
             </tr>
         `;
 
-        // Get JWT token from localStorage
-        const token = localStorage.getItem('najm_admin_token');
-        if (!token) {
-            console.log('ℹ️ No token found, fetching tickets without auth');
-        }
+        // JWT from the backend login (auth.js)
+        const token = await AUTH.getValidToken();
 
-        // Fetch tickets from backend
-        const backendTickets = await window.backendAPI.getAllTickets(token);
+        // Fetch the current page from backend
+        const result = await window.backendAPI.getAllTickets(token, {
+            ...ticketFilters,
+            limit: TICKETS_PAGE_SIZE,
+            cursor: ticketPageCursors[ticketPageIndex]
+        });
+        const tickets = result.tickets;
 
-        // ✅ Debug log
-        console.log('📋 Tickets in admin panel:', backendTickets);
-        console.log(`📊 Total tickets received: ${Array.isArray(backendTickets) ? backendTickets.length : 'NOT AN ARRAY'}`);
+        console.log(`📊 Tickets page ${ticketPageIndex + 1}: ${tickets.length} of ${result.total}`);
 
-        // ✅ Ensure we have an array
-        const tickets = Array.isArray(backendTickets) ? backendTickets : [];
+        ticketNextCursor = result.nextCursor;
+        renderTicketsPagination(result.total, tickets.length);
 
         if (tickets.length === 0) {
             console.warn('⚠️ No tickets to display');
             tableBody.innerHTML = `
                 <tr>
-                    <td colspan="3" style="text-align: center; padding: 40px; color: #999;">
-                        ${currentLanguage === 'ar' ? 'لا توجد تذاكر حتى الآن' : 'No tickets yet'}
+                    <td colspan="5" style="text-align: center; padding: 40px; color: #999;">
+                        ${currentLanguage === 'ar' ? 'لا توجد تذاكر مطابقة' : 'No matching tickets'}
                     </td>
                 </tr>
             `;
@@ -102,7 +235,7 @@ async function loadTickets() {
 
         console.log(`✅ Rendering ${tickets.length} ticket(s)`);
 
-        // Display tickets with 3 columns only
+        // Display tickets
         tableBody.innerHTML = tickets.map((ticket, index) => {
             try {
                 // ✅ Safe access with null checks
@@ -121,14 +254,15 @@ async function loadTickets() {
                     idCardInfo = currentLanguage === 'ar' ? 'بطاقة الهوية مرفقة' : 'ID card attached';
                 }
 
-                // Default status to "Pending" if not set
-                const status = ticket.status || 'pending';
-                const statusText = currentLanguage === 'ar' ? 'قيد المراجعة' : 'Pending review';
+                const status = ticket.status || 'submitted';
+                const statusText = getStatusLabel(status);
 
                 return `
                     <tr onclick="viewTicketDetails('${ticket.id}')" style="cursor: pointer;">
-                        <td><span class="ticket-link">${ticket.id}</span></td>
-                        <td>${idCardInfo}</td>
+                        <td><span class="ticket-link">${escapeHtml(ticket.id)}</span></td>
+                        <td>${renderPiiText(idCardInfo)}</td>
+                        <td>${ticket.createdAt ? formatDate(ticket.createdAt) : '-'}</td>
+                        <td>${getAccidentTypeLabel(ticket)}</td>
                         <td>
                             <span class="status status-${status.toLowerCase()}">
                                 ${statusText}
@@ -151,9 +285,9 @@ async function loadTickets() {
         // Show actual error message instead of generic "no tickets"
         tableBody.innerHTML = `
             <tr>
-                <td colspan="3" style="text-align: center; padding: 40px; color: #d32f2f;">
+                <td colspan="5" style="text-align: center; padding: 40px; color: #d32f2f;">
                     ${currentLanguage === 'ar' ? 'حدث خطأ أثناء تحميل التذاكر' : 'Error loading tickets'}<br>
-                    <small style="color: #999; font-size: 12px;">${error.message}</small>
+                    <small style="color: #999; font-size: 12px;">${escapeHtml(error.message)}</small>
                 </td>
             </tr>
         `;
@@ -176,8 +310,8 @@ function formatDate(dateString) {
 // ✅ FIXED: View ticket details with correct field mapping
 async function viewTicketDetails(ticketId) {
     try {
-        const token = localStorage.getItem('najm_admin_token');
-        const ticket = await window.backendAPI.getTicketDetails(ticketId, token);
+        const token = await AUTH.getValidToken();
+        const ticket = await window.backendAPI.getTicketDetails(ticketId, token, { redacted: transcriptRedacted });
 
         // ✅ Debug log to verify ticket structure
         console.log('📋 Ticket in details modal:', ticket);
@@ -249,8 +383,15 @@ async function viewTicketDetails(ticketId) {
             ? ex.accident_photos_count
             : (uploads.accident_photos ? uploads.accident_photos.length : 0);
 
-        const status = ticket.status || 'pending';
-        const statusText = currentLanguage === 'ar' ? 'قيد المراجعة' : 'Pending review';
+        const status = ticket.status || 'submitted';
+        const statusText = getStatusLabel(status);
+
+        // Status timeline and allowed next statuses
+        const statusTimelineHtml = renderStatusTimeline(ticket.status_history || []);
+        const statusActionsHtml = renderStatusActions(ticket);
+        const legalHoldHtml = renderLegalHold(ticket);
+        const partiesHtml = renderParties(ticket);
+        const liabilityHtml = renderLiability(ticket);
 
         // ✅ Format transcript (array of {role, content} objects)
         let transcriptHtml = '';
@@ -269,10 +410,10 @@ async function viewTicketDetails(ticketId) {
                         : msg.content;
 
                     return `
-                        <div style="margin-bottom: 12px;">
+                        <div class="transcript-entry" ${msg.id ? `id="message-${msg.id}"` : ''} style="margin-bottom: 12px;">
                             <strong style="color: #333;">${roleLabel}:</strong>
                             <div class="${bubbleClass}" style="background: ${msg.role === 'user' ? '#33835c' : '#f5f5f5'}; color: ${msg.role === 'user' ? '#ffffff' : '#333'}; padding: 10px; border-radius: 8px; margin-top: 4px;">
-                                ${escapeHtml(displayContent.substring(0, 500))}${displayContent.length > 500 ? '...' : ''}
+                                ${renderPiiText(displayContent.substring(0, 500))}${displayContent.length > 500 ? '...' : ''}
                             </div>
                         </div>
                     `;
@@ -291,13 +432,9 @@ async function viewTicketDetails(ticketId) {
                         ${uploads.accident_photos.map(photo => `
                             <div class="ticket-file-card">
                                 <div class="file-label">
-                                    ${photo.filename.substring(0, 20)}...
+                                    ${escapeHtml(photo.filename.substring(0, 20))}...
                                 </div>
-                                <button type="button"
-                                        onclick="window.open('https://13.51.235.197${photo.url}', '_blank')"
-                                        class="ticket-file-btn">
-                                    ${currentLanguage === 'ar' ? 'عرض' : 'View'}
-                                </button>
+                                ${uploadButton(photo, currentLanguage === 'ar' ? 'عرض' : 'View')}
                             </div>
                         `).join('')}
                     </div>
@@ -316,11 +453,7 @@ async function viewTicketDetails(ticketId) {
                             ${currentLanguage === 'ar' ? 'الهوية الوطنية' : 'National ID'}
                         </div>
                         ${uploads.id_card ? `
-                            <button type="button"
-                                    onclick="window.open('https://13.51.235.197${uploads.id_card.url}', '_blank')"
-                                    class="ticket-file-btn">
-                                ${currentLanguage === 'ar' ? 'عرض' : 'View'}
-                            </button>
+                            ${uploadButton(uploads.id_card, currentLanguage === 'ar' ? 'عرض' : 'View')}
                         ` : `
                             <button type="button"
                                     disabled
@@ -336,11 +469,7 @@ async function viewTicketDetails(ticketId) {
                             ${currentLanguage === 'ar' ? 'رخصة القيادة' : 'Driving License'}
                         </div>
                         ${uploads.driving_license ? `
-                            <button type="button"
-                                    onclick="window.open('https://13.51.235.197${uploads.driving_license.url}', '_blank')"
-                                    class="ticket-file-btn">
-                                ${currentLanguage === 'ar' ? 'عرض' : 'View'}
-                            </button>
+                            ${uploadButton(uploads.driving_license, currentLanguage === 'ar' ? 'عرض' : 'View')}
                         ` : `
                             <button type="button"
                                     disabled
@@ -356,11 +485,7 @@ async function viewTicketDetails(ticketId) {
                             ${currentLanguage === 'ar' ? 'استمارة المركبة' : 'Vehicle Registration'}
                         </div>
                         ${uploads.vehicle_registration ? `
-                            <button type="button"
-                                    onclick="window.open('https://13.51.235.197${uploads.vehicle_registration.url}', '_blank')"
-                                    class="ticket-file-btn">
-                                ${currentLanguage === 'ar' ? 'عرض' : 'View'}
-                            </button>
+                            ${uploadButton(uploads.vehicle_registration, currentLanguage === 'ar' ? 'عرض' : 'View')}
                         ` : `
                             <button type="button"
                                     disabled
@@ -380,7 +505,7 @@ async function viewTicketDetails(ticketId) {
                 <div class="info-grid">
                     <div class="info-item">
                         <strong>${currentLanguage === 'ar' ? 'رقم التذكرة' : 'Ticket ID'}</strong>
-                        ${ticketId_display}
+                        ${escapeHtml(ticketId_display)}
                     </div>
                     <div class="info-item">
                         <strong>${currentLanguage === 'ar' ? 'تاريخ الإنشاء' : 'Created Date'}</strong>
@@ -394,11 +519,15 @@ async function viewTicketDetails(ticketId) {
                     </div>
                     <div class="info-item" style="grid-column: 1 / -1;">
                         <strong>${currentLanguage === 'ar' ? 'وصف الحادث' : 'Accident Description'}</strong>
-                        <p style="margin-top: 6px; color: #555;">${description}</p>
+                        <p style="margin-top: 6px; color: #555;">${renderPiiText(description)}</p>
+                    </div>
+                    <div class="info-item">
+                        <strong>${currentLanguage === 'ar' ? 'نوع الحادث' : 'Accident Type'}</strong>
+                        ${getAccidentTypeLabel(ticket)}
                     </div>
                     <div class="info-item">
                         <strong>${currentLanguage === 'ar' ? 'الموقع' : 'Location'}</strong>
-                        ${location}
+                        ${renderPiiText(location)}
                     </div>
                     <div class="info-item">
                         <strong>${currentLanguage === 'ar' ? 'عدد المركبات' : 'Number of Vehicles'}</strong>
@@ -410,11 +539,23 @@ async function viewTicketDetails(ticketId) {
                     </div>
                     <div class="info-item">
                         <strong>${currentLanguage === 'ar' ? 'عدد صور الحادث' : 'Accident Photos Count'}</strong>
-                        ${photosCount}
+                        ${escapeHtml(String(photosCount))}
                     </div>
                 </div>
             </div>
 
+            <div class="ticket-info">
+                <h4>${currentLanguage === 'ar' ? 'سجل الحالة' : 'Status History'}</h4>
+                ${statusTimelineHtml}
+                ${statusActionsHtml}
+            </div>
+
+            ${legalHoldHtml}
+
+            ${partiesHtml}
+
+            ${liabilityHtml}
+
             ${uploadsHtml ? `
                 <div class="ticket-info" style="margin-top: 20px;">
                     <h4>${currentLanguage === 'ar' ? 'الملفات المرفقة' : 'Uploaded Files'}</h4>
@@ -424,7 +565,10 @@ async function viewTicketDetails(ticketId) {
 
             ${transcriptHtml ? `
                 <div class="conversation-transcript" style="margin-top: 20px;">
-                    <h4>${currentLanguage === 'ar' ? 'سجل المحادثة' : 'Conversation Transcript'}</h4>
+                    <div class="transcript-header">
+                        <h4>${currentLanguage === 'ar' ? 'سجل المحادثة' : 'Conversation Transcript'}</h4>
+                        ${renderRedactionToggle(ticket)}
+                    </div>
                     <div style="max-height: 400px; overflow-y: auto; padding: 12px; background: #fafafa; border-radius: 8px;">
                         ${transcriptHtml}
                     </div>
@@ -451,14 +595,905 @@ async function viewTicketDetails(ticketId) {
 }
 
 
-// Escape HTML to prevent XSS
+/**
+ * Render the status timeline (oldest first)
+ * @param {Array} history - [{ from_status, to_status, actor_username, reason, created_at }]
+ */
+function renderStatusTimeline(history) {
+    if (history.length === 0) {
+        return `<p style="color: #999;">${currentLanguage === 'ar' ? 'لا يوجد سجل' : 'No history yet'}</p>`;
+    }
+
+    return `
+        <ul class="status-timeline">
+            ${history.map(entry => {
+                const date = new Date(entry.created_at).toLocaleString(currentLanguage === 'ar' ? 'ar-SA' : 'en-US', {
+                    year: 'numeric',
+                    month: '2-digit',
+                    day: '2-digit',
+                    hour: '2-digit',
+                    minute: '2-digit'
+                });
+                const actor = entry.actor_username || (currentLanguage === 'ar' ? 'النظام' : 'System');
+
+                return `
+                    <li class="status-timeline-item">
+                        <span class="status status-${entry.to_status}">${getStatusLabel(entry.to_status)}</span>
+                        <div class="status-timeline-meta">${escapeHtml(actor)} · ${date}</div>
+                        ${entry.reason ? `<div class="status-timeline-reason">${escapeHtml(entry.reason)}</div>` : ''}
+                    </li>
+                `;
+            }).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Render the status change form (only allowed transitions, only for users with tickets:status)
+ */
+function renderStatusActions(ticket) {
+    const allowed = ticket.allowed_transitions || [];
+
+    if (allowed.length === 0 || !AUTH.hasPermission('tickets:status')) {
+        return '';
+    }
+
+    return `
+        <div class="status-actions">
+            <select id="statusSelect">
+                ${allowed.map(status => `<option value="${status}">${getStatusLabel(status)}</option>`).join('')}
+            </select>
+            <input type="text" id="statusReason"
+                   placeholder="${currentLanguage === 'ar' ? 'سبب التغيير' : 'Reason for change'}">
+            <button class="primary-btn" onclick="submitStatusChange('${ticket.id}')">
+                ${currentLanguage === 'ar' ? 'تحديث الحالة' : 'Update Status'}
+            </button>
+        </div>
+    `;
+}
+
+// Submit a status change from the ticket modal
+async function submitStatusChange(ticketId) {
+    const status = document.getElementById('statusSelect').value;
+    const reason = document.getElementById('statusReason').value.trim();
+
+    try {
+        const token = await AUTH.getValidToken();
+        await window.backendAPI.updateTicketStatus(ticketId, status, reason, token);
+
+        // Refresh modal and list with the new status
+        await viewTicketDetails(ticketId);
+        loadTickets();
+    } catch (error) {
+        alert((currentLanguage === 'ar' ? 'تعذر تحديث الحالة: ' : 'Could not update status: ') + error.message);
+    }
+}
+
+
+/**
+ * Render the legal hold notice, with place/release controls for users with tickets:legal_hold
+ */
+function renderLegalHold(ticket) {
+    const hold = ticket.legal_hold;
+    const canManage = AUTH.hasPermission('tickets:legal_hold');
+
+    if (!hold && !canManage) {
+        return '';
+    }
+
+    const notice = hold ? `
+        <div class="legal-hold-notice">
+            <strong>${currentLanguage === 'ar' ? 'محتجزة لأغراض قانونية' : 'On legal hold'}</strong>
+            <div>${escapeHtml(hold.reason || '')}</div>
+            <div class="status-timeline-meta">${escapeHtml(hold.by || '')} · ${hold.at ? new Date(hold.at).toLocaleString(currentLanguage === 'ar' ? 'ar-SA' : 'en-US') : ''}</div>
+        </div>
+    ` : `
+        <p style="color: #999;">${currentLanguage === 'ar'
+            ? 'لا يوجد احتجاز قانوني. تُحذف الملفات وفق سياسة الاحتفاظ.'
+            : 'No legal hold. Files are deleted according to the retention policy.'}</p>
+    `;
+
+    const actions = !canManage ? '' : hold ? `
+        <div class="status-actions">
+            <button class="retake-btn" onclick="submitLegalHold('${ticket.id}', false)">
+                ${currentLanguage === 'ar' ? 'رفع الاحتجاز' : 'Release Hold'}
+            </button>
+        </div>
+    ` : `
+        <div class="status-actions">
+            <input type="text" id="legalHoldReason"
+                   placeholder="${currentLanguage === 'ar' ? 'سبب الاحتجاز (مثل رقم القضية)' : 'Reason (e.g. case number)'}">
+            <button class="primary-btn" onclick="submitLegalHold('${ticket.id}', true)">
+                ${currentLanguage === 'ar' ? 'احتجاز قانوني' : 'Place Legal Hold'}
+            </button>
+        </div>
+    `;
+
+    return `
+        <div class="ticket-info">
+            <h4>${currentLanguage === 'ar' ? 'الاحتجاز القانوني' : 'Legal Hold'}</h4>
+            ${notice}
+            ${actions}
+        </div>
+    `;
+}
+
+// Place or release a legal hold from the ticket modal
+async function submitLegalHold(ticketId, hold) {
+    const reasonInput = document.getElementById('legalHoldReason');
+    const reason = reasonInput ? reasonInput.value.trim() : '';
+
+    try {
+        const token = await AUTH.getValidToken();
+        await window.backendAPI.setTicketLegalHold(ticketId, hold, reason, token);
+        await viewTicketDetails(ticketId);
+    } catch (error) {
+        alert((currentLanguage === 'ar' ? 'تعذر تحديث الاحتجاز القانوني: ' : 'Could not update legal hold: ') + error.message);
+    }
+}
+
+
+// Party invite states (party-store.js) → labels
+const PARTY_INVITE_LABELS = {
+    reporter: { ar: 'مقدّم البلاغ', en: 'Reporter' },
+    joined: { ar: 'انضم', en: 'Joined' },
+    pending: { ar: 'بانتظار الانضمام', en: 'Invite pending' },
+    expired: { ar: 'انتهت صلاحية الدعوة', en: 'Invite expired' },
+    none: { ar: 'لم يُدعَ', en: 'Not invited' }
+};
+
+/**
+ * Render the drivers involved side by side (details, invite state and documents)
+ * Only shown for tickets with more than one party.
+ */
+function renderParties(ticket) {
+    const parties = ticket.parties || [];
+    if (parties.length < 2) return '';
+
+    const lang = currentLanguage === 'ar' ? 'ar' : 'en';
+    const canInvite = AUTH.hasPermission('tickets:update');
+    const documentTypes = [
+        ['id_card', { ar: 'الهوية الوطنية', en: 'National ID' }],
+        ['driving_license', { ar: 'رخصة القيادة', en: 'Driving License' }],
+        ['vehicle_registration', { ar: 'استمارة المركبة', en: 'Vehicle Registration' }]
+    ];
+    const rows = [
+        ['driver_name', { ar: 'السائق', en: 'Driver' }],
+        ['national_id', { ar: 'رقم الهوية', en: 'ID number' }],
+        ['phone', { ar: 'الجوال', en: 'Phone' }],
+        ['plate', { ar: 'اللوحة', en: 'Plate' }],
+        ['insurer', { ar: 'شركة التأمين', en: 'Insurer' }]
+    ];
+
+    const columns = parties.map(party => {
+        const documents = party.documents || {};
+        const canReinvite = canInvite && ['pending', 'expired', 'none'].includes(party.invite_status);
+
+        return `
+            <div class="party-column">
+                <h5>${lang === 'ar' ? `الطرف ${party.party_number}` : `Party ${party.party_number}`}</h5>
+                <span class="party-invite party-invite-${party.invite_status}">
+                    ${PARTY_INVITE_LABELS[party.invite_status][lang]}
+                </span>
+                ${rows.map(([field, label]) => `
+                    <div class="party-field">
+                        <strong>${label[lang]}</strong>
+                        ${party[field] ? renderPiiText(party[field]) : '<span class="party-missing">—</span>'}
+                    </div>
+                `).join('')}
+                <div class="party-documents">
+                    ${documentTypes.map(([type, label]) => documents[type] ? `
+                        ${uploadButton(documents[type], label[lang])}
+                    ` : `
+                        <button type="button" class="ticket-file-btn" disabled>${label[lang]}</button>
+                    `).join('')}
+                </div>
+                ${canReinvite ? `
+                    <button class="retake-btn" onclick="createPartyInviteLink('${ticket.id}', ${party.party_number})">
+                        ${lang === 'ar' ? 'رابط دعوة جديد' : 'New Invite Link'}
+                    </button>
+                    <input type="text" class="party-invite-link" id="partyInvite-${party.party_number}" readonly style="display: none;">
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="ticket-info">
+            <h4>${lang === 'ar' ? 'أطراف الحادث' : 'Parties'}</h4>
+            <div class="parties-grid">${columns}</div>
+        </div>
+    `;
+}
+
+// Issue a new invite link for a party and show it for copying (the previous link stops working)
+async function createPartyInviteLink(ticketId, partyNumber) {
+    try {
+        const token = await AUTH.getValidToken();
+        const invite = await window.backendAPI.createPartyInvite(ticketId, partyNumber, token);
+
+        const url = new URL('index.html', window.location.href);
+        url.searchParams.set('invite', invite.token);
+
+        const input = document.getElementById(`partyInvite-${partyNumber}`);
+        input.value = url.toString();
+        input.style.display = '';
+        input.select();
+    } catch (error) {
+        alert((currentLanguage === 'ar' ? 'تعذر إنشاء رابط الدعوة: ' : 'Could not create invite link: ') + error.message);
+    }
+}
+
+
+// Accident scenarios of the liability rules (mirrors backend/tickets/liability-rules.js)
+const LIABILITY_SCENARIOS = {
+    rear_end: {
+        label: { ar: 'اصطدام من الخلف', en: 'Rear-end' },
+        primary: { ar: 'المركبة الخلفية', en: 'Rear vehicle' },
+        flags: {
+            other_reversing: { ar: 'المركبة الأمامية كانت ترجع للخلف', en: 'Front vehicle was reversing' },
+            other_stopped_suddenly: { ar: 'توقف مفاجئ للمركبة الأمامية دون سبب', en: 'Front vehicle stopped suddenly without cause' }
+        }
+    },
+    lane_change: {
+        label: { ar: 'تغيير مسار', en: 'Lane change' },
+        primary: { ar: 'المركبة التي غيّرت المسار', en: 'Vehicle changing lanes' },
+        flags: {
+            other_changing_lane: { ar: 'المركبة الأخرى كانت تغيّر المسار أيضاً', en: 'Other vehicle was also changing lanes' },
+            signaled: { ar: 'استخدم الإشارة', en: 'Used the turn signal' }
+        }
+    },
+    intersection: {
+        label: { ar: 'تقاطع', en: 'Intersection' },
+        primary: { ar: 'المركبة التي لم تكن لها الأولوية', en: 'Vehicle without right of way' },
+        flags: {
+            no_right_of_way: { ar: 'لا أولوية لأي من المركبتين', en: 'Neither vehicle had right of way' },
+            ran_red_light: { ar: 'قطع الإشارة الحمراء', en: 'Ran a red light' },
+            other_speeding: { ar: 'المركبة الأخرى تجاوزت السرعة المحددة', en: 'Other vehicle was speeding' }
+        }
+    },
+    reversing: {
+        label: { ar: 'رجوع للخلف', en: 'Reversing' },
+        primary: { ar: 'المركبة التي ترجع للخلف', en: 'Reversing vehicle' },
+        flags: {
+            other_reversing: { ar: 'المركبة الأخرى كانت ترجع للخلف أيضاً', en: 'Other vehicle was also reversing' },
+            other_parked_illegally: { ar: 'المركبة الأخرى متوقفة في مكان ممنوع', en: 'Other vehicle was parked illegally' }
+        }
+    }
+};
+
+const FAULT_PERCENTAGES = [0, 25, 50, 75, 100];
+
+/**
+ * Render the liability result (proposed fault per party, override) and, for users with
+ * tickets:liability, the facts form and the override form
+ */
+function renderLiability(ticket) {
+    const parties = ticket.parties || [];
+    const liability = ticket.liability;
+    const canAssess = AUTH.hasPermission('tickets:liability');
+    if (!liability && (!canAssess || parties.length < 2)) return '';
+
+    const lang = currentLanguage === 'ar' ? 'ar' : 'en';
+    const partyLabel = partyNumber => {
+        const party = parties.find(candidate => candidate.party_number === partyNumber);
+        const name = party && party.driver_name ? ` (${renderPiiText(party.driver_name)})` : '';
+        return (lang === 'ar' ? `الطرف ${partyNumber}` : `Party ${partyNumber}`) + name;
+    };
+
+    let resultHtml = `<p class="liability-empty">${lang === 'ar' ? 'لم تُقدَّر المسؤولية بعد.' : 'Liability has not been assessed yet.'}</p>`;
+    if (liability) {
+        const proposed = new Map(liability.proposed_shares.map(share => [share.party_number, share.fault_percent]));
+        resultHtml = `
+            <p class="liability-rule">
+                <strong>${liability.rule ? escapeHtml(liability.rule.id) : ''}</strong>
+                ${liability.rule ? escapeHtml(liability.rule.description[lang]) : ''}
+            </p>
+            <div class="liability-shares">
+                ${liability.shares.map(share => `
+                    <div class="liability-share">
+                        <span>${partyLabel(share.party_number)}</span>
+                        <strong>${share.fault_percent}%</strong>
+                        ${liability.override && proposed.get(share.party_number) !== share.fault_percent
+                            ? `<small>${lang === 'ar' ? 'المقترح' : 'Proposed'}: ${proposed.get(share.party_number)}%</small>`
+                            : ''}
+                    </div>
+                `).join('')}
+            </div>
+            <p class="liability-meta">
+                ${lang === 'ar' ? 'قدّرها' : 'Assessed by'} ${escapeHtml(liability.assessed_by || '—')} · ${formatTimestamp(liability.assessed_at)}
+            </p>
+            ${liability.override ? `
+                <div class="liability-override">
+                    <strong>${lang === 'ar' ? 'تم التعديل من المراجع' : 'Overridden by reviewer'}</strong>
+                    <p>${escapeHtml(liability.override.reason)}</p>
+                    <small>${escapeHtml(liability.override.by || '—')} · ${formatTimestamp(liability.override.at)}</small>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    if (!canAssess || parties.length < 2) {
+        return `
+            <div class="ticket-info">
+                <h4>${lang === 'ar' ? 'تقدير المسؤولية' : 'Liability'}</h4>
+                ${resultHtml}
+            </div>
+        `;
+    }
+
+    const facts = (liability && liability.facts) || { scenario: 'rear_end', primary_party: 1, other_party: 2 };
+    const partyOptions = selected => parties.map(party => `
+        <option value="${party.party_number}" ${party.party_number === selected ? 'selected' : ''}>${partyLabel(party.party_number)}</option>
+    `).join('');
+
+    return `
+        <div class="ticket-info">
+            <h4>${lang === 'ar' ? 'تقدير المسؤولية' : 'Liability'}</h4>
+            ${resultHtml}
+
+            <div class="liability-form">
+                <select id="liabilityScenario" onchange="updateLiabilityFlags()">
+                    ${Object.entries(LIABILITY_SCENARIOS).map(([scenario, definition]) => `
+                        <option value="${scenario}" ${scenario === facts.scenario ? 'selected' : ''}>${definition.label[lang]}</option>
+                    `).join('')}
+                </select>
+                <label>
+                    <span id="liabilityPrimaryLabel">${(LIABILITY_SCENARIOS[facts.scenario] || LIABILITY_SCENARIOS.rear_end).primary[lang]}</span>
+                    <select id="liabilityPrimary">${partyOptions(facts.primary_party)}</select>
+                </label>
+                <label>
+                    ${lang === 'ar' ? 'المركبة الأخرى' : 'Other vehicle'}
+                    <select id="liabilityOther">${partyOptions(facts.other_party)}</select>
+                </label>
+                <div id="liabilityFlags">${renderLiabilityFlags(facts.scenario, facts)}</div>
+                <button class="primary-btn" onclick="submitLiabilityAssessment('${ticket.id}')">
+                    ${lang === 'ar' ? 'اقتراح نسب الخطأ' : 'Propose Fault Ratio'}
+                </button>
+            </div>
+
+            ${liability ? `
+                <div class="liability-form">
+                    ${liability.shares.map(share => `
+                        <label>
+                            ${partyLabel(share.party_number)}
+                            <select id="liabilityShare-${share.party_number}" data-party="${share.party_number}" class="liability-share-input">
+                                ${FAULT_PERCENTAGES.map(percent => `
+                                    <option value="${percent}" ${percent === share.fault_percent ? 'selected' : ''}>${percent}%</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    `).join('')}
+                    <input type="text" id="liabilityOverrideReason"
+                           placeholder="${lang === 'ar' ? 'سبب التعديل (مطلوب)' : 'Reason for the override (required)'}">
+                    <button class="retake-btn" onclick="submitLiabilityOverride('${ticket.id}')">
+                        ${lang === 'ar' ? 'تعديل النسب' : 'Override'}
+                    </button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Checkboxes for the facts of a scenario
+ */
+function renderLiabilityFlags(scenario, facts = {}) {
+    const definition = LIABILITY_SCENARIOS[scenario] || LIABILITY_SCENARIOS.rear_end;
+    const lang = currentLanguage === 'ar' ? 'ar' : 'en';
+
+    return Object.entries(definition.flags).map(([flag, label]) => `
+        <label class="liability-flag">
+            <input type="checkbox" data-flag="${flag}" ${facts[flag] ? 'checked' : ''}>
+            ${label[lang]}
+        </label>
+    `).join('');
+}
+
+// Show the facts of the scenario picked in the liability form
+function updateLiabilityFlags() {
+    const scenario = document.getElementById('liabilityScenario').value;
+    const definition = LIABILITY_SCENARIOS[scenario];
+
+    document.getElementById('liabilityPrimaryLabel').textContent = definition.primary[currentLanguage === 'ar' ? 'ar' : 'en'];
+    document.getElementById('liabilityFlags').innerHTML = renderLiabilityFlags(scenario);
+}
+
+// Run the liability rules on the facts in the form
+async function submitLiabilityAssessment(ticketId) {
+    const facts = {
+        scenario: document.getElementById('liabilityScenario').value,
+        primary_party: Number(document.getElementById('liabilityPrimary').value),
+        other_party: Number(document.getElementById('liabilityOther').value)
+    };
+    document.querySelectorAll('#liabilityFlags input[data-flag]').forEach(input => {
+        facts[input.dataset.flag] = input.checked;
+    });
+
+    try {
+        const token = await AUTH.getValidToken();
+        await window.backendAPI.assessLiability(ticketId, facts, token);
+        await viewTicketDetails(ticketId);
+    } catch (error) {
+        alert((currentLanguage === 'ar' ? 'تعذر تقدير المسؤولية: ' : 'Could not assess liability: ') + error.message);
+    }
+}
+
+// Replace the proposed fault percentages with the reviewer's
+async function submitLiabilityOverride(ticketId) {
+    const shares = [...document.querySelectorAll('.liability-share-input')].map(select => ({
+        party_number: Number(select.dataset.party),
+        fault_percent: Number(select.value)
+    }));
+    const reason = document.getElementById('liabilityOverrideReason').value.trim();
+
+    try {
+        const token = await AUTH.getValidToken();
+        await window.backendAPI.overrideLiability(ticketId, shares, reason, token);
+        await viewTicketDetails(ticketId);
+    } catch (error) {
+        alert((currentLanguage === 'ar' ? 'تعذر تعديل المسؤولية: ' : 'Could not override liability: ') + error.message);
+    }
+}
+
+
+/**
+ * Escape text and show the placeholders of the redacted view ([PHONE], ...) as labels
+ */
+function renderPiiText(text) {
+    return escapeHtml(String(text)).replace(/\[(NATIONAL_ID|PHONE|EMAIL|PLATE)\]/g, (match, type) =>
+        `<span class="pii-redacted">${PII_LABELS[type][currentLanguage === 'ar' ? 'ar' : 'en']}</span>`
+    );
+}
+
+/**
+ * Redacted view switch for the transcript, or a notice for users without pii:read
+ */
+function renderRedactionToggle(ticket) {
+    if (!AUTH.hasPermission('pii:read')) {
+        return `<span class="pii-redacted-notice">${currentLanguage === 'ar' ? 'البيانات الشخصية محجوبة' : 'Personal data hidden'}</span>`;
+    }
+
+    return `
+        <label class="pii-redacted-toggle">
+            <input type="checkbox" ${ticket.redacted ? 'checked' : ''} onchange="toggleRedactedView('${ticket.id}', this.checked)">
+            ${currentLanguage === 'ar' ? 'إخفاء البيانات الشخصية' : 'Redacted view'}
+        </label>
+    `;
+}
+
+// Switch the ticket modal between the full and the redacted view
+async function toggleRedactedView(ticketId, redacted) {
+    transcriptRedacted = redacted;
+    await viewTicketDetails(ticketId);
+}
+
+
+// Signed link to an uploaded file (from GET /api/tickets/:ticketId, expires after a few minutes)
+function uploadLink(file) {
+    return escapeHtml(CONVERSATION_SERVER_URL + (file.signedUrl || file.url));
+}
+
+
+// Button-styled link that opens an uploaded file in a new tab
+// (a plain href, so the URL is never placed inside inline JavaScript)
+function uploadButton(file, label) {
+    return `<a class="ticket-file-btn" href="${uploadLink(file)}" target="_blank" rel="noopener noreferrer">${escapeHtml(label)}</a>`;
+}
+
+
+// Escape HTML to prevent XSS (quotes too, so the result is safe inside attribute values)
 function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+
+/**
+ * Open the ticket (and message) referenced by a search result link
+ * e.g. admin.html?ticket=A-1001&message=42
+ */
+async function openTicketFromLink() {
+    const params = new URLSearchParams(window.location.search);
+    const ticketId = params.get('ticket');
+
+    if (!ticketId) return;
+
+    await viewTicketDetails(ticketId);
+
+    const message = params.get('message') && document.getElementById(`message-${params.get('message')}`);
+    if (message) {
+        message.classList.add('transcript-entry-highlight');
+        message.scrollIntoView({ block: 'center' });
+    }
+}
+
+
+// ============================================
+// USERS TAB (admin only, backend/routes/users.js)
+// ============================================
+
+const ROLE_LABELS = {
+    admin: { ar: 'مدير', en: 'Admin' },
+    reviewer: { ar: 'مراجع', en: 'Reviewer' },
+    agent: { ar: 'موظف مركز الاتصال', en: 'Call-center agent' },
+    auditor: { ar: 'مدقق', en: 'Auditor' }
+};
+
+let userRoles = Object.keys(ROLE_LABELS);
+
+/**
+ * Get the display label of a role in the current language
+ */
+function getRoleLabel(role) {
+    const label = ROLE_LABELS[role];
+    if (!label) return role || '-';
+    return currentLanguage === 'ar' ? label.ar : label.en;
+}
+
+/**
+ * Format a SQLite UTC timestamp ("YYYY-MM-DD HH:MM:SS") for display
+ */
+function formatTimestamp(value) {
+    if (!value) return '-';
+
+    const date = new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+    return date.toLocaleString(currentLanguage === 'ar' ? 'ar-SA' : 'en-US', {
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// Show the Users tab to users who can manage accounts (admins)
+function initAdminTabs() {
+    if (AUTH.hasPermission('users:manage')) {
+        document.getElementById('usersTabBtn').style.display = '';
+    }
+}
+
+// Switch between the Tickets, Users and My account tabs
+function showAdminTab(tab) {
+    document.getElementById('adminDashboard').style.display = tab === 'tickets' ? 'block' : 'none';
+    document.getElementById('adminUsers').style.display = tab === 'users' ? 'block' : 'none';
+    document.getElementById('adminAccount').style.display = tab === 'account' ? 'block' : 'none';
+    document.getElementById('ticketsTabBtn').classList.toggle('active', tab === 'tickets');
+    document.getElementById('usersTabBtn').classList.toggle('active', tab === 'users');
+    document.getElementById('accountTabBtn').classList.toggle('active', tab === 'account');
+
+    if (tab === 'users') {
+        loadUsers();
+    } else if (tab === 'account') {
+        loadTwoFactorStatus();
+    }
+}
+
+// Load and display staff accounts
+async function loadUsers() {
+    const tableBody = document.getElementById('usersTableBody');
+
+    tableBody.innerHTML = `
+        <tr>
+            <td colspan="7" style="text-align: center; padding: 40px;">
+                ${currentLanguage === 'ar' ? 'جاري التحميل...' : 'Loading...'}
+            </td>
+        </tr>
+    `;
+
+    try {
+        const token = await AUTH.getValidToken();
+        const { users, roles } = await window.backendAPI.getUsers(token);
+        const currentUser = AUTH.getCurrentUser() || {};
+
+        if (roles.length > 0) userRoles = roles;
+
+        console.log(`👥 Loaded ${users.length} user(s)`);
+
+        tableBody.innerHTML = users.map(user => {
+            const isSelf = user.username === currentUser.username;
+            const statusText = user.disabled
+                ? (currentLanguage === 'ar' ? 'معطّل' : 'Disabled')
+                : (currentLanguage === 'ar' ? 'نشط' : 'Active');
+            const lockedTitle = user.locked_until
+                ? `${currentLanguage === 'ar' ? 'مقفل حتى' : 'Locked until'} ${new Date(user.locked_until).toLocaleString(currentLanguage === 'ar' ? 'ar-SA' : 'en-US')}`
+                : '';
+            const failedTitle = user.last_failed_login
+                ? `${currentLanguage === 'ar' ? 'آخر محاولة فاشلة' : 'Last failed attempt'}: ${formatTimestamp(user.last_failed_login)}`
+                : '';
+
+            return `
+                <tr>
+                    <td>${escapeHtml(user.username)}</td>
+                    <td>
+                        <select onchange="changeUserRole(${user.id}, this.value)">
+                            ${userRoles.map(role => `
+                                <option value="${role}" ${role === user.role ? 'selected' : ''}>${getRoleLabel(role)}</option>
+                            `).join('')}
+                        </select>
+                    </td>
+                    <td>${formatTimestamp(user.last_login)}</td>
+                    <td title="${failedTitle}">
+                        <span class="${user.failed_attempts > 0 ? 'failed-attempts' : ''}">${user.failed_attempts}</span>
+                    </td>
+                    <td>${user.active_sessions}</td>
+                    <td>
+                        <span class="status ${user.disabled ? 'status-rejected' : 'status-closed'}">${statusText}</span>
+                        ${user.two_factor_enabled ? `
+                            <span class="status status-closed">2FA</span>
+                        ` : ''}
+                        ${user.locked_until ? `
+                            <span class="status status-submitted" title="${lockedTitle}">${currentLanguage === 'ar' ? 'مقفل' : 'Locked'}</span>
+                        ` : ''}
+                    </td>
+                    <td class="user-actions">
+                        <button type="button" class="retake-btn" onclick="promptResetPassword(${user.id}, '${escapeHtml(user.username)}')">
+                            ${currentLanguage === 'ar' ? 'إعادة تعيين كلمة المرور' : 'Reset password'}
+                        </button>
+                        ${user.locked_until || user.failed_attempts > 0 ? `
+                            <button type="button" class="retake-btn" onclick="unlockUser(${user.id})">
+                                ${currentLanguage === 'ar' ? 'إلغاء القفل' : 'Unlock'}
+                            </button>
+                        ` : ''}
+                        ${user.two_factor_enabled ? `
+                            <button type="button" class="retake-btn" onclick="confirmResetTwoFactor(${user.id}, '${escapeHtml(user.username)}')">
+                                ${currentLanguage === 'ar' ? 'إعادة تعيين التحقق بخطوتين' : 'Reset 2FA'}
+                            </button>
+                        ` : ''}
+                        ${user.active_sessions > 0 ? `
+                            <button type="button" class="retake-btn" onclick="confirmForceLogout(${user.id}, '${escapeHtml(user.username)}')">
+                                ${currentLanguage === 'ar' ? 'تسجيل خروج من كل الأجهزة' : 'Sign out everywhere'}
+                            </button>
+                        ` : ''}
+                        ${isSelf ? '' : `
+                            <button type="button" class="retake-btn" onclick="setUserDisabled(${user.id}, ${!user.disabled})">
+                                ${user.disabled
+                                    ? (currentLanguage === 'ar' ? 'تفعيل' : 'Enable')
+                                    : (currentLanguage === 'ar' ? 'تعطيل' : 'Disable')}
+                            </button>
+                            <button type="button" class="retake-btn" onclick="confirmDeleteUser(${user.id}, '${escapeHtml(user.username)}')">
+                                ${currentLanguage === 'ar' ? 'حذف' : 'Delete'}
+                            </button>
+                        `}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+    } catch (error) {
+        console.error('❌ Error loading users:', error);
+        tableBody.innerHTML = `
+            <tr>
+                <td colspan="7" style="text-align: center; padding: 40px; color: #d32f2f;">
+                    ${currentLanguage === 'ar' ? 'حدث خطأ أثناء تحميل المستخدمين' : 'Error loading users'}<br>
+                    <small style="color: #999; font-size: 12px;">${escapeHtml(error.message)}</small>
+                </td>
+            </tr>
+        `;
+    }
+}
+
+// Run a user action, then reload the list (errors are shown to the admin)
+async function runUserAction(action, errorPrefix) {
+    try {
+        await action(await AUTH.getValidToken());
+    } catch (error) {
+        alert(errorPrefix + error.message);
+    }
+    loadUsers();
+}
+
+// Create a user from the form
+async function submitCreateUser(event) {
+    event.preventDefault();
+
+    const form = document.getElementById('createUserForm');
+    const user = {
+        username: document.getElementById('newUsername').value.trim(),
+        password: document.getElementById('newPassword').value,
+        role: document.getElementById('newRole').value
+    };
+
+    await runUserAction(async token => {
+        await window.backendAPI.createUser(user, token);
+        form.reset();
+    }, currentLanguage === 'ar' ? 'تعذر إنشاء المستخدم: ' : 'Could not create user: ');
+}
+
+function changeUserRole(userId, role) {
+    runUserAction(
+        token => window.backendAPI.updateUser(userId, { role }, token),
+        currentLanguage === 'ar' ? 'تعذر تغيير الدور: ' : 'Could not change role: '
+    );
+}
+
+function setUserDisabled(userId, disabled) {
+    runUserAction(
+        token => window.backendAPI.updateUser(userId, { disabled }, token),
+        currentLanguage === 'ar' ? 'تعذر تحديث المستخدم: ' : 'Could not update user: '
+    );
+}
+
+function promptResetPassword(userId, username) {
+    const password = prompt(currentLanguage === 'ar'
+        ? `كلمة المرور الجديدة للمستخدم ${username}:`
+        : `New password for ${username}:`);
+
+    if (!password) return;
+
+    runUserAction(
+        token => window.backendAPI.resetUserPassword(userId, password, token),
+        currentLanguage === 'ar' ? 'تعذر إعادة تعيين كلمة المرور: ' : 'Could not reset password: '
+    );
+}
+
+function confirmForceLogout(userId, username) {
+    const confirmed = confirm(currentLanguage === 'ar'
+        ? `تسجيل خروج ${username} من جميع الأجهزة؟`
+        : `Sign ${username} out of all devices?`);
+
+    if (!confirmed) return;
+
+    runUserAction(
+        token => window.backendAPI.forceLogoutUser(userId, token),
+        currentLanguage === 'ar' ? 'تعذر تسجيل خروج المستخدم: ' : 'Could not sign out user: '
+    );
+}
+
+function unlockUser(userId) {
+    runUserAction(
+        token => window.backendAPI.unlockUser(userId, token),
+        currentLanguage === 'ar' ? 'تعذر إلغاء قفل المستخدم: ' : 'Could not unlock user: '
+    );
+}
+
+function confirmResetTwoFactor(userId, username) {
+    const confirmed = confirm(currentLanguage === 'ar'
+        ? `إيقاف التحقق بخطوتين للمستخدم ${username}؟ سيتمكن من الدخول بكلمة المرور فقط حتى يفعّله مجدداً.`
+        : `Turn off two-factor authentication for ${username}? They can log in with the password alone until they enrol again.`);
+
+    if (!confirmed) return;
+
+    runUserAction(
+        token => window.backendAPI.resetUserTwoFactor(userId, token),
+        currentLanguage === 'ar' ? 'تعذر إعادة تعيين التحقق بخطوتين: ' : 'Could not reset two-factor authentication: '
+    );
+}
+
+function confirmDeleteUser(userId, username) {
+    const confirmed = confirm(currentLanguage === 'ar'
+        ? `حذف المستخدم ${username}؟ يفضّل التعطيل للاحتفاظ بالسجل.`
+        : `Delete user ${username}? Disabling keeps the account on record.`);
+
+    if (!confirmed) return;
+
+    runUserAction(
+        token => window.backendAPI.deleteUser(userId, token),
+        currentLanguage === 'ar' ? 'تعذر حذف المستخدم: ' : 'Could not delete user: '
+    );
 }
 
 
+// ============================================
+// MY ACCOUNT: TWO-FACTOR AUTHENTICATION
+// ============================================
+
+// Show the 2FA state of the signed-in user
+async function loadTwoFactorStatus() {
+    const statusText = document.getElementById('twoFactorStatus');
+    statusText.textContent = currentLanguage === 'ar' ? 'جاري التحميل...' : 'Loading...';
+
+    try {
+        const token = await AUTH.getValidToken();
+        const status = await window.backendAPI.getTwoFactorStatus(token);
+
+        statusText.textContent = status.enabled
+            ? (currentLanguage === 'ar'
+                ? `مفعّل - رموز الاسترداد المتبقية: ${status.recoveryCodesRemaining}`
+                : `Enabled - recovery codes left: ${status.recoveryCodesRemaining}`)
+            : (currentLanguage === 'ar'
+                ? 'غير مفعّل. يحمي التحقق بخطوتين بيانات المبلّغين حتى لو تسربت كلمة المرور.'
+                : 'Not enabled. Two-factor authentication protects reporter data even if your password leaks.');
+
+        document.getElementById('twoFactorSetupForm').style.display = status.enabled ? 'none' : '';
+        document.getElementById('twoFactorManageForm').style.display = status.enabled ? '' : 'none';
+        document.getElementById('twoFactorEnrol').style.display = 'none';
+    } catch (error) {
+        console.error('❌ Error loading 2FA status:', error);
+        statusText.textContent = (currentLanguage === 'ar' ? 'تعذر تحميل الحالة: ' : 'Could not load status: ') + error.message;
+    }
+}
+
+// Step 1: confirm the password and get the secret for the authenticator app
+async function startTwoFactorSetup(event) {
+    event.preventDefault();
+
+    const passwordInput = document.getElementById('twoFactorSetupPassword');
+
+    try {
+        const token = await AUTH.getValidToken();
+        const { secret, otpauthUrl } = await window.backendAPI.setupTwoFactor(passwordInput.value, token);
+
+        passwordInput.value = '';
+        document.getElementById('twoFactorUri').href = otpauthUrl;
+        document.getElementById('twoFactorSecret').textContent = secret.match(/.{1,4}/g).join(' ');
+        document.getElementById('twoFactorSetupForm').style.display = 'none';
+        document.getElementById('recoveryCodes').style.display = 'none';
+        document.getElementById('twoFactorEnrol').style.display = '';
+        document.getElementById('twoFactorConfirmCode').focus();
+    } catch (error) {
+        alert((currentLanguage === 'ar' ? 'تعذر بدء التفعيل: ' : 'Could not start setup: ') + error.message);
+    }
+}
+
+// Step 2: confirm with the first code and show the recovery codes
+async function confirmTwoFactorSetup(event) {
+    event.preventDefault();
+
+    const codeInput = document.getElementById('twoFactorConfirmCode');
+
+    try {
+        const token = await AUTH.getValidToken();
+        const recoveryCodes = await window.backendAPI.enableTwoFactor(codeInput.value.trim(), token);
+
+        codeInput.value = '';
+        showRecoveryCodes(recoveryCodes);
+        await loadTwoFactorStatus();
+    } catch (error) {
+        alert((currentLanguage === 'ar' ? 'تعذر التفعيل: ' : 'Could not enable: ') + error.message);
+    }
+}
+
+function showRecoveryCodes(codes) {
+    document.getElementById('recoveryCodesList').innerHTML = codes
+        .map(code => `<li>${escapeHtml(code)}</li>`)
+        .join('');
+    document.getElementById('recoveryCodes').style.display = '';
+}
+
+async function submitRegenerateRecoveryCodes() {
+    const codeInput = document.getElementById('twoFactorManageCode');
+
+    try {
+        const token = await AUTH.getValidToken();
+        const recoveryCodes = await window.backendAPI.regenerateRecoveryCodes(codeInput.value.trim(), token);
+
+        codeInput.value = '';
+        showRecoveryCodes(recoveryCodes);
+        await loadTwoFactorStatus();
+    } catch (error) {
+        alert((currentLanguage === 'ar' ? 'تعذر إنشاء رموز جديدة: ' : 'Could not create new codes: ') + error.message);
+    }
+}
+
+async function submitDisableTwoFactor() {
+    const codeInput = document.getElementById('twoFactorManageCode');
+    const passwordInput = document.getElementById('twoFactorManagePassword');
+
+    const confirmed = confirm(currentLanguage === 'ar'
+        ? 'إيقاف التحقق بخطوتين لحسابك؟'
+        : 'Turn off two-factor authentication for your account?');
+
+    if (!confirmed) return;
+
+    try {
+        const token = await AUTH.getValidToken();
+        await window.backendAPI.disableTwoFactor(passwordInput.value, codeInput.value.trim(), token);
+
+        codeInput.value = '';
+        passwordInput.value = '';
+        document.getElementById('recoveryCodes').style.display = 'none';
+        await loadTwoFactorStatus();
+    } catch (error) {
+        alert((currentLanguage === 'ar' ? 'تعذر الإيقاف: ' : 'Could not turn off: ') + error.message);
+    }
+}
+
 // Close ticket modal
 function closeTicketModal() {
     document.getElementById('ticketModal').style.display = 'none';
@@ -2,6 +2,7 @@
 let currentLanguage = 'ar';
 let chatHistory = [];
 let currentTicket = null;
+let conversationSessionId = null; // Server-side conversation session
 let currentPhase = 'greeting'; // Track current phase from LLM JSON
 let ticketData = {}; // Store ticket data from LLM JSON
 let voiceEnabled = false; // Track if voice is enabled
@@ -18,6 +19,26 @@ let uploadedFiles = {
 // Tickets storage (in-memory)
 let tickets = [];
 
+// Resume token of the report in progress (POST /api/conversations/resume)
+const DRAFT_STORAGE_KEY = 'najm_report_draft';
+
+// Unfinished report offered on the landing page (see checkForDraft)
+let pendingDraft = null;
+
+// Invite token when another driver sent this person a link to their report (index.html?invite=...)
+const partyInvite = new URLSearchParams(window.location.search).get('invite');
+
+// { ticketId, partyNumber } while adding this driver's details to someone else's report
+let currentParty = null;
+
+// Upload folder on the conversation server for each upload phase
+const UPLOAD_FOLDERS = {
+    accident_photos: 'accident_photos',
+    id_card: 'id_cards',
+    driving_license: 'driving_licenses',
+    vehicle_registration: 'vehicle_registrations'
+};
+
 // Header Login Button Management
 function setupLoginButton() {
     const loginBtn = document.getElementById('loginBtn');
@@ -40,6 +61,15 @@ function initApp() {
     // Set initial language
     updateLanguage();
 
+    // Offer to continue a report left unfinished
+    checkForDraft();
+
+    // Opened from another driver's invite link
+    const joinBanner = document.getElementById('joinReport');
+    if (partyInvite && joinBanner) {
+        joinBanner.style.display = '';
+    }
+
     // Add enter key listener for message input
     const messageInput = document.getElementById('messageInput');
     if (messageInput) {
@@ -61,14 +91,32 @@ function showPage(pageId) {
 }
 
 function startReport() {
+    // A new report replaces the unfinished one
+    clearDraftToken();
     showPage('chatPage');
     initChat();
 }
 
+function joinReport() {
+    // Joining replaces an unfinished report, like starting a new one
+    clearDraftToken();
+    showPage('chatPage');
+    initChat(partyInvite);
+}
+
+function continueReport() {
+    if (!pendingDraft) return;
+
+    showPage('chatPage');
+    restoreDraft(pendingDraft);
+}
+
 function goToLanding() {
     showPage('landingPage');
     chatHistory = [];
     currentTicket = null;
+    conversationSessionId = null;
+    currentParty = null;
     currentPhase = 'greeting';
     ticketData = {};
     voiceEnabled = false;
@@ -81,6 +129,95 @@ function goToLanding() {
         vehicle_registration: null
     };
     document.getElementById('chatMessages').innerHTML = '';
+
+    // The server keeps the draft; offer to continue it
+    checkForDraft();
+}
+
+function saveDraftToken(resumeToken) {
+    localStorage.setItem(DRAFT_STORAGE_KEY, resumeToken);
+}
+
+function clearDraftToken() {
+    localStorage.removeItem(DRAFT_STORAGE_KEY);
+    pendingDraft = null;
+
+    const banner = document.getElementById('resumeDraft');
+    if (banner) banner.style.display = 'none';
+}
+
+/**
+ * Show "continue your report" when the server still has the draft of this browser
+ */
+async function checkForDraft() {
+    const resumeToken = localStorage.getItem(DRAFT_STORAGE_KEY);
+    const banner = document.getElementById('resumeDraft');
+
+    pendingDraft = null;
+    if (banner) banner.style.display = 'none';
+
+    if (!resumeToken || !banner) return;
+
+    try {
+        const session = await window.backendAPI.resumeConversation(resumeToken);
+
+        if (!session) {
+            // Submitted or expired
+            clearDraftToken();
+            return;
+        }
+
+        pendingDraft = session;
+        banner.style.display = '';
+    } catch (error) {
+        // Keep the token: the server may only be unreachable for now
+        console.error('Could not check for an unfinished report:', error);
+    }
+}
+
+/**
+ * Restore the chat, uploads and phase of an unfinished report
+ * @param {Object} session - From resumeConversation
+ */
+async function restoreDraft(session) {
+    conversationSessionId = session.sessionId;
+    currentParty = session.partyNumber ? { ticketId: session.ticketId, partyNumber: session.partyNumber } : null;
+    currentLanguage = session.language === 'en' ? 'en' : 'ar';
+    currentPhase = session.phase;
+    ticketData = session.ticket || {};
+    ticketAlreadyCreated = false;
+
+    uploadedFiles = {
+        accident_photos: [],
+        id_card: null,
+        driving_license: null,
+        vehicle_registration: null
+    };
+    const uploads = session.uploads || {};
+    for (const phase of Object.keys(UPLOAD_FOLDERS)) {
+        const files = phase === 'accident_photos' ? (uploads.accident_photos || []) : [uploads[phase]].filter(Boolean);
+        const restored = files.map(file => ({ filename: file.filename, url: file.url, type: UPLOAD_FOLDERS[phase] }));
+        uploadedFiles[phase] = phase === 'accident_photos' ? restored : restored[0] || null;
+    }
+
+    updateLanguage();
+
+    chatHistory = session.messages.map(msg => ({ role: msg.role, content: msg.content }));
+    document.getElementById('chatMessages').innerHTML = '';
+    chatHistory.forEach(msg => addMessage(msg.role, msg.content));
+
+    addMessage('system', currentLanguage === 'ar'
+        ? 'تمت استعادة بلاغك، يمكنك المتابعة من حيث توقفت.'
+        : 'Your report was restored. You can continue where you left off.');
+
+    console.log(`♻️ Resumed report at phase: ${currentPhase}`);
+
+    updateUIForPhase(currentPhase);
+
+    // Closed after confirming but before the ticket was saved
+    if (currentPhase === 'done') {
+        await finishReport();
+    }
 }
 
 function goToLogin() {
@@ -128,19 +265,20 @@ function updateLanguage() {
 }
 
 // Chat Functions
-async function initChat() {
+/**
+ * Start a new conversation
+ * @param {string} invite - Invite token to join another driver's report (optional)
+ */
+async function initChat(invite = null) {
     console.log('🚀 Initializing LLM-driven conversation...');
 
-    // Initialize chat history with system prompt
-    chatHistory = [
-        {
-            role: 'system',
-            content: CONFIG.PROMPTS.CHAT_SYSTEM
-        }
-    ];
+    // System prompt and model context live on the server; keep only the visible transcript here
+    chatHistory = [];
+    conversationSessionId = null;
+    currentParty = null;
 
     // Get initial greeting from LLM
-    await getAIResponse();
+    await getAIResponse(undefined, null, invite);
 }
 
 function addMessage(sender, text, isHtml = false) {
@@ -186,47 +324,6 @@ function removeTypingIndicator() {
     }
 }
 
-/**
- * Parse JSON state from LLM response
- * Extracts the JSON block at the end of the message
- */
-function parseLLMState(message) {
-    try {
-        // Look for JSON block at the end of the message
-        const jsonMatch = message.match(/\{[\s\S]*"phase"[\s\S]*\}/);
-
-        if (jsonMatch) {
-            const jsonStr = jsonMatch[0];
-            const state = JSON.parse(jsonStr);
-
-            console.log('📊 Parsed LLM state:', state);
-            return state;
-        }
-
-        console.warn('⚠️ No JSON state found in LLM response');
-        return null;
-    } catch (error) {
-        console.error('❌ Error parsing LLM state:', error);
-        return null;
-    }
-}
-
-/**
- * Extract clean message text (without JSON)
- */
-function extractMessageText(fullMessage) {
-    // Remove ANY markdown code fence with "json" (most common case)
-    let cleanMessage = fullMessage.replace(/```json[\s\S]*?```/g, '').trim();
-
-    // Remove plain ``` code blocks that might contain JSON
-    cleanMessage = cleanMessage.replace(/```[\s\S]*?```/g, '').trim();
-
-    // Fallback: Remove JSON objects that contain "phase" (from system prompt)
-    cleanMessage = cleanMessage.replace(/\{[\s\S]*?"phase"[\s\S]*?\}/g, '').trim();
-
-    return cleanMessage;
-}
-
 /**
  * Update UI based on current phase
  */
@@ -236,10 +333,7 @@ function updateUIForPhase(phase) {
     const messageInput = document.getElementById('messageInput');
     const attachBtn = document.getElementById('attachBtn');
 
-    // Phases that allow file upload
-    const uploadPhases = ['accident_photos', 'id_card', 'driving_license', 'vehicle_registration'];
-
-    if (uploadPhases.includes(phase)) {
+    if (window.conversationState.isUploadPhase(phase)) {
         // Enable file upload
         if (attachBtn) attachBtn.style.display = 'block';
         if (messageInput) messageInput.placeholder = currentLanguage === 'ar'
@@ -272,62 +366,59 @@ async function sendMessage() {
     });
 
     // Get AI response
-    await getAIResponse();
+    await getAIResponse(message);
 }
 
-async function getAIResponse() {
-    if (!validateConfig()) {
-        addMessage('system', currentLanguage === 'ar'
-            ? '⚠️ يرجى تكوين مفتاح OpenAI API في config.js'
-            : '⚠️ Please configure OpenAI API key in config.js');
-        return;
-    }
-
+/**
+ * Get the next assistant turn from the backend conversation orchestrator
+ * Starts a session on first call; afterwards sends the user turn only
+ * @param {string} userMessage - User text (omit to start the session)
+ * @param {Object} upload - Uploaded document sent with this turn { type, filename, url }
+ * @param {string} invite - Invite token, when starting a session for another driver's report
+ */
+async function getAIResponse(userMessage, upload = null, invite = null) {
     showTypingIndicator();
 
     try {
-        const response = await fetch(`${CONFIG.OPENAI_API_URL}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${CONFIG.OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: CONFIG.MODELS.CHAT,
-                messages: chatHistory,
-                temperature: 0.7,
-                max_tokens: 800
-            })
-        });
+        const result = conversationSessionId
+            ? await window.backendAPI.sendConversationMessage(conversationSessionId, userMessage, upload)
+            : await window.backendAPI.startConversation(currentLanguage, invite);
 
-        if (!response.ok) {
-            throw new Error(`API Error: ${response.status}`);
+        conversationSessionId = result.sessionId;
+
+        // Returned when the session was started from an invite
+        if (result.party) {
+            currentParty = result.party;
         }
 
-        const data = await response.json();
-        const fullMessage = data.choices[0].message.content;
+        // Returned once, when the session starts
+        if (result.resumeToken) {
+            saveDraftToken(result.resumeToken);
+        }
 
         removeTypingIndicator();
 
-        // Parse JSON state from response
-        const state = parseLLMState(fullMessage);
-
-        // Extract clean message text (without JSON)
-        const messageText = extractMessageText(fullMessage);
+        // Server returns the message already stripped of the JSON state
+        const messageText = result.message;
 
         // Add assistant message to UI
         addMessage('assistant', messageText);
 
-        // Add to chat history (full message with JSON for context)
+        // Add to chat history (visible transcript for the ticket)
         chatHistory.push({
             role: 'assistant',
-            content: fullMessage
+            content: messageText
         });
 
-        // Update state if JSON was parsed
-        if (state && state.phase) {
-            currentPhase = state.phase;
-            ticketData = state.ticket || ticketData;
+        // Phase has already been validated by the backend state machine
+        if (result.transition && !result.transition.allowed) {
+            console.warn(`⚠️ LLM proposed "${result.transition.proposed}", using "${result.phase}"`, result.missing);
+        }
+
+        // Update state from the parsed phase/ticket
+        if (result.phase && window.conversationState.isKnownPhase(result.phase)) {
+            currentPhase = result.phase;
+            ticketData = result.ticket || ticketData;
 
             console.log(`📍 Current phase: ${currentPhase}`);
             console.log(`📋 Ticket data:`, ticketData);
@@ -337,7 +428,7 @@ async function getAIResponse() {
 
             // ✅ FIXED: If phase is "done" AND ticket not already created, create the ticket ONCE
             if (currentPhase === 'done' && !ticketAlreadyCreated) {
-                await createTicketFromLLMData();
+                await finishReport();
             }
         }
 
@@ -350,6 +441,14 @@ async function getAIResponse() {
     } catch (error) {
         removeTypingIndicator();
         console.error('Error getting AI response:', error);
+
+        if (invite && !conversationSessionId) {
+            addMessage('system', currentLanguage === 'ar'
+                ? '❌ رابط الدعوة غير صالح أو انتهت صلاحيته. اطلب رابطاً جديداً من السائق الآخر أو من نجم.'
+                : '❌ This invite link is invalid or has expired. Ask the other driver or Najm for a new one.');
+            return;
+        }
+
         addMessage('system', currentLanguage === 'ar'
             ? '❌ عذراً، حدث خطأ. يرجى المحاولة مرة أخرى.'
             : '❌ Sorry, an error occurred. Please try again.');
@@ -374,8 +473,7 @@ async function handleImageUpload(event) {
     }
 
     // Check if we're in a valid upload phase
-    const validUploadPhases = ['accident_photos', 'id_card', 'driving_license', 'vehicle_registration'];
-    if (!validUploadPhases.includes(currentPhase)) {
+    if (!window.conversationState.isUploadPhase(currentPhase)) {
         addMessage('system', currentLanguage === 'ar'
             ? 'يرجى انتظار التعليمات قبل رفع الصور. سيطلب منك المساعد رفع الصور في الوقت المناسب.'
             : 'Please wait for instructions before uploading images. The assistant will ask you to upload images at the appropriate time.');
@@ -398,22 +496,8 @@ async function handleImageUpload(event) {
         const uploadingMessage = addMessage('system', uploadingText);
 
         try {
-            // Upload file based on current phase
-            let uploadType;
-            switch (currentPhase) {
-                case 'accident_photos':
-                    uploadType = 'accident_photos';
-                    break;
-                case 'id_card':
-                    uploadType = 'id_cards'; // Plural for backend folder
-                    break;
-                case 'driving_license':
-                    uploadType = 'driving_licenses'; // Plural for backend folder
-                    break;
-                case 'vehicle_registration':
-                    uploadType = 'vehicle_registrations'; // Plural for backend folder
-                    break;
-            }
+            // Upload file based on current phase (plural backend folder)
+            const uploadType = UPLOAD_FOLDERS[currentPhase];
 
             console.log(`📤 Uploading to folder: /uploads/${uploadType}`);
 
@@ -456,8 +540,12 @@ async function handleImageUpload(event) {
                 content: uploadNotification
             });
 
-            // Get next instruction from LLM
-            await getAIResponse();
+            // Get next instruction from LLM (the upload is recorded as evidence for the phase check)
+            await getAIResponse(uploadNotification, {
+                type: currentPhase,
+                filename: result.file.filename,
+                url: result.file.url
+            });
 
         } catch (error) {
             // Remove uploading message
@@ -474,6 +562,14 @@ async function handleImageUpload(event) {
     event.target.value = '';
 }
 
+/**
+ * Save the report when the conversation reaches "done": a new ticket, or this
+ * driver's part of another driver's ticket when the chat was opened from an invite
+ */
+function finishReport() {
+    return currentParty ? submitPartyFromLLMData() : createTicketFromLLMData();
+}
+
 /**
  * Create ticket from LLM data when phase is "done"
  * ✅ FIXED: Now sends ticket to backend at POST http://13.51.235.197:3000/tickets
@@ -488,33 +584,10 @@ async function createTicketFromLLMData() {
 
         console.log('🎫 Creating ticket from LLM data...');
 
-        const ticketId = `T-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-
-        // Prepare extracted data including all uploaded files
-        const extracted_data = {
-            description: ticketData.description || '',
-            location: ticketData.location || '',
-            number_of_vehicles: ticketData.number_of_vehicles || 0,
-            injuries: ticketData.injuries || false,
-            accident_photos_count: ticketData.accident_photos_count || 0,
-            id_card_received: ticketData.id_card_received || false,
-            driving_license_received: ticketData.driving_license_received || false,
-            vehicle_registration_received: ticketData.vehicle_registration_received || false,
-            // Include all uploaded files
-            uploads: {
-                accident_photos: uploadedFiles.accident_photos || [],
-                id_card: uploadedFiles.id_card || null,
-                driving_license: uploadedFiles.driving_license || null,
-                vehicle_registration: uploadedFiles.vehicle_registration || null
-            }
-        };
-
-        // Prepare ticket payload for backend
+        // The server builds the ticket from the conversation session (fields, uploads and
+        // transcript) and issues the ticket ID; it refuses until the conversation is done
         const ticketPayload = {
-            ticket_id: ticketId,
-            transcript: chatHistory,
-            extracted_data: extracted_data,
-            description: ticketData.description || 'Accident report'
+            session_id: conversationSessionId
         };
 
         console.log('📤 Sending ticket to backend:', ticketPayload);
@@ -535,6 +608,8 @@ async function createTicketFromLLMData() {
         const result = await response.json();
         console.log('✅ Ticket saved to backend:', result);
 
+        const ticketId = result.ticket.ticket_id;
+
         // Show success message
         const successMessage = currentLanguage === 'ar'
             ? `✅ تم إنشاء التذكرة بنجاح!\n\nرقم التذكرة: ${ticketId}\n\nاحتفظ بهذا الرقم للمتابعة.`
@@ -542,14 +617,28 @@ async function createTicketFromLLMData() {
 
         addMessage('system', successMessage);
 
+        // Follow-up link (track.html asks for the last digits of the phone or ID number given in the chat)
+        const trackUrl = `track.html?ticket=${encodeURIComponent(ticketId)}&lang=${currentLanguage}`;
+        addMessage('system', currentLanguage === 'ar'
+            ? `<a href="${trackUrl}" target="_blank">تتبع حالة البلاغ</a> باستخدام رقم التذكرة وآخر 4 أرقام من رقم جوالك أو هويتك.`
+            : `<a href="${trackUrl}" target="_blank">Track your report</a> with the ticket ID and the last 4 digits of your phone or ID number.`, true);
+
+        // One link per other driver, to add their own details and documents from their phone
+        if (Array.isArray(result.invites) && result.invites.length > 0) {
+            showPartyInvites(result.invites);
+        }
+
         // Store ticket locally
-        tickets.push(result.ticket || ticketPayload);
-        currentTicket = result.ticket || ticketPayload;
+        tickets.push(result.ticket);
+        currentTicket = result.ticket;
 
         // ✅ CRITICAL: Mark ticket as created and set phase to completed
         ticketAlreadyCreated = true;
         currentPhase = 'completed';
 
+        // Nothing left to resume
+        clearDraftToken();
+
         console.log('✅ Ticket creation completed. Flag set to prevent duplicates.');
 
     } catch (error) {
@@ -558,6 +647,58 @@ async function createTicketFromLLMData() {
     }
 }
 
+/**
+ * Show the invite link for each other driver involved
+ * @param {Array} invites - [{ party_number, token, expires_at }] from POST /tickets
+ */
+function showPartyInvites(invites) {
+    const links = invites.map(invite => {
+        const url = new URL(window.location.pathname, window.location.origin);
+        url.searchParams.set('invite', invite.token);
+
+        const label = currentLanguage === 'ar' ? `السائق ${invite.party_number}` : `Driver ${invite.party_number}`;
+        return `${label}: <a href="${url}" target="_blank">${url}</a>`;
+    });
+
+    addMessage('system', (currentLanguage === 'ar'
+        ? 'أرسل هذا الرابط إلى السائق الآخر ليضيف بياناته ومستنداته إلى نفس البلاغ من جواله:'
+        : 'Send this link to the other driver so they can add their details and documents to the same report from their phone:') +
+        `<br>${links.join('<br>')}`, true);
+}
+
+/**
+ * Add this driver's details and documents to the ticket they were invited to
+ */
+async function submitPartyFromLLMData() {
+    try {
+        if (ticketAlreadyCreated) {
+            console.log('⚠️ Party details already submitted, skipping...');
+            return;
+        }
+
+        console.log(`👥 Submitting party ${currentParty.partyNumber} of ${currentParty.ticketId}...`);
+
+        // The server takes the details and documents from this driver's conversation session
+        await window.backendAPI.submitPartyDetails(currentParty.ticketId, currentParty.partyNumber, conversationSessionId);
+
+        addMessage('system', currentLanguage === 'ar'
+            ? `✅ تمت إضافة بياناتك إلى البلاغ رقم ${currentParty.ticketId}.`
+            : `✅ Your details were added to report ${currentParty.ticketId}.`);
+
+        ticketAlreadyCreated = true;
+        currentPhase = 'completed';
+
+        // Nothing left to resume
+        clearDraftToken();
+
+    } catch (error) {
+        console.error('❌ Error submitting party details:', error);
+        addMessage('system', currentLanguage === 'ar'
+            ? 'عذراً، حدث خطأ أثناء حفظ بياناتك.'
+            : 'Sorry, an error occurred while saving your details.');
+    }
+}
+
 // Utility function to manually create a ticket (for testing)
 function manualCreateTicket() {
     if (!currentTicket) {
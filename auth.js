@@ -1,16 +1,25 @@
 // Authentication Module for Najm.ai
-// Simple localStorage-based authentication
+// Logs in against the backend (POST /api/auth/login) and keeps the short-lived JWT
+// and its rotating refresh token in localStorage
 
 const AUTH = {
     TOKEN_KEY: 'najm_admin_token',
+    REFRESH_KEY: 'najm_refresh_token',
     USER_KEY: 'najm_user_data',
 
+    // Refresh this long before the access token expires
+    REFRESH_MARGIN_MS: 60 * 1000,
+
+    // Pending refresh timer and in-flight refresh request
+    refreshTimer: null,
+    refreshPromise: null,
+
     /**
      * Set authentication token
      */
     setToken(token) {
         localStorage.setItem(this.TOKEN_KEY, token);
-        console.log('✅ Token saved:', token);
+        console.log('✅ Token saved');
     },
 
     /**
@@ -21,10 +30,54 @@ const AUTH = {
     },
 
     /**
-     * Check if user is authenticated
+     * Read the expiry of the stored JWT (the payload is not verified here, the backend does that)
+     * @returns {number|null} Expiry in ms since epoch, or null if the token is missing or malformed
+     */
+    getTokenExpiry() {
+        const token = this.getToken();
+        if (!token) return null;
+
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const claims = JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, '=')));
+            return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Store the tokens and user returned by login/refresh
+     */
+    saveSession(result) {
+        this.setToken(result.token);
+        localStorage.setItem(this.REFRESH_KEY, result.refreshToken);
+        localStorage.setItem(this.USER_KEY, JSON.stringify(result.user));
+    },
+
+    /**
+     * Remove tokens and user data
+     */
+    clearSession() {
+        clearTimeout(this.refreshTimer);
+        localStorage.removeItem(this.TOKEN_KEY);
+        localStorage.removeItem(this.REFRESH_KEY);
+        localStorage.removeItem(this.USER_KEY);
+    },
+
+    /**
+     * Check whether the access token is still valid for at least `marginMs`
+     */
+    hasValidAccessToken(marginMs = 0) {
+        const expiry = this.getTokenExpiry();
+        return expiry !== null && expiry - marginMs > Date.now();
+    },
+
+    /**
+     * Check if user is authenticated (valid access token, or a refresh token to get one)
      */
     isAuthenticated() {
-        return !!this.getToken();
+        return this.hasValidAccessToken() || !!localStorage.getItem(this.REFRESH_KEY);
     },
 
     /**
@@ -35,51 +88,226 @@ const AUTH = {
         return userData ? JSON.parse(userData) : null;
     },
 
+    /**
+     * Check a permission of the current user (see backend/middleware/authorize.js)
+     * @param {string} permission - e.g. 'tickets:status'
+     */
+    hasPermission(permission) {
+        const user = this.getCurrentUser();
+        return !!(user && Array.isArray(user.permissions) && user.permissions.includes(permission));
+    },
+
     /**
      * Login with credentials
+     * @returns {Promise<Object>} { success, message, retryAfter } (retryAfter in seconds when throttled),
+     *   or { success: false, twoFactorRequired: true, challengeToken } - continue with verifyTwoFactor()
      */
-    login(username, password) {
-        const VALID_USER = 'admin';
-        const VALID_PASS = '1234';
+    async login(username, password) {
+        try {
+            const result = await window.backendAPI.login(username, password);
+
+            if (result.twoFactorRequired) {
+                console.log('🔐 Verification code required');
+                return { success: false, twoFactorRequired: true, challengeToken: result.challengeToken };
+            }
+
+            this.saveSession(result);
+
+            console.log('✅ Login successful:', result.user.username, `(${result.user.role})`);
+            return { success: true, message: 'تم تسجيل الدخول بنجاح' };
+        } catch (error) {
+            console.warn('❌ Login failed:', error.message);
+            return { success: false, message: error.message, retryAfter: error.retryAfter || null };
+        }
+    },
 
-        if (username === VALID_USER && password === VALID_PASS) {
-            const token = btoa(`${username}:${Date.now()}`);
-            const userData = {
-                username: username,
-                loginTime: new Date().toISOString(),
-                role: 'admin'
-            };
+    /**
+     * Second login step for accounts with 2FA
+     * @param {string} challengeToken - From login()
+     * @param {string} code - Authenticator code or recovery code
+     * @returns {Promise<Object>} { success, message, retryAfter }
+     */
+    async verifyTwoFactor(challengeToken, code) {
+        try {
+            const result = await window.backendAPI.verifyLoginCode(challengeToken, code);
 
-            this.setToken(token);
-            localStorage.setItem(this.USER_KEY, JSON.stringify(userData));
+            this.saveSession(result);
 
-            console.log('✅ Login successful:', userData);
+            console.log('✅ Login successful:', result.user.username, `(${result.user.role})`);
             return { success: true, message: 'تم تسجيل الدخول بنجاح' };
-        } else {
-            console.warn('❌ Login failed: Invalid credentials');
-            return { success: false, message: 'اسم المستخدم أو كلمة المرور غير صحيحة' };
+        } catch (error) {
+            console.warn('❌ Verification failed:', error.message);
+            return { success: false, message: error.message, retryAfter: error.retryAfter || null };
+        }
+    },
+
+    /**
+     * Exchange the refresh token for a new access token (POST /api/auth/refresh)
+     * Concurrent callers share one request.
+     * @returns {Promise<boolean>} false if the session has ended
+     */
+    refresh() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.requestRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    },
+
+    async requestRefresh() {
+        const refreshToken = localStorage.getItem(this.REFRESH_KEY);
+        if (!refreshToken) return false;
+
+        try {
+            const response = await fetch(`${window.backendAPI.BACKEND_URL}/api/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+
+            // 409: another tab rotated the token first and is storing the new pair
+            if (response.status === 409) {
+                return this.waitForRotation(refreshToken);
+            }
+
+            if (!response.ok) return false;
+
+            this.saveSession(await response.json());
+            this.scheduleRefresh();
+            console.log('🔄 Access token refreshed');
+            return true;
+        } catch (error) {
+            // Backend unreachable: keep the session while the access token lasts
+            console.warn('⚠️ Could not refresh token:', error.message);
+            return this.hasValidAccessToken();
         }
     },
 
     /**
-     * Logout - clear token and user data
+     * Wait (up to 5 seconds) for another tab to store the tokens that replaced `refreshToken`
+     * @returns {Promise<boolean>}
+     */
+    async waitForRotation(refreshToken) {
+        for (let waited = 0; waited < 5000; waited += 250) {
+            if (localStorage.getItem(this.REFRESH_KEY) !== refreshToken && this.hasValidAccessToken()) {
+                return true;
+            }
+            await new Promise(resolve => setTimeout(resolve, 250));
+        }
+        return false;
+    },
+
+    /**
+     * Get an access token that is valid for at least the next 30 seconds,
+     * refreshing it first when needed (redirects to login if the session has ended)
+     * @returns {Promise<string|null>}
+     */
+    async getValidToken() {
+        if (!this.hasValidAccessToken(30 * 1000) && !(await this.refresh())) {
+            this.expireSession();
+            return null;
+        }
+        return this.getToken();
+    },
+
+    /**
+     * Ask the backend whether the session is still valid and refresh the user data
+     * @returns {Promise<boolean>} false if the session has ended (the user is redirected to login)
+     */
+    async verify() {
+        const token = await this.getValidToken();
+        if (!token) return false;
+
+        try {
+            const response = await fetch(`${window.backendAPI.BACKEND_URL}/api/auth/verify`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+
+            if (response.status === 401) {
+                this.expireSession();
+                return false;
+            }
+
+            const result = await response.json();
+            if (result.success && result.user) {
+                localStorage.setItem(this.USER_KEY, JSON.stringify(result.user));
+            }
+            return true;
+        } catch (error) {
+            // Backend unreachable: keep the session, API calls will report the error
+            console.warn('⚠️ Could not verify token:', error.message);
+            return true;
+        }
+    },
+
+    /**
+     * Clear the session and send the user back to login with an "expired" notice
+     */
+    expireSession() {
+        this.clearSession();
+        console.warn('⚠️ Session expired - redirecting to login');
+        window.location.replace('login.html?expired=1');
+    },
+
+    /**
+     * Refresh the access token shortly before it expires while the page is open
+     * (with jitter so several open tabs do not refresh at the same moment)
+     */
+    scheduleRefresh() {
+        const expiry = this.getTokenExpiry();
+        const delay = expiry === null ? 0 : expiry - Date.now() - this.REFRESH_MARGIN_MS - Math.random() * 20000;
+
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(async () => {
+            // Another tab may already have refreshed the shared tokens
+            if (this.hasValidAccessToken(this.REFRESH_MARGIN_MS + 20000)) {
+                this.scheduleRefresh();
+            } else if (!(await this.refresh())) {
+                this.expireSession();
+            }
+        }, Math.max(delay, 0));
+    },
+
+    /**
+     * Logout - revoke the session on the backend, clear token and user data
      */
     logout() {
-        localStorage.removeItem(this.TOKEN_KEY);
-        localStorage.removeItem(this.USER_KEY);
+        const token = this.getToken();
+        const refreshToken = localStorage.getItem(this.REFRESH_KEY);
+        if (token || refreshToken) {
+            // Best effort: the tokens are dropped locally either way
+            fetch(`${window.backendAPI.BACKEND_URL}/api/auth/logout`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ refreshToken }),
+                keepalive: true
+            }).catch(() => {});
+        }
+
+        this.clearSession();
         console.log('✅ User logged out');
         window.location.href = 'index.html';
     },
 
     /**
-     * Protect a route - redirect to login if not authenticated
+     * Protect a route - redirect to login if not authenticated,
+     * then verify the session with the backend and keep the access token fresh
      */
     protectRoute() {
         if (!this.isAuthenticated()) {
             console.warn('⚠️ Unauthorized access - redirecting to login');
-            window.location.replace('login.html');
+            const expired = !!this.getToken();
+            this.clearSession();
+            window.location.replace(expired ? 'login.html?expired=1' : 'login.html');
             return false;
         }
+
+        this.scheduleRefresh();
+        this.verify();
         return true;
     },
 
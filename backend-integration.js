@@ -27,8 +27,9 @@ async function uploadImageToBackend(file, type = 'accident_photo') {
 
         // Create FormData
         const formData = new FormData();
-        formData.append('files', file);  // Changed from 'image' to 'files' for conversation server
+        // type first: the server picks the folder (and encryption) from it while the file streams in
         formData.append('type', type === 'accident_photo' ? 'accident_photos' : type);
+        formData.append('files', file);  // Changed from 'image' to 'files' for conversation server
 
         // Send to conversation server upload endpoint
         const response = await fetch(`${CONVERSATION_SERVER_URL}/upload`, {
@@ -100,15 +101,14 @@ async function uploadImageToBackend(file, type = 'accident_photo') {
 
 /**
  * Create ticket with uploaded images
- * @param {string} ticketId - Unique ticket ID
+ * The ticket ID is issued by the server (result.ticket.ticket_id).
  * @returns {Promise<Object>} Created ticket
  */
-async function createTicketWithImages(ticketId) {
+async function createTicketWithImages() {
     try {
-        console.log(`🎫 Creating ticket ${ticketId} with ${uploadedImages.length} attachments...`);
+        console.log(`🎫 Creating ticket with ${uploadedImages.length} attachments...`);
 
         const ticketData = {
-            ticket_id: ticketId,
             plate: extractedData.plate || 'غير واضح',
             vehicles: 1, // Default, can be updated
             damage: extractedData.damage || 'غير واضح',
@@ -148,75 +148,347 @@ async function createTicketWithImages(ticketId) {
 }
 
 /**
- * Get all tickets (for admin dashboard)
+ * End the admin session when the backend rejects the JWT (expired or revoked)
+ * @param {Response} response - fetch response of an authenticated call
+ */
+function handleUnauthorized(response) {
+    if (response.status === 401 && window.AUTH) {
+        window.AUTH.expireSession();
+    }
+}
+
+/**
+ * Search tickets (for admin dashboard)
  * @param {string} token - JWT authentication token
- * @returns {Promise<Array>} List of tickets
+ * @param {Object} params - Filters, sort and cursor (q, status, from, to, plate,
+ *   national_id, vehicles, injuries, sort, order, limit, cursor)
+ * @returns {Promise<Object>} { tickets, total, hasMore, nextCursor }
  */
-async function getAllTickets(token) {
-    try {
-        console.log('📡 Fetching tickets from:', `${CONVERSATION_SERVER_URL}/tickets`);
+async function getAllTickets(token, params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            query.set(key, value);
+        }
+    });
+
+    const url = `${BACKEND_URL}/api/tickets${query.toString() ? `?${query}` : ''}`;
+    console.log('📡 Fetching tickets from:', url);
+
+    const response = await fetch(url, {
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        handleUnauthorized(response);
+        throw new Error(result.message || `Failed to fetch tickets: ${response.status}`);
+    }
+
+    return {
+        tickets: Array.isArray(result.tickets) ? result.tickets : [],
+        total: result.total || 0,
+        hasMore: !!result.hasMore,
+        nextCursor: result.nextCursor || null
+    };
+}
 
-        const response = await fetch(`${CONVERSATION_SERVER_URL}/tickets`, {
-            method: 'GET'
+/**
+ * Get single ticket details
+ * @param {string} ticketId - Ticket ID
+ * @param {string} token - JWT authentication token
+ * @returns {Promise<Object>} Ticket details
+ */
+async function getTicketDetails(ticketId, token, options = {}) {
+    try {
+        const view = options.redacted ? '?view=redacted' : '';
+        const response = await fetch(`${BACKEND_URL}/api/tickets/${encodeURIComponent(ticketId)}${view}`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${token}`
+            }
         });
 
+        handleUnauthorized(response);
+
+        if (response.status === 404) {
+            throw new Error(`Ticket ${ticketId} not found`);
+        }
+
         if (!response.ok) {
-            throw new Error(`Failed to fetch tickets: ${response.status}`);
+            throw new Error(`Failed to fetch ticket: ${response.status}`);
         }
 
         const result = await response.json();
-        console.log('📦 GET /tickets raw result:', result);
+        const ticket = result.ticket;
 
-        // ✅ Ensure we return an array
-        const tickets = Array.isArray(result.tickets) ? result.tickets : [];
-        console.log(`✅ Returning ${tickets.length} tickets`);
+        // PII is masked for auditors and when options.redacted is set
+        ticket.redacted = result.redacted === true;
 
-        return tickets;
+        console.log('✅ Fetched ticket details:', ticket);
+        return ticket;
 
     } catch (error) {
-        console.error('❌ Error fetching tickets:', error);
-        // Return empty array instead of throwing to prevent UI crash
-        return [];
+        console.error('❌ Error fetching ticket details:', error);
+        throw error;
     }
 }
 
 /**
- * Get single ticket details
+ * Change a ticket's status (enforced by the backend status workflow)
  * @param {string} ticketId - Ticket ID
+ * @param {string} status - New status
+ * @param {string} reason - Reason for the change
  * @param {string} token - JWT authentication token
- * @returns {Promise<Object>} Ticket details
+ * @returns {Promise<Object>} Updated ticket
  */
-async function getTicketDetails(ticketId, token) {
+async function updateTicketStatus(ticketId, status, reason, token) {
     try {
-        // ✅ FIXED: Fetch all tickets and find the specific one
-        // (backend doesn't have /tickets/:id endpoint, only /tickets GET all)
-        const response = await fetch(`${CONVERSATION_SERVER_URL}/tickets`, {
-            method: 'GET'
+        const response = await fetch(`${BACKEND_URL}/api/tickets/${encodeURIComponent(ticketId)}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            },
+            body: JSON.stringify({ status, reason })
         });
 
+        const result = await response.json().catch(() => ({}));
+
         if (!response.ok) {
-            throw new Error(`Failed to fetch tickets: ${response.status}`);
+            handleUnauthorized(response);
+            throw new Error(result.message || `Status update failed: ${response.status}`);
         }
 
-        const result = await response.json();
+        return result.ticket;
 
-        // ✅ Find the specific ticket by ID
-        const tickets = result.tickets || [];
-        const ticket = tickets.find(t => t.id === ticketId);
+    } catch (error) {
+        console.error('❌ Status update error:', error);
+        throw error;
+    }
+}
 
-        if (!ticket) {
-            throw new Error(`Ticket ${ticketId} not found`);
+/**
+ * Place or release a legal hold (held tickets are skipped by the retention purge)
+ * @param {string} ticketId - Ticket ID
+ * @param {boolean} hold - true to place, false to release
+ * @param {string} reason - Why the ticket is held (required when placing)
+ * @param {string} token - JWT authentication token
+ * @returns {Promise<Object>} Updated ticket
+ */
+async function setTicketLegalHold(ticketId, hold, reason, token) {
+    try {
+        const response = await fetch(`${BACKEND_URL}/api/tickets/${encodeURIComponent(ticketId)}/legal-hold`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            },
+            body: JSON.stringify({ hold, reason })
+        });
+
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            handleUnauthorized(response);
+            throw new Error(result.message || `Legal hold update failed: ${response.status}`);
         }
 
-        console.log('✅ Fetched ticket details:', ticket);
-        return ticket;
+        return result.ticket;
 
     } catch (error) {
-        console.error('❌ Error fetching ticket details:', error);
+        console.error('❌ Legal hold error:', error);
         throw error;
     }
 }
 
+/**
+ * Call a /api/tickets/:ticketId/liability endpoint
+ * @returns {Promise<Object>} Updated ticket (with liability)
+ */
+async function liabilityRequest(ticketId, method, body, token) {
+    const response = await fetch(`${BACKEND_URL}/api/tickets/${encodeURIComponent(ticketId)}/liability`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(body)
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        handleUnauthorized(response);
+        throw new Error(result.message || `Liability request failed: ${response.status}`);
+    }
+
+    return result.ticket;
+}
+
+/**
+ * Propose fault percentages from the accident facts (rules engine)
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} facts - { scenario, primary_party, other_party, ...flags }
+ * @param {string} token - JWT authentication token
+ * @returns {Promise<Object>} Updated ticket
+ */
+async function assessLiability(ticketId, facts, token) {
+    try {
+        return await liabilityRequest(ticketId, 'POST', { facts }, token);
+    } catch (error) {
+        console.error('❌ Liability assessment error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Override the proposed fault percentages
+ * @param {string} ticketId - Ticket ID
+ * @param {Array} shares - [{ party_number, fault_percent }]
+ * @param {string} reason - Why the proposal is overridden
+ * @param {string} token - JWT authentication token
+ * @returns {Promise<Object>} Updated ticket
+ */
+async function overrideLiability(ticketId, shares, reason, token) {
+    try {
+        return await liabilityRequest(ticketId, 'PUT', { shares, reason }, token);
+    } catch (error) {
+        console.error('❌ Liability override error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Issue a new invite link for a driver who has not joined the ticket yet
+ * @param {string} ticketId - Ticket ID
+ * @param {number} partyNumber - Party number (2 or more)
+ * @param {string} token - JWT authentication token
+ * @returns {Promise<Object>} { party_number, token, expires_at } - the link is index.html?invite=<token>
+ */
+async function createPartyInvite(ticketId, partyNumber, token) {
+    try {
+        const response = await fetch(`${BACKEND_URL}/api/tickets/${encodeURIComponent(ticketId)}/parties/${partyNumber}/invite`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`
+            }
+        });
+
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            handleUnauthorized(response);
+            throw new Error(result.message || `Invite failed: ${response.status}`);
+        }
+
+        return result.invite;
+
+    } catch (error) {
+        console.error('❌ Party invite error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Call a /api/users endpoint (admin only)
+ * @param {string} path - Path after /api/users
+ * @param {string} method - HTTP method
+ * @param {Object|null} body - JSON body
+ * @param {string} token - JWT authentication token
+ * @returns {Promise<Object>} Response JSON
+ */
+async function usersRequest(path, method, body, token) {
+    const response = await fetch(`${BACKEND_URL}/api/users${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        handleUnauthorized(response);
+
+        // Password policy violations are listed in result.errors
+        const details = result.errors ? `: ${result.errors.join(', ')}` : '';
+        throw new Error((result.message || `User request failed: ${response.status}`) + details);
+    }
+
+    return result;
+}
+
+/**
+ * List staff accounts
+ * @returns {Promise<Object>} { users, roles }
+ */
+async function getUsers(token) {
+    const result = await usersRequest('', 'GET', null, token);
+    return { users: result.users || [], roles: result.roles || [] };
+}
+
+/**
+ * Create a staff account
+ * @param {Object} user - { username, password, role }
+ * @returns {Promise<Object>} Created user
+ */
+async function createUser(user, token) {
+    return (await usersRequest('', 'POST', user, token)).user;
+}
+
+/**
+ * Change a user's role or disabled flag
+ * @param {number} userId - User ID
+ * @param {Object} updates - { role, disabled }
+ * @returns {Promise<Object>} Updated user
+ */
+async function updateUser(userId, updates, token) {
+    return (await usersRequest(`/${userId}`, 'PUT', updates, token)).user;
+}
+
+/**
+ * Set a new password for a user
+ * @returns {Promise<Object>} Updated user
+ */
+async function resetUserPassword(userId, password, token) {
+    return (await usersRequest(`/${userId}/reset-password`, 'POST', { password }, token)).user;
+}
+
+/**
+ * Sign a user out of all devices (revokes their sessions)
+ */
+async function forceLogoutUser(userId, token) {
+    return (await usersRequest(`/${userId}/logout`, 'POST', null, token)).user;
+}
+
+/**
+ * Lift a user's login lockout
+ */
+async function unlockUser(userId, token) {
+    return (await usersRequest(`/${userId}/unlock`, 'POST', null, token)).user;
+}
+
+/**
+ * Turn off a user's 2FA (lost phone)
+ */
+async function resetUserTwoFactor(userId, token) {
+    return (await usersRequest(`/${userId}/reset-2fa`, 'POST', null, token)).user;
+}
+
+/**
+ * Delete a user
+ */
+async function deleteUser(userId, token) {
+    await usersRequest(`/${userId}`, 'DELETE', null, token);
+}
+
 /**
  * Get uploaded images count
  * @returns {number} Number of uploaded images
@@ -263,7 +535,10 @@ async function loginToBackend(username, password) {
 
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.message || 'Login failed');
+            const error = new Error(errorData.message || 'Login failed');
+            // 429: seconds until the next attempt is allowed
+            error.retryAfter = errorData.retryAfter || null;
+            throw error;
         }
 
         const result = await response.json();
@@ -275,16 +550,288 @@ async function loginToBackend(username, password) {
     }
 }
 
+/**
+ * Second login step for accounts with 2FA (POST /api/auth/login/2fa)
+ * @param {string} challengeToken - challengeToken from the login response
+ * @param {string} code - Authenticator code or recovery code
+ * @returns {Promise<Object>} Login result with token, refreshToken and user
+ */
+async function verifyLoginCode(challengeToken, code) {
+    try {
+        const response = await fetch(`${BACKEND_URL}/api/auth/login/2fa`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ challengeToken, code })
+        });
+
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(result.message || 'Verification failed');
+            error.retryAfter = result.retryAfter || null;
+            throw error;
+        }
+
+        return result;
+
+    } catch (error) {
+        console.error('❌ Verification error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Call a /api/auth/2fa endpoint (two-factor settings of the signed-in user)
+ * @param {string} path - Path after /api/auth/2fa
+ * @param {string} method - HTTP method
+ * @param {Object|null} body - JSON body
+ * @param {string} token - JWT authentication token
+ * @returns {Promise<Object>} Response JSON
+ */
+async function twoFactorRequest(path, method, body, token) {
+    const response = await fetch(`${BACKEND_URL}/api/auth/2fa${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        handleUnauthorized(response);
+        throw new Error(result.message || `Two-factor request failed: ${response.status}`);
+    }
+
+    return result;
+}
+
+/**
+ * Get the 2FA status of the signed-in user
+ * @returns {Promise<Object>} { enabled, recoveryCodesRemaining }
+ */
+async function getTwoFactorStatus(token) {
+    return twoFactorRequest('', 'GET', null, token);
+}
+
+/**
+ * Start 2FA enrolment
+ * @returns {Promise<Object>} { secret, otpauthUrl }
+ */
+async function setupTwoFactor(password, token) {
+    return twoFactorRequest('/setup', 'POST', { password }, token);
+}
+
+/**
+ * Confirm 2FA enrolment with the first code from the app
+ * @returns {Promise<Array<string>>} Recovery codes (shown once)
+ */
+async function enableTwoFactor(code, token) {
+    return (await twoFactorRequest('/enable', 'POST', { code }, token)).recoveryCodes;
+}
+
+/**
+ * Replace the recovery codes
+ * @returns {Promise<Array<string>>} New recovery codes
+ */
+async function regenerateRecoveryCodes(code, token) {
+    return (await twoFactorRequest('/recovery-codes', 'POST', { code }, token)).recoveryCodes;
+}
+
+/**
+ * Turn off 2FA for the signed-in user
+ */
+async function disableTwoFactor(password, code, token) {
+    await twoFactorRequest('/disable', 'POST', { password, code }, token);
+}
+
+/**
+ * Look up a ticket's status for the citizen who reported it (public, no login)
+ * @param {string} ticketId - Ticket ID shown when the report was submitted
+ * @param {string} verification - Last digits of the phone or national/iqama ID given in the report
+ * @returns {Promise<Object>} { success, ticket } or { success: false, message, retryAfter }
+ */
+async function trackTicket(ticketId, verification) {
+    try {
+        const response = await fetch(`${BACKEND_URL}/api/track`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ ticket_id: ticketId, verification })
+        });
+
+        return await response.json();
+
+    } catch (error) {
+        console.error('❌ Ticket tracking error:', error);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Start a server-side conversation session
+ * @param {string} language - 'ar' | 'en'
+ * @param {string} invite - Invite token from a party link (optional; joins that ticket)
+ * @returns {Promise<Object>} { sessionId, resumeToken, message, phase, ticket, party }
+ */
+async function startConversation(language = 'ar', invite = null) {
+    try {
+        const response = await fetch(`${BACKEND_URL}/api/conversations`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(invite ? { language, invite } : { language })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.message || `Conversation start failed: ${response.status}`);
+        }
+
+        return await response.json();
+
+    } catch (error) {
+        console.error('❌ Conversation start error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Send a user turn to the conversation orchestrator
+ * @param {string} sessionId - Conversation session ID
+ * @param {string} content - User message text
+ * @param {Object} upload - Uploaded document sent with this turn (optional)
+ * @returns {Promise<Object>} { message, phase, ticket, missing, transition }
+ */
+async function sendConversationMessage(sessionId, content, upload = null) {
+    try {
+        const response = await fetch(`${BACKEND_URL}/api/conversations/${encodeURIComponent(sessionId)}/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(upload ? { content, upload } : { content })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.message || `Conversation message failed: ${response.status}`);
+        }
+
+        return await response.json();
+
+    } catch (error) {
+        console.error('❌ Conversation message error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Load an unfinished report to continue it
+ * @param {string} resumeToken - Token returned by startConversation
+ * @returns {Promise<Object|null>} { sessionId, language, phase, ticket, uploads, messages },
+ *   or null when there is no draft to resume (submitted or expired)
+ */
+async function resumeConversation(resumeToken) {
+    try {
+        const response = await fetch(`${BACKEND_URL}/api/conversations/resume`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ resumeToken })
+        });
+
+        if (response.status === 404) {
+            return null;
+        }
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.message || `Conversation resume failed: ${response.status}`);
+        }
+
+        const result = await response.json();
+        return result.session;
+
+    } catch (error) {
+        console.error('❌ Conversation resume error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Submit an invited driver's details and documents to the shared ticket
+ * The server takes them from the finished conversation session.
+ * @param {string} ticketId - Ticket the invite was for
+ * @param {number} partyNumber - Party number of the invite
+ * @param {string} sessionId - Conversation session started from the invite
+ * @returns {Promise<Object>} The saved party
+ */
+async function submitPartyDetails(ticketId, partyNumber, sessionId) {
+    try {
+        const response = await fetch(`${CONVERSATION_SERVER_URL}/tickets/${encodeURIComponent(ticketId)}/parties/${partyNumber}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ session_id: sessionId })
+        });
+
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(result.message || `Party submission failed: ${response.status}`);
+        }
+
+        return result.party;
+
+    } catch (error) {
+        console.error('❌ Party submission error:', error);
+        throw error;
+    }
+}
+
 // Export functions to global scope
 window.backendAPI = {
     uploadImage: uploadImageToBackend,
     createTicket: createTicketWithImages,
     getAllTickets,
     getTicketDetails,
+    updateTicketStatus,
+    setTicketLegalHold,
+    createPartyInvite,
+    assessLiability,
+    overrideLiability,
+    getUsers,
+    createUser,
+    updateUser,
+    resetUserPassword,
+    forceLogoutUser,
+    unlockUser,
+    resetUserTwoFactor,
+    deleteUser,
     getUploadedImagesCount,
     getExtractedData,
     clearUploadedImages,
     login: loginToBackend,
+    verifyLoginCode,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    trackTicket,
+    startConversation,
+    sendConversationMessage,
+    resumeConversation,
+    submitPartyDetails,
     BACKEND_URL
 };
 
@@ -0,0 +1,151 @@
+// Audit Log
+// Append-only, hash-chained record of security events (failed logins, lockouts, 2FA)
+// and of every ticket and file access (middleware/audit-access.js)
+//
+// Each entry stores the hash of the previous entry (prev_hash) and its own hash over
+// prev_hash + its fields, so editing, deleting or inserting an entry breaks the chain
+// from that point on (see verifyChain). Both servers append to the same chain.
+const crypto = require('crypto');
+const db = require('../database/db');
+
+// prev_hash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Columns in CSV export order
+const EXPORT_COLUMNS = [
+    'id', 'created_at', 'action', 'actor_id', 'actor_username', 'ip_address',
+    'target_type', 'target', 'details', 'prev_hash', 'hash'
+];
+
+/**
+ * Hash of an entry (prev_hash + every stored field except id and hash)
+ */
+function computeHash(entry) {
+    const payload = JSON.stringify([
+        entry.prev_hash,
+        entry.action,
+        entry.actor_id,
+        entry.actor_username,
+        entry.ip_address,
+        entry.target_type,
+        entry.target,
+        entry.details,
+        entry.created_at
+    ]);
+    return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+function lastHash() {
+    const row = db.prepare('SELECT hash FROM audit_log WHERE hash IS NOT NULL ORDER BY id DESC LIMIT 1').get();
+    return row ? row.hash : GENESIS_HASH;
+}
+
+const insertEntry = db.transaction((entry) => {
+    entry.prev_hash = lastHash();
+    entry.hash = computeHash(entry);
+
+    db.prepare(`
+        INSERT INTO audit_log (action, actor_id, actor_username, ip_address, target_type, target, details, created_at, prev_hash, hash)
+        VALUES (@action, @actor_id, @actor_username, @ip_address, @target_type, @target, @details, @created_at, @prev_hash, @hash)
+    `).run(entry);
+});
+
+/**
+ * Record an audit event
+ * @param {Object} event
+ * @param {string} event.action - e.g. 'auth.login_failed', 'ticket.read', 'file.read'
+ * @param {Object} event.actor - User performing the action ({ id, username }) or null
+ * @param {string} event.ip - Client IP
+ * @param {string} event.targetType - 'ticket' | 'file' (null for auth events, whose target is a username)
+ * @param {string} event.target - Affected entity (username, ticket ID, file path, ...)
+ * @param {Object} event.details - Extra data (stored as JSON)
+ */
+function recordAuditEvent({ action, actor = null, ip = null, targetType = null, target = null, details = null }) {
+    // IMMEDIATE takes the write lock before reading the last hash, so the two
+    // servers cannot both chain onto the same entry
+    insertEntry.immediate({
+        action,
+        actor_id: actor ? actor.id : null,
+        actor_username: actor ? actor.username : null,
+        ip_address: ip,
+        target_type: targetType,
+        target: target === null || target === undefined ? null : String(target),
+        details: details ? JSON.stringify(details) : null,
+        created_at: new Date().toISOString()
+    });
+}
+
+/**
+ * Chain entries written before hash chaining existed (runs once per database)
+ */
+const sealLegacyEntries = db.transaction(() => {
+    const rows = db.prepare('SELECT * FROM audit_log WHERE hash IS NULL ORDER BY id').all();
+    if (rows.length === 0) return 0;
+
+    const update = db.prepare('UPDATE audit_log SET prev_hash = ?, hash = ? WHERE id = ?');
+    let prevHash = GENESIS_HASH;
+
+    for (const row of rows) {
+        row.prev_hash = prevHash;
+        prevHash = computeHash(row);
+        update.run(row.prev_hash, prevHash, row.id);
+    }
+    return rows.length;
+});
+
+/**
+ * Recompute the whole chain
+ * @returns {Object} { valid, checked, lastHash, brokenAt: { id, reason } | null }
+ *   reason: 'hash_mismatch' (entry was modified) | 'chain_break' (an entry was removed or inserted)
+ */
+function verifyChain() {
+    let prevHash = GENESIS_HASH;
+    let checked = 0;
+
+    for (const row of db.prepare('SELECT * FROM audit_log ORDER BY id').iterate()) {
+        if (row.prev_hash !== prevHash) {
+            return { valid: false, checked, lastHash: prevHash, brokenAt: { id: row.id, reason: 'chain_break' } };
+        }
+        if (computeHash(row) !== row.hash) {
+            return { valid: false, checked, lastHash: prevHash, brokenAt: { id: row.id, reason: 'hash_mismatch' } };
+        }
+        prevHash = row.hash;
+        checked++;
+    }
+
+    return { valid: true, checked, lastHash: prevHash, brokenAt: null };
+}
+
+/**
+ * Iterate entries for export (oldest first)
+ * @param {Object} filters - { from, to (ISO dates/timestamps, to is exclusive), action, targetType, target, actor }
+ * @returns {Iterator<Object>}
+ */
+function iterateEntries({ from, to, action, targetType, target, actor } = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (from) { conditions.push('created_at >= @from'); params.from = from; }
+    if (to) { conditions.push('created_at < @to'); params.to = to; }
+    if (action) { conditions.push('action = @action'); params.action = action; }
+    if (targetType) { conditions.push('target_type = @targetType'); params.targetType = targetType; }
+    if (target) { conditions.push('target = @target'); params.target = target; }
+    if (actor) { conditions.push('actor_username = @actor'); params.actor = actor; }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`SELECT ${EXPORT_COLUMNS.join(', ')} FROM audit_log ${where} ORDER BY id`).iterate(params);
+}
+
+const sealed = sealLegacyEntries();
+if (sealed > 0) {
+    console.log(`🔗 Audit log: chained ${sealed} earlier entr${sealed === 1 ? 'y' : 'ies'}`);
+}
+
+module.exports = {
+    GENESIS_HASH,
+    EXPORT_COLUMNS,
+    computeHash,
+    recordAuditEvent,
+    verifyChain,
+    iterateEntries
+};
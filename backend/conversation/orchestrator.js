@@ -0,0 +1,460 @@
+/**
+ * Conversation Orchestrator
+ * Owns the system prompt, chat history and phase state for each report session.
+ * The browser only sends user turns; the LLM is called from here.
+ *
+ * ID numbers, phones, emails and plates in user turns are replaced with placeholders
+ * before they enter history (privacy/pii-redaction.js), so the LLM never sees them.
+ * The session's vault maps placeholders back for replies, ticket data and snapshots.
+ *
+ * Sessions stay drafts until their ticket is saved (markSubmitted). The browser keeps the
+ * resume token returned by startSession to continue a draft after the tab was closed.
+ *
+ * While the reporter describes the accident, the accident type is classified from their
+ * turns (tickets/accident-classifier.js); when it is unclear, an "Accident type check" note
+ * asks the model for a clarifying question before it moves on.
+ *
+ * A party session belongs to another driver who opened an invite link: it is tied to the
+ * existing ticket and party number from the start and follows the shorter 'party' flow.
+ *
+ * An upload sent with a turn is only recorded when it names a file the conversation server
+ * stored (server/server.js POST /upload) in the folder of its document type.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/db');
+const { getProvider } = require('../llm');
+const { buildSystemPrompt } = require('./prompts');
+const stateMachine = require('./state-machine');
+const schema = require('./schema');
+const piiRedaction = require('../privacy/pii-redaction');
+const accidentClassifier = require('../tickets/accident-classifier');
+const { getConversationStorage } = require('../storage');
+const { isNotFound } = require('../storage/errors');
+const { isUploadPath } = require('../middleware/upload-access');
+
+// How many times to re-ask the model when its turn fails schema validation
+const MAX_SCHEMA_RETRIES = parseInt(process.env.LLM_SCHEMA_RETRIES) || 2;
+
+// How long an unfinished report can be resumed after its last message
+const RESUME_HOURS = parseInt(process.env.CONVERSATION_RESUME_HOURS) || 72;
+
+// How many clarifying questions to ask when the accident type is unclear
+const MAX_ACCIDENT_TYPE_QUESTIONS = parseInt(process.env.ACCIDENT_TYPE_QUESTIONS) || 2;
+
+const ACCIDENT_TYPE_CHECK = 'Accident type check:';
+
+const EMPTY_UPLOADS = {
+    accident_photos: [],
+    id_card: null,
+    driving_license: null,
+    vehicle_registration: null
+};
+
+// Storage folder of each document type (server/server.js POST /upload)
+const UPLOAD_FOLDERS = {
+    accident_photos: 'accident_photos',
+    id_card: 'id_cards',
+    driving_license: 'driving_licenses',
+    vehicle_registration: 'vehicle_registrations'
+};
+
+/**
+ * Resume tokens are stored as SHA-256 hashes
+ */
+function hashResumeToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Load a session row and decode its JSON columns
+ * @param {string} sessionId - Session identifier
+ * @returns {Object|null} Session
+ */
+function loadSession(sessionId) {
+    const row = db.prepare('SELECT * FROM conversation_sessions WHERE session_id = ?').get(sessionId);
+
+    if (!row) {
+        return null;
+    }
+
+    return {
+        ...row,
+        ticket_data: row.ticket_data ? JSON.parse(row.ticket_data) : {},
+        uploads: row.uploads ? JSON.parse(row.uploads) : { ...EMPTY_UPLOADS, accident_photos: [] },
+        history: JSON.parse(row.history),
+        pii_vault: row.pii_vault ? JSON.parse(row.pii_vault) : {}
+    };
+}
+
+/**
+ * Persist phase, ticket data and history for a session
+ * @param {Object} session - Session object
+ */
+function saveSession(session) {
+    db.prepare(`
+        UPDATE conversation_sessions
+        SET phase = ?,
+            ticket_data = ?,
+            uploads = ?,
+            history = ?,
+            pii_vault = ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE session_id = ?
+    `).run(
+        session.phase,
+        JSON.stringify(session.ticket_data),
+        JSON.stringify(session.uploads),
+        JSON.stringify(session.history),
+        JSON.stringify(session.pii_vault),
+        session.session_id
+    );
+}
+
+function invalidUploadError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_UPLOAD';
+    return error;
+}
+
+/**
+ * Check that an upload names a stored file in the folder of its document type
+ * @param {Object} upload - { type, filename, url }
+ * @throws {Error} code INVALID_UPLOAD when the url is not /uploads/<folder for type>/<filename>
+ *   with a safe filename, or no such file was uploaded
+ */
+async function checkUpload(upload) {
+    const folder = upload && Object.prototype.hasOwnProperty.call(UPLOAD_FOLDERS, upload.type)
+        ? UPLOAD_FOLDERS[upload.type]
+        : null;
+
+    if (!folder) {
+        throw invalidUploadError(`Upload type must be one of: ${Object.keys(UPLOAD_FOLDERS).join(', ')}`);
+    }
+
+    const key = `${folder}/${upload.filename}`;
+
+    if (typeof upload.filename !== 'string' || upload.url !== `/uploads/${key}` || !isUploadPath(upload.url)) {
+        throw invalidUploadError(`Upload url must be /uploads/${folder}/<filename> of a file from POST /upload`);
+    }
+
+    try {
+        const stored = await getConversationStorage().stream(key);
+        stored.stream.destroy();
+    } catch (error) {
+        if (isNotFound(error)) {
+            throw invalidUploadError('Uploaded file not found');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Record an uploaded document on the session (after checkUpload)
+ * Upload facts come from here, not from what the LLM claims it received
+ * @param {Object} session - Session object (mutated)
+ * @param {Object} upload - { type, filename, url }
+ */
+function recordUpload(session, upload) {
+    const file = { filename: upload.filename, url: upload.url, type: upload.type };
+
+    if (upload.type === 'accident_photos') {
+        // The same photo sent again does not count twice
+        if (!session.uploads.accident_photos.some(photo => photo.url === file.url)) {
+            session.uploads.accident_photos.push(file);
+        }
+    } else {
+        session.uploads[upload.type] = file;
+    }
+}
+
+/**
+ * Overwrite the LLM's document flags with the uploads actually recorded
+ * @param {Object} ticket - Ticket data proposed by the LLM
+ * @param {Object} uploads - Session uploads
+ * @returns {Object} Ticket facts
+ */
+function applyUploadEvidence(ticket, uploads) {
+    return {
+        ...ticket,
+        accident_photos_count: uploads.accident_photos.length,
+        id_card_received: !!uploads.id_card,
+        driving_license_received: !!uploads.driving_license,
+        vehicle_registration_received: !!uploads.vehicle_registration
+    };
+}
+
+/**
+ * Call the LLM until it returns a turn that passes schema validation.
+ * Invalid replies and the correction prompts are not kept in session history.
+ *
+ * @param {Array} messages - Prompt messages
+ * @returns {Promise<Object>} Validated turn
+ */
+async function requestValidTurn(messages) {
+    const attempts = [...messages];
+    let lastErrors = [];
+
+    for (let attempt = 0; attempt <= MAX_SCHEMA_RETRIES; attempt++) {
+        const { content } = await getProvider().complete(attempts, {
+            responseFormat: schema.RESPONSE_FORMAT
+        });
+
+        const result = schema.parseTurn(content);
+
+        if (result.valid) {
+            if (result.repairs.length > 0) {
+                console.warn(`🔧 Repaired LLM turn: ${result.repairs.join('; ')}`);
+            }
+            return result.value;
+        }
+
+        lastErrors = result.errors;
+        console.warn(`⚠️ Invalid LLM turn (attempt ${attempt + 1}): ${result.errors.join('; ')}`);
+
+        attempts.push({ role: 'assistant', content: content || '' });
+        attempts.push({
+            role: 'system',
+            content: `Your last reply did not match schema version ${schema.SCHEMA_VERSION}: ` +
+                `${result.errors.join('; ')}. Reply again with only the JSON object.`
+        });
+    }
+
+    const error = new Error(`LLM returned no valid turn after ${MAX_SCHEMA_RETRIES + 1} attempts: ${lastErrors.join('; ')}`);
+    error.code = 'LLM_INVALID_OUTPUT';
+    throw error;
+}
+
+/**
+ * Phase flow of a session (state-machine FLOWS)
+ */
+function sessionFlow(session) {
+    return session.party_number ? 'party' : 'report';
+}
+
+/**
+ * Ask for a clarifying question while the accident type is unclear
+ * Only in the report flow, while the reporter is still describing the accident.
+ * @param {Object} session - Session object (mutated: a system note is added to history)
+ */
+function checkAccidentType(session) {
+    if (sessionFlow(session) !== 'report' || !['greeting', 'description'].includes(session.phase)) {
+        return;
+    }
+
+    const result = accidentClassifier.classifyAccident(
+        session.history.filter(msg => msg.role === 'user').map(msg => msg.content)
+    );
+    const asked = session.history
+        .filter(msg => msg.role === 'system' && msg.content.startsWith(ACCIDENT_TYPE_CHECK))
+        .length;
+
+    if (accidentClassifier.needsClarification(result) && asked < MAX_ACCIDENT_TYPE_QUESTIONS) {
+        const types = result.candidates.length > 0 ? result.candidates : Object.keys(accidentClassifier.ACCIDENT_TYPES);
+
+        session.history.push({
+            role: 'system',
+            content: `${ACCIDENT_TYPE_CHECK} it is not clear yet what kind of accident this was ` +
+                `(could be: ${types.map(type => accidentClassifier.ACCIDENT_TYPES[type].en).join(', ')}). ` +
+                'Ask the user one short question to find out, and stay in phase "description".'
+        });
+    }
+}
+
+/**
+ * Ask the LLM for the next assistant turn and apply its state to the session
+ * @param {Object} session - Session object (mutated)
+ * @returns {Promise<Object>} { message, phase, ticket }
+ */
+async function runAssistantTurn(session) {
+    const party = session.party_number
+        ? { ticketId: session.ticket_id, partyNumber: session.party_number }
+        : null;
+    const messages = [
+        { role: 'system', content: buildSystemPrompt(session.language, { party }) },
+        ...session.history
+    ];
+
+    const turn = await requestValidTurn(messages);
+
+    // Keep the full structured turn in history for model context (with placeholders)
+    session.history.push({ role: 'assistant', content: JSON.stringify(turn) });
+
+    const ticket = applyUploadEvidence(
+        { ...session.ticket_data, ...piiRedaction.restore(turn.ticket, session.pii_vault) },
+        session.uploads
+    );
+
+    const transition = stateMachine.validateTransition(session.phase, turn.phase, ticket, sessionFlow(session));
+
+    if (!transition.allowed) {
+        console.warn(`⚠️ Rejected phase transition: ${transition.reason} → using "${transition.phase}"`);
+
+        // Tell the model where the report really is so the next turn corrects itself
+        session.history.push({
+            role: 'system',
+            content: `State check: phase "${transition.proposed}" was rejected. ` +
+                `Current phase is "${transition.phase}". ` +
+                (transition.missing.length > 0 ? `Still missing: ${transition.missing.join(', ')}.` : '')
+        });
+    }
+
+    session.phase = transition.phase;
+    session.ticket_data = ticket;
+
+    saveSession(session);
+
+    return {
+        schemaVersion: turn.schema_version,
+        message: piiRedaction.restore(turn.message, session.pii_vault),
+        phase: session.phase,
+        ticket: session.ticket_data,
+        party,
+        missing: stateMachine.getMissingFields(session.phase, session.ticket_data),
+        transition
+    };
+}
+
+/**
+ * Start a new report session and get the greeting
+ * @param {string} language - 'ar' | 'en'
+ * @param {Object} options - { party: { ticketId, partyNumber } } for a driver joining by invite
+ * @returns {Promise<Object>} { sessionId, resumeToken, message, phase, ticket, party }
+ *   resumeToken is only returned here (see resumeSession)
+ */
+async function startSession(language = 'ar', options = {}) {
+    const sessionId = uuidv4();
+    const resumeToken = crypto.randomBytes(32).toString('base64url');
+    const party = options.party || null;
+
+    db.prepare(`
+        INSERT INTO conversation_sessions (session_id, language, history, resume_token_hash, ticket_id, party_number)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+        sessionId,
+        language === 'en' ? 'en' : 'ar',
+        JSON.stringify([]),
+        hashResumeToken(resumeToken),
+        party ? party.ticketId : null,
+        party ? party.partyNumber : null
+    );
+
+    const session = loadSession(sessionId);
+    const reply = await runAssistantTurn(session);
+
+    return { sessionId, resumeToken, ...reply };
+}
+
+/**
+ * Handle a user turn
+ * @param {string} sessionId - Session identifier
+ * @param {string} content - User message text
+ * @param {Object} upload - Optional uploaded document { type, filename, url } from POST /upload
+ * @returns {Promise<Object|null>} { sessionId, message, phase, ticket } or null if unknown session
+ * @throws {Error} code SESSION_SUBMITTED, or INVALID_UPLOAD (see checkUpload)
+ */
+async function sendMessage(sessionId, content, upload = null) {
+    const session = loadSession(sessionId);
+
+    if (!session) {
+        return null;
+    }
+
+    if (session.status === 'submitted') {
+        const error = new Error(`Session was already submitted as ticket ${session.ticket_id}`);
+        error.code = 'SESSION_SUBMITTED';
+        throw error;
+    }
+
+    if (upload) {
+        await checkUpload(upload);
+        recordUpload(session, upload);
+    }
+
+    session.history.push({ role: 'user', content: piiRedaction.tokenize(content, session.pii_vault) });
+    checkAccidentType(session);
+
+    const reply = await runAssistantTurn(session);
+
+    return { sessionId, ...reply };
+}
+
+/**
+ * Get a session snapshot with user-facing messages only
+ * @param {string} sessionId - Session identifier
+ * @returns {Object|null} Session snapshot
+ */
+function getSession(sessionId) {
+    const session = loadSession(sessionId);
+
+    if (!session) {
+        return null;
+    }
+
+    return {
+        sessionId: session.session_id,
+        status: session.status,
+        ticketId: session.ticket_id,
+        partyNumber: session.party_number,
+        language: session.language,
+        phase: session.phase,
+        ticket: session.ticket_data,
+        uploads: session.uploads,
+        messages: session.history
+            .filter(msg => msg.role !== 'system')
+            .map(msg => ({
+                role: msg.role,
+                content: piiRedaction.restore(
+                    msg.role === 'assistant' ? schema.readMessage(msg.content) : msg.content,
+                    session.pii_vault
+                )
+            })),
+        createdAt: session.created_at,
+        updatedAt: session.updated_at
+    };
+}
+
+/**
+ * Find an unfinished report by its resume token
+ * @param {string} resumeToken - From startSession
+ * @returns {Object|null} Session snapshot (as getSession), or null when the token is unknown,
+ *   the report was submitted or it has been idle for more than CONVERSATION_RESUME_HOURS
+ */
+function resumeSession(resumeToken) {
+    const row = db.prepare(`
+        SELECT session_id FROM conversation_sessions
+        WHERE resume_token_hash = ?
+          AND status = 'draft'
+          AND updated_at > datetime('now', ?)
+    `).get(hashResumeToken(resumeToken), `-${RESUME_HOURS} hours`);
+
+    return row ? getSession(row.session_id) : null;
+}
+
+/**
+ * Mark a session as submitted once its ticket is saved (it can no longer be resumed or continued)
+ * @param {string} sessionId - Session identifier
+ * @param {string} ticketId - Ticket created from the session
+ * @returns {boolean} true if a draft session was marked
+ */
+function markSubmitted(sessionId, ticketId) {
+    const result = db.prepare(`
+        UPDATE conversation_sessions
+        SET status = 'submitted',
+            ticket_id = ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE session_id = ? AND status = 'draft'
+    `).run(ticketId, sessionId);
+
+    return result.changes > 0;
+}
+
+module.exports = {
+    RESUME_HOURS,
+    startSession,
+    sendMessage,
+    getSession,
+    resumeSession,
+    markSubmitted
+};
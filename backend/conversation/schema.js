@@ -0,0 +1,294 @@
+/**
+ * Assistant Turn Schema
+ * Versioned structured-output contract between the orchestrator and the LLM.
+ *
+ * Every assistant turn is a single JSON object:
+ * {
+ *   "schema_version": "1",
+ *   "message": "user-facing text",
+ *   "phase": "description",
+ *   "ticket": { ... },
+ *   "missing_fields": ["location"]
+ * }
+ */
+
+const { PHASES } = require('./state-machine');
+
+const SCHEMA_VERSION = '1';
+
+const TICKET_DEFAULTS = {
+    description: '',
+    location: '',
+    number_of_vehicles: null,
+    injuries: null,
+    accident_photos_count: 0,
+    driver_name: '',
+    phone: '',
+    plate: '',
+    insurer: '',
+    id_card_received: false,
+    driving_license_received: false,
+    vehicle_registration_received: false,
+    confirmed: false
+};
+
+/**
+ * JSON Schema sent to the model as the response format
+ */
+const TURN_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['schema_version', 'message', 'phase', 'ticket', 'missing_fields'],
+    properties: {
+        schema_version: { type: 'string', enum: [SCHEMA_VERSION] },
+        message: { type: 'string' },
+        phase: { type: 'string', enum: PHASES },
+        ticket: {
+            type: 'object',
+            additionalProperties: false,
+            required: Object.keys(TICKET_DEFAULTS),
+            properties: {
+                description: { type: 'string' },
+                location: { type: 'string' },
+                number_of_vehicles: { type: ['integer', 'null'] },
+                injuries: { type: ['boolean', 'null'] },
+                accident_photos_count: { type: 'integer' },
+                driver_name: { type: 'string' },
+                phone: { type: 'string' },
+                plate: { type: 'string' },
+                insurer: { type: 'string' },
+                id_card_received: { type: 'boolean' },
+                driving_license_received: { type: 'boolean' },
+                vehicle_registration_received: { type: 'boolean' },
+                confirmed: { type: 'boolean' }
+            }
+        },
+        missing_fields: {
+            type: 'array',
+            items: { type: 'string' }
+        }
+    }
+};
+
+/**
+ * OpenAI response_format for structured output
+ */
+const RESPONSE_FORMAT = {
+    type: 'json_schema',
+    json_schema: {
+        name: 'najm_report_turn',
+        strict: true,
+        schema: TURN_SCHEMA
+    }
+};
+
+/**
+ * Coerce a boolean-ish value; returns undefined when it cannot be repaired
+ */
+function toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'string') {
+        const normalized = value.trim().toLowerCase();
+        if (['true', 'yes', 'نعم'].includes(normalized)) return true;
+        if (['false', 'no', 'لا'].includes(normalized)) return false;
+    }
+    return undefined;
+}
+
+/**
+ * Coerce an integer-ish value; returns undefined when it cannot be repaired
+ */
+function toInteger(value) {
+    if (Number.isInteger(value)) return value;
+    if (typeof value === 'string' && /^\s*\d+\s*$/.test(value)) return parseInt(value, 10);
+    return undefined;
+}
+
+/**
+ * Validate and repair the ticket object
+ * Omitted fields are left out so the session keeps its previous values
+ */
+function validateTicket(input, errors, repairs) {
+    if (input === undefined || input === null) {
+        repairs.push('ticket: missing, keeping previous values');
+        return {};
+    }
+
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        errors.push('ticket: must be an object');
+        return null;
+    }
+
+    const ticket = {};
+
+    for (const field of Object.keys(TICKET_DEFAULTS)) {
+        const value = input[field];
+
+        if (value === undefined) {
+            repairs.push(`ticket.${field}: missing, keeping previous value`);
+            continue;
+        }
+
+        switch (field) {
+            case 'description':
+            case 'location':
+            case 'driver_name':
+            case 'phone':
+            case 'plate':
+            case 'insurer':
+                if (value === null) {
+                    ticket[field] = '';
+                } else if (typeof value === 'string') {
+                    ticket[field] = value;
+                } else {
+                    errors.push(`ticket.${field}: must be a string`);
+                }
+                break;
+
+            case 'number_of_vehicles':
+            case 'accident_photos_count': {
+                if (value === null && field === 'number_of_vehicles') {
+                    ticket[field] = null;
+                    break;
+                }
+                const number = toInteger(value);
+                if (number === undefined) {
+                    errors.push(`ticket.${field}: must be an integer`);
+                } else {
+                    if (number !== value) repairs.push(`ticket.${field}: coerced to integer`);
+                    ticket[field] = number;
+                }
+                break;
+            }
+
+            default: {
+                if (value === null && field === 'injuries') {
+                    ticket[field] = null;
+                    break;
+                }
+                const bool = toBoolean(value);
+                if (bool === undefined) {
+                    errors.push(`ticket.${field}: must be a boolean`);
+                } else {
+                    if (bool !== value) repairs.push(`ticket.${field}: coerced to boolean`);
+                    ticket[field] = bool;
+                }
+            }
+        }
+    }
+
+    return ticket;
+}
+
+/**
+ * Validate an assistant turn payload, repairing what can be repaired safely.
+ * Missing message or unknown phase cannot be repaired and are rejected.
+ *
+ * @param {*} payload - Parsed JSON from the model
+ * @returns {Object} { valid, value, errors, repairs }
+ */
+function validateTurn(payload) {
+    const errors = [];
+    const repairs = [];
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return { valid: false, value: null, errors: ['payload: must be a JSON object'], repairs };
+    }
+
+    let version = payload.schema_version;
+    if (version === undefined) {
+        version = SCHEMA_VERSION;
+        repairs.push('schema_version: missing, assumed current');
+    } else if (String(version) !== SCHEMA_VERSION) {
+        errors.push(`schema_version: expected "${SCHEMA_VERSION}", got "${version}"`);
+    }
+
+    const message = typeof payload.message === 'string' ? payload.message.trim() : '';
+    if (!message) {
+        errors.push('message: must be a non-empty string');
+    }
+
+    if (!PHASES.includes(payload.phase)) {
+        errors.push(`phase: must be one of ${PHASES.join(', ')}`);
+    }
+
+    const ticket = validateTicket(payload.ticket, errors, repairs);
+
+    let missingFields = payload.missing_fields;
+    if (missingFields === undefined) {
+        missingFields = [];
+        repairs.push('missing_fields: missing, using []');
+    } else if (!Array.isArray(missingFields) || !missingFields.every(f => typeof f === 'string')) {
+        errors.push('missing_fields: must be an array of strings');
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, value: null, errors, repairs };
+    }
+
+    return {
+        valid: true,
+        value: {
+            schema_version: SCHEMA_VERSION,
+            message,
+            phase: payload.phase,
+            ticket,
+            missing_fields: missingFields
+        },
+        errors,
+        repairs
+    };
+}
+
+/**
+ * Parse raw model output into a validated turn
+ * Tolerates a surrounding markdown code fence
+ *
+ * @param {string} content - Raw model output
+ * @returns {Object} { valid, value, errors, repairs }
+ */
+function parseTurn(content) {
+    if (typeof content !== 'string') {
+        return { valid: false, value: null, errors: ['content: empty response'], repairs: [] };
+    }
+
+    let text = content.trim();
+    const repairs = [];
+
+    const fenced = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+    if (fenced) {
+        text = fenced[1];
+        repairs.push('content: removed code fence');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(text);
+    } catch (error) {
+        return { valid: false, value: null, errors: [`content: invalid JSON (${error.message})`], repairs };
+    }
+
+    const result = validateTurn(payload);
+    result.repairs = repairs.concat(result.repairs);
+    return result;
+}
+
+/**
+ * Get the user-facing text of a stored assistant turn
+ * @param {string} content - Stored assistant content
+ * @returns {string} Message text
+ */
+function readMessage(content) {
+    const result = parseTurn(content);
+    return result.valid ? result.value.message : content;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    TICKET_DEFAULTS,
+    TURN_SCHEMA,
+    RESPONSE_FORMAT,
+    validateTurn,
+    parseTurn,
+    readMessage
+};
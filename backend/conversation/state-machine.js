@@ -0,0 +1,222 @@
+/**
+ * Accident Report State Machine
+ * Deterministic phase rules that back up the LLM-driven flow.
+ *
+ * report (the driver who files the ticket):
+ *   greeting → description → location → vehicles → injuries → accident_photos
+ *     → driver → id_card → driving_license → vehicle_registration → confirm → done
+ * party (another driver joining through an invite link, see database/party-store.js):
+ *   greeting → driver → id_card → driving_license → vehicle_registration → confirm → done
+ *
+ * Every phase the LLM proposes is checked here before the session (and the UI)
+ * moves to it, so a hallucinated jump cannot skip required information.
+ */
+
+const PHASES = [
+    'greeting',
+    'description',
+    'location',
+    'vehicles',
+    'injuries',
+    'accident_photos',
+    'driver',
+    'id_card',
+    'driving_license',
+    'vehicle_registration',
+    'confirm',
+    'done'
+];
+
+const PARTY_PHASES = ['greeting', 'driver', 'id_card', 'driving_license', 'vehicle_registration', 'confirm', 'done'];
+
+const FLOWS = {
+    report: PHASES,
+    party: PARTY_PHASES
+};
+
+const UPLOAD_PHASES = ['accident_photos', 'id_card', 'driving_license', 'vehicle_registration'];
+
+const REQUIRED_ACCIDENT_PHOTOS = 3;
+
+// Shortest phone number accepted in the driver phase (digits only)
+const MIN_PHONE_DIGITS = 7;
+
+/**
+ * Fields a phase must collect before the report can move past it.
+ * Each check receives the ticket facts and returns true when satisfied.
+ */
+const REQUIRED_FIELDS = {
+    greeting: {},
+    description: {
+        description: t => typeof t.description === 'string' && t.description.trim().length > 0
+    },
+    location: {
+        location: t => typeof t.location === 'string' && t.location.trim().length > 0
+    },
+    vehicles: {
+        number_of_vehicles: t => Number.isInteger(t.number_of_vehicles) && t.number_of_vehicles >= 1
+    },
+    injuries: {
+        injuries: t => typeof t.injuries === 'boolean'
+    },
+    accident_photos: {
+        accident_photos_count: t => (t.accident_photos_count || 0) >= REQUIRED_ACCIDENT_PHOTOS
+    },
+    driver: {
+        driver_name: t => typeof t.driver_name === 'string' && t.driver_name.trim().length > 0,
+        // Also what the citizen quotes to track the report (tickets/ticket-tracking.js)
+        phone: t => typeof t.phone === 'string' && (t.phone.match(/\p{Nd}/gu) || []).length >= MIN_PHONE_DIGITS,
+        plate: t => typeof t.plate === 'string' && t.plate.trim().length > 0,
+        insurer: t => typeof t.insurer === 'string' && t.insurer.trim().length > 0
+    },
+    id_card: {
+        id_card_received: t => t.id_card_received === true
+    },
+    driving_license: {
+        driving_license_received: t => t.driving_license_received === true
+    },
+    vehicle_registration: {
+        vehicle_registration_received: t => t.vehicle_registration_received === true
+    },
+    confirm: {
+        confirmed: t => t.confirmed === true
+    },
+    done: {}
+};
+
+/**
+ * Phases that may be entered only from specific predecessors
+ * (on top of the forward-order rule)
+ */
+const ENTRY_RULES = {
+    done: ['confirm']
+};
+
+/**
+ * Get the fields still missing for a phase
+ * @param {string} phase - Phase name
+ * @param {Object} ticket - Ticket facts
+ * @returns {Array<string>} Missing field names
+ */
+function getMissingFields(phase, ticket = {}) {
+    const checks = REQUIRED_FIELDS[phase] || {};
+    return Object.keys(checks).filter(field => !checks[field](ticket));
+}
+
+/**
+ * Phase order of a flow
+ * @param {string} flow - 'report' | 'party'
+ * @returns {Array<string>} Phases
+ */
+function getPhases(flow = 'report') {
+    return FLOWS[flow] || PHASES;
+}
+
+/**
+ * Get allowed next phases from a phase, given the collected facts
+ * @param {string} from - Current phase
+ * @param {Object} ticket - Ticket facts
+ * @param {string} flow - 'report' | 'party'
+ * @returns {Array<string>} Allowed phases (including staying put)
+ */
+function getAllowedTransitions(from, ticket = {}, flow = 'report') {
+    const phases = getPhases(flow);
+    const fromIndex = phases.indexOf(from);
+
+    if (fromIndex === -1) {
+        return ['greeting'];
+    }
+
+    if (from === 'done') {
+        return ['done'];
+    }
+
+    const allowed = [from];
+
+    // Going back to correct earlier answers is always allowed (except to greeting)
+    for (let i = 1; i < fromIndex; i++) {
+        allowed.push(phases[i]);
+    }
+
+    // Going forward requires every phase being left to be complete
+    for (let i = fromIndex; i < phases.length - 1; i++) {
+        if (getMissingFields(phases[i], ticket).length > 0) {
+            break;
+        }
+
+        const next = phases[i + 1];
+        const entry = ENTRY_RULES[next];
+        if (entry && !entry.includes(from)) {
+            break;
+        }
+
+        allowed.push(next);
+    }
+
+    return allowed;
+}
+
+/**
+ * Check an LLM-proposed transition and resolve the phase to actually use.
+ * Rejected forward jumps are clamped to the furthest phase the facts allow.
+ *
+ * @param {string} from - Current phase
+ * @param {string} proposed - Phase proposed by the LLM
+ * @param {Object} ticket - Ticket facts
+ * @param {string} flow - 'report' | 'party'
+ * @returns {Object} { allowed, phase, proposed, missing, reason }
+ */
+function validateTransition(from, proposed, ticket = {}, flow = 'report') {
+    const phases = getPhases(flow);
+
+    if (!phases.includes(proposed)) {
+        return {
+            allowed: false,
+            phase: from,
+            proposed,
+            missing: [],
+            reason: `Unknown phase: ${proposed}`
+        };
+    }
+
+    const allowedPhases = getAllowedTransitions(from, ticket, flow);
+
+    if (allowedPhases.includes(proposed)) {
+        return { allowed: true, phase: proposed, proposed, missing: [], reason: null };
+    }
+
+    // Clamp forward jumps to the furthest reachable phase
+    const furthest = allowedPhases.reduce(
+        (best, phase) => (phases.indexOf(phase) > phases.indexOf(best) ? phase : best),
+        from
+    );
+
+    return {
+        allowed: false,
+        phase: furthest,
+        proposed,
+        missing: getMissingFields(furthest, ticket),
+        reason: `Cannot move from "${from}" to "${proposed}"`
+    };
+}
+
+/**
+ * Check whether a phase accepts file uploads
+ * @param {string} phase - Phase name
+ * @returns {boolean}
+ */
+function isUploadPhase(phase) {
+    return UPLOAD_PHASES.includes(phase);
+}
+
+module.exports = {
+    PHASES,
+    PARTY_PHASES,
+    UPLOAD_PHASES,
+    REQUIRED_ACCIDENT_PHOTOS,
+    getMissingFields,
+    getPhases,
+    getAllowedTransitions,
+    validateTransition,
+    isUploadPhase
+};
@@ -0,0 +1,33 @@
+// Accident Classification Script
+// Classifies every ticket's accident type (run after upgrading, or after changing
+// tickets/accident-classifier.js); tickets are otherwise classified when they are saved
+require('dotenv').config();
+const db = require('./db');
+const ticketStore = require('./ticket-store');
+
+function main() {
+    try {
+        console.log('🏷️ Classifying accident types...\n');
+
+        const tickets = db.prepare('SELECT ticket_id FROM tickets ORDER BY id ASC').all();
+        const counts = {};
+
+        for (const { ticket_id: ticketId } of tickets) {
+            const result = ticketStore.classifyTicket(ticketId);
+            const type = result.type || 'unclassified';
+            counts[type] = (counts[type] || 0) + 1;
+        }
+
+        for (const [type, count] of Object.entries(counts)) {
+            console.log(`   ${type}: ${count}`);
+        }
+        console.log(`\n✅ Classified ${tickets.length} ticket(s)`);
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Classification failed:', error);
+        process.exit(1);
+    }
+}
+
+main();
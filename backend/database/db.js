@@ -2,6 +2,8 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { normalizeText } = require('../search/normalize');
+const { initializeSearchIndex } = require('../search/index-schema');
 
 // Get database path from environment or use default
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'najm.db');
@@ -20,6 +22,19 @@ const db = new Database(DB_PATH, {
 // Enable foreign keys
 db.pragma('foreign_keys = ON');
 
+// Arabic/English text normalization used by the full-text search triggers
+db.function('search_normalize', { deterministic: true }, (text) => normalizeText(text));
+
+// Add a column to an existing table
+// (CREATE TABLE IF NOT EXISTS does not alter databases created by older versions)
+function addColumnIfMissing(table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+
+    if (!columns.some(col => col.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
 // Initialize database schema
 function initializeDatabase() {
     console.log('📊 Initializing database schema...');
@@ -31,6 +46,13 @@ function initializeDatabase() {
             username TEXT UNIQUE NOT NULL,
             password_hash TEXT NOT NULL,
             role TEXT DEFAULT 'user',
+            disabled INTEGER DEFAULT 0,
+            failed_attempts INTEGER DEFAULT 0,
+            last_failed_login DATETIME,
+            totp_secret TEXT,
+            totp_enabled INTEGER DEFAULT 0,
+            totp_last_step INTEGER,
+            recovery_codes TEXT,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             last_login DATETIME
         )
@@ -45,7 +67,15 @@ function initializeDatabase() {
             plate TEXT,
             vehicles INTEGER DEFAULT 1,
             damage TEXT,
-            status TEXT DEFAULT 'open',
+            status TEXT DEFAULT 'submitted',
+            description TEXT,
+            extracted_data TEXT,
+            accident_type TEXT,
+            accident_type_confidence REAL,
+            legal_hold INTEGER DEFAULT 0,
+            legal_hold_reason TEXT,
+            legal_hold_by TEXT,
+            legal_hold_at DATETIME,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
@@ -104,19 +134,211 @@ function initializeDatabase() {
             file_type TEXT NOT NULL,
             attachment_type TEXT,
             size INTEGER,
+            party_number INTEGER,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id) ON DELETE CASCADE
         )
     `);
 
+    // Conversation sessions table (server-side chat history and phase state)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS conversation_sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT UNIQUE NOT NULL,
+            language TEXT DEFAULT 'ar',
+            phase TEXT DEFAULT 'greeting',
+            ticket_data TEXT,
+            uploads TEXT,
+            history TEXT NOT NULL,
+            pii_vault TEXT,
+            resume_token_hash TEXT,
+            status TEXT DEFAULT 'draft',
+            ticket_id TEXT,
+            party_number INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Ticket status history (one row per status change)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS ticket_status_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            ticket_id TEXT NOT NULL,
+            from_status TEXT,
+            to_status TEXT NOT NULL,
+            actor_id INTEGER,
+            actor_username TEXT,
+            reason TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id) ON DELETE CASCADE,
+            FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `);
+
+    // Login sessions (one per device; refresh tokens are stored as SHA-256 hashes)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            id TEXT PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            refresh_token_hash TEXT NOT NULL UNIQUE,
+            previous_token_hash TEXT,
+            user_agent TEXT,
+            ip_address TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME,
+            revoked_reason TEXT,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Audit log: security events and ticket/file access, hash-chained (see audit/audit-log.js)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            action TEXT NOT NULL,
+            actor_id INTEGER,
+            actor_username TEXT,
+            ip_address TEXT,
+            target_type TEXT,
+            target TEXT,
+            details TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            prev_hash TEXT,
+            hash TEXT
+        )
+    `);
+
+    // Data keys of encrypted identity documents, wrapped by the master key (see storage/file-encryption.js)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS file_keys (
+            file_path TEXT PRIMARY KEY,
+            key_id TEXT NOT NULL,
+            wrapped_key TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            rotated_at DATETIME
+        )
+    `);
+
+    // Drivers/vehicles of a ticket: party 1 is the reporter, the others join through an
+    // invite link (see database/party-store.js)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS parties (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            ticket_id TEXT NOT NULL,
+            party_number INTEGER NOT NULL,
+            driver_name TEXT,
+            national_id TEXT,
+            phone TEXT,
+            plate TEXT,
+            insurer TEXT,
+            invite_token_hash TEXT,
+            invite_expires_at DATETIME,
+            joined_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (ticket_id, party_number),
+            FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id) ON DELETE CASCADE
+        )
+    `);
+
+    // Liability assessments and reviewer overrides, newest last (see database/liability-store.js)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS liability_assessments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            ticket_id TEXT NOT NULL,
+            kind TEXT NOT NULL,
+            facts TEXT,
+            rule_id TEXT,
+            shares TEXT NOT NULL,
+            reason TEXT,
+            actor_id INTEGER,
+            actor_username TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id) ON DELETE CASCADE,
+            FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `);
+
+    // Last ticket number issued per year and region (see tickets/ticket-id.js)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS ticket_sequences (
+            year INTEGER NOT NULL,
+            region TEXT NOT NULL,
+            last_value INTEGER NOT NULL,
+            PRIMARY KEY (year, region)
+        )
+    `);
+
+    addColumnIfMissing('conversation_sessions', 'uploads', 'TEXT');
+    addColumnIfMissing('conversation_sessions', 'pii_vault', 'TEXT');
+    addColumnIfMissing('conversation_sessions', 'resume_token_hash', 'TEXT');
+    addColumnIfMissing('conversation_sessions', 'status', "TEXT DEFAULT 'draft'");
+    addColumnIfMissing('conversation_sessions', 'ticket_id', 'TEXT');
+    addColumnIfMissing('conversation_sessions', 'party_number', 'INTEGER');
+    addColumnIfMissing('attachments', 'party_number', 'INTEGER');
+    addColumnIfMissing('tickets', 'description', 'TEXT');
+    addColumnIfMissing('tickets', 'extracted_data', 'TEXT');
+    addColumnIfMissing('tickets', 'accident_type', 'TEXT');
+    addColumnIfMissing('tickets', 'accident_type_confidence', 'REAL');
+    addColumnIfMissing('tickets', 'legal_hold', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('tickets', 'legal_hold_reason', 'TEXT');
+    addColumnIfMissing('tickets', 'legal_hold_by', 'TEXT');
+    addColumnIfMissing('tickets', 'legal_hold_at', 'DATETIME');
+    addColumnIfMissing('users', 'disabled', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('users', 'failed_attempts', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('users', 'last_failed_login', 'DATETIME');
+    addColumnIfMissing('users', 'totp_secret', 'TEXT');
+    addColumnIfMissing('users', 'totp_enabled', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('users', 'totp_last_step', 'INTEGER');
+    addColumnIfMissing('users', 'recovery_codes', 'TEXT');
+    addColumnIfMissing('audit_log', 'target_type', 'TEXT');
+    addColumnIfMissing('audit_log', 'prev_hash', 'TEXT');
+    addColumnIfMissing('audit_log', 'hash', 'TEXT');
+
+    // Audit entries are append-only (entries from before hash chaining may still be sealed once)
+    db.exec(`
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_update
+        BEFORE UPDATE ON audit_log
+        WHEN OLD.hash IS NOT NULL
+        BEGIN
+            SELECT RAISE(ABORT, 'audit_log is append-only');
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_delete
+        BEFORE DELETE ON audit_log
+        BEGIN
+            SELECT RAISE(ABORT, 'audit_log is append-only');
+        END;
+    `);
+
+    // Tickets created before the status workflow used 'open'
+    db.prepare("UPDATE tickets SET status = 'submitted' WHERE status IS NULL OR status IN ('open', 'pending')").run();
+
+    // Full-text search over transcripts and descriptions
+    initializeSearchIndex(db);
+
     // Create indexes for better performance
     db.exec(`
         CREATE INDEX IF NOT EXISTS idx_tickets_status ON tickets(status);
         CREATE INDEX IF NOT EXISTS idx_tickets_created ON tickets(created_at);
+        CREATE INDEX IF NOT EXISTS idx_tickets_accident_type ON tickets(accident_type);
         CREATE INDEX IF NOT EXISTS idx_conversations_ticket ON conversations(ticket_id);
         CREATE INDEX IF NOT EXISTS idx_findings_ticket ON findings(ticket_id);
         CREATE INDEX IF NOT EXISTS idx_audio_ticket ON audio_files(ticket_id);
         CREATE INDEX IF NOT EXISTS idx_attachments_ticket ON attachments(ticket_id);
+        CREATE INDEX IF NOT EXISTS idx_status_history_ticket ON ticket_status_history(ticket_id);
+        CREATE INDEX IF NOT EXISTS idx_liability_ticket ON liability_assessments(ticket_id);
+        CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+        CREATE INDEX IF NOT EXISTS idx_conversation_sessions_resume ON conversation_sessions(resume_token_hash);
+        CREATE INDEX IF NOT EXISTS idx_parties_invite ON parties(invite_token_hash);
+        CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash);
+        CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at);
+        CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+        CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target);
+        CREATE INDEX IF NOT EXISTS idx_file_keys_key ON file_keys(key_id);
     `);
 
     console.log('✅ Database schema initialized successfully');
@@ -0,0 +1,71 @@
+// File Key Store - wrapped data keys of encrypted uploads
+// One row per encrypted file, keyed by its path inside the upload directory
+// (e.g. id_cards/<name>.jpg). Only wrapped keys are stored; see storage/file-encryption.js.
+const db = require('./db');
+
+/**
+ * Store the wrapped data key of a new encrypted file
+ * @param {string} filePath - Path relative to the upload directory
+ * @param {string} keyId - ID of the master key that wrapped it
+ * @param {string} wrappedKey - Wrapped data key (base64)
+ */
+function saveFileKey(filePath, keyId, wrappedKey) {
+    db.prepare(`
+        INSERT OR REPLACE INTO file_keys (file_path, key_id, wrapped_key)
+        VALUES (?, ?, ?)
+    `).run(filePath, keyId, wrappedKey);
+}
+
+/**
+ * Get the key row of a file
+ * @returns {Object|null} { file_path, key_id, wrapped_key, created_at, rotated_at }, null for plain files
+ */
+function getFileKey(filePath) {
+    return db.prepare('SELECT * FROM file_keys WHERE file_path = ?').get(filePath) || null;
+}
+
+/**
+ * Forget the key of a deleted file
+ * @returns {boolean} True if a key was removed
+ */
+function deleteFileKey(filePath) {
+    return db.prepare('DELETE FROM file_keys WHERE file_path = ?').run(filePath).changes > 0;
+}
+
+/**
+ * Keys not wrapped by the given master key (to re-wrap after a rotation)
+ * @param {string} keyId - Current master key ID
+ * @returns {Array<Object>}
+ */
+function listKeysNotWrappedBy(keyId) {
+    return db.prepare('SELECT * FROM file_keys WHERE key_id != ? ORDER BY file_path').all(keyId);
+}
+
+/**
+ * Replace the wrapped data key of a file (the data key itself is unchanged)
+ */
+function rewrapFileKey(filePath, keyId, wrappedKey) {
+    db.prepare(`
+        UPDATE file_keys
+        SET key_id = ?, wrapped_key = ?, rotated_at = CURRENT_TIMESTAMP
+        WHERE file_path = ?
+    `).run(keyId, wrappedKey, filePath);
+}
+
+/**
+ * Number of encrypted files per master key ID
+ * @returns {Object} { [keyId]: count }
+ */
+function countByKeyId() {
+    const rows = db.prepare('SELECT key_id, COUNT(*) AS count FROM file_keys GROUP BY key_id').all();
+    return Object.fromEntries(rows.map(row => [row.key_id, row.count]));
+}
+
+module.exports = {
+    saveFileKey,
+    getFileKey,
+    deleteFileKey,
+    listKeysNotWrappedBy,
+    rewrapFileKey,
+    countByKeyId
+};
@@ -3,6 +3,7 @@
 require('dotenv').config();
 const bcrypt = require('bcryptjs');
 const db = require('./db');
+const ticketStore = require('./ticket-store');
 
 async function initializeAdminUser() {
     console.log('👤 Creating admin user...');
@@ -35,30 +36,32 @@ async function initializeAdminUser() {
 async function createSampleData() {
     console.log('📝 Creating sample tickets...');
 
+    // Sample IDs are issued like any other ticket's, so only seed an empty database
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM tickets').get();
+    if (count > 0) {
+        console.log('ℹ️  Tickets already exist, skipping sample data');
+        return;
+    }
+
     const tickets = [
         {
-            ticket_id: 'A-1001',
+            region: 'RYD',
             plate: 'ABC1234',
             vehicles: 2,
-            damage: 'Front bumper damage',
-            status: 'open'
+            damage: 'Front bumper damage'
         },
         {
-            ticket_id: 'A-1002',
+            region: 'MKH',
             plate: 'XYZ5678',
             vehicles: 1,
-            damage: 'Side mirror broken',
-            status: 'pending'
+            damage: 'Side mirror broken'
         }
     ];
 
-    const stmt = db.prepare(`
-        INSERT OR IGNORE INTO tickets (ticket_id, plate, vehicles, damage, status)
-        VALUES (?, ?, ?, ?, ?)
-    `);
-
+    // Saved through the ticket store so each sample gets its ID and initial status history entry
     for (const ticket of tickets) {
-        stmt.run(ticket.ticket_id, ticket.plate, ticket.vehicles, ticket.damage, ticket.status);
+        const { ticket: saved } = ticketStore.saveTicket(ticket);
+        console.log(`   - ${saved.ticket_id}`);
     }
 
     console.log('✅ Sample tickets created');
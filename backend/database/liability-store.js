@@ -0,0 +1,100 @@
+// Liability Store - fault assessments of a ticket
+// Every assessment (kind 'proposed', from tickets/liability-rules.js) and every reviewer
+// override (kind 'override') is kept; the newest proposal and any override made after
+// it are the ticket's current result. A new assessment replaces an earlier override.
+const db = require('./db');
+const liabilityRules = require('../tickets/liability-rules');
+
+function toIsoTimestamp(value) {
+    if (!value) return null;
+    return value.includes('T') ? value : `${value.replace(' ', 'T')}Z`;
+}
+
+function formatEntry(row) {
+    return {
+        kind: row.kind,
+        rule_id: row.rule_id,
+        shares: JSON.parse(row.shares),
+        reason: row.reason,
+        actor_username: row.actor_username,
+        created_at: toIsoTimestamp(row.created_at)
+    };
+}
+
+/**
+ * Store a proposal from the rules engine
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} assessment - Result of liabilityRules.assessLiability (valid)
+ * @param {Object} actor - { id, username }
+ */
+function recordAssessment(ticketId, assessment, actor = {}) {
+    db.prepare(`
+        INSERT INTO liability_assessments (ticket_id, kind, facts, rule_id, shares, actor_id, actor_username)
+        VALUES (?, 'proposed', ?, ?, ?, ?, ?)
+    `).run(
+        ticketId,
+        JSON.stringify(assessment.facts),
+        assessment.rule.id,
+        JSON.stringify(assessment.shares),
+        actor.id || null,
+        actor.username || null
+    );
+}
+
+/**
+ * Store a reviewer's override of the current proposal
+ * @param {string} ticketId - Ticket ID
+ * @param {Array} shares - Validated shares (liabilityRules.validateShares)
+ * @param {string} reason - Why the proposal was overridden
+ * @param {Object} actor - { id, username }
+ */
+function recordOverride(ticketId, shares, reason, actor = {}) {
+    db.prepare(`
+        INSERT INTO liability_assessments (ticket_id, kind, shares, reason, actor_id, actor_username)
+        VALUES (?, 'override', ?, ?, ?, ?)
+    `).run(ticketId, JSON.stringify(shares), reason, actor.id || null, actor.username || null);
+}
+
+/**
+ * Get a ticket's current liability result
+ * @param {string} ticketId - Ticket ID
+ * @returns {Object|null} null when never assessed, otherwise
+ *   { facts, rule, proposed_shares, shares, override: { reason, by, at } | null,
+ *     assessed_by, assessed_at, history: [{ kind, rule_id, shares, reason, actor_username, created_at }] }
+ *   shares is the result in force (the override when there is one)
+ */
+function getLiability(ticketId) {
+    const rows = db.prepare(`
+        SELECT * FROM liability_assessments WHERE ticket_id = ? ORDER BY id ASC
+    `).all(ticketId);
+
+    const proposalIndex = rows.map(row => row.kind).lastIndexOf('proposed');
+    if (proposalIndex === -1) {
+        return null;
+    }
+
+    const proposal = rows[proposalIndex];
+    const override = rows.slice(proposalIndex + 1).filter(row => row.kind === 'override').pop() || null;
+    const proposedShares = JSON.parse(proposal.shares);
+
+    return {
+        facts: JSON.parse(proposal.facts),
+        rule: liabilityRules.getRule(proposal.rule_id),
+        proposed_shares: proposedShares,
+        shares: override ? JSON.parse(override.shares) : proposedShares,
+        override: override ? {
+            reason: override.reason,
+            by: override.actor_username,
+            at: toIsoTimestamp(override.created_at)
+        } : null,
+        assessed_by: proposal.actor_username,
+        assessed_at: toIsoTimestamp(proposal.created_at),
+        history: rows.map(formatEntry)
+    };
+}
+
+module.exports = {
+    recordAssessment,
+    recordOverride,
+    getLiability
+};
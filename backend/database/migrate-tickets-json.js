@@ -0,0 +1,177 @@
+// Tickets JSON Migration Script
+// Imports server/tickets.json (tickets, uploads, transcripts) into the SQLite schema
+//
+// Usage:
+//   npm run migrate:tickets-json -- [path/to/tickets.json] [--uploads-dir path/to/uploads] [--dry-run]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '../../server/tickets.json');
+const DEFAULT_UPLOADS_DIR = path.join(__dirname, '../../server/uploads');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = {
+        dataFile: DEFAULT_DATA_FILE,
+        uploadsDir: DEFAULT_UPLOADS_DIR,
+        dryRun: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--uploads-dir') {
+            options.uploadsDir = path.resolve(argv[++i]);
+        } else {
+            options.dataFile = path.resolve(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Collect every upload referenced by a tickets.json record
+ * (top-level uploads array from POST /upload and extracted_data.uploads from the chat)
+ */
+function collectUploads(ticket) {
+    const files = new Map();
+    const add = (file) => {
+        if (file && file.filename && !files.has(file.filename)) {
+            files.set(file.filename, { ...file, uploadedAt: file.uploadedAt || ticket.createdAt });
+        }
+    };
+    const sources = [ticket.uploads, ticket.extracted_data && ticket.extracted_data.uploads];
+
+    for (const source of sources) {
+        if (!source) continue;
+
+        if (Array.isArray(source)) {
+            source.forEach(add);
+            continue;
+        }
+
+        for (const [type, value] of Object.entries(source)) {
+            const list = Array.isArray(value) ? value : [value];
+            for (const file of list) {
+                if (file) add({ ...file, type: file.type || type });
+            }
+        }
+    }
+
+    return [...files.values()];
+}
+
+/**
+ * Check an upload on disk and fill in its size
+ * @returns {boolean} True if the file exists
+ */
+function resolveUploadFile(file, uploadsDir) {
+    const relative = (file.url || '').replace(/^\/uploads\//, '');
+    const filePath = relative ? path.join(uploadsDir, relative) : null;
+
+    if (!filePath || !fs.existsSync(filePath)) {
+        return false;
+    }
+
+    if (!file.size) {
+        file.size = fs.statSync(filePath).size;
+    }
+    return true;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    console.log('🚚 Migrating tickets.json to SQLite...\n');
+    console.log(`   - Source: ${options.dataFile}`);
+    console.log(`   - Uploads: ${options.uploadsDir}`);
+    if (options.dryRun) {
+        console.log('   - Dry run: no changes will be written');
+    }
+    console.log('');
+
+    if (!fs.existsSync(options.dataFile)) {
+        console.error(`❌ File not found: ${options.dataFile}`);
+        process.exit(1);
+    }
+
+    const data = JSON.parse(fs.readFileSync(options.dataFile, 'utf8'));
+    const records = Array.isArray(data.tickets) ? data.tickets : [];
+
+    const ticketStore = require('./ticket-store');
+
+    const summary = { imported: 0, skipped: 0, failed: 0, attachments: 0, messages: 0, missingFiles: 0 };
+
+    for (const record of records) {
+        if (!record || !record.id) {
+            summary.failed++;
+            console.warn('⚠️  Skipping record without id');
+            continue;
+        }
+
+        if (ticketStore.ticketExists(record.id)) {
+            summary.skipped++;
+            console.log(`ℹ️  ${record.id} already in database, skipped`);
+            continue;
+        }
+
+        const uploads = collectUploads(record);
+        for (const file of uploads) {
+            if (!resolveUploadFile(file, options.uploadsDir)) {
+                summary.missingFiles++;
+                console.warn(`⚠️  ${record.id}: file not found on disk: ${file.url || file.filename}`);
+            }
+        }
+
+        const transcript = Array.isArray(record.transcript) ? record.transcript : [];
+
+        if (options.dryRun) {
+            summary.imported++;
+            summary.attachments += uploads.length;
+            summary.messages += transcript.length;
+            console.log(`📝 ${record.id}: would import ${uploads.length} upload(s), ${transcript.length} message(s)`);
+            continue;
+        }
+
+        try {
+            const { ticket } = ticketStore.saveTicket({
+                ticket_id: record.id,
+                description: record.description,
+                extracted_data: record.extracted_data,
+                transcript,
+                uploads,
+                status: record.status,
+                createdAt: record.createdAt,
+                updatedAt: record.updatedAt
+            });
+
+            summary.imported++;
+            summary.attachments += ticket.attachments_count;
+            summary.messages += ticket.transcript.length;
+            console.log(`✅ ${record.id}: ${ticket.attachments_count} attachment(s), ${ticket.transcript.length} message(s)`);
+        } catch (error) {
+            summary.failed++;
+            console.error(`❌ ${record.id}: ${error.message}`);
+        }
+    }
+
+    console.log('\n📋 Summary:');
+    console.log(`   - Tickets imported: ${summary.imported}`);
+    console.log(`   - Tickets skipped (already migrated): ${summary.skipped}`);
+    console.log(`   - Tickets failed: ${summary.failed}`);
+    console.log(`   - Attachments: ${summary.attachments}`);
+    console.log(`   - Transcript messages: ${summary.messages}`);
+    console.log(`   - Upload files missing on disk: ${summary.missingFiles}`);
+
+    process.exit(summary.failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+});
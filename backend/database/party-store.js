@@ -0,0 +1,222 @@
+// Party Store - drivers and vehicles involved in a ticket
+// Party 1 is the reporter. Every other party gets an invite link so that driver can join
+// the same case from their own phone; invite tokens are only kept as SHA-256 hashes.
+const crypto = require('crypto');
+const db = require('./db');
+
+// How long an invite link works (a new one can be issued from the admin panel)
+const INVITE_HOURS = parseInt(process.env.PARTY_INVITE_HOURS) || 72;
+
+// Upper bound on parties created from the vehicle count the conversation collected
+const MAX_PARTIES = 10;
+
+// Details staff and the conversation can fill in
+const DETAIL_FIELDS = ['driver_name', 'national_id', 'phone', 'plate', 'insurer'];
+
+function hashInviteToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function toIsoTimestamp(value) {
+    if (!value) return null;
+    return value.includes('T') ? value : `${value.replace(' ', 'T')}Z`;
+}
+
+/**
+ * Keep the non-empty detail strings of an object
+ */
+function pickDetails(source = {}) {
+    const details = {};
+    for (const field of DETAIL_FIELDS) {
+        if (typeof source[field] === 'string' && source[field].trim()) {
+            details[field] = source[field].trim();
+        }
+    }
+    return details;
+}
+
+/**
+ * Convert a parties row for the API
+ * @returns {Object} { party_number, driver_name, national_id, phone, plate, insurer,
+ *                     invite_status: 'reporter' | 'joined' | 'pending' | 'expired' | 'none',
+ *                     invite_expires_at, joined_at }
+ */
+function formatParty(row) {
+    let inviteStatus = 'none';
+    if (row.party_number === 1) {
+        inviteStatus = 'reporter';
+    } else if (row.joined_at) {
+        inviteStatus = 'joined';
+    } else if (row.invite_token_hash) {
+        inviteStatus = row.invite_active ? 'pending' : 'expired';
+    }
+
+    return {
+        party_number: row.party_number,
+        driver_name: row.driver_name,
+        national_id: row.national_id,
+        phone: row.phone,
+        plate: row.plate,
+        insurer: row.insurer,
+        invite_status: inviteStatus,
+        invite_expires_at: inviteStatus === 'pending' || inviteStatus === 'expired' ? toIsoTimestamp(row.invite_expires_at) : null,
+        joined_at: toIsoTimestamp(row.joined_at)
+    };
+}
+
+/**
+ * Get the parties of a ticket (party 1 first)
+ * @param {string} ticketId - Ticket ID
+ * @returns {Array} Formatted parties
+ */
+function listParties(ticketId) {
+    return db.prepare(`
+        SELECT *, invite_expires_at > CURRENT_TIMESTAMP AS invite_active
+        FROM parties
+        WHERE ticket_id = ?
+        ORDER BY party_number ASC
+    `).all(ticketId).map(formatParty);
+}
+
+/**
+ * Give a party a new invite token (the previous link stops working)
+ * @returns {Object} { party_number, token, expires_at }
+ */
+function issueInvite(ticketId, partyNumber) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    db.prepare(`
+        UPDATE parties
+        SET invite_token_hash = ?,
+            invite_expires_at = datetime('now', ?),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE ticket_id = ? AND party_number = ?
+    `).run(hashInviteToken(token), `+${INVITE_HOURS} hours`, ticketId, partyNumber);
+
+    const { invite_expires_at: expiresAt } = db.prepare(`
+        SELECT invite_expires_at FROM parties WHERE ticket_id = ? AND party_number = ?
+    `).get(ticketId, partyNumber);
+
+    return { party_number: partyNumber, token, expires_at: toIsoTimestamp(expiresAt) };
+}
+
+/**
+ * Create the parties a ticket is missing
+ * Party 1 (the reporter) takes its details from the report and counts as joined; every
+ * other new party gets an invite. Existing parties are kept, and party 1's empty
+ * details are filled in from the report.
+ *
+ * @param {string} ticketId - Ticket ID
+ * @param {number} count - Number of vehicles involved
+ * @param {Object} reporter - Reporter details { driver_name, national_id, phone, plate, insurer }
+ * @returns {Array} Invites of the new parties [{ party_number, token, expires_at }]
+ */
+function ensureParties(ticketId, count, reporter = {}) {
+    const total = Math.min(Math.max(parseInt(count, 10) || 1, 1), MAX_PARTIES);
+    const existing = new Set(
+        db.prepare('SELECT party_number FROM parties WHERE ticket_id = ?').all(ticketId).map(row => row.party_number)
+    );
+    const details = pickDetails(reporter);
+    const invites = [];
+
+    if (existing.has(1)) {
+        const fields = Object.keys(details);
+        if (fields.length > 0) {
+            db.prepare(`
+                UPDATE parties
+                SET ${fields.map(field => `${field} = COALESCE(${field}, ?)`).join(', ')},
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE ticket_id = ? AND party_number = 1
+            `).run(...fields.map(field => details[field]), ticketId);
+        }
+    }
+
+    for (let partyNumber = 1; partyNumber <= total; partyNumber++) {
+        if (existing.has(partyNumber)) continue;
+
+        if (partyNumber === 1) {
+            db.prepare(`
+                INSERT INTO parties (ticket_id, party_number, driver_name, national_id, phone, plate, insurer, joined_at)
+                VALUES (?, 1, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `).run(ticketId, ...DETAIL_FIELDS.map(field => details[field] || null));
+        } else {
+            db.prepare('INSERT INTO parties (ticket_id, party_number) VALUES (?, ?)').run(ticketId, partyNumber);
+            invites.push(issueInvite(ticketId, partyNumber));
+        }
+    }
+
+    return invites;
+}
+
+/**
+ * Find the party an invite link is for
+ * @param {string} token - Invite token
+ * @returns {Object|null} { ticket_id, party_number }, or null when the token is unknown,
+ *   expired or already used
+ */
+function findPartyByInvite(token) {
+    return db.prepare(`
+        SELECT ticket_id, party_number FROM parties
+        WHERE invite_token_hash = ?
+          AND joined_at IS NULL
+          AND invite_expires_at > CURRENT_TIMESTAMP
+    `).get(hashInviteToken(token)) || null;
+}
+
+/**
+ * Issue a new invite link for a party that has not joined yet
+ * @param {string} ticketId - Ticket ID
+ * @param {number} partyNumber - Party number (2 or more)
+ * @returns {Object|null} { party_number, token, expires_at }, or null when there is no such party
+ * @throws {Error} code PARTY_JOINED when the party already joined (or is the reporter)
+ */
+function createInvite(ticketId, partyNumber) {
+    const party = db.prepare('SELECT * FROM parties WHERE ticket_id = ? AND party_number = ?').get(ticketId, partyNumber);
+
+    if (!party) {
+        return null;
+    }
+
+    if (party.party_number === 1 || party.joined_at) {
+        const error = new Error(`Party ${partyNumber} has already joined ticket ${ticketId}`);
+        error.code = 'PARTY_JOINED';
+        throw error;
+    }
+
+    return issueInvite(ticketId, partyNumber);
+}
+
+/**
+ * Update a party's details
+ * @param {string} ticketId - Ticket ID
+ * @param {number} partyNumber - Party number
+ * @param {Object} fields - { driver_name, national_id, phone, plate, insurer } (empty string clears)
+ * @param {Object} options - { joined: true to record that the driver joined (the invite stops working) }
+ * @returns {boolean} False when there is no such party
+ */
+function updateParty(ticketId, partyNumber, fields = {}, { joined = false } = {}) {
+    const updates = DETAIL_FIELDS.filter(field => fields[field] !== undefined);
+    const values = updates.map(field => (typeof fields[field] === 'string' && fields[field].trim() ? fields[field].trim() : null));
+
+    const result = db.prepare(`
+        UPDATE parties
+        SET ${updates.map(field => `${field} = ?, `).join('')}
+            ${joined ? 'joined_at = CURRENT_TIMESTAMP, invite_token_hash = NULL, invite_expires_at = NULL,' : ''}
+            updated_at = CURRENT_TIMESTAMP
+        WHERE ticket_id = ? AND party_number = ?
+    `).run(...values, ticketId, partyNumber);
+
+    return result.changes > 0;
+}
+
+module.exports = {
+    INVITE_HOURS,
+    MAX_PARTIES,
+    DETAIL_FIELDS,
+    pickDetails,
+    listParties,
+    ensureParties,
+    findPartyByInvite,
+    createInvite,
+    updateParty
+};
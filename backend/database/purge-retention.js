@@ -0,0 +1,78 @@
+// Retention Purge Script
+// Runs the retention purge once (retention/purge-job.js), e.g. from cron when the
+// backend's own schedule is disabled (RETENTION_PURGE_INTERVAL_HOURS=0).
+// Run with --dry-run first: it lists what would be deleted and what legal holds keep.
+//
+// Usage:
+//   npm run purge:retention -- [--dry-run] [--json]
+require('dotenv').config();
+const { runPurge, formatSummary } = require('../retention/purge-job');
+
+const RESULT_ICONS = {
+    purged: '🗑️',
+    expired: '⏳',
+    held: '⚖️',
+    failed: '❌'
+};
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = {
+        dryRun: false,
+        json: false
+    };
+
+    for (const arg of argv) {
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--json') {
+            options.json = true;
+        } else {
+            console.warn(`⚠️ Ignoring unknown argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    try {
+        const report = await runPurge({ dryRun: options.dryRun });
+        const failed = Object.values(report.summary).some(counts => counts.failed > 0);
+
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+            process.exit(failed ? 1 : 0);
+        }
+
+        console.log(`🗑️ Retention purge${report.dryRun ? ' (dry run: nothing is deleted)' : ''}\n`);
+
+        for (const rule of report.rules) {
+            const counts = report.summary[rule.name];
+            const period = rule.days === null ? 'kept forever' : `${rule.days} days after ${rule.from}`;
+            console.log(`   - ${rule.name} (${period}): ${counts.expired} expired, ${counts.purged} purged, ${counts.held} held, ${counts.failed} failed`);
+        }
+
+        if (report.items.length > 0) {
+            console.log('');
+        }
+        for (const item of report.items) {
+            const ticket = item.ticketId ? ` [${item.ticketId}]` : '';
+            const error = item.error ? `: ${item.error}` : '';
+            console.log(`${RESULT_ICONS[item.result]} ${item.rule} ${item.target || ''}${ticket}${error}`);
+        }
+
+        console.log(`\n📋 Summary: ${formatSummary(report.summary, report.dryRun)}`);
+
+        process.exit(failed ? 1 : 0);
+    } catch (error) {
+        console.error('❌ Retention purge failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
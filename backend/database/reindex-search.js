@@ -0,0 +1,23 @@
+// Search Reindex Script
+// Rebuilds the full-text search index (run after changing search/normalize.js)
+require('dotenv').config();
+const db = require('./db');
+const { rebuildSearchIndex } = require('../search/index-schema');
+
+function main() {
+    try {
+        console.log('🔎 Rebuilding search index...\n');
+
+        rebuildSearchIndex(db);
+
+        const { count } = db.prepare('SELECT COUNT(*) AS count FROM search_index').get();
+        console.log(`\n✅ Search index rebuilt: ${count} entries`);
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Reindex failed:', error);
+        process.exit(1);
+    }
+}
+
+main();
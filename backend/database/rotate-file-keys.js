@@ -0,0 +1,137 @@
+// File Key Rotation Script
+// Re-wraps the data keys of encrypted uploads with the current master key (storage/file-encryption.js).
+// The files themselves are not rewritten.
+//
+// Rotation:
+//   1. Move the old key to FILE_MASTER_KEY_PREVIOUS and put the new one in FILE_MASTER_KEY
+//      (backend/.env and server/.env), then restart the servers
+//   2. npm run rotate:file-keys
+//   3. Remove FILE_MASTER_KEY_PREVIOUS once no keys are left under the old key ID
+//
+// --encrypt-existing also encrypts plain files left in the document folders by older versions.
+// It goes through the upload storage (STORAGE_DRIVER); --uploads-dir is the local driver's directory.
+//
+// Usage:
+//   npm run rotate:file-keys -- [--encrypt-existing] [--uploads-dir path/to/uploads] [--dry-run]
+require('dotenv').config();
+const path = require('path');
+const fileEncryption = require('../storage/file-encryption');
+const fileKeyStore = require('./file-key-store');
+const { createStorage } = require('../storage');
+
+const DEFAULT_UPLOADS_DIR = path.join(__dirname, '../../server/uploads');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = {
+        uploadsDir: DEFAULT_UPLOADS_DIR,
+        encryptExisting: false,
+        dryRun: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--encrypt-existing') {
+            options.encryptExisting = true;
+        } else if (arg === '--uploads-dir') {
+            options.uploadsDir = path.resolve(argv[++i]);
+        } else {
+            console.warn(`⚠️ Ignoring unknown argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Re-wrap every data key that is not wrapped by the current master key
+ */
+function rewrapKeys(currentKeyId, dryRun, summary) {
+    for (const row of fileKeyStore.listKeysNotWrappedBy(currentKeyId)) {
+        try {
+            const dataKey = fileEncryption.unwrapKey(row);
+
+            if (!dryRun) {
+                const { keyId, wrappedKey } = fileEncryption.wrapKey(dataKey, row.file_path);
+                fileKeyStore.rewrapFileKey(row.file_path, keyId, wrappedKey);
+            }
+
+            summary.rewrapped++;
+            console.log(`🔁 ${row.file_path}: ${row.key_id} → ${currentKeyId}`);
+        } catch (error) {
+            summary.failed++;
+            console.error(`❌ ${row.file_path}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Encrypt plain files in the document folders (files without a file_keys row)
+ */
+async function encryptPlainFiles(uploadsDir, dryRun, summary) {
+    const storage = createStorage({ root: uploadsDir });
+
+    for (const folder of fileEncryption.ENCRYPTED_FOLDERS) {
+        for (const { key: filePath } of await storage.raw.list(`${folder}/`)) {
+            if (fileKeyStore.getFileKey(filePath)) continue;
+
+            try {
+                if (!dryRun) {
+                    // Read the plain object directly, then put it back through the encrypting storage
+                    await storage.put(filePath, await storage.raw.get(filePath));
+                }
+
+                summary.encrypted++;
+                console.log(`🔒 ${filePath}: encrypted`);
+            } catch (error) {
+                summary.failed++;
+                console.error(`❌ ${filePath}: ${error.message}`);
+            }
+        }
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    try {
+        const { current, byId } = fileEncryption.loadKeyring();
+
+        console.log('🔑 Rotating file encryption keys...\n');
+        console.log(`   - Current master key: ${current.id}`);
+        console.log(`   - Previous master keys: ${[...byId.keys()].filter(id => id !== current.id).join(', ') || 'none'}`);
+        if (options.encryptExisting) {
+            console.log(`   - Uploads: ${options.uploadsDir}`);
+        }
+        if (options.dryRun) {
+            console.log('   - Dry run: no changes will be written');
+        }
+        console.log('');
+
+        const summary = { rewrapped: 0, encrypted: 0, failed: 0 };
+
+        rewrapKeys(current.id, options.dryRun, summary);
+        if (options.encryptExisting) {
+            await encryptPlainFiles(options.uploadsDir, options.dryRun, summary);
+        }
+
+        console.log('\n📋 Summary:');
+        console.log(`   - Data keys re-wrapped: ${summary.rewrapped}`);
+        if (options.encryptExisting) {
+            console.log(`   - Plain files encrypted: ${summary.encrypted}`);
+        }
+        console.log(`   - Failed: ${summary.failed}`);
+        console.log(`   - Keys per master key: ${JSON.stringify(fileKeyStore.countByKeyId())}`);
+
+        process.exit(summary.failed > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('❌ Key rotation failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
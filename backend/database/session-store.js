@@ -0,0 +1,157 @@
+// Session Store - login sessions and rotating refresh tokens
+// Refresh tokens are only kept as SHA-256 hashes; access tokens (JWT) carry the session ID
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+
+// A refresh token presented again within this window after rotation is treated as a
+// race between browser tabs, not as theft
+const REUSE_GRACE_SECONDS = 30;
+
+/**
+ * Hash a refresh token for storage and lookup
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateRefreshToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Start a session for a user
+ * @param {number} userId - User ID
+ * @param {Object} options - { ttlSeconds, userAgent, ipAddress }
+ * @returns {Object} { sessionId, refreshToken }
+ */
+function createSession(userId, { ttlSeconds, userAgent = null, ipAddress = null }) {
+    const sessionId = uuidv4();
+    const refreshToken = generateRefreshToken();
+
+    db.prepare(`
+        INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+        VALUES (?, ?, ?, ?, ?, datetime('now', ?))
+    `).run(sessionId, userId, hashToken(refreshToken), userAgent, ipAddress, `${ttlSeconds} seconds`);
+
+    return { sessionId, refreshToken };
+}
+
+/**
+ * Get a usable session with its user (not revoked, not expired, user enabled)
+ * @param {string} sessionId - Session ID (JWT "sid" claim)
+ * @returns {Object|null} { id, user_id, username, role, ... }
+ */
+function getActiveSession(sessionId) {
+    return db.prepare(`
+        SELECT s.*, u.username, u.role
+        FROM sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.id = ?
+          AND s.revoked_at IS NULL
+          AND s.expires_at > CURRENT_TIMESTAMP
+          AND COALESCE(u.disabled, 0) = 0
+    `).get(sessionId) || null;
+}
+
+/**
+ * Exchange a refresh token for a new one (the old token stops working)
+ *
+ * Presenting an already-rotated token outside the grace window revokes the
+ * session, since the token must have been copied.
+ *
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Object} { session, refreshToken } or { error: 'invalid' | 'rotated' | 'reused' | 'revoked' }
+ */
+const rotateRefreshToken = db.transaction((refreshToken) => {
+    const hash = hashToken(refreshToken);
+    const session = db.prepare('SELECT id FROM sessions WHERE refresh_token_hash = ?').get(hash);
+
+    if (!session) {
+        const previous = db.prepare(`
+            SELECT id, revoked_at,
+                   last_used_at > datetime('now', ?) AS within_grace
+            FROM sessions WHERE previous_token_hash = ?
+        `).get(`-${REUSE_GRACE_SECONDS} seconds`, hash);
+
+        if (!previous || previous.revoked_at) {
+            return { error: 'invalid' };
+        }
+
+        if (previous.within_grace) {
+            return { error: 'rotated' };
+        }
+
+        revokeSession(previous.id, 'refresh_token_reuse');
+        return { error: 'reused' };
+    }
+
+    const active = getActiveSession(session.id);
+    if (!active) {
+        return { error: 'revoked' };
+    }
+
+    const newToken = generateRefreshToken();
+    db.prepare(`
+        UPDATE sessions
+        SET previous_token_hash = refresh_token_hash,
+            refresh_token_hash = ?,
+            last_used_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(hashToken(newToken), session.id);
+
+    return { session: active, refreshToken: newToken };
+});
+
+/**
+ * Find the session of a refresh token (used by logout when the access token has expired)
+ * @returns {string|null} Session ID
+ */
+function findSessionIdByRefreshToken(refreshToken) {
+    const row = db.prepare('SELECT id FROM sessions WHERE refresh_token_hash = ?').get(hashToken(refreshToken));
+    return row ? row.id : null;
+}
+
+/**
+ * Revoke one session
+ * @returns {boolean} false if the session does not exist or was already revoked
+ */
+function revokeSession(sessionId, reason) {
+    return db.prepare(`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+        WHERE id = ? AND revoked_at IS NULL
+    `).run(reason, sessionId).changes > 0;
+}
+
+/**
+ * Revoke every active session of a user (sign out all devices)
+ * @returns {number} Sessions revoked
+ */
+function revokeUserSessions(userId, reason) {
+    return db.prepare(`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+        WHERE user_id = ? AND revoked_at IS NULL
+    `).run(reason, userId).changes;
+}
+
+/**
+ * Delete sessions that expired or were revoked more than `days` ago
+ * @returns {number} Sessions deleted
+ */
+function purgeSessions(days = 30) {
+    return db.prepare(`
+        DELETE FROM sessions
+        WHERE expires_at < datetime('now', ?) OR revoked_at < datetime('now', ?)
+    `).run(`-${days} days`, `-${days} days`).changes;
+}
+
+module.exports = {
+    hashToken,
+    createSession,
+    getActiveSession,
+    rotateRefreshToken,
+    findSessionIdByRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    purgeSessions
+};
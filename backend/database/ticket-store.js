@@ -0,0 +1,890 @@
+// Ticket Store - single persistence layer for tickets
+// Used by both the backend API and the conversation server (server/server.js)
+const db = require('./db');
+const statusWorkflow = require('../tickets/status-workflow');
+const ticketQuery = require('../tickets/ticket-query');
+const ticketIds = require('../tickets/ticket-id');
+const searchIndex = require('../search/search-index');
+const partyStore = require('./party-store');
+const liabilityStore = require('./liability-store');
+const liabilityRules = require('../tickets/liability-rules');
+const accidentClassifier = require('../tickets/accident-classifier');
+
+// Document folders/types used by the upload endpoints → attachment type
+const ATTACHMENT_TYPES = {
+    accident_photo: 'accident_photos',
+    accident_photos: 'accident_photos',
+    id_card: 'id_card',
+    id_cards: 'id_card',
+    driving_license: 'driving_license',
+    driving_licenses: 'driving_license',
+    driver_license: 'driving_license',
+    vehicle_registration: 'vehicle_registration',
+    vehicle_registrations: 'vehicle_registration',
+    car_registration: 'vehicle_registration'
+};
+
+/**
+ * Normalize an upload type to the attachment type stored in SQLite
+ * @param {string} type - Upload type or folder name
+ * @returns {string} Attachment type
+ */
+function normalizeAttachmentType(type) {
+    return ATTACHMENT_TYPES[type] || type || 'unknown';
+}
+
+/**
+ * Convert an ISO date to SQLite's CURRENT_TIMESTAMP format (UTC)
+ */
+function toSqlTimestamp(value) {
+    const date = value ? new Date(value) : new Date();
+    if (isNaN(date.getTime())) {
+        return new Date().toISOString().replace('T', ' ').slice(0, 19);
+    }
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Convert a SQLite timestamp to ISO 8601
+ */
+function toIsoTimestamp(value) {
+    if (!value) return null;
+    return value.includes('T') ? value : `${value.replace(' ', 'T')}Z`;
+}
+
+/**
+ * Parse a JSON column, tolerating bad data
+ */
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Convert an attachment row to the upload object the frontend uses
+ */
+function formatAttachment(row) {
+    return {
+        filename: row.filename,
+        originalName: row.original_name,
+        url: row.file_path,
+        type: row.attachment_type,
+        size: row.size,
+        mimetype: row.file_type,
+        uploadedAt: toIsoTimestamp(row.created_at)
+    };
+}
+
+/**
+ * Whether an attachment belongs to the reporter (party 1); attachments from before
+ * parties existed have no party number
+ */
+function isReporterAttachment(row) {
+    return !row.party_number || row.party_number === 1;
+}
+
+/**
+ * Group attachments by document type
+ * @returns {Object} { accident_photos: [], id_card, driving_license, vehicle_registration }
+ */
+function groupUploads(attachments) {
+    const uploads = {
+        accident_photos: [],
+        id_card: null,
+        driving_license: null,
+        vehicle_registration: null
+    };
+
+    for (const row of attachments) {
+        const file = formatAttachment(row);
+        if (row.attachment_type === 'accident_photos') {
+            uploads.accident_photos.push(file);
+        } else if (Object.prototype.hasOwnProperty.call(uploads, row.attachment_type)) {
+            uploads[row.attachment_type] = file;
+        }
+    }
+
+    return uploads;
+}
+
+/**
+ * Build the ticket object returned by both servers
+ * @param {Object} row - tickets row
+ * @param {Array} attachments - attachments rows for the ticket
+ * @param {Array|null} conversations - conversations rows (null to omit transcript)
+ */
+function formatTicket(row, attachments = [], conversations = null) {
+    const ticket = {
+        id: row.ticket_id,
+        ticket_id: row.ticket_id,
+        status: statusWorkflow.normalizeStatus(row.status),
+        plate: row.plate,
+        vehicles: row.vehicles,
+        damage: row.damage,
+        description: row.description,
+        extracted_data: parseJson(row.extracted_data, {}),
+        accident_type: row.accident_type,
+        accident_type_confidence: row.accident_type_confidence,
+        user_id: row.user_id,
+        legal_hold: row.legal_hold ? {
+            reason: row.legal_hold_reason,
+            by: row.legal_hold_by,
+            at: toIsoTimestamp(row.legal_hold_at)
+        } : null,
+        createdAt: toIsoTimestamp(row.created_at),
+        updatedAt: toIsoTimestamp(row.updated_at),
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+        uploads: groupUploads(attachments.filter(isReporterAttachment)),
+        attachments,
+        attachments_count: attachments.length
+    };
+
+    if (conversations) {
+        ticket.transcript = conversations.map(msg => ({
+            id: msg.id,
+            role: msg.role,
+            content: msg.content
+        }));
+    }
+
+    return ticket;
+}
+
+/**
+ * Check whether a ticket exists
+ * @param {string} ticketId - Ticket ID
+ * @returns {boolean}
+ */
+function ticketExists(ticketId) {
+    return !!db.prepare('SELECT 1 FROM tickets WHERE ticket_id = ?').get(ticketId);
+}
+
+/**
+ * Refuse to delete anything of a ticket under legal hold
+ * Every path that deletes a ticket, its transcript or its files calls this first
+ * (inside its transaction, so a hold placed meanwhile is seen).
+ * @param {string} ticketId - Ticket ID (unknown tickets pass)
+ * @throws {Error} code LEGAL_HOLD when the ticket is held
+ */
+function assertNotHeld(ticketId) {
+    const row = db.prepare('SELECT legal_hold FROM tickets WHERE ticket_id = ?').get(ticketId);
+
+    if (row && row.legal_hold) {
+        const error = new Error(`Ticket ${ticketId} is under legal hold`);
+        error.code = 'LEGAL_HOLD';
+        throw error;
+    }
+}
+
+/**
+ * Add attachments to a ticket, skipping filenames already attached
+ * @param {string} ticketId - Ticket ID
+ * @param {Array} files - [{ filename, originalName, url|filePath, mimetype|fileType, type|attachmentType, size, uploadedAt }]
+ * @param {number} partyNumber - Party the documents belong to (null for the reporter)
+ * @returns {number} Number of attachments inserted
+ */
+function addAttachments(ticketId, files = [], partyNumber = null) {
+    const existing = new Set(
+        db.prepare('SELECT filename FROM attachments WHERE ticket_id = ?').all(ticketId).map(row => row.filename)
+    );
+
+    const stmt = db.prepare(`
+        INSERT INTO attachments
+        (ticket_id, filename, original_name, file_path, file_type, attachment_type, size, party_number, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    let inserted = 0;
+
+    for (const file of files) {
+        if (!file || !file.filename || existing.has(file.filename)) continue;
+
+        stmt.run(
+            ticketId,
+            file.filename,
+            file.originalName || file.filename,
+            file.url || file.filePath || file.path,
+            file.mimetype || file.fileType || 'image/jpeg',
+            normalizeAttachmentType(file.attachmentType || file.type),
+            file.size || 0,
+            partyNumber,
+            toSqlTimestamp(file.uploadedAt)
+        );
+
+        existing.add(file.filename);
+        inserted++;
+    }
+
+    return inserted;
+}
+
+/**
+ * Flatten the { accident_photos: [], id_card: {...}, ... } uploads object to a file list
+ */
+function flattenUploads(uploads) {
+    if (!uploads) return [];
+    if (Array.isArray(uploads)) return uploads;
+
+    const files = [];
+    for (const [type, value] of Object.entries(uploads)) {
+        const list = Array.isArray(value) ? value : [value];
+        for (const file of list) {
+            if (file) files.push({ ...file, type: file.type || type });
+        }
+    }
+    return files;
+}
+
+/**
+ * Replace the text transcript of a ticket
+ * Voice messages (with audio_path) recorded by the upload routes are kept.
+ * @param {string} ticketId - Ticket ID
+ * @param {Array} transcript - [{ role, content }]
+ * @param {string} createdAt - Timestamp for the imported messages
+ * @throws {Error} code LEGAL_HOLD when the ticket is held
+ */
+function replaceTranscript(ticketId, transcript, createdAt) {
+    assertNotHeld(ticketId);
+
+    db.prepare('DELETE FROM conversations WHERE ticket_id = ? AND audio_path IS NULL').run(ticketId);
+
+    const stmt = db.prepare(`
+        INSERT INTO conversations (ticket_id, role, content, created_at)
+        VALUES (?, ?, ?, ?)
+    `);
+
+    for (const msg of transcript) {
+        if (!msg || !msg.role || typeof msg.content !== 'string') continue;
+        stmt.run(ticketId, msg.role, msg.content, toSqlTimestamp(createdAt));
+    }
+}
+
+/**
+ * Classify the accident from the ticket's description and the reporter's chat turns
+ * (tickets/accident-classifier.js) and store the result
+ * @param {string} ticketId - Ticket ID
+ * @returns {Object|null} { type, confidence, candidates } or null if the ticket does not exist
+ */
+function classifyTicket(ticketId) {
+    const row = db.prepare('SELECT description, extracted_data FROM tickets WHERE ticket_id = ?').get(ticketId);
+
+    if (!row) {
+        return null;
+    }
+
+    const extracted = parseJson(row.extracted_data, {});
+    const userTurns = db.prepare(`
+        SELECT content FROM conversations WHERE ticket_id = ? AND role = 'user' ORDER BY created_at ASC, id ASC
+    `).all(ticketId).map(msg => msg.content);
+
+    const result = accidentClassifier.classifyAccident([row.description, extracted.description, ...userTurns]);
+
+    db.prepare(`
+        UPDATE tickets SET accident_type = ?, accident_type_confidence = ? WHERE ticket_id = ?
+    `).run(result.type, result.type ? result.confidence : null, ticketId);
+
+    return result;
+}
+
+/**
+ * Append a row to ticket_status_history
+ * @param {Object} actor - { id, username } of the user making the change
+ */
+function recordStatusChange(ticketId, fromStatus, toStatus, actor, reason, createdAt) {
+    db.prepare(`
+        INSERT INTO ticket_status_history
+        (ticket_id, from_status, to_status, actor_id, actor_username, reason, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        ticketId,
+        fromStatus,
+        toStatus,
+        (actor && actor.id) || null,
+        (actor && actor.username) || null,
+        reason || null,
+        toSqlTimestamp(createdAt)
+    );
+}
+
+/**
+ * Create a ticket or update an existing one
+ *
+ * @param {Object} data
+ * - ticket_id: existing ticket to update; a new ID is issued when missing (tickets/ticket-id.js)
+ * - region: region code for the new ID (detected from extracted_data.location otherwise)
+ * - plate, vehicles, damage, user_id
+ * - status: initial status for new tickets (defaults to 'submitted'; use changeStatus afterwards)
+ * - description, extracted_data
+ * - transcript: [{ role, content }] (replaces the text transcript)
+ * - attachments / uploads: files to attach
+ * - createdAt / updatedAt: ISO timestamps (used by the tickets.json migration)
+ *
+ * Parties are created for the vehicles involved (database/party-store.js): party 1 from
+ * the reporter's details in extracted_data, the others with an invite.
+ * @returns {Object} { ticket, created, invites } - invites: [{ party_number, token, expires_at }]
+ *   of parties created by this call (the tokens are not stored)
+ * @throws {Error} code LEGAL_HOLD when a transcript would replace that of a held ticket
+ */
+const saveTicket = db.transaction((data) => {
+    const extracted = data.extracted_data || null;
+    const ticketId = data.ticket_id || ticketIds.nextTicketId({
+        region: data.region,
+        location: extracted && extracted.location,
+        date: data.createdAt
+    });
+    const created = !ticketExists(ticketId);
+    const requestedStatus = statusWorkflow.normalizeStatus(data.status);
+    const status = statusWorkflow.isKnownStatus(requestedStatus) ? requestedStatus : statusWorkflow.INITIAL_STATUS;
+
+    if (created) {
+        db.prepare(`
+            INSERT INTO tickets
+            (ticket_id, user_id, plate, vehicles, damage, status, description, extracted_data, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            ticketId,
+            data.user_id || null,
+            data.plate || null,
+            data.vehicles || (extracted && extracted.number_of_vehicles) || 1,
+            data.damage || null,
+            status,
+            data.description || (extracted && extracted.description) || null,
+            extracted ? JSON.stringify(extracted) : null,
+            toSqlTimestamp(data.createdAt),
+            toSqlTimestamp(data.updatedAt || data.createdAt)
+        );
+
+        recordStatusChange(ticketId, null, status, { username: 'system' }, null, data.createdAt);
+    } else {
+        db.prepare(`
+            UPDATE tickets
+            SET plate = COALESCE(?, plate),
+                vehicles = COALESCE(?, vehicles),
+                damage = COALESCE(?, damage),
+                description = COALESCE(?, description),
+                extracted_data = COALESCE(?, extracted_data),
+                updated_at = ?
+            WHERE ticket_id = ?
+        `).run(
+            data.plate || null,
+            data.vehicles || (extracted && extracted.number_of_vehicles) || null,
+            data.damage || null,
+            data.description || (extracted && extracted.description) || null,
+            extracted ? JSON.stringify(extracted) : null,
+            toSqlTimestamp(data.updatedAt),
+            ticketId
+        );
+    }
+
+    if (Array.isArray(data.transcript)) {
+        replaceTranscript(ticketId, data.transcript, data.createdAt);
+    }
+
+    classifyTicket(ticketId);
+
+    addAttachments(ticketId, [
+        ...flattenUploads(data.attachments),
+        ...flattenUploads(data.uploads),
+        ...flattenUploads(extracted && extracted.uploads)
+    ]);
+
+    const invites = partyStore.ensureParties(
+        ticketId,
+        data.vehicles || (extracted && extracted.number_of_vehicles),
+        { ...extracted, plate: data.plate || (extracted && extracted.plate) }
+    );
+
+    return { ticket: getTicket(ticketId), created, invites };
+});
+
+/**
+ * Save what an invited driver sent from their own phone
+ * Records the party as joined (its invite stops working) and attaches its documents.
+ * A party is only saved once: the reporter and parties that already joined are refused.
+ *
+ * @param {string} ticketId - Ticket ID
+ * @param {number} partyNumber - Party number (2 or more)
+ * @param {Object} data
+ * - details: { driver_name, national_id, phone, plate, insurer }
+ * - uploads: { id_card, driving_license, vehicle_registration } files
+ * @returns {Object|null} Ticket, or null when there is no such party
+ * @throws {Error} code PARTY_JOINED when the party already joined (or is the reporter)
+ */
+const saveParty = db.transaction((ticketId, partyNumber, { details = {}, uploads = null } = {}) => {
+    const party = db.prepare('SELECT joined_at FROM parties WHERE ticket_id = ? AND party_number = ?').get(ticketId, partyNumber);
+
+    if (!party) {
+        return null;
+    }
+
+    if (partyNumber === 1 || party.joined_at) {
+        const error = new Error(`Party ${partyNumber} has already joined ticket ${ticketId}`);
+        error.code = 'PARTY_JOINED';
+        throw error;
+    }
+
+    partyStore.updateParty(ticketId, partyNumber, partyStore.pickDetails(details), { joined: true });
+
+    addAttachments(ticketId, flattenUploads(uploads), partyNumber);
+    db.prepare('UPDATE tickets SET updated_at = CURRENT_TIMESTAMP WHERE ticket_id = ?').run(ticketId);
+
+    return getTicket(ticketId);
+});
+
+/**
+ * Get a ticket with uploads and transcript
+ * @param {string} ticketId - Ticket ID
+ * @returns {Object|null} Ticket
+ */
+function getTicket(ticketId) {
+    const row = db.prepare('SELECT * FROM tickets WHERE ticket_id = ?').get(ticketId);
+
+    if (!row) {
+        return null;
+    }
+
+    const attachments = db.prepare(`
+        SELECT * FROM attachments WHERE ticket_id = ? ORDER BY created_at ASC, id ASC
+    `).all(ticketId);
+
+    const conversations = db.prepare(`
+        SELECT * FROM conversations WHERE ticket_id = ? ORDER BY created_at ASC, id ASC
+    `).all(ticketId);
+
+    const ticket = formatTicket(row, attachments, conversations);
+    ticket.parties = partyStore.listParties(ticketId).map(party => ({
+        ...party,
+        documents: groupUploads(attachments.filter(attachment => (
+            party.party_number === 1 ? isReporterAttachment(attachment) : attachment.party_number === party.party_number
+        )))
+    }));
+    ticket.liability = liabilityStore.getLiability(ticketId);
+    ticket.status_history = getStatusHistory(ticketId);
+    ticket.allowed_transitions = statusWorkflow.getAllowedTransitions(ticket.status);
+
+    return ticket;
+}
+
+/**
+ * Get the status timeline of a ticket (oldest first)
+ * @param {string} ticketId - Ticket ID
+ * @returns {Array} [{ from_status, to_status, actor_id, actor_username, reason, created_at }]
+ */
+function getStatusHistory(ticketId) {
+    return db.prepare(`
+        SELECT from_status, to_status, actor_id, actor_username, reason, created_at
+        FROM ticket_status_history
+        WHERE ticket_id = ?
+        ORDER BY created_at ASC, id ASC
+    `).all(ticketId).map(entry => ({
+        ...entry,
+        created_at: toIsoTimestamp(entry.created_at)
+    }));
+}
+
+// Sort keys from tickets/ticket-query.js → SQL expressions
+const SORT_COLUMNS = {
+    created_at: 't.created_at',
+    updated_at: 't.updated_at',
+    status: 't.status',
+    vehicles: 'COALESCE(t.vehicles, 0)',
+    ticket_id: 't.ticket_id'
+};
+
+/**
+ * Escape LIKE wildcards in user input (used with ESCAPE '\\')
+ */
+function likePattern(value) {
+    return `%${value.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+/**
+ * Build the WHERE clause for ticket list filters
+ * @returns {Object} { where: string[], params: [] }
+ */
+function buildTicketFilters(options) {
+    const where = [];
+    const params = [];
+
+    if (options.q) {
+        // Full-text index over descriptions and transcripts (Arabic spelling variants folded)
+        const match = searchIndex.buildMatchQuery(options.q);
+        if (match) {
+            where.push('t.ticket_id IN (SELECT ticket_id FROM search_index WHERE search_index MATCH ?)');
+            params.push(match);
+        }
+    }
+
+    if (options.statuses && options.statuses.length > 0) {
+        where.push(`t.status IN (${options.statuses.map(() => '?').join(', ')})`);
+        params.push(...options.statuses);
+    }
+
+    if (options.from) {
+        where.push('t.created_at >= ?');
+        params.push(toSqlTimestamp(options.from));
+    }
+
+    if (options.to) {
+        where.push('t.created_at < ?');
+        params.push(toSqlTimestamp(options.to));
+    }
+
+    if (options.plate) {
+        const pattern = likePattern(options.plate);
+        where.push(`(t.plate LIKE ? ESCAPE '\\' OR json_extract(t.extracted_data, '$.plate') LIKE ? ESCAPE '\\')`);
+        params.push(pattern, pattern);
+    }
+
+    if (options.nationalId) {
+        where.push(`(
+            json_extract(t.extracted_data, '$.national_id') = ?
+            OR EXISTS (
+                SELECT 1 FROM findings f
+                WHERE f.ticket_id = t.ticket_id AND f.field_name = 'national_id' AND f.field_value = ?
+            )
+        )`);
+        params.push(options.nationalId, options.nationalId);
+    }
+
+    if (options.vehicles !== undefined) {
+        where.push(`COALESCE(json_extract(t.extracted_data, '$.number_of_vehicles'), t.vehicles) = ?`);
+        params.push(options.vehicles);
+    }
+
+    if (options.injuries !== undefined) {
+        where.push(`json_extract(t.extracted_data, '$.injuries') = ?`);
+        params.push(options.injuries ? 1 : 0);
+    }
+
+    if (options.accidentTypes && options.accidentTypes.length > 0) {
+        where.push(`t.accident_type IN (${options.accidentTypes.map(() => '?').join(', ')})`);
+        params.push(...options.accidentTypes);
+    }
+
+    return { where, params };
+}
+
+/**
+ * Load attachments (and optionally transcripts) for a page of tickets in one query each
+ */
+function formatTicketRows(rows, includeTranscript) {
+    if (rows.length === 0) return [];
+
+    const ids = rows.map(row => row.ticket_id);
+    const placeholders = ids.map(() => '?').join(', ');
+
+    const attachmentsByTicket = {};
+    const attachments = db.prepare(`
+        SELECT * FROM attachments WHERE ticket_id IN (${placeholders}) ORDER BY created_at ASC, id ASC
+    `).all(...ids);
+    for (const row of attachments) {
+        (attachmentsByTicket[row.ticket_id] = attachmentsByTicket[row.ticket_id] || []).push(row);
+    }
+
+    let conversationsByTicket = null;
+    if (includeTranscript) {
+        conversationsByTicket = {};
+        const conversations = db.prepare(`
+            SELECT * FROM conversations WHERE ticket_id IN (${placeholders}) ORDER BY created_at ASC, id ASC
+        `).all(...ids);
+        for (const row of conversations) {
+            (conversationsByTicket[row.ticket_id] = conversationsByTicket[row.ticket_id] || []).push(row);
+        }
+    }
+
+    return rows.map(row => formatTicket(
+        row,
+        attachmentsByTicket[row.ticket_id] || [],
+        conversationsByTicket ? (conversationsByTicket[row.ticket_id] || []) : null
+    ));
+}
+
+/**
+ * Search tickets with filters, sorting and cursor pagination
+ * @param {Object} options - Parsed by tickets/ticket-query.js parseTicketQuery
+ *   (plus includeTranscript to attach transcripts)
+ * @returns {Object} { tickets, total, nextCursor, hasMore }
+ */
+function searchTickets(options = {}) {
+    const sort = SORT_COLUMNS[options.sort] ? options.sort : 'created_at';
+    const order = options.order === 'asc' ? 'asc' : 'desc';
+    const limit = options.limit || ticketQuery.DEFAULT_LIMIT;
+    const column = SORT_COLUMNS[sort];
+
+    const { where, params } = buildTicketFilters(options);
+
+    const total = db.prepare(`
+        SELECT COUNT(*) AS count FROM tickets t
+        ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+    `).get(...params).count;
+
+    // Keyset pagination: continue after the (sort value, id) of the previous page
+    const pageWhere = [...where];
+    const pageParams = [...params];
+    if (options.after) {
+        const op = order === 'asc' ? '>' : '<';
+        pageWhere.push(`(${column} ${op} ? OR (${column} = ? AND t.id ${op} ?))`);
+        pageParams.push(options.after.value, options.after.value, options.after.id);
+    }
+
+    const direction = order.toUpperCase();
+    const rows = db.prepare(`
+        SELECT t.*, ${column} AS sort_value FROM tickets t
+        ${pageWhere.length > 0 ? `WHERE ${pageWhere.join(' AND ')}` : ''}
+        ORDER BY ${column} ${direction}, t.id ${direction}
+        LIMIT ?
+    `).all(...pageParams, limit + 1);
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+        tickets: formatTicketRows(page, options.includeTranscript),
+        total,
+        hasMore,
+        nextCursor: hasMore
+            ? ticketQuery.encodeCursor({ sort, order, value: last.sort_value, id: last.id })
+            : null
+    };
+}
+
+/**
+ * Update editable ticket columns (status changes go through changeStatus)
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} fields - { plate, vehicles, damage }
+ * @returns {Object|null} Updated ticket or null if not found
+ */
+function updateTicket(ticketId, fields) {
+    const result = db.prepare(`
+        UPDATE tickets
+        SET plate = COALESCE(?, plate),
+            vehicles = COALESCE(?, vehicles),
+            damage = COALESCE(?, damage),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE ticket_id = ?
+    `).run(
+        fields.plate ?? null,
+        fields.vehicles ?? null,
+        fields.damage ?? null,
+        ticketId
+    );
+
+    if (result.changes === 0) {
+        return null;
+    }
+
+    // More vehicles than parties: add them (staff send their invite links from the admin panel)
+    if (fields.vehicles) {
+        partyStore.ensureParties(ticketId, fields.vehicles);
+    }
+
+    return getTicket(ticketId);
+}
+
+/**
+ * Move a ticket to a new status, enforcing the workflow and recording history
+ * @param {string} ticketId - Ticket ID
+ * @param {string} status - Requested status
+ * @param {Object} options - { actor: { id, username }, reason }
+ * @returns {Object|null} { ticket, transition } or null if the ticket does not exist.
+ *   transition.allowed is false (and nothing is written) when the workflow rejects the change.
+ */
+const changeStatus = db.transaction((ticketId, status, options = {}) => {
+    const row = db.prepare('SELECT status FROM tickets WHERE ticket_id = ?').get(ticketId);
+
+    if (!row) {
+        return null;
+    }
+
+    const transition = statusWorkflow.validateTransition(row.status, status, options.reason);
+
+    if (!transition.allowed) {
+        return { ticket: getTicket(ticketId), transition };
+    }
+
+    db.prepare(`
+        UPDATE tickets SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE ticket_id = ?
+    `).run(status, ticketId);
+
+    recordStatusChange(ticketId, transition.from, status, options.actor, options.reason);
+
+    return { ticket: getTicket(ticketId), transition };
+});
+
+/**
+ * Update editable columns and, optionally, the status in one transaction
+ * Nothing is written when the workflow refuses the status change.
+ */
+const applyTicketEdit = db.transaction((ticketId, fields, { status = null, actor = null, reason = null }) => {
+    const row = db.prepare('SELECT status FROM tickets WHERE ticket_id = ?').get(ticketId);
+
+    if (!row) {
+        return null;
+    }
+
+    let transition = null;
+
+    if (status && status !== statusWorkflow.normalizeStatus(row.status)) {
+        const result = changeStatus(ticketId, status, { actor, reason });
+        transition = result.transition;
+
+        if (!transition.allowed) {
+            return result;
+        }
+    }
+
+    updateTicket(ticketId, fields);
+
+    return { ticket: getTicket(ticketId), transition };
+});
+
+/**
+ * Edit a ticket's columns and status together (PUT /api/tickets/:ticketId)
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} fields - { plate, vehicles, damage }
+ * @param {Object} options - { status, actor: { id, username }, reason }
+ * @returns {Object|null} { ticket, transition } or null if the ticket does not exist.
+ *   transition is null when the status is unchanged; when transition.allowed is false the
+ *   fields are not written either.
+ */
+function editTicket(ticketId, fields, options = {}) {
+    // IMMEDIATE: the status read and the writes happen under one write lock, also against the conversation server
+    return applyTicketEdit.immediate(ticketId, fields, options);
+}
+
+/**
+ * Party numbers of a ticket, for the liability rules (at least two are needed)
+ * @returns {Object} { partyNumbers, errors }
+ */
+function liabilityParties(ticketId) {
+    const partyNumbers = partyStore.listParties(ticketId).map(party => party.party_number);
+    return {
+        partyNumbers,
+        errors: partyNumbers.length < 2 ? ['Liability needs at least two parties; set the number of vehicles first'] : []
+    };
+}
+
+/**
+ * Propose fault percentages from accident facts (tickets/liability-rules.js) and store them
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} facts - { scenario, primary_party, other_party, ...flags }
+ * @param {Object} options - { actor: { id, username } }
+ * @returns {Object|null} { ticket, errors } or null if the ticket does not exist.
+ *   Nothing is stored when errors is not empty.
+ */
+const assessLiability = db.transaction((ticketId, facts, options = {}) => {
+    if (!ticketExists(ticketId)) {
+        return null;
+    }
+
+    const { partyNumbers, errors } = liabilityParties(ticketId);
+    if (errors.length > 0) {
+        return { ticket: getTicket(ticketId), errors };
+    }
+
+    const assessment = liabilityRules.assessLiability(facts, partyNumbers);
+    if (!assessment.valid) {
+        return { ticket: getTicket(ticketId), errors: assessment.errors };
+    }
+
+    liabilityStore.recordAssessment(ticketId, assessment, options.actor);
+    db.prepare('UPDATE tickets SET updated_at = CURRENT_TIMESTAMP WHERE ticket_id = ?').run(ticketId);
+
+    return { ticket: getTicket(ticketId), errors: [] };
+});
+
+/**
+ * Override the proposed fault percentages
+ * @param {string} ticketId - Ticket ID
+ * @param {Array} shares - [{ party_number, fault_percent }] (steps of 25, adding up to 100)
+ * @param {Object} options - { actor: { id, username }, reason }
+ * @returns {Object|null} { ticket, errors } or null if the ticket does not exist.
+ *   Nothing is stored when errors is not empty.
+ * @throws {Error} code LIABILITY_NOT_ASSESSED when there is no proposal to override
+ */
+const overrideLiability = db.transaction((ticketId, shares, options = {}) => {
+    if (!ticketExists(ticketId)) {
+        return null;
+    }
+
+    if (!liabilityStore.getLiability(ticketId)) {
+        const error = new Error(`Liability of ticket ${ticketId} has not been assessed yet`);
+        error.code = 'LIABILITY_NOT_ASSESSED';
+        throw error;
+    }
+
+    const check = liabilityRules.validateShares(shares, liabilityParties(ticketId).partyNumbers);
+    if (!check.valid) {
+        return { ticket: getTicket(ticketId), errors: check.errors };
+    }
+
+    liabilityStore.recordOverride(ticketId, check.value, options.reason, options.actor);
+    db.prepare('UPDATE tickets SET updated_at = CURRENT_TIMESTAMP WHERE ticket_id = ?').run(ticketId);
+
+    return { ticket: getTicket(ticketId), errors: [] };
+});
+
+/**
+ * Place or release a legal hold (the retention purge skips held tickets, see retention/purge-job.js)
+ * @param {string} ticketId - Ticket ID
+ * @param {boolean} hold - true to place, false to release
+ * @param {Object} options - { actor: { id, username }, reason }
+ * @returns {Object|null} Updated ticket or null if not found
+ */
+function setLegalHold(ticketId, hold, options = {}) {
+    const result = db.prepare(`
+        UPDATE tickets
+        SET legal_hold = ?,
+            legal_hold_reason = ?,
+            legal_hold_by = ?,
+            legal_hold_at = ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE ticket_id = ?
+    `).run(
+        hold ? 1 : 0,
+        hold ? options.reason || null : null,
+        hold && options.actor ? options.actor.username : null,
+        hold ? toSqlTimestamp() : null,
+        ticketId
+    );
+
+    return result.changes === 0 ? null : getTicket(ticketId);
+}
+
+/**
+ * Delete a ticket (cascades to conversations, findings, audio files, attachments)
+ * @param {string} ticketId - Ticket ID
+ * @returns {boolean} True if deleted
+ * @throws {Error} code LEGAL_HOLD when the ticket is held
+ */
+const deleteTicket = db.transaction((ticketId) => {
+    assertNotHeld(ticketId);
+    return db.prepare('DELETE FROM tickets WHERE ticket_id = ?').run(ticketId).changes > 0;
+});
+
+module.exports = {
+    normalizeAttachmentType,
+    ticketExists,
+    assertNotHeld,
+    saveTicket,
+    saveParty,
+    classifyTicket,
+    addAttachments,
+    getTicket,
+    searchTickets,
+    updateTicket,
+    changeStatus,
+    editTicket,
+    assessLiability,
+    overrideLiability,
+    setLegalHold,
+    getStatusHistory,
+    deleteTicket
+};
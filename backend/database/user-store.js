@@ -0,0 +1,263 @@
+// User Store - staff accounts
+// Used by the auth and user management routes
+const db = require('./db');
+
+const USER_COLUMNS = `
+    id, username, role, disabled, failed_attempts, last_failed_login, last_login, created_at, totp_enabled,
+    (SELECT COUNT(*) FROM sessions s
+     WHERE s.user_id = users.id AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP) AS active_sessions
+`;
+
+/**
+ * Convert a users row to the API format (never includes the password hash)
+ */
+function formatUser(row) {
+    if (!row) return null;
+
+    return {
+        id: row.id,
+        username: row.username,
+        role: row.role,
+        disabled: row.disabled === 1,
+        failed_attempts: row.failed_attempts || 0,
+        last_failed_login: row.last_failed_login,
+        last_login: row.last_login,
+        active_sessions: row.active_sessions || 0,
+        two_factor_enabled: row.totp_enabled === 1,
+        created_at: row.created_at
+    };
+}
+
+/**
+ * List all users
+ * @returns {Array<Object>}
+ */
+function listUsers() {
+    return db.prepare(`SELECT ${USER_COLUMNS} FROM users ORDER BY username`).all().map(formatUser);
+}
+
+/**
+ * Get a user by ID
+ * @returns {Object|null}
+ */
+function getUser(id) {
+    return formatUser(db.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`).get(id));
+}
+
+/**
+ * Get the full users row (including password_hash) for login checks
+ * @returns {Object|undefined}
+ */
+function getUserRecord(username) {
+    return db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+}
+
+/**
+ * Get the full users row by ID (password and 2FA checks of the signed-in user)
+ * @returns {Object|undefined}
+ */
+function getUserRecordById(id) {
+    return db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+}
+
+/**
+ * Check whether a username is taken
+ */
+function usernameExists(username) {
+    return !!db.prepare('SELECT 1 FROM users WHERE username = ?').get(username);
+}
+
+/**
+ * Create a user
+ * @param {Object} data - { username, passwordHash, role }
+ * @returns {Object} Created user
+ */
+function createUser({ username, passwordHash, role }) {
+    const result = db.prepare(`
+        INSERT INTO users (username, password_hash, role)
+        VALUES (?, ?, ?)
+    `).run(username, passwordHash, role);
+
+    return getUser(result.lastInsertRowid);
+}
+
+/**
+ * Change a user's role and/or disabled flag
+ * @param {number} id - User ID
+ * @param {Object} updates - { role, disabled } (undefined fields are kept)
+ * @returns {Object|null} Updated user or null if not found
+ */
+function updateUser(id, { role, disabled }) {
+    db.prepare(`
+        UPDATE users
+        SET role = COALESCE(?, role),
+            disabled = COALESCE(?, disabled)
+        WHERE id = ?
+    `).run(role ?? null, disabled === undefined ? null : (disabled ? 1 : 0), id);
+
+    return getUser(id);
+}
+
+/**
+ * Replace a user's password hash and clear the failed-attempt count
+ * @returns {boolean} false if the user does not exist
+ */
+function setPasswordHash(id, passwordHash) {
+    const result = db.prepare(`
+        UPDATE users SET password_hash = ?, failed_attempts = 0 WHERE id = ?
+    `).run(passwordHash, id);
+
+    return result.changes > 0;
+}
+
+/**
+ * Delete a user (tickets and status history keep the username, see db.js)
+ * @returns {boolean} false if the user does not exist
+ */
+function deleteUser(id) {
+    return db.prepare('DELETE FROM users WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Count enabled admins, optionally ignoring one user
+ * (used to keep at least one admin able to log in)
+ */
+function countActiveAdmins(excludeId = null) {
+    return db.prepare(`
+        SELECT COUNT(*) AS count FROM users
+        WHERE role = 'admin' AND disabled = 0 AND id != COALESCE(?, -1)
+    `).get(excludeId).count;
+}
+
+/**
+ * Record a successful login
+ */
+function recordLoginSuccess(id) {
+    db.prepare(`
+        UPDATE users SET last_login = CURRENT_TIMESTAMP, failed_attempts = 0 WHERE id = ?
+    `).run(id);
+}
+
+/**
+ * Clear the failed-attempt count (admin unlock)
+ */
+function resetFailedAttempts(id) {
+    db.prepare('UPDATE users SET failed_attempts = 0 WHERE id = ?').run(id);
+}
+
+/**
+ * Record a failed login (wrong password)
+ */
+function recordLoginFailure(id) {
+    db.prepare(`
+        UPDATE users
+        SET failed_attempts = COALESCE(failed_attempts, 0) + 1,
+            last_failed_login = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(id);
+}
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION (see users/totp.js)
+// ============================================
+
+/**
+ * Store a new TOTP secret that becomes active once confirmed with enableTotp()
+ * (replaces any unconfirmed secret)
+ */
+function setPendingTotpSecret(id, secret) {
+    db.prepare(`
+        UPDATE users SET totp_secret = ?, totp_enabled = 0, totp_last_step = NULL, recovery_codes = NULL
+        WHERE id = ? AND COALESCE(totp_enabled, 0) = 0
+    `).run(secret, id);
+}
+
+/**
+ * Turn on 2FA with the pending secret
+ * @param {Array<string>} recoveryCodeHashes - SHA-256 hashes of the recovery codes
+ * @param {number} step - Time step of the confirming code
+ */
+function enableTotp(id, recoveryCodeHashes, step) {
+    db.prepare(`
+        UPDATE users SET totp_enabled = 1, recovery_codes = ?, totp_last_step = ?
+        WHERE id = ? AND totp_secret IS NOT NULL
+    `).run(JSON.stringify(recoveryCodeHashes), step, id);
+}
+
+/**
+ * Turn off 2FA and forget the secret and recovery codes
+ * @returns {boolean} false if 2FA was not set up
+ */
+function disableTotp(id) {
+    return db.prepare(`
+        UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL, recovery_codes = NULL
+        WHERE id = ? AND totp_secret IS NOT NULL
+    `).run(id).changes > 0;
+}
+
+/**
+ * Record the time step of an accepted code
+ * @returns {boolean} false if this or a later step was already used (replayed code)
+ */
+function useTotpStep(id, step) {
+    return db.prepare(`
+        UPDATE users SET totp_last_step = ?
+        WHERE id = ? AND COALESCE(totp_last_step, -1) < ?
+    `).run(step, id, step).changes > 0;
+}
+
+/**
+ * Replace the recovery codes
+ */
+function setRecoveryCodes(id, recoveryCodeHashes) {
+    db.prepare('UPDATE users SET recovery_codes = ? WHERE id = ?')
+        .run(JSON.stringify(recoveryCodeHashes), id);
+}
+
+/**
+ * Use up a recovery code
+ * @returns {boolean} false if the code is unknown or already used
+ */
+const consumeRecoveryCode = db.transaction((id, codeHash) => {
+    const row = db.prepare('SELECT recovery_codes FROM users WHERE id = ?').get(id);
+    const hashes = row && row.recovery_codes ? JSON.parse(row.recovery_codes) : [];
+
+    if (!hashes.includes(codeHash)) {
+        return false;
+    }
+
+    setRecoveryCodes(id, hashes.filter(hash => hash !== codeHash));
+    return true;
+});
+
+/**
+ * Count unused recovery codes
+ */
+function countRecoveryCodes(id) {
+    const row = db.prepare('SELECT recovery_codes FROM users WHERE id = ?').get(id);
+    return row && row.recovery_codes ? JSON.parse(row.recovery_codes).length : 0;
+}
+
+module.exports = {
+    formatUser,
+    listUsers,
+    getUser,
+    getUserRecord,
+    getUserRecordById,
+    usernameExists,
+    createUser,
+    updateUser,
+    setPasswordHash,
+    deleteUser,
+    countActiveAdmins,
+    recordLoginSuccess,
+    recordLoginFailure,
+    resetFailedAttempts,
+    setPendingTotpSecret,
+    enableTotp,
+    disableTotp,
+    useTotpStep,
+    setRecoveryCodes,
+    consumeRecoveryCode,
+    countRecoveryCodes
+};
@@ -0,0 +1,57 @@
+/**
+ * LLM Provider Registry
+ * Selects the chat model used by the conversation orchestrator.
+ *
+ * LLM_PROVIDER=openai (default) | mock
+ */
+
+const { createOpenAIProvider } = require('./openai-provider');
+const { createMockProvider } = require('./mock-provider');
+
+const providers = {
+    openai: createOpenAIProvider,
+    mock: createMockProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider instance
+ */
+function createProvider(name) {
+    const factory = providers[name];
+
+    if (!factory) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+
+    return factory();
+}
+
+/**
+ * Get the active provider, creating it from LLM_PROVIDER on first use
+ * @returns {Object} Provider instance
+ */
+function getProvider() {
+    if (!activeProvider) {
+        activeProvider = createProvider(process.env.LLM_PROVIDER || 'openai');
+        console.log(`🤖 LLM provider: ${activeProvider.name}`);
+    }
+    return activeProvider;
+}
+
+/**
+ * Replace the active provider (e.g. with a mock in tests)
+ * @param {Object} provider - Object implementing complete(messages, params)
+ */
+function setProvider(provider) {
+    activeProvider = provider;
+}
+
+module.exports = {
+    createProvider,
+    getProvider,
+    setProvider
+};
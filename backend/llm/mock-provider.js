@@ -0,0 +1,182 @@
+/**
+ * Mock LLM Provider
+ * Deterministic local model that walks the accident report phases, in the order the
+ * system prompt lists them (so it follows both the report and the invited-driver flow).
+ * Used for offline development and for driving the orchestrator in tests.
+ */
+
+const PHASE_REPLIES = {
+    description: 'الحمد لله على السلامة! أنا هنا لمساعدتك في تقديم بلاغ الحادث. هل يمكنك وصف ما حدث؟',
+    accident_type: 'هل يمكنك توضيح نوع الحادث؟ هل كان الاصطدام من الخلف، من الجانب، وجهاً لوجه، في موقف، دون مركبة أخرى، أم دهس أحد المشاة؟',
+    location: 'شكراً لك. أين وقع الحادث؟',
+    vehicles: 'كم عدد المركبات المشاركة في الحادث؟',
+    injuries: 'هل توجد إصابات؟',
+    accident_photos: 'يرجى رفع 3 صور لموقع الحادث والأضرار.',
+    driver: 'ما اسم السائق الكامل ورقم جواله ورقم لوحة المركبة وشركة التأمين؟',
+    id_card: 'شكراً. يرجى رفع صورة الهوية الوطنية.',
+    driving_license: 'تم استلام الهوية. يرجى رفع صورة رخصة القيادة.',
+    vehicle_registration: 'تم استلام الرخصة. يرجى رفع صورة استمارة المركبة.',
+    confirm: 'تم استلام جميع المستندات. هل تؤكد صحة المعلومات لإنشاء البلاغ؟',
+    done: 'تم تأكيد البلاغ. شكراً لك.'
+};
+
+const EMPTY_TICKET = {
+    description: '',
+    location: '',
+    number_of_vehicles: null,
+    injuries: null,
+    accident_photos_count: 0,
+    driver_name: '',
+    phone: '',
+    plate: '',
+    insurer: '',
+    id_card_received: false,
+    driving_license_received: false,
+    vehicle_registration_received: false,
+    confirmed: false
+};
+
+/**
+ * Read the state the mock returned in its previous valid reply
+ */
+function lastState(messages) {
+    for (let i = messages.length - 1; i >= 0; i--) {
+        if (messages[i].role !== 'assistant') continue;
+        try {
+            return JSON.parse(messages[i].content);
+        } catch (error) {
+            // Skip malformed replies (e.g. ones injected with invalidReplies)
+        }
+    }
+    return null;
+}
+
+// Report phases, used when the system prompt has no "Phases (in order)" list
+const DEFAULT_PHASES = ['greeting', 'description', 'location', 'vehicles', 'injuries', 'accident_photos',
+    'driver', 'id_card', 'driving_license', 'vehicle_registration', 'confirm', 'done'];
+
+/**
+ * Read the phase order from the numbered list in the system prompt
+ */
+function phaseOrder(messages) {
+    const system = messages.find(m => m.role === 'system');
+    const phases = system ? [...system.content.matchAll(/^\d+\. (\w+):/gm)].map(match => match[1]) : [];
+    return phases.length > 0 ? phases : DEFAULT_PHASES;
+}
+
+/**
+ * Record the latest user turn as the answer for a phase
+ * @returns {boolean} true when the phase is complete
+ */
+function applyAnswer(phase, ticket, userMessage) {
+    switch (phase) {
+        case 'description':
+            // Answers to a clarifying question add to the description
+            ticket.description = ticket.description ? `${ticket.description} ${userMessage}` : userMessage;
+            return true;
+        case 'location':
+            ticket.location = userMessage;
+            return true;
+        case 'vehicles':
+            ticket.number_of_vehicles = parseInt(userMessage, 10) || 1;
+            return true;
+        case 'injuries':
+            ticket.injuries = /نعم|yes/i.test(userMessage);
+            return true;
+        case 'accident_photos':
+            ticket.accident_photos_count += 1;
+            return ticket.accident_photos_count >= 3;
+        case 'driver': {
+            // "name, plate, insurer, phone"
+            const [name, plate, insurer, phone] = userMessage.split(/[,،]/).map(part => part.trim());
+            ticket.driver_name = name || userMessage;
+            ticket.plate = plate || '-';
+            ticket.insurer = insurer || '-';
+            ticket.phone = phone || '';
+            return true;
+        }
+        case 'id_card':
+            ticket.id_card_received = true;
+            return true;
+        case 'driving_license':
+            ticket.driving_license_received = true;
+            return true;
+        case 'vehicle_registration':
+            ticket.vehicle_registration_received = true;
+            return true;
+        case 'confirm':
+            ticket.confirmed = true;
+            return true;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Advance one phase based on the latest user turn
+ */
+function nextState(previous, userMessage, phases) {
+    if (!previous) {
+        return { phase: phases[1], ticket: { ...EMPTY_TICKET } };
+    }
+
+    const ticket = { ...EMPTY_TICKET, ...previous.ticket };
+    const index = phases.indexOf(previous.phase);
+
+    if (index === -1 || index === phases.length - 1 || !applyAnswer(previous.phase, ticket, userMessage)) {
+        return { phase: previous.phase, ticket };
+    }
+
+    return { phase: phases[index + 1], ticket };
+}
+
+/**
+ * Whether the orchestrator just asked for a clarifying question about the accident type
+ */
+function accidentTypeCheckPending(messages) {
+    const last = messages[messages.length - 1];
+    return !!last && last.role === 'system' && last.content.startsWith('Accident type check:');
+}
+
+/**
+ * Create a mock provider
+ * @param {Object} options - { invalidReplies: number of leading malformed replies (exercises the retry path) }
+ * @returns {Object} Provider with complete(messages)
+ */
+function createMockProvider(options = {}) {
+    let invalidReplies = options.invalidReplies || 0;
+
+    return {
+        name: 'mock',
+
+        async complete(messages) {
+            if (invalidReplies > 0) {
+                invalidReplies--;
+                return { content: 'Sure! {"phase": done} Here is your {summary}' };
+            }
+
+            const userTurns = messages.filter(m => m.role === 'user');
+            const lastUser = userTurns.length > 0 ? userTurns[userTurns.length - 1].content : '';
+            const previous = lastState(messages);
+            const state = nextState(previous, lastUser, phaseOrder(messages));
+            const clarify = accidentTypeCheckPending(messages) && previous;
+
+            // Keep what was said but stay in the phase to ask the clarifying question
+            if (clarify) {
+                state.phase = previous.phase;
+            }
+
+            return {
+                content: JSON.stringify({
+                    schema_version: '1',
+                    message: clarify ? PHASE_REPLIES.accident_type : (PHASE_REPLIES[state.phase] || PHASE_REPLIES.description),
+                    phase: state.phase,
+                    ticket: state.ticket,
+                    missing_fields: []
+                })
+            };
+        }
+    };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,62 @@
+/**
+ * OpenAI Chat Completions Provider
+ * Calls /chat/completions with the server-side API key
+ */
+
+const axios = require('axios');
+
+const OPENAI_API_URL = process.env.OPENAI_API_URL || 'https://api.openai.com/v1';
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o';
+
+/**
+ * Create an OpenAI-backed LLM provider
+ * @param {Object} options - { apiKey, apiUrl, model }
+ * @returns {Object} Provider with complete(messages, options)
+ */
+function createOpenAIProvider(options = {}) {
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    const apiUrl = options.apiUrl || OPENAI_API_URL;
+    const model = options.model || OPENAI_MODEL;
+
+    if (!apiKey) {
+        console.error('❌ OPENAI_API_KEY not found in .env file');
+    }
+
+    return {
+        name: 'openai',
+
+        /**
+         * Get the next assistant message for a chat history
+         * @param {Array} messages - [{ role, content }]
+         * @param {Object} params - { temperature, maxTokens, responseFormat }
+         * @returns {Promise<Object>} { content }
+         */
+        async complete(messages, params = {}) {
+            if (!apiKey) {
+                throw new Error('OpenAI provider not configured. Set OPENAI_API_KEY.');
+            }
+
+            const response = await axios({
+                method: 'POST',
+                url: `${apiUrl}/chat/completions`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${apiKey}`
+                },
+                data: {
+                    model,
+                    messages,
+                    temperature: params.temperature ?? 0.7,
+                    max_tokens: params.maxTokens || 800,
+                    ...(params.responseFormat ? { response_format: params.responseFormat } : {})
+                }
+            });
+
+            return {
+                content: response.data.choices[0].message.content
+            };
+        }
+    };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,125 @@
+// Access Audit Middleware
+// Writes an audit_log entry (audit/audit-log.js) for every request to ticket and file
+// routes once the response is sent, so the entry has the actor (set later by verifyToken),
+// the uploaded files (set by multer) and the final status code. Denied requests are
+// recorded too.
+
+const { recordAuditEvent } = require('../audit/audit-log');
+
+const VERBS = {
+    GET: 'read',
+    HEAD: 'read',
+    POST: 'create',
+    PUT: 'update',
+    PATCH: 'update',
+    DELETE: 'delete'
+};
+
+function pathSegments(requestPath) {
+    return requestPath.split('/').filter(Boolean).map(segment => {
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            return segment;
+        }
+    });
+}
+
+/**
+ * Ticket ID from /:ticketId/..., the body of an update, or the ID a create request was
+ * issued (res.locals.ticketId, set by the route)
+ */
+function ticketTarget(req, requestPath, res) {
+    return pathSegments(requestPath)[0] || (req.body && req.body.ticket_id) || res.locals.ticketId || null;
+}
+
+/**
+ * Uploaded files as their storage key (storage/multer-storage.js), or the file path of the request
+ */
+function fileTarget(req, requestPath) {
+    const files = req.files ? [].concat(...Object.values(req.files)) : [];
+    if (req.file) files.push(req.file);
+
+    if (files.length > 0) {
+        return files
+            .map(file => file.key || file.originalname)
+            .join(',');
+    }
+    return pathSegments(requestPath).join('/') || null;
+}
+
+const TARGETS = {
+    ticket: ticketTarget,
+    file: fileTarget
+};
+
+/**
+ * Query parameters worth keeping (list filters), without signed-URL credentials
+ */
+function auditedQuery(query = {}) {
+    const { signature, ...rest } = query;
+    return Object.keys(rest).length > 0 ? rest : undefined;
+}
+
+/**
+ * e.g. ticket.list, ticket.read, ticket.create, ticket.update, file.read, file.delete
+ */
+function actionFor(targetType, req, requestPath, target) {
+    let verb = VERBS[req.method] || req.method.toLowerCase();
+
+    if (verb === 'read' && !target) {
+        verb = 'list';
+    } else if (verb === 'create' && targetType === 'ticket' && pathSegments(requestPath).length > 1) {
+        // POST /:ticketId/conversations, /:ticketId/findings
+        verb = 'update';
+    }
+    return `${targetType}.${verb}`;
+}
+
+/**
+ * Middleware: audit every request below the mount point
+ * @param {string} targetType - 'ticket' | 'file'
+ * @param {Object} options
+ * @param {Function} options.getTarget - (req, requestPath, res) → target; requestPath is relative to the mount point
+ */
+function auditAccess(targetType, { getTarget = TARGETS[targetType] } = {}) {
+    return (req, res, next) => {
+        if (req.method === 'OPTIONS') {
+            return next();
+        }
+
+        // Routers rewrite req.path while handling the request
+        const requestPath = req.path;
+
+        res.on('finish', () => {
+            const target = getTarget(req, requestPath, res);
+
+            try {
+                recordAuditEvent({
+                    action: actionFor(targetType, req, requestPath, target),
+                    actor: req.user || null,
+                    ip: req.ip,
+                    targetType,
+                    target,
+                    details: {
+                        method: req.method,
+                        path: req.originalUrl.split('?')[0],
+                        status: res.statusCode,
+                        // List filters (who searched for which plate or national ID)
+                        query: auditedQuery(req.query),
+                        // File opened through a signed URL (middleware/upload-access.js)
+                        signedUrl: req.query && req.query.signature !== undefined ? true : undefined
+                    }
+                });
+            } catch (error) {
+                console.error('❌ Audit log write failed:', error.message);
+            }
+        });
+
+        next();
+    };
+}
+
+module.exports = {
+    auditAccess
+};
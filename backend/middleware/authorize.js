@@ -0,0 +1,78 @@
+// Role-Based Access Control
+// Maps staff roles to permissions and guards routes with requirePermission()
+
+const ROLES = {
+    admin: 'Administrator',
+    reviewer: 'Claims reviewer',
+    agent: 'Call-center agent',
+    auditor: 'Auditor (read-only)'
+};
+
+// Permission → roles that hold it
+const PERMISSIONS = {
+    'tickets:read': ['admin', 'reviewer', 'agent', 'auditor'],
+    'tickets:create': ['admin', 'reviewer', 'agent'],
+    'tickets:update': ['admin', 'reviewer', 'agent'],
+    'tickets:status': ['admin', 'reviewer'],
+    'tickets:liability': ['admin', 'reviewer'],
+    'tickets:annotate': ['admin', 'reviewer', 'agent'],
+    'tickets:delete': ['admin'],
+    'tickets:legal_hold': ['admin'],
+    'pii:read': ['admin', 'reviewer', 'agent'],
+    'uploads:read': ['admin', 'reviewer', 'agent', 'auditor'],
+    'uploads:create': ['admin', 'reviewer', 'agent'],
+    'uploads:delete': ['admin'],
+    'search:read': ['admin', 'reviewer', 'agent', 'auditor'],
+    'users:manage': ['admin'],
+    'audit:read': ['admin', 'auditor'],
+    'retention:read': ['admin', 'auditor'],
+    'retention:purge': ['admin']
+};
+
+/**
+ * Check whether a role holds a permission
+ * @param {string} role - User role
+ * @param {string} permission - e.g. 'tickets:read'
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+    return (PERMISSIONS[permission] || []).includes(role);
+}
+
+/**
+ * List the permissions of a role (sent to the frontend with the user)
+ * @param {string} role - User role
+ * @returns {Array<string>}
+ */
+function getPermissions(role) {
+    return Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission));
+}
+
+/**
+ * Middleware: require every listed permission
+ * Use after verifyToken (needs req.user)
+ */
+function requirePermission(...permissions) {
+    return (req, res, next) => {
+        const role = req.user && req.user.role;
+        const missing = permissions.filter(permission => !hasPermission(role, permission));
+
+        if (missing.length > 0) {
+            return res.status(403).json({
+                success: false,
+                message: 'Insufficient permissions',
+                required: missing
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    hasPermission,
+    getPermissions,
+    requirePermission
+};
@@ -0,0 +1,29 @@
+// Ticket ID Parameter Validation
+// Handler for router.param('ticketId', ...): rejects malformed ticket IDs (wrong format or
+// check digit, see tickets/ticket-id.js) with 400 before any route runs, and replaces the
+// parameter with its normalized form (trimmed, uppercase, ASCII digits).
+
+const { normalizeTicketId, isValidTicketId } = require('../tickets/ticket-id');
+
+/**
+ * router.param / app.param callback
+ * @param {string} value - Raw parameter value
+ * @param {string} name - Parameter name
+ */
+function validateTicketIdParam(req, res, next, value, name) {
+    const ticketId = normalizeTicketId(value);
+
+    if (!isValidTicketId(ticketId)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid ticket ID'
+        });
+    }
+
+    req.params[name] = ticketId;
+    next();
+}
+
+module.exports = {
+    validateTicketIdParam
+};
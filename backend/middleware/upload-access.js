@@ -0,0 +1,199 @@
+// Upload Access Middleware
+// Uploaded documents (ID cards, licenses, accident photos) are only served to a signed-in
+// user with uploads:read (Bearer token) or through a short-lived signed URL. Signed URLs
+// are issued by GET /api/tickets/:ticketId, so links opened in a new tab or an <img> work
+// without an Authorization header.
+//
+// A signed URL is /uploads/<folder>/<file>?expires=<unix seconds>&uid=<user id>&signature=<hmac>.
+// The HMAC covers the path, the expiry and the user it was issued to, so a link cannot be
+// reused for another file and is audited under that user.
+//
+// Files are read from the upload storage (storage/index.js), which decrypts identity documents.
+
+const crypto = require('crypto');
+const path = require('path');
+const userStore = require('../database/user-store');
+const { isNotFound } = require('../storage/errors');
+const { verifyToken } = require('../routes/auth');
+const { requirePermission } = require('./authorize');
+
+// Both servers must share the key (falls back to JWT_SECRET, which routes/auth.js requires)
+const UPLOAD_URL_SECRET = process.env.UPLOAD_URL_SECRET || process.env.JWT_SECRET;
+
+// Lifetime of a signed URL in seconds
+const UPLOAD_URL_TTL = parseInt(process.env.UPLOAD_URL_TTL, 10) || 5 * 60;
+
+// /uploads/<folder>/<file>, with nothing in the name that needs quoting in a URL or HTML
+const UPLOAD_PATH_PATTERN = /^\/uploads\/[a-z_]+\/[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Whether a string is a well-formed upload path (as issued by the upload routes)
+ * @param {string} filePath - e.g. /uploads/id_cards/<uuid>-<timestamp>.jpg
+ * @returns {boolean}
+ */
+function isUploadPath(filePath) {
+    return typeof filePath === 'string' && UPLOAD_PATH_PATTERN.test(filePath);
+}
+
+function computeSignature(filePath, expires, userId) {
+    return crypto
+        .createHmac('sha256', UPLOAD_URL_SECRET)
+        .update(`upload-url:${filePath}:${expires}:${userId}`)
+        .digest('base64url');
+}
+
+/**
+ * Sign an upload path for a user
+ * @param {string} filePath - e.g. /uploads/id_cards/<file>.jpg (as stored in attachments.file_path)
+ * @param {Object} user - User the link is issued to ({ id })
+ * @returns {string|null} Path with expires, uid and signature query parameters (null for anything
+ *   that is not a well-formed upload path, see isUploadPath)
+ */
+function signUploadUrl(filePath, user) {
+    if (!isUploadPath(filePath)) {
+        return null;
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + UPLOAD_URL_TTL;
+    const signature = computeSignature(filePath, expires, user.id);
+    return `${filePath}?expires=${expires}&uid=${user.id}&signature=${signature}`;
+}
+
+/**
+ * Check a signed URL
+ * @param {string} filePath - Request path including /uploads
+ * @param {Object} query - { expires, uid, signature }
+ * @returns {string|null} null if valid, otherwise 'invalid_signature' | 'expired'
+ */
+function checkSignature(filePath, { expires, uid, signature }) {
+    if (!/^\d+$/.test(expires || '') || !/^\d+$/.test(uid || '') || typeof signature !== 'string') {
+        return 'invalid_signature';
+    }
+
+    const expected = Buffer.from(computeSignature(filePath, expires, uid));
+    const given = Buffer.from(signature);
+
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return 'invalid_signature';
+    }
+    if (parseInt(expires, 10) * 1000 < Date.now()) {
+        return 'expired';
+    }
+    return null;
+}
+
+const requireReadPermission = requirePermission('uploads:read');
+
+/**
+ * Middleware: allow a valid signed URL or a session with uploads:read
+ * Sets req.user in both cases, so the access is audited under that user.
+ */
+function requireUploadAccess(req, res, next) {
+    if (req.query.signature === undefined) {
+        return verifyToken(req, res, () => requireReadPermission(req, res, next));
+    }
+
+    const problem = checkSignature(req.baseUrl + req.path, req.query);
+
+    if (problem) {
+        return res.status(403).json({
+            success: false,
+            message: problem === 'expired'
+                ? 'Link has expired. Reopen the ticket for a new one'
+                : 'Invalid link signature'
+        });
+    }
+
+    // The issuing user must still exist, be enabled and hold uploads:read
+    const user = userStore.getUser(parseInt(req.query.uid, 10));
+
+    if (!user || user.disabled) {
+        return res.status(403).json({
+            success: false,
+            message: 'Link is no longer valid'
+        });
+    }
+
+    req.user = { id: user.id, username: user.username, role: user.role };
+    requireReadPermission(req, res, next);
+}
+
+const FILE_HEADERS = {
+    // Documents are personal data: keep them out of shared caches
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff'
+};
+
+/**
+ * Send an object from upload storage (decrypted if it is an identity document)
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} storage - Storage from storage/index.js
+ * @param {string} key - Storage key, e.g. id_cards/<name>.jpg
+ * @param {string} notFoundMessage - 404 message
+ */
+async function sendStoredFile(req, res, storage, key, notFoundMessage = 'File not found') {
+    let stored;
+    try {
+        stored = await storage.stream(key);
+    } catch (error) {
+        if (!isNotFound(error)) console.error(`❌ Cannot read ${key}:`, error.message);
+
+        return res.status(isNotFound(error) ? 404 : 500).json({
+            success: false,
+            message: isNotFound(error) ? notFoundMessage : 'Error reading file'
+        });
+    }
+
+    res.set(FILE_HEADERS);
+    res.type(path.extname(key) || 'application/octet-stream');
+    if (Number.isFinite(stored.size)) {
+        res.set('Content-Length', String(stored.size));
+    }
+
+    if (req.method === 'HEAD') {
+        stored.stream.destroy();
+        return res.end();
+    }
+
+    stored.stream.on('error', (error) => {
+        // Headers are already sent: cut the response so a damaged file is not taken as complete
+        console.error(`❌ Reading ${key} failed:`, error.message);
+        res.destroy(error);
+    });
+    stored.stream.pipe(res);
+}
+
+/**
+ * Handler: send a file below /uploads (after requireUploadAccess)
+ * The request path is the storage key; no directory listings or hidden files (storage/index.js).
+ * @param {Object} storage - Storage from storage/index.js
+ */
+function serveUploads(storage) {
+    return (req, res) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return res.status(405).json({
+                success: false,
+                message: 'Method not allowed'
+            });
+        }
+
+        let key;
+        try {
+            key = decodeURIComponent(req.path).replace(/^\/+/, '');
+        } catch (error) {
+            key = '';
+        }
+
+        sendStoredFile(req, res, storage, key);
+    };
+}
+
+module.exports = {
+    UPLOAD_URL_TTL,
+    isUploadPath,
+    signUploadUrl,
+    requireUploadAccess,
+    sendStoredFile,
+    serveUploads
+};
@@ -25,19 +25,19 @@ const computerVisionClient = key && endpoint
 
 /**
  * Extract text from image using Azure OCR
- * @param {string} imagePath - Path to the image file
+ * @param {string|Buffer} image - Path to the image file, or its contents (from upload storage)
  * @returns {Promise<Object>} OCR result with extracted text
  */
-async function extractTextFromImage(imagePath) {
+async function extractTextFromImage(image) {
     if (!computerVisionClient) {
         throw new Error('Azure Computer Vision client not initialized. Check your credentials.');
     }
 
     try {
-        console.log(`🔍 Processing OCR for image: ${imagePath}`);
+        console.log(`🔍 Processing OCR for image: ${Buffer.isBuffer(image) ? `${image.length} bytes` : image}`);
 
         // Read the image file
-        const imageStream = fs.createReadStream(imagePath);
+        const imageStream = Buffer.isBuffer(image) ? image : fs.createReadStream(image);
 
         // Call Azure Computer Vision Read API
         const readResult = await computerVisionClient.readInStream(imageStream);
@@ -88,13 +88,13 @@ async function extractTextFromImage(imagePath) {
 /**
  * Extract structured data from Saudi license plate and vehicle images
  * Parses OCR text to identify plate number and damage description
- * @param {string} imagePath - Path to the image file
+ * @param {string|Buffer} image - Path to the image file, or its contents
  * @returns {Promise<Object>} Structured data: { plate, damage }
  */
-async function extractVehicleData(imagePath) {
+async function extractVehicleData(image) {
     try {
         // Get OCR text from image
-        const ocrResult = await extractTextFromImage(imagePath);
+        const ocrResult = await extractTextFromImage(image);
 
         if (!ocrResult.success || !ocrResult.lines || ocrResult.lines.length === 0) {
             return {
@@ -0,0 +1,190 @@
+/**
+ * PII Redaction
+ * Finds Saudi national / iqama ID numbers, phone numbers, emails and plates in free text.
+ *
+ * - tokenize(): replaces each value with a placeholder such as [PHONE_1] before text is
+ *   sent to the LLM; the placeholder → value map (the vault) stays on the server
+ * - restore(): puts the values back in what the LLM returns (stored tickets keep them)
+ * - mask(): replaces values with [PHONE], [NATIONAL_ID], ... for the redacted transcript view
+ *
+ * Arabic-Indic digits (٠١٢ / ۰۱۲) are recognised as well as ASCII digits.
+ */
+
+const D = '[0-9\\u0660-\\u0669\\u06F0-\\u06F9]';
+const NOT_DIGIT_BEFORE = `(?<!${D})`;
+const NOT_DIGIT_AFTER = `(?!${D})`;
+const SEPARATOR = '[\\s-]?';
+
+// One given digit in any of the three scripts, e.g. digit(5) → [5٥۵]
+const digit = value => `[${value}\\u066${value}\\u06F${value}]`;
+const COUNTRY_CODE = `(?:\\+|${digit(0)}{2})${SEPARATOR}${digit(9)}${digit(6)}{2}${SEPARATOR}`;
+
+// Letters used on Saudi plates (Latin and Arabic forms)
+const PLATE_LATIN = '[ABDEGHJKLNRSTUVXZ]';
+const PLATE_ARABIC = '[اأبحدرسصطعقكلمنهوى]\\u0640?';
+
+// Checked in this order; earlier types win where matches overlap
+const PATTERNS = [
+    {
+        type: 'EMAIL',
+        regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+    },
+    {
+        // Mobile: 05XXXXXXXX, 5XXXXXXXX, +966 5X XXX XXXX (spaces or dashes allowed)
+        // Landline: 01X XXX XXXX, +966 1X XXX XXXX
+        // Other international numbers: +CC followed by 7-13 digits
+        type: 'PHONE',
+        regex: new RegExp(
+            `${NOT_DIGIT_BEFORE}(?:${COUNTRY_CODE}|${digit(0)})?${digit(5)}${D}(?:${SEPARATOR}${D}){7}${NOT_DIGIT_AFTER}` +
+            `|${NOT_DIGIT_BEFORE}(?:${COUNTRY_CODE}|${digit(0)})${digit(1)}${D}(?:${SEPARATOR}${D}){7}${NOT_DIGIT_AFTER}` +
+            `|\\+${D}{1,3}${SEPARATOR}${D}(?:${SEPARATOR}${D}){6,12}${NOT_DIGIT_AFTER}`,
+            'g'
+        )
+    },
+    {
+        // National ID starts with 1, iqama (resident ID) with 2; 10 digits
+        type: 'NATIONAL_ID',
+        regex: new RegExp(`${NOT_DIGIT_BEFORE}(?:${digit(1)}|${digit(2)})${D}{9}${NOT_DIGIT_AFTER}`, 'g')
+    },
+    {
+        // ABC 1234, 1234 ABC, أ ب ح ١٢٣٤ (Arabic letters must be spaced, so ordinary words do not match)
+        type: 'PLATE',
+        regex: new RegExp(
+            `(?<![\\p{L}\\p{N}])${PLATE_LATIN}{3}${SEPARATOR}${D}{1,4}(?![\\p{L}\\p{N}])` +
+            `|(?<![\\p{L}\\p{N}])${D}{1,4}${SEPARATOR}${PLATE_LATIN}{3}(?![\\p{L}\\p{N}])` +
+            `|(?<![\\p{L}\\p{N}])${PLATE_ARABIC}(?:\\s+${PLATE_ARABIC}){2}\\s*-?\\s*${D}{1,4}(?![\\p{L}\\p{N}])` +
+            `|(?<![\\p{L}\\p{N}])${D}{1,4}\\s*-?\\s*${PLATE_ARABIC}(?:\\s+${PLATE_ARABIC}){2}(?![\\p{L}\\p{N}])`,
+            'gu'
+        )
+    }
+];
+
+const TYPES = PATTERNS.map(pattern => pattern.type);
+
+const TOKEN_PATTERN = new RegExp(`\\[(${TYPES.join('|')})_(\\d+)\\]`, 'g');
+
+/**
+ * Find PII in text
+ * @param {string} text
+ * @returns {Array} [{ type, start, end, value }] sorted by position, without overlaps
+ */
+function findPii(text) {
+    const found = [];
+
+    for (const { type, regex } of PATTERNS) {
+        regex.lastIndex = 0;
+        for (const match of text.matchAll(regex)) {
+            const start = match.index;
+            const end = start + match[0].length;
+
+            if (!found.some(other => start < other.end && end > other.start)) {
+                found.push({ type, start, end, value: match[0] });
+            }
+        }
+    }
+
+    return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Replace every PII value in text
+ * @param {Function} replacement - ({ type, value }) → replacement text
+ */
+function replacePii(text, replacement) {
+    if (typeof text !== 'string' || text.length === 0) return text;
+
+    let result = '';
+    let position = 0;
+    for (const item of findPii(text)) {
+        result += text.slice(position, item.start) + replacement(item);
+        position = item.end;
+    }
+    return result + text.slice(position);
+}
+
+/**
+ * Convert Arabic-Indic and Persian digits to 0-9
+ * @param {string} text
+ * @returns {string}
+ */
+function toAsciiDigits(text) {
+    return text
+        .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+        .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0));
+}
+
+/**
+ * Compare values regardless of spacing, dashes, case and digit script
+ */
+function normalizeValue(value) {
+    return toAsciiDigits(value)
+        .replace(/[\s\-ـ]/g, '')
+        .toLowerCase();
+}
+
+/**
+ * Replace PII with placeholders, adding new values to the vault
+ * The same value gets the same placeholder every time it appears in a session.
+ * @param {string} text
+ * @param {Object} vault - { '[PHONE_1]': '0551234567', ... } (mutated)
+ * @returns {string} Text safe to send to the LLM
+ */
+function tokenize(text, vault) {
+    return replacePii(text, ({ type, value }) => {
+        const normalized = normalizeValue(value);
+        const existing = Object.keys(vault).find(token => token.startsWith(`[${type}_`) && normalizeValue(vault[token]) === normalized);
+        if (existing) return existing;
+
+        const count = Object.keys(vault).filter(token => token.startsWith(`[${type}_`)).length;
+        const token = `[${type}_${count + 1}]`;
+        vault[token] = value;
+        return token;
+    });
+}
+
+/**
+ * Put the original values back in place of placeholders (unknown placeholders are kept)
+ * @param {*} value - String, or an object/array whose strings are restored
+ * @param {Object} vault - From tokenize
+ */
+function restore(value, vault) {
+    if (typeof value === 'string') {
+        return value.replace(TOKEN_PATTERN, token => (Object.prototype.hasOwnProperty.call(vault, token) ? vault[token] : token));
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => restore(item, vault));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restore(item, vault)]));
+    }
+    return value;
+}
+
+/**
+ * Replace PII with its type, e.g. [PHONE] (redacted view)
+ * @param {string} text
+ * @returns {string}
+ */
+function mask(text) {
+    return replacePii(text, ({ type }) => `[${type}]`);
+}
+
+/**
+ * Whether a search query could look a person up: it contains PII, or a run of digits
+ * that could be the start of a phone, ID or plate number (search matches word prefixes)
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isPiiQuery(text) {
+    return typeof text === 'string' && (findPii(text).length > 0 || /\p{Nd}{3,}/u.test(text));
+}
+
+module.exports = {
+    TYPES,
+    findPii,
+    isPiiQuery,
+    toAsciiDigits,
+    tokenize,
+    restore,
+    mask
+};
@@ -0,0 +1,431 @@
+// Retention Purge Job
+// Deletes artifacts that are past their retention period (retention/retention-policy.js):
+// audio and leftover uploads by age, documents, photos and transcripts once their ticket
+// has been closed or rejected long enough. Tickets under legal hold are skipped; the hold
+// is checked again in the transaction that deletes the rows (ticketStore.assertNotHeld), so
+// a hold placed while a run is in progress is respected.
+//
+// Every deleted artifact gets a retention.purge entry in the audit log, and every run
+// (dry runs included) a retention.run / retention.dry_run summary entry.
+const path = require('path');
+const db = require('../database/db');
+const ticketStore = require('../database/ticket-store');
+const statusWorkflow = require('../tickets/status-workflow');
+const { getStorage, getConversationStorage } = require('../storage');
+const { isNotFound } = require('../storage/errors');
+const { recordAuditEvent } = require('../audit/audit-log');
+const { loadPolicy } = require('./retention-policy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// First scheduled run shortly after startup, then every RETENTION_PURGE_INTERVAL_HOURS
+const STARTUP_DELAY_MS = 60 * 1000;
+
+// Folders written by server/server.js POST /upload
+const TICKET_UPLOAD_FOLDERS = ['accident_photos', 'id_cards', 'driving_licenses', 'vehicle_registrations'];
+
+const DOCUMENT_TYPES = ['id_card', 'driving_license', 'vehicle_registration'];
+
+let running = null;
+let lastRun = null;
+
+/**
+ * Convert a date to SQLite's CURRENT_TIMESTAMP format (UTC)
+ */
+function toSqlTimestamp(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Convert a SQLite timestamp to ISO 8601
+ */
+function toIsoTimestamp(value) {
+    return value.includes('T') ? value : `${value.replace(' ', 'T')}Z`;
+}
+
+/**
+ * Storage key of an attachment (file_path is /uploads/<key>)
+ */
+function attachmentKey(filePath) {
+    return String(filePath).replace(/^.*?\/?uploads\//, '');
+}
+
+/**
+ * Delete an object; a missing object or a key the storage rejects counts as already gone
+ */
+async function deleteObject(storage, key) {
+    try {
+        return await storage.delete(key);
+    } catch (error) {
+        if (isNotFound(error)) return false;
+        throw error;
+    }
+}
+
+/**
+ * Delete the rows of an artifact unless its ticket is (now) held; the object itself is
+ * deleted afterwards, so a failure there leaves an unattached upload for a later run
+ * @throws {Error} code LEGAL_HOLD
+ */
+const deleteRows = db.transaction((ticketIds, remove) => {
+    for (const ticketId of ticketIds) {
+        if (ticketId) ticketStore.assertNotHeld(ticketId);
+    }
+    remove();
+});
+
+/**
+ * Objects below a prefix last written before the cutoff
+ */
+async function objectsOlderThan(storage, prefix, cutoff) {
+    return (await storage.list(prefix)).filter(object => object.lastModified < cutoff);
+}
+
+/**
+ * Closed and rejected tickets whose final status was set before the cutoff
+ * @returns {Array} [{ ticket_id, legal_hold, closed_at }]
+ */
+function ticketsClosedBefore(cutoff) {
+    const finalStatuses = statusWorkflow.STATUSES.filter(status => statusWorkflow.getAllowedTransitions(status).length === 0);
+    const placeholders = finalStatuses.map(() => '?').join(', ');
+
+    return db.prepare(`
+        SELECT t.ticket_id, t.legal_hold, COALESCE(MAX(h.created_at), t.updated_at) AS closed_at
+        FROM tickets t
+        LEFT JOIN ticket_status_history h ON h.ticket_id = t.ticket_id AND h.to_status = t.status
+        WHERE t.status IN (${placeholders})
+        GROUP BY t.ticket_id
+        HAVING closed_at < ?
+    `).all(...finalStatuses, toSqlTimestamp(cutoff));
+}
+
+/**
+ * Attachments of the given types on tickets closed before the cutoff
+ */
+function attachmentCandidates(types, cutoff) {
+    const stmt = db.prepare(`
+        SELECT id, file_path FROM attachments
+        WHERE ticket_id = ? AND attachment_type IN (${types.map(() => '?').join(', ')})
+    `);
+    const candidates = [];
+
+    for (const ticket of ticketsClosedBefore(cutoff)) {
+        for (const row of stmt.all(ticket.ticket_id, ...types)) {
+            const key = attachmentKey(row.file_path);
+
+            candidates.push({
+                targetType: 'file',
+                target: key,
+                ticketId: ticket.ticket_id,
+                since: toIsoTimestamp(ticket.closed_at),
+                legalHold: !!ticket.legal_hold,
+                purge: async () => {
+                    deleteRows([ticket.ticket_id], () => {
+                        db.prepare('DELETE FROM attachments WHERE id = ?').run(row.id);
+                    });
+                    await deleteObject(getConversationStorage(), key);
+                }
+            });
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Candidate finders per rule: (cutoff) → [{ targetType, target, ticketId, since, legalHold, purge }]
+ */
+const CANDIDATES = {
+    async audio(cutoff) {
+        const storage = getStorage();
+        const rowsFor = db.prepare(`
+            SELECT a.ticket_id, t.legal_hold FROM audio_files a
+            LEFT JOIN tickets t ON t.ticket_id = a.ticket_id
+            WHERE a.file_path = ?
+        `);
+
+        return (await objectsOlderThan(storage, 'audio/', cutoff)).map(object => {
+            const filename = path.posix.basename(object.key);
+            const rows = rowsFor.all(filename);
+
+            return {
+                targetType: 'file',
+                target: object.key,
+                ticketId: rows.length > 0 ? rows[0].ticket_id : null,
+                since: object.lastModified.toISOString(),
+                legalHold: rows.some(row => row.legal_hold),
+                purge: async () => {
+                    // The transcription stays; only the recording goes
+                    deleteRows(rowsFor.all(filename).map(row => row.ticket_id), () => {
+                        db.prepare('DELETE FROM audio_files WHERE file_path = ?').run(filename);
+                        db.prepare('UPDATE conversations SET audio_path = NULL WHERE audio_path = ?').run(filename);
+                    });
+                    await deleteObject(storage, object.key);
+                }
+            };
+        });
+    },
+
+    async temp_audio(cutoff) {
+        const storage = getConversationStorage();
+
+        return (await objectsOlderThan(storage, 'temp_audio/', cutoff)).map(object => ({
+            targetType: 'file',
+            target: object.key,
+            ticketId: null,
+            since: object.lastModified.toISOString(),
+            legalHold: false,
+            purge: () => deleteObject(storage, object.key)
+        }));
+    },
+
+    async unattached_uploads(cutoff) {
+        const isAttached = db.prepare('SELECT 1 FROM attachments WHERE filename = ? LIMIT 1');
+        const sources = [
+            ...TICKET_UPLOAD_FOLDERS.map(folder => ({ storage: getConversationStorage(), prefix: `${folder}/` })),
+            // OCR images (routes/ocr.js) are never attached to a ticket
+            { storage: getStorage(), prefix: 'images/' }
+        ];
+        const candidates = [];
+
+        for (const { storage, prefix } of sources) {
+            for (const object of await objectsOlderThan(storage, prefix, cutoff)) {
+                if (isAttached.get(path.posix.basename(object.key))) continue;
+
+                candidates.push({
+                    targetType: 'file',
+                    target: object.key,
+                    ticketId: null,
+                    since: object.lastModified.toISOString(),
+                    legalHold: false,
+                    purge: () => deleteObject(storage, object.key)
+                });
+            }
+        }
+        return candidates;
+    },
+
+    async id_documents(cutoff) {
+        return attachmentCandidates(DOCUMENT_TYPES, cutoff);
+    },
+
+    async accident_photos(cutoff) {
+        return attachmentCandidates(['accident_photos'], cutoff);
+    },
+
+    async transcripts(cutoff) {
+        const countMessages = db.prepare('SELECT COUNT(*) AS count FROM conversations WHERE ticket_id = ?');
+
+        return ticketsClosedBefore(cutoff)
+            .filter(ticket => countMessages.get(ticket.ticket_id).count > 0)
+            .map(ticket => ({
+                targetType: 'ticket',
+                target: ticket.ticket_id,
+                ticketId: ticket.ticket_id,
+                since: toIsoTimestamp(ticket.closed_at),
+                legalHold: !!ticket.legal_hold,
+                purge: async () => {
+                    deleteRows([ticket.ticket_id], () => {
+                        db.prepare('DELETE FROM conversations WHERE ticket_id = ?').run(ticket.ticket_id);
+                    });
+                }
+            }));
+    }
+};
+
+function recordSafely(event) {
+    try {
+        recordAuditEvent(event);
+    } catch (error) {
+        console.error('❌ Audit log write failed:', error.message);
+    }
+}
+
+async function purge({ dryRun, actor, ip, now }) {
+    const policy = loadPolicy();
+    const report = {
+        dryRun,
+        startedAt: now.toISOString(),
+        finishedAt: null,
+        rules: policy,
+        summary: {},
+        items: []
+    };
+
+    for (const rule of policy) {
+        const counts = report.summary[rule.name] = { expired: 0, purged: 0, held: 0, failed: 0 };
+        if (rule.days === null) continue;
+
+        const cutoff = new Date(now.getTime() - rule.days * DAY_MS);
+        let candidates;
+
+        try {
+            candidates = await CANDIDATES[rule.name](cutoff);
+        } catch (error) {
+            counts.failed++;
+            report.items.push({ rule: rule.name, result: 'failed', error: error.message });
+            console.error(`❌ Retention rule ${rule.name} failed:`, error.message);
+            continue;
+        }
+
+        for (const candidate of candidates) {
+            const item = {
+                rule: rule.name,
+                targetType: candidate.targetType,
+                target: candidate.target,
+                ticketId: candidate.ticketId,
+                since: candidate.since
+            };
+
+            if (candidate.legalHold) {
+                item.result = 'held';
+                counts.held++;
+            } else if (dryRun) {
+                item.result = 'expired';
+                counts.expired++;
+            } else {
+                counts.expired++;
+                try {
+                    await candidate.purge();
+                    item.result = 'purged';
+                    counts.purged++;
+
+                    recordSafely({
+                        action: 'retention.purge',
+                        actor,
+                        ip,
+                        targetType: candidate.targetType,
+                        target: candidate.target,
+                        details: { rule: rule.name, retentionDays: rule.days, ticketId: candidate.ticketId, since: candidate.since }
+                    });
+                } catch (error) {
+                    if (error.code === 'LEGAL_HOLD') {
+                        // Held after the candidates were listed
+                        counts.expired--;
+                        item.result = 'held';
+                        counts.held++;
+                    } else {
+                        item.result = 'failed';
+                        item.error = error.message;
+                        counts.failed++;
+                    }
+                }
+            }
+
+            report.items.push(item);
+        }
+    }
+
+    report.finishedAt = new Date().toISOString();
+
+    recordSafely({
+        action: dryRun ? 'retention.dry_run' : 'retention.run',
+        actor,
+        ip,
+        details: { summary: report.summary }
+    });
+
+    return report;
+}
+
+/**
+ * Check whether a purge is in progress
+ */
+function isRunning() {
+    return running !== null;
+}
+
+/**
+ * Apply the retention policy
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report what would be purged
+ * @param {Object} options.actor - User who started the run ({ id, username }); null for scheduled runs
+ * @param {string} options.ip - Client IP (API runs)
+ * @param {Date} options.now - Reference time (default: now)
+ * @returns {Promise<Object>} { dryRun, startedAt, finishedAt, rules, summary, items }
+ *   item.result: 'purged' | 'expired' (dry run) | 'held' (legal hold) | 'failed'
+ * @throws {Error} If a purge is already running or the policy is invalid
+ */
+function runPurge({ dryRun = false, actor = null, ip = null, now = new Date() } = {}) {
+    if (running) {
+        return Promise.reject(new Error('A retention purge is already running'));
+    }
+
+    running = purge({ dryRun, actor, ip, now })
+        .then(report => {
+            lastRun = {
+                dryRun: report.dryRun,
+                startedAt: report.startedAt,
+                finishedAt: report.finishedAt,
+                summary: report.summary
+            };
+            return report;
+        })
+        .finally(() => {
+            running = null;
+        });
+
+    return running;
+}
+
+/**
+ * Summary of the last run in this process (null before the first run)
+ */
+function getLastRun() {
+    return lastRun;
+}
+
+/**
+ * Totals across rules, e.g. "3 purged, 1 held, 0 failed"
+ */
+function formatSummary(summary, dryRun) {
+    const totals = { expired: 0, purged: 0, held: 0, failed: 0 };
+    for (const counts of Object.values(summary)) {
+        for (const key of Object.keys(totals)) totals[key] += counts[key];
+    }
+    return dryRun
+        ? `${totals.expired} expired, ${totals.held} held, ${totals.failed} failed`
+        : `${totals.purged} purged, ${totals.held} held, ${totals.failed} failed`;
+}
+
+/**
+ * Schedule purges in this process (RETENTION_PURGE_INTERVAL_HOURS, 0 to disable)
+ * RETENTION_PURGE_DRY_RUN=true makes scheduled runs report only.
+ * @throws {Error} If a RETENTION_*_DAYS value is invalid
+ */
+function startSchedule() {
+    const intervalValue = process.env.RETENTION_PURGE_INTERVAL_HOURS;
+    const hours = intervalValue === undefined || intervalValue === '' ? 24 : parseFloat(intervalValue);
+
+    if (!(hours > 0)) {
+        console.log('🗑️ Retention purge: not scheduled');
+        return;
+    }
+
+    // Fail at startup rather than at the first run
+    loadPolicy();
+
+    const dryRun = process.env.RETENTION_PURGE_DRY_RUN === 'true';
+    const run = async () => {
+        if (isRunning()) return;
+        try {
+            const report = await runPurge({ dryRun });
+            console.log(`🗑️ Retention purge${dryRun ? ' (dry run)' : ''}: ${formatSummary(report.summary, dryRun)}`);
+        } catch (error) {
+            console.error('❌ Retention purge failed:', error.message);
+        }
+    };
+
+    setTimeout(run, STARTUP_DELAY_MS).unref();
+    setInterval(run, hours * HOUR_MS).unref();
+
+    console.log(`🗑️ Retention purge: every ${hours}h${dryRun ? ' (dry run)' : ''}`);
+}
+
+module.exports = {
+    runPurge,
+    isRunning,
+    getLastRun,
+    formatSummary,
+    startSchedule
+};
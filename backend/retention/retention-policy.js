@@ -0,0 +1,89 @@
+// Retention Policy
+// How long each kind of artifact is kept, configurable per type in .env
+//
+// RETENTION_<TYPE>_DAYS is a number of days, or "forever" to keep that type indefinitely.
+// Ages count from the upload ("upload") or from the day the ticket was closed or
+// rejected ("closure"). Tickets under legal hold are never purged (retention/purge-job.js).
+
+const RULES = [
+    {
+        name: 'audio',
+        env: 'RETENTION_AUDIO_DAYS',
+        defaultDays: 30,
+        from: 'upload',
+        description: 'Raw audio recordings (uploads/audio)'
+    },
+    {
+        name: 'temp_audio',
+        env: 'RETENTION_TEMP_AUDIO_DAYS',
+        defaultDays: 1,
+        from: 'upload',
+        description: 'Leftover speech-to-text audio (server/uploads/temp_audio)'
+    },
+    {
+        name: 'unattached_uploads',
+        env: 'RETENTION_UNATTACHED_UPLOADS_DAYS',
+        defaultDays: 30,
+        from: 'upload',
+        description: 'Photos and documents never attached to a ticket, and OCR images'
+    },
+    {
+        name: 'id_documents',
+        env: 'RETENTION_ID_DOCUMENTS_DAYS',
+        defaultDays: 365,
+        from: 'closure',
+        description: 'ID cards, driving licenses and vehicle registrations'
+    },
+    {
+        name: 'accident_photos',
+        env: 'RETENTION_ACCIDENT_PHOTOS_DAYS',
+        defaultDays: null,
+        from: 'closure',
+        description: 'Accident photos'
+    },
+    {
+        name: 'transcripts',
+        env: 'RETENTION_TRANSCRIPTS_DAYS',
+        defaultDays: null,
+        from: 'closure',
+        description: 'Conversation transcripts'
+    }
+];
+
+const FOREVER = ['forever', 'never', 'keep'];
+
+/**
+ * Parse a RETENTION_*_DAYS value
+ * @returns {number|null} Days, or null to keep forever
+ * @throws {Error} On anything else (a typo must not purge data)
+ */
+function parseDays(name, value, defaultDays) {
+    if (value === undefined || value.trim() === '') return defaultDays;
+
+    const normalized = value.trim().toLowerCase();
+    if (FOREVER.includes(normalized)) return null;
+
+    if (!/^\d+$/.test(normalized)) {
+        throw new Error(`Invalid ${name}: "${value}" (expected a number of days or "forever")`);
+    }
+    return parseInt(normalized, 10);
+}
+
+/**
+ * Load the retention rules from the environment
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Array} [{ name, days, from, description }] - days is null for "keep forever"
+ */
+function loadPolicy(env = process.env) {
+    return RULES.map(rule => ({
+        name: rule.name,
+        days: parseDays(rule.env, env[rule.env], rule.defaultDays),
+        from: rule.from,
+        description: rule.description
+    }));
+}
+
+module.exports = {
+    RULES,
+    loadPolicy
+};
@@ -0,0 +1,128 @@
+// Audit Log Routes (admins and auditors)
+const express = require('express');
+const router = express.Router();
+const auditLog = require('../audit/audit-log');
+const { verifyToken } = require('./auth');
+const { requirePermission } = require('../middleware/authorize');
+
+router.use(verifyToken, requirePermission('audit:read'));
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/;
+
+/**
+ * Quote a CSV field; values that spreadsheets would run as formulas get a leading '
+ */
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exclusive upper bound for `to`: a bare date includes that whole day
+ */
+function endOfRange(to) {
+    if (to.length !== 10) return to;
+
+    const next = new Date(`${to}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return next.toISOString().slice(0, 10);
+}
+
+/**
+ * GET /api/audit/verify
+ * Recompute the hash chain
+ *
+ * Response: { valid, checked, lastHash, brokenAt: { id, reason } | null }
+ * Keep lastHash outside the server (e.g. in the daily report): entries removed from the
+ * end of the chain can only be detected against an earlier copy of it.
+ */
+router.get('/verify', (req, res) => {
+    try {
+        const result = auditLog.verifyChain();
+
+        if (!result.valid) {
+            console.error(`🚨 Audit log chain broken at entry ${result.brokenAt.id} (${result.brokenAt.reason})`);
+        }
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        console.error('Audit verify error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying audit log'
+        });
+    }
+});
+
+/**
+ * GET /api/audit/export
+ * Download entries as CSV (oldest first)
+ *
+ * Query (all optional):
+ * - from, to: YYYY-MM-DD or ISO timestamp (UTC); a bare `to` date includes that day
+ * - action: e.g. ticket.read
+ * - targetType: ticket | file
+ * - target: ticket ID or file path
+ * - actor: username
+ */
+router.get('/export', (req, res) => {
+    const { from, to, action, targetType, target, actor } = req.query;
+
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+        return res.status(400).json({
+            success: false,
+            message: 'from and to must be YYYY-MM-DD or ISO timestamps'
+        });
+    }
+
+    try {
+        const entries = auditLog.iterateEntries({
+            from,
+            to: to ? endOfRange(to) : undefined,
+            action,
+            targetType,
+            target,
+            actor
+        });
+
+        const filename = `audit-log-${from || 'start'}-${to || 'now'}.csv`.replace(/[^\w.-]/g, '_');
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+        // BOM so Excel opens Arabic usernames correctly
+        res.write('\uFEFF' + auditLog.EXPORT_COLUMNS.join(',') + '\n');
+        for (const entry of entries) {
+            res.write(auditLog.EXPORT_COLUMNS.map(column => csvField(entry[column])).join(',') + '\n');
+        }
+        res.end();
+
+        // Exports are audited too (after the loop: the connection is busy while iterating)
+        auditLog.recordAuditEvent({
+            action: 'audit.export',
+            actor: req.user,
+            ip: req.ip,
+            details: { from, to, action, targetType, target, actor }
+        });
+
+        console.log(`📤 Audit log exported by ${req.user.username} (${from || 'start'} → ${to || 'now'})`);
+    } catch (error) {
+        console.error('Audit export error:', error);
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error exporting audit log'
+        });
+    }
+});
+
+module.exports = router;
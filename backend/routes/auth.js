@@ -1,16 +1,167 @@
 // Authentication Routes
+// Short-lived JWT access tokens + rotating refresh tokens (database/session-store.js)
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const db = require('../database/db');
+const userStore = require('../database/user-store');
+const sessionStore = require('../database/session-store');
+const loginThrottle = require('../users/login-throttle');
+const twoFactor = require('../users/two-factor');
+const { recordAuditEvent } = require('../audit/audit-log');
+const { getPermissions } = require('../middleware/authorize');
 
-// JWT Secret from environment
-const JWT_SECRET = process.env.JWT_SECRET || 'supersecret';
+// JWT Secret from environment (no fallback: a guessable secret lets anyone mint tokens)
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET is not set. Add a long random value to backend/.env');
+}
+
+// Token lifetimes in seconds
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 7 * 24 * 60 * 60;
+
+/**
+ * Sign an access token for a session
+ */
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            sid: sessionId
+        },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
+/**
+ * Token fields shared by the login and refresh responses
+ */
+function tokenResponse(user, sessionId, refreshToken) {
+    return {
+        token: signAccessToken(user, sessionId),
+        expiresIn: ACCESS_TOKEN_TTL,
+        refreshToken
+    };
+}
+
+// Lifetime of the challenge between the password step and the 2FA code step (seconds)
+const TWO_FACTOR_CHALLENGE_TTL = 5 * 60;
+
+/**
+ * Reserve a login attempt before any password or code is checked, or send 429 if the
+ * username or IP is backing off or locked out (users/login-throttle.js)
+ * @returns {Promise<boolean>} true if the attempt may proceed, false if a response was sent
+ */
+async function beginLoginAttempt(req, res, username) {
+    const throttle = await loginThrottle.beginAttempt(username, req.ip);
+
+    if (throttle.allowed) {
+        return true;
+    }
+
+    const retryAfter = Math.ceil(throttle.retryAfterMs / 1000);
+
+    recordAuditEvent({
+        action: 'auth.login_failed',
+        ip: req.ip,
+        target: username,
+        details: { reason: throttle.locked ? 'locked' : 'backoff', scope: throttle.scope, retryAfter }
+    });
+
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+        success: false,
+        message: throttle.locked
+            ? 'Too many failed login attempts. Login is temporarily locked'
+            : 'Too many login attempts. Please wait before trying again',
+        retryAfter
+    });
+    return false;
+}
+
+/**
+ * Count the failed attempt from beginLoginAttempt, write the audit entries and send 401
+ * @param {Object} failure
+ * @param {string} failure.username - Attempted username
+ * @param {string} failure.reason - 'unknown_user' | 'invalid_password' | 'invalid_2fa_code'
+ * @param {Object} failure.user - Users row when the account exists
+ * @param {string} failure.message - Response message
+ */
+async function rejectLogin(req, res, { username, reason, user = null, message = 'Invalid username or password' }) {
+    const attempt = await loginThrottle.recordFailure(username, req.ip);
+
+    if (user) {
+        userStore.recordLoginFailure(user.id);
+    }
+
+    recordAuditEvent({
+        action: 'auth.login_failed',
+        ip: req.ip,
+        target: username,
+        details: { reason, failures: attempt.failures }
+    });
+
+    if (attempt.userLocked || attempt.ipLocked) {
+        const scope = attempt.userLocked ? 'user' : 'ip';
+        console.warn(`🔒 Login locked (${scope}): ${scope === 'user' ? username : req.ip}`);
+        recordAuditEvent({
+            action: 'auth.lockout',
+            ip: req.ip,
+            target: username,
+            details: { scope, minutes: loginThrottle.LOCKOUT_MS / 60000 }
+        });
+    }
+
+    return res.status(401).json({
+        success: false,
+        message
+    });
+}
+
+/**
+ * Start a session for a fully authenticated user and send the login response
+ */
+async function completeLogin(req, res, user) {
+    // Update last login and reset failed attempts
+    userStore.recordLoginSuccess(user.id);
+    await loginThrottle.recordSuccess(user.username, req.ip);
+
+    // One session per login (device)
+    sessionStore.purgeSessions();
+    const { sessionId, refreshToken } = sessionStore.createSession(user.id, {
+        ttlSeconds: REFRESH_TOKEN_TTL,
+        userAgent: req.headers['user-agent'] || null,
+        ipAddress: req.ip
+    });
+
+    // Return success
+    res.json({
+        success: true,
+        message: 'Login successful',
+        ...tokenResponse(user, sessionId, refreshToken),
+        user: {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            permissions: getPermissions(user.role),
+            loginTime: new Date().toISOString()
+        }
+    });
+}
 
 /**
  * POST /api/auth/login
  * Login with username and password
+ *
+ * Throttled per username and per IP (users/login-throttle.js): 429 with
+ * Retry-After while backing off or locked out.
+ *
+ * Accounts with 2FA enabled get { twoFactorRequired: true, challengeToken }
+ * instead of tokens; finish with POST /api/auth/login/2fa.
  */
 router.post('/login', async (req, res) => {
     try {
@@ -24,58 +175,187 @@ router.post('/login', async (req, res) => {
             });
         }
 
+        // Brute-force protection (reserved before any password comparison)
+        if (!await beginLoginAttempt(req, res, username)) return;
+
         // Find user
-        const user = db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+        const user = userStore.getUserRecord(username);
 
         if (!user) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid username or password'
-            });
+            return rejectLogin(req, res, { username, reason: 'unknown_user' });
         }
 
         // Verify password
         const isValidPassword = await bcrypt.compare(password, user.password_hash);
 
         if (!isValidPassword) {
+            return rejectLogin(req, res, { username, reason: 'invalid_password', user });
+        }
+
+        if (user.disabled) {
+            await loginThrottle.recordFailure(username, req.ip);
+            recordAuditEvent({
+                action: 'auth.login_failed',
+                ip: req.ip,
+                target: username,
+                details: { reason: 'account_disabled' }
+            });
+            return res.status(403).json({
+                success: false,
+                message: 'Account is disabled'
+            });
+        }
+
+        if (user.totp_enabled) {
+            // Password accepted: release the attempt without adding backoff before the
+            // code step; the counters are only cleared once the code is accepted
+            await loginThrottle.releaseAttempt(username, req.ip);
+            const challengeToken = jwt.sign(
+                { sub: String(user.id), purpose: '2fa' },
+                JWT_SECRET,
+                { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+            );
+
+            return res.json({
+                success: true,
+                message: 'Verification code required',
+                twoFactorRequired: true,
+                challengeToken,
+                expiresIn: TWO_FACTOR_CHALLENGE_TTL
+            });
+        }
+
+        await completeLogin(req, res, user);
+
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step for accounts with 2FA enabled
+ *
+ * Body: { challengeToken, code } - code from the authenticator app, or a recovery code
+ */
+router.post('/login/2fa', async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+
+        if (!challengeToken || !code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Challenge token and verification code are required'
+            });
+        }
+
+        let challenge;
+        try {
+            challenge = jwt.verify(challengeToken, JWT_SECRET);
+        } catch (error) {
+            challenge = null;
+        }
+
+        const user = challenge && challenge.purpose === '2fa' ? userStore.getUserRecordById(challenge.sub) : null;
+
+        if (!user || user.disabled || !user.totp_enabled) {
             return res.status(401).json({
                 success: false,
-                message: 'Invalid username or password'
+                message: 'Login challenge has expired. Please log in again'
             });
         }
 
-        // Update last login
-        db.prepare('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
+        if (!await beginLoginAttempt(req, res, user.username)) return;
 
-        // Generate JWT token
-        const token = jwt.sign(
-            {
-                id: user.id,
+        const method = twoFactor.verifySecondFactor(user, code);
+
+        if (!method) {
+            return rejectLogin(req, res, {
                 username: user.username,
-                role: user.role
-            },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+                reason: 'invalid_2fa_code',
+                user,
+                message: 'Invalid verification code'
+            });
+        }
+
+        if (method === 'recovery_code') {
+            recordAuditEvent({
+                action: 'auth.2fa_recovery_code_used',
+                actor: user,
+                ip: req.ip,
+                target: user.username,
+                details: { remaining: userStore.countRecoveryCodes(user.id) }
+            });
+        }
+
+        await completeLogin(req, res, user);
+
+    } catch (error) {
+        console.error('2FA login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ *
+ * Body: { refreshToken }
+ */
+router.post('/refresh', (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+
+        const result = sessionStore.rotateRefreshToken(refreshToken);
+
+        if (result.error === 'rotated') {
+            // Another tab refreshed first; the client should use the token it stored
+            return res.status(409).json({
+                success: false,
+                message: 'Refresh token was already used'
+            });
+        }
+
+        if (result.error) {
+            if (result.error === 'reused') {
+                console.warn('⚠️  Refresh token reuse detected - session revoked');
+            }
+            return res.status(401).json({
+                success: false,
+                message: 'Session has expired or was revoked'
+            });
+        }
+
+        const { session } = result;
+        const user = { id: session.user_id, username: session.username, role: session.role };
 
-        // Return success
         res.json({
             success: true,
-            message: 'Login successful',
-            token,
+            ...tokenResponse(user, session.id, result.refreshToken),
             user: {
-                id: user.id,
-                username: user.username,
-                role: user.role,
-                loginTime: new Date().toISOString()
+                ...user,
+                permissions: getPermissions(user.role)
             }
         });
-
     } catch (error) {
-        console.error('Login error:', error);
+        console.error('Refresh error:', error);
         res.status(500).json({
             success: false,
-            message: 'Server error during login'
+            message: 'Server error during token refresh'
         });
     }
 });
@@ -87,23 +367,89 @@ router.post('/login', async (req, res) => {
 router.get('/verify', verifyToken, (req, res) => {
     res.json({
         success: true,
-        user: req.user
+        user: {
+            id: req.user.id,
+            username: req.user.username,
+            role: req.user.role,
+            permissions: getPermissions(req.user.role),
+            exp: req.user.exp
+        }
     });
 });
 
 /**
  * POST /api/auth/logout
- * Logout (client-side token removal)
+ * Revoke the current session
+ *
+ * Uses the access token's session, or the refresh token in the body
+ * when the access token has already expired.
  */
 router.post('/logout', (req, res) => {
-    res.json({
-        success: true,
-        message: 'Logout successful'
-    });
+    try {
+        const decoded = decodeAccessToken(req, { ignoreExpiration: true });
+        const sessionId = (decoded && decoded.sid)
+            || (req.body && req.body.refreshToken && sessionStore.findSessionIdByRefreshToken(req.body.refreshToken));
+
+        if (sessionId) {
+            sessionStore.revokeSession(sessionId, 'logout');
+        }
+
+        res.json({
+            success: true,
+            message: 'Logout successful'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * Sign out all devices of the current user
+ */
+router.post('/logout-all', verifyToken, (req, res) => {
+    try {
+        const revoked = sessionStore.revokeUserSessions(req.user.id, 'logout_all');
+
+        console.log(`🔒 ${req.user.username} signed out ${revoked} session(s)`);
+
+        res.json({
+            success: true,
+            message: 'Signed out of all devices',
+            revoked
+        });
+    } catch (error) {
+        console.error('Logout-all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout'
+        });
+    }
 });
 
+/**
+ * Read and verify the Bearer token of a request
+ * @returns {Object|null} Decoded claims or null if missing/invalid
+ */
+function decodeAccessToken(req, options = {}) {
+    const token = req.headers['authorization']?.split(' ')[1]; // Bearer TOKEN
+    if (!token) return null;
+
+    try {
+        return jwt.verify(token, JWT_SECRET, options);
+    } catch (error) {
+        return null;
+    }
+}
+
 /**
  * Middleware: Verify JWT Token
+ * Also rejects tokens whose session was revoked, expired or belongs to a disabled user.
+ * req.user carries the current role from the database.
  */
 function verifyToken(req, res, next) {
     const token = req.headers['authorization']?.split(' ')[1]; // Bearer TOKEN
@@ -115,16 +461,33 @@ function verifyToken(req, res, next) {
         });
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(token, JWT_SECRET);
     } catch (error) {
         return res.status(401).json({
             success: false,
             message: 'Invalid token'
         });
     }
+
+    const session = decoded.sid ? sessionStore.getActiveSession(decoded.sid) : null;
+
+    if (!session) {
+        return res.status(401).json({
+            success: false,
+            message: 'Session has expired or was revoked'
+        });
+    }
+
+    req.user = {
+        id: session.user_id,
+        username: session.username,
+        role: session.role,
+        sid: session.id,
+        exp: decoded.exp
+    };
+    next();
 }
 
 // Export router and middleware
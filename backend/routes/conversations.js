@@ -0,0 +1,200 @@
+// Conversation Routes - Server-side LLM orchestration
+const express = require('express');
+const router = express.Router();
+const orchestrator = require('../conversation/orchestrator');
+const partyStore = require('../database/party-store');
+
+/**
+ * POST /api/conversations
+ * Start a new report session and return the assistant greeting
+ *
+ * Body:
+ * - language: 'ar' | 'en' (default: 'ar')
+ * - invite: Invite token from a party link (optional) - starts the other driver's
+ *   session for that ticket and party instead of a new report
+ *
+ * Response includes resumeToken (keep it to resume the report later) and party
+ * ({ ticketId, partyNumber } for an invite, otherwise null)
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { language = 'ar', invite } = req.body;
+        let party = null;
+
+        if (invite !== undefined) {
+            const found = typeof invite === 'string' && invite ? partyStore.findPartyByInvite(invite) : null;
+
+            if (!found) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Invite link is invalid or has expired'
+                });
+            }
+
+            party = { ticketId: found.ticket_id, partyNumber: found.party_number };
+        }
+
+        const result = await orchestrator.startSession(language, { party });
+
+        res.status(201).json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        console.error('Start conversation error:', error);
+        res.status(502).json({
+            success: false,
+            message: 'Error starting conversation'
+        });
+    }
+});
+
+/**
+ * POST /api/conversations/resume
+ * Continue an unfinished report (e.g. after the tab was closed)
+ *
+ * Body:
+ * - resumeToken: Token returned when the session was started
+ *
+ * Response: { session } as GET /api/conversations/:sessionId; 404 when there is no draft
+ * to resume (unknown token, already submitted, or idle for CONVERSATION_RESUME_HOURS)
+ */
+router.post('/resume', (req, res) => {
+    try {
+        const { resumeToken } = req.body;
+
+        if (!resumeToken || typeof resumeToken !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Resume token is required'
+            });
+        }
+
+        const session = orchestrator.resumeSession(resumeToken);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'No report draft to resume'
+            });
+        }
+
+        res.json({
+            success: true,
+            session
+        });
+    } catch (error) {
+        console.error('Resume conversation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error resuming conversation'
+        });
+    }
+});
+
+/**
+ * GET /api/conversations/:sessionId
+ * Get session phase, ticket data and user-facing messages
+ */
+router.get('/:sessionId', (req, res) => {
+    try {
+        const session = orchestrator.getSession(req.params.sessionId);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            session
+        });
+    } catch (error) {
+        console.error('Get conversation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching conversation'
+        });
+    }
+});
+
+/**
+ * POST /api/conversations/:sessionId/messages
+ * Send a user turn and get the assistant reply with parsed phase/ticket state
+ *
+ * Body:
+ * - content: User message text (required)
+ * - upload: Document uploaded with this turn (optional), as returned by the conversation
+ *   server's POST /upload: { type: 'accident_photos' | 'id_card' | 'driving_license' |
+ *   'vehicle_registration', filename, url }. 400 unless url is /uploads/<folder for type>/<filename>
+ *   and the file exists.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "sessionId": "...",
+ *   "message": "assistant text without JSON",
+ *   "phase": "accident_photos",
+ *   "ticket": { ... },
+ *   "missing": ["accident_photos_count"],
+ *   "transition": { "allowed": true, "phase": "accident_photos", "proposed": "accident_photos" }
+ * }
+ */
+router.post('/:sessionId/messages', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const { content, upload } = req.body;
+
+        if (!content || typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Message content is required'
+            });
+        }
+
+        if (upload && (typeof upload !== 'object' || !upload.type || !upload.filename || !upload.url)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload type, filename and url are required'
+            });
+        }
+
+        const result = await orchestrator.sendMessage(sessionId, content.trim(), upload || null);
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        if (error.code === 'SESSION_SUBMITTED') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.code === 'INVALID_UPLOAD') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Conversation message error:', error);
+        res.status(502).json({
+            success: false,
+            message: 'Error getting assistant response'
+        });
+    }
+});
+
+module.exports = router;
@@ -7,24 +7,25 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const { extractVehicleData } = require('../ocr');
+const { getStorage } = require('../storage');
+const { isNotFound } = require('../storage/errors');
+const { multerStorage } = require('../storage/multer-storage');
+const { verifyToken } = require('./auth');
+const { requirePermission } = require('../middleware/authorize');
+const { sendStoredFile } = require('../middleware/upload-access');
+
+// OCR images are stored under images/ in the upload storage
+const IMAGE_FOLDER = 'images';
+const fileStorage = getStorage();
 
 // Configure multer for image uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadDir = path.join(__dirname, '../uploads/images');
-        // Ensure directory exists
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true });
-        }
-        cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
+const storage = multerStorage(fileStorage, {
+    key: (req, file, cb) => {
         // Generate unique filename: uuid-timestamp-originalname
         const uniqueName = `${uuidv4()}-${Date.now()}${path.extname(file.originalname)}`;
-        cb(null, uniqueName);
+        cb(null, `${IMAGE_FOLDER}/${uniqueName}`);
     }
 });
 
@@ -71,7 +72,7 @@ const upload = multer({
  *   }
  * }
  */
-router.post('/ocr-upload', upload.single('image'), async (req, res) => {
+router.post('/ocr-upload', verifyToken, requirePermission('uploads:create'), upload.single('image'), async (req, res) => {
     try {
         // Check if file was uploaded
         if (!req.file) {
@@ -85,15 +86,12 @@ router.post('/ocr-upload', upload.single('image'), async (req, res) => {
 
         console.log(`📸 Image uploaded: ${req.file.filename} (Type: ${imageType})`);
 
-        // Get the full path to the uploaded image
-        const imagePath = req.file.path;
-
         // Extract vehicle data using Azure OCR
         let ocrResult = null;
 
         try {
             console.log('🔍 Starting OCR processing...');
-            ocrResult = await extractVehicleData(imagePath);
+            ocrResult = await extractVehicleData(await fileStorage.get(req.file.key));
             console.log('✅ OCR processing completed');
         } catch (ocrError) {
             console.error('❌ OCR processing error:', ocrError.message);
@@ -121,7 +119,7 @@ router.post('/ocr-upload', upload.single('image'), async (req, res) => {
             file: {
                 filename: req.file.filename,
                 originalName: req.file.originalname,
-                path: req.file.path,
+                path: req.file.key,
                 url: fileUrl,
                 size: req.file.size,
                 type: imageType
@@ -132,11 +130,11 @@ router.post('/ocr-upload', upload.single('image'), async (req, res) => {
         console.error('❌ OCR upload error:', error);
 
         // Clean up uploaded file if it exists
-        if (req.file && req.file.path) {
+        if (req.file && req.file.key) {
             try {
-                fs.unlinkSync(req.file.path);
-            } catch (unlinkError) {
-                console.error('Error deleting file:', unlinkError);
+                await fileStorage.delete(req.file.key);
+            } catch (deleteError) {
+                console.error('Error deleting file:', deleteError);
             }
         }
 
@@ -165,7 +163,7 @@ router.post('/ocr-upload', upload.single('image'), async (req, res) => {
  *   ]
  * }
  */
-router.post('/ocr-upload/batch', upload.array('images', 10), async (req, res) => {
+router.post('/ocr-upload/batch', verifyToken, requirePermission('uploads:create'), upload.array('images', 10), async (req, res) => {
     try {
         // Check if files were uploaded
         if (!req.files || req.files.length === 0) {
@@ -183,7 +181,7 @@ router.post('/ocr-upload/batch', upload.array('images', 10), async (req, res) =>
         for (const file of req.files) {
             try {
                 // Extract vehicle data using Azure OCR
-                const ocrResult = await extractVehicleData(file.path);
+                const ocrResult = await extractVehicleData(await fileStorage.get(file.key));
 
                 const fileUrl = `/uploads/images/${file.filename}`;
 
@@ -230,9 +228,9 @@ router.post('/ocr-upload/batch', upload.array('images', 10), async (req, res) =>
         if (req.files) {
             for (const file of req.files) {
                 try {
-                    fs.unlinkSync(file.path);
-                } catch (unlinkError) {
-                    console.error('Error deleting file:', unlinkError);
+                    await fileStorage.delete(file.key);
+                } catch (deleteError) {
+                    console.error('Error deleting file:', deleteError);
                 }
             }
         }
@@ -249,21 +247,12 @@ router.post('/ocr-upload/batch', upload.array('images', 10), async (req, res) =>
  * GET /api/ocr-upload/image/:filename
  * Download/view uploaded image
  */
-router.get('/image/:filename', (req, res) => {
+router.get('/image/:filename', verifyToken, requirePermission('uploads:read'), async (req, res) => {
     try {
         const { filename } = req.params;
-        const imagePath = path.join(__dirname, '../uploads/images', filename);
-
-        // Check if file exists
-        if (!fs.existsSync(imagePath)) {
-            return res.status(404).json({
-                success: false,
-                message: 'Image not found'
-            });
-        }
 
         // Send the file
-        res.sendFile(imagePath);
+        await sendStoredFile(req, res, fileStorage, `${IMAGE_FOLDER}/${filename}`, 'Image not found');
 
     } catch (error) {
         console.error('Error serving image:', error);
@@ -278,22 +267,23 @@ router.get('/image/:filename', (req, res) => {
  * DELETE /api/ocr-upload/image/:filename
  * Delete uploaded image
  */
-router.delete('/image/:filename', (req, res) => {
+router.delete('/image/:filename', verifyToken, requirePermission('uploads:delete'), async (req, res) => {
     try {
         const { filename } = req.params;
-        const imagePath = path.join(__dirname, '../uploads/images', filename);
 
-        // Check if file exists
-        if (!fs.existsSync(imagePath)) {
+        // Delete the file
+        const deleted = await fileStorage.delete(`${IMAGE_FOLDER}/${filename}`).catch(error => {
+            if (isNotFound(error)) return false;
+            throw error;
+        });
+
+        if (!deleted) {
             return res.status(404).json({
                 success: false,
                 message: 'Image not found'
             });
         }
 
-        // Delete the file
-        fs.unlinkSync(imagePath);
-
         console.log(`🗑️ Deleted image: ${filename}`);
 
         res.json({
@@ -0,0 +1,82 @@
+// Retention Routes (policy and dry-run reports for admins and auditors, purges for admins)
+const express = require('express');
+const router = express.Router();
+const retentionJob = require('../retention/purge-job');
+const { loadPolicy } = require('../retention/retention-policy');
+const { verifyToken } = require('./auth');
+const { requirePermission } = require('../middleware/authorize');
+
+router.use(verifyToken);
+
+/**
+ * GET /api/retention/policy
+ * Retention rules in effect and the last run of this server
+ *
+ * Response: { rules: [{ name, days, from, description }], running, lastRun }
+ * days is null for "keep forever"; from is 'upload' or 'closure'
+ */
+router.get('/policy', requirePermission('retention:read'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            rules: loadPolicy(),
+            running: retentionJob.isRunning(),
+            lastRun: retentionJob.getLastRun()
+        });
+    } catch (error) {
+        console.error('Retention policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Run the purge job and send its report
+ */
+async function sendPurgeReport(req, res, dryRun) {
+    if (retentionJob.isRunning()) {
+        return res.status(409).json({
+            success: false,
+            message: 'A retention purge is already running'
+        });
+    }
+
+    try {
+        const report = await retentionJob.runPurge({ dryRun, actor: req.user, ip: req.ip });
+
+        console.log(`🗑️ Retention ${dryRun ? 'report' : 'purge'} by ${req.user.username}: ${retentionJob.formatSummary(report.summary, dryRun)}`);
+
+        res.json({
+            success: true,
+            ...report
+        });
+    } catch (error) {
+        console.error('Retention purge error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error running retention purge',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GET /api/retention/report
+ * Dry run: what the purge would delete now, and what legal holds keep
+ *
+ * Response: { dryRun: true, startedAt, finishedAt, rules, summary: { rule: { expired, purged, held, failed } },
+ *             items: [{ rule, targetType, target, ticketId, since, result: 'expired' | 'held' | 'failed' }] }
+ */
+router.get('/report', requirePermission('retention:read'), (req, res) => sendPurgeReport(req, res, true));
+
+/**
+ * POST /api/retention/purge
+ * Purge expired artifacts now (scheduled runs do the same, see RETENTION_PURGE_INTERVAL_HOURS)
+ *
+ * Response: same as /report with dryRun: false and item results 'purged' | 'held' | 'failed'
+ */
+router.post('/purge', requirePermission('retention:purge'), (req, res) => sendPurgeReport(req, res, false));
+
+module.exports = router;
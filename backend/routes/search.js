@@ -0,0 +1,77 @@
+// Search Routes - Full-text search over transcripts and ticket descriptions
+const express = require('express');
+const router = express.Router();
+const searchIndex = require('../search/search-index');
+const { verifyToken } = require('./auth');
+const { requirePermission, hasPermission } = require('../middleware/authorize');
+const piiRedaction = require('../privacy/pii-redaction');
+
+/**
+ * GET /api/search?q=
+ * Search conversation messages, voice transcriptions and ticket descriptions
+ *
+ * Query:
+ * - q: Search text (Arabic or English; spelling variants and diacritics are ignored)
+ * - limit: Results per page (default 20, max 100)
+ * - offset: Results to skip
+ *
+ * Snippets mask ID numbers, phones, emails and plates for users without pii:read, who
+ * also get 403 for a query containing one or a run of digits (a hit would confirm whose it is).
+ */
+router.get('/', verifyToken, requirePermission('search:read'), (req, res) => {
+    try {
+        // A repeated ?q= arrives as an array
+        const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : searchIndex.DEFAULT_LIMIT;
+        const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+
+        if (!q) {
+            return res.status(400).json({
+                success: false,
+                message: 'Search query (q) is required'
+            });
+        }
+
+        if (isNaN(limit) || limit < 1 || isNaN(offset) || offset < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid limit or offset'
+            });
+        }
+
+        const redacted = !hasPermission(req.user.role, 'pii:read');
+
+        if (redacted && piiRedaction.isPiiQuery(q)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Searching by personal data requires the pii:read permission'
+            });
+        }
+
+        const result = searchIndex.search(q, { limit, offset, redacted });
+
+        if (!result) {
+            return res.status(400).json({
+                success: false,
+                message: 'Search query must contain at least one word'
+            });
+        }
+
+        res.json({
+            success: true,
+            query: q,
+            total: result.total,
+            redacted,
+            count: result.results.length,
+            results: result.results
+        });
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error searching'
+        });
+    }
+});
+
+module.exports = router;
@@ -2,36 +2,152 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../database/db');
+const ticketStore = require('../database/ticket-store');
+const partyStore = require('../database/party-store');
+const statusWorkflow = require('../tickets/status-workflow');
+const ticketQuery = require('../tickets/ticket-query');
 const { verifyToken } = require('./auth');
+const { requirePermission, hasPermission } = require('../middleware/authorize');
+const { signUploadUrl, UPLOAD_URL_TTL } = require('../middleware/upload-access');
+const { validateTicketIdParam } = require('../middleware/ticket-id-param');
+const { recordAuditEvent } = require('../audit/audit-log');
+const piiRedaction = require('../privacy/pii-redaction');
+
+// Every /:ticketId route gets a well-formed, normalized ticket ID (400 otherwise)
+router.param('ticketId', validateTicketIdParam);
+
+/**
+ * Add short-lived signed links to a ticket's files (/uploads is not public)
+ * Uploads and party documents get signedUrl, attachment and audio rows signed_url.
+ */
+function addSignedUrls(ticket, audioFiles, user) {
+    if (!hasPermission(user.role, 'uploads:read')) return;
+
+    for (const uploads of [ticket.uploads, ...(ticket.parties || []).map(party => party.documents)]) {
+        for (const file of [...uploads.accident_photos, uploads.id_card, uploads.driving_license, uploads.vehicle_registration]) {
+            if (file) file.signedUrl = signUploadUrl(file.url, user);
+        }
+    }
+    for (const row of [...ticket.attachments, ...audioFiles]) {
+        row.signed_url = signUploadUrl(row.file_path, user);
+    }
+}
+
+/**
+ * Whether to send the redacted view: always without pii:read (auditors),
+ * on request (?view=redacted) for everyone else
+ */
+function isRedactedView(req) {
+    return !hasPermission(req.user.role, 'pii:read') || req.query.view === 'redacted';
+}
+
+// Structured fields hidden in the redacted view → placeholder shown instead
+// (on the ticket, its extracted_data and parties, and OCR findings by field_name)
+const REDACTED_FIELDS = { national_id: '[NATIONAL_ID]', phone: '[PHONE]', plate: '[PLATE]', driver_name: '[NAME]' };
+
+// Shorter values (e.g. "-" for a skipped answer) are not searched for in free text
+const MIN_KNOWN_VALUE_LENGTH = 3;
+
+/**
+ * Collect a record's structured PII values, to mask where they appear in free text
+ * (a driver's name is not something the PII patterns can find)
+ * @returns {Array<Array<string>>} [[value, placeholder], ...]
+ */
+function knownValues(record) {
+    return Object.entries(REDACTED_FIELDS)
+        .filter(([field]) => typeof record[field] === 'string' && record[field].trim().length >= MIN_KNOWN_VALUE_LENGTH)
+        .map(([field, placeholder]) => [record[field].trim(), placeholder]);
+}
+
+function maskFields(record) {
+    for (const [field, placeholder] of Object.entries(REDACTED_FIELDS)) {
+        if (record[field]) record[field] = placeholder;
+    }
+}
+
+/**
+ * Mask ID numbers, phones, emails, plates and names in a ticket: structured fields are
+ * replaced outright; free text (description, other extracted_data text, transcript,
+ * conversation messages, other findings) has PII and the ticket's own values masked
+ */
+function redactTicket(ticket, conversations = [], findings = []) {
+    const known = [ticket, ticket.extracted_data || {}, ...(ticket.parties || [])]
+        .flatMap(knownValues)
+        .sort((x, y) => y[0].length - x[0].length);
+
+    const maskText = (text) => known.reduce(
+        (result, [value, placeholder]) => (typeof result === 'string' ? result.split(value).join(placeholder) : result),
+        piiRedaction.mask(text)
+    );
+
+    maskFields(ticket);
+    ticket.description = maskText(ticket.description);
+    if (ticket.extracted_data) {
+        maskFields(ticket.extracted_data);
+        for (const [field, value] of Object.entries(ticket.extracted_data)) {
+            if (typeof value === 'string') {
+                ticket.extracted_data[field] = maskText(value);
+            }
+        }
+    }
+    for (const msg of ticket.transcript || []) {
+        msg.content = maskText(msg.content);
+    }
+    for (const row of conversations) {
+        row.content = maskText(row.content);
+        row.transcription = maskText(row.transcription);
+    }
+    for (const party of ticket.parties || []) {
+        maskFields(party);
+    }
+    for (const row of findings) {
+        row.field_value = REDACTED_FIELDS[row.field_name] && row.field_value
+            ? REDACTED_FIELDS[row.field_name]
+            : maskText(row.field_value);
+    }
+}
 
 /**
  * GET /api/tickets
- * Get all tickets with attachments count (admin only)
+ * Search tickets with filters, sorting and cursor pagination
+ *
+ * Query: q, status, from, to, plate, national_id, vehicles, injuries, accident_type,
+ *        sort, order, limit, cursor (see tickets/ticket-query.js), view=redacted
  */
-router.get('/', verifyToken, (req, res) => {
+router.get('/', verifyToken, requirePermission('tickets:read'), (req, res) => {
     try {
-        const tickets = db.prepare(`
-            SELECT * FROM tickets
-            ORDER BY created_at DESC
-        `).all();
-
-        // Add attachments count to each ticket
-        const ticketsWithAttachments = tickets.map(ticket => {
-            const attachments = db.prepare(`
-                SELECT * FROM attachments WHERE ticket_id = ?
-            `).all(ticket.ticket_id);
-
-            return {
-                ...ticket,
-                attachments_count: attachments.length,
-                attachments: attachments
-            };
-        });
+        const { options, error } = ticketQuery.parseTicketQuery(req.query);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const piiFilters = ticketQuery.piiFilters(options);
+        if (piiFilters.length > 0 && !hasPermission(req.user.role, 'pii:read')) {
+            return res.status(403).json({
+                success: false,
+                message: `Searching by personal data (${piiFilters.join(', ')}) requires the pii:read permission`
+            });
+        }
+
+        const { tickets, total, hasMore, nextCursor } = ticketStore.searchTickets(options);
+
+        const redacted = isRedactedView(req);
+        if (redacted) {
+            tickets.forEach(ticket => redactTicket(ticket));
+        }
 
         res.json({
             success: true,
-            count: ticketsWithAttachments.length,
-            tickets: ticketsWithAttachments
+            redacted,
+            count: tickets.length,
+            total,
+            hasMore,
+            nextCursor,
+            tickets
         });
     } catch (error) {
         console.error('Get tickets error:', error);
@@ -45,13 +161,19 @@ router.get('/', verifyToken, (req, res) => {
 /**
  * GET /api/tickets/:ticketId
  * Get single ticket with conversations, findings, and attachments
+ * File links are signed for the requesting user and expire after UPLOAD_URL_TTL seconds
+ *
+ * Query: view=redacted masks PII in the description, transcript and party details (always on without pii:read)
+ *
+ * ticket.parties lists the drivers involved (party 1 is the reporter), each with its
+ * documents and invite_status (see database/party-store.js)
  */
-router.get('/:ticketId', verifyToken, (req, res) => {
+router.get('/:ticketId', verifyToken, requirePermission('tickets:read'), (req, res) => {
     try {
         const { ticketId } = req.params;
 
-        // Get ticket
-        const ticket = db.prepare('SELECT * FROM tickets WHERE ticket_id = ?').get(ticketId);
+        // Get ticket (with uploads and transcript)
+        const ticket = ticketStore.getTicket(ticketId);
 
         if (!ticket) {
             return res.status(404).json({
@@ -64,7 +186,7 @@ router.get('/:ticketId', verifyToken, (req, res) => {
         const conversations = db.prepare(`
             SELECT * FROM conversations
             WHERE ticket_id = ?
-            ORDER BY created_at ASC
+            ORDER BY created_at ASC, id ASC
         `).all(ticketId);
 
         // Get findings
@@ -81,20 +203,22 @@ router.get('/:ticketId', verifyToken, (req, res) => {
             ORDER BY created_at ASC
         `).all(ticketId);
 
-        // Get attachments (images)
-        const attachments = db.prepare(`
-            SELECT * FROM attachments
-            WHERE ticket_id = ?
-            ORDER BY created_at ASC
-        `).all(ticketId);
+        addSignedUrls(ticket, audioFiles, req.user);
+
+        const redacted = isRedactedView(req);
+        if (redacted) {
+            redactTicket(ticket, conversations, findings);
+        }
 
         res.json({
             success: true,
+            redacted,
             ticket,
             conversations,
             findings,
             audioFiles,
-            attachments
+            attachments: ticket.attachments,
+            signedUrlsExpireIn: UPLOAD_URL_TTL
         });
     } catch (error) {
         console.error('Get ticket error:', error);
@@ -108,89 +232,46 @@ router.get('/:ticketId', verifyToken, (req, res) => {
 /**
  * POST /api/tickets
  * Create new ticket with optional attachments
+ * The ticket ID is issued by the server (tickets/ticket-id.js) and returned in ticket.ticket_id.
  *
  * Body:
- * - ticket_id: Unique ticket identifier (required)
+ * - region: Region code for the ticket ID (optional; detected from extracted_data.location)
  * - plate: License plate number
  * - vehicles: Number of vehicles involved
  * - damage: Damage description
  * - user_id: User ID
+ * - description: Accident description
+ * - extracted_data: Data collected by the assistant (uploads included)
+ * - transcript: Conversation transcript [{ role, content }]
  * - attachments: Array of attachment objects (optional)
  *   Each attachment: { filename, originalName, filePath, fileType, attachmentType, size }
+ *
+ * Response includes invites ([{ party_number, token, expires_at }]) for the other drivers
+ * when more than one vehicle was involved
  */
-router.post('/', (req, res) => {
+router.post('/', verifyToken, requirePermission('tickets:create'), (req, res) => {
     try {
-        const { ticket_id, plate, vehicles, damage, user_id, attachments } = req.body;
-
-        // Validate required fields
-        if (!ticket_id) {
+        if (req.body.ticket_id) {
             return res.status(400).json({
                 success: false,
-                message: 'Ticket ID is required'
+                message: 'Ticket IDs are issued by the server; do not send ticket_id'
             });
         }
 
-        // Insert ticket
-        const ticketStmt = db.prepare(`
-            INSERT INTO tickets (ticket_id, user_id, plate, vehicles, damage)
-            VALUES (?, ?, ?, ?, ?)
-        `);
-
-        const ticketResult = ticketStmt.run(
-            ticket_id,
-            user_id || null,
-            plate || null,
-            vehicles || 1,
-            damage || null
-        );
-
-        // If attachments are provided, insert them
-        if (attachments && Array.isArray(attachments) && attachments.length > 0) {
-            const attachmentStmt = db.prepare(`
-                INSERT INTO attachments
-                (ticket_id, filename, original_name, file_path, file_type, attachment_type, size)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-            `);
-
-            for (const attachment of attachments) {
-                try {
-                    attachmentStmt.run(
-                        ticket_id,
-                        attachment.filename,
-                        attachment.originalName || attachment.filename,
-                        attachment.filePath || attachment.url,
-                        attachment.fileType || 'image/jpeg',
-                        attachment.attachmentType || attachment.type || 'unknown',
-                        attachment.size || 0
-                    );
-                    console.log(`📎 Attached file: ${attachment.filename} to ticket ${ticket_id}`);
-                } catch (attachError) {
-                    console.error('Error attaching file:', attachError);
-                    // Continue with other attachments even if one fails
-                }
-            }
-        }
-
-        // Get created ticket with attachments
-        const ticket = db.prepare('SELECT * FROM tickets WHERE id = ?').get(ticketResult.lastInsertRowid);
-        const ticketAttachments = db.prepare('SELECT * FROM attachments WHERE ticket_id = ?').all(ticket_id);
+        // New tickets always start as 'submitted'; status changes go through PUT
+        const { ticket, invites } = ticketStore.saveTicket({ ...req.body, ticket_id: undefined, status: undefined });
+        res.locals.ticketId = ticket.ticket_id;
+        console.log(`🎫 Ticket created: ${ticket.ticket_id} (${ticket.attachments_count} attachments)`);
 
         res.status(201).json({
             success: true,
             message: 'Ticket created successfully',
             ticket,
-            attachments: ticketAttachments
+            attachments: ticket.attachments,
+            invites
         });
     } catch (error) {
         console.error('Create ticket error:', error);
-
-        if (error.code === 'SQLITE_CONSTRAINT') {
-            return res.status(409).json({
-                success: false,
-                message: 'Ticket ID already exists'
-            });
-        }
-
         res.status(500).json({
             success: false,
             message: 'Error creating ticket',
@@ -199,40 +280,87 @@ router.post('/', (req, res) => {
     }
 });
 
+/**
+ * Check the body of PUT /api/tickets/:ticketId
+ * @returns {string|null} Error message, or null when every field is valid
+ */
+function validateTicketUpdate({ plate, vehicles, damage, status, reason }) {
+    for (const [field, value] of Object.entries({ plate, damage, status })) {
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+            return `${field} must be a string`;
+        }
+    }
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+        return 'reason must be a string';
+    }
+    if (vehicles !== undefined && vehicles !== null
+        && !(Number.isInteger(vehicles) && vehicles >= 1 && vehicles <= partyStore.MAX_PARTIES)) {
+        return `vehicles must be a whole number from 1 to ${partyStore.MAX_PARTIES}`;
+    }
+    return null;
+}
+
 /**
  * PUT /api/tickets/:ticketId
  * Update ticket
+ *
+ * Body:
+ * - plate, damage: Editable ticket fields (strings)
+ * - vehicles: Number of vehicles involved (1-10; more vehicles than parties adds parties)
+ * - status: New status (must be an allowed transition, see tickets/status-workflow.js)
+ * - reason: Why the status changed (required for awaiting_documents and rejected)
+ *
+ * The fields and the status change are saved together: when the transition is refused
+ * (409, or 400 for an unknown status) nothing is changed.
  */
-router.put('/:ticketId', verifyToken, (req, res) => {
+router.put('/:ticketId', verifyToken, requirePermission('tickets:update'), (req, res) => {
     try {
         const { ticketId } = req.params;
-        const { plate, vehicles, damage, status } = req.body;
+        const { plate, vehicles, damage, status, reason } = req.body;
+        const invalid = validateTicketUpdate(req.body);
+
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: invalid
+            });
+        }
+
+        if (status && !hasPermission(req.user.role, 'tickets:status')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Insufficient permissions',
+                required: ['tickets:status']
+            });
+        }
 
-        // Check if ticket exists
-        const existing = db.prepare('SELECT * FROM tickets WHERE ticket_id = ?').get(ticketId);
+        const result = ticketStore.editTicket(ticketId, { plate, vehicles, damage }, {
+            status: status || null,
+            actor: req.user,
+            reason: reason ? reason.trim() : null
+        });
 
-        if (!existing) {
+        if (!result) {
             return res.status(404).json({
                 success: false,
                 message: 'Ticket not found'
             });
         }
 
-        // Update ticket
-        const stmt = db.prepare(`
-            UPDATE tickets
-            SET plate = COALESCE(?, plate),
-                vehicles = COALESCE(?, vehicles),
-                damage = COALESCE(?, damage),
-                status = COALESCE(?, status),
-                updated_at = CURRENT_TIMESTAMP
-            WHERE ticket_id = ?
-        `);
+        const { ticket, transition } = result;
 
-        stmt.run(plate, vehicles, damage, status, ticketId);
+        if (transition && !transition.allowed) {
+            return res.status(statusWorkflow.isKnownStatus(status) ? 409 : 400).json({
+                success: false,
+                message: transition.reason,
+                status: ticket.status,
+                allowedTransitions: statusWorkflow.getAllowedTransitions(ticket.status)
+            });
+        }
 
-        // Get updated ticket
-        const ticket = db.prepare('SELECT * FROM tickets WHERE ticket_id = ?').get(ticketId);
+        if (transition) {
+            console.log(`🔄 Ticket ${ticketId}: ${transition.from} → ${status} (${req.user.username})`);
+        }
 
         res.json({
             success: true,
@@ -249,26 +377,249 @@ router.put('/:ticketId', verifyToken, (req, res) => {
 });
 
 /**
- * DELETE /api/tickets/:ticketId
- * Delete ticket (admin only)
+ * Parse a :partyNumber route parameter
+ * @returns {number|null} Party number, or null when it is not a positive integer
+ */
+function parsePartyNumber(value) {
+    return /^\d+$/.test(value) && Number(value) >= 1 ? Number(value) : null;
+}
+
+/**
+ * PUT /api/tickets/:ticketId/parties/:partyNumber
+ * Correct a party's details
+ *
+ * Body: driver_name, national_id, phone, plate, insurer (an empty string clears a field)
  */
-router.delete('/:ticketId', verifyToken, (req, res) => {
+router.put('/:ticketId/parties/:partyNumber', verifyToken, requirePermission('tickets:update'), (req, res) => {
     try {
         const { ticketId } = req.params;
+        const partyNumber = parsePartyNumber(req.params.partyNumber);
+        const fields = {};
 
-        // Check if admin
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({
+        for (const field of partyStore.DETAIL_FIELDS) {
+            if (req.body[field] === undefined) continue;
+
+            if (req.body[field] !== null && typeof req.body[field] !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    message: `${field} must be a string`
+                });
+            }
+            fields[field] = req.body[field] || '';
+        }
+
+        if (!partyNumber || !partyStore.updateParty(ticketId, partyNumber, fields)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Party not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Party updated successfully',
+            party: partyStore.listParties(ticketId).find(party => party.party_number === partyNumber)
+        });
+    } catch (error) {
+        console.error('Update party error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating party'
+        });
+    }
+});
+
+/**
+ * POST /api/tickets/:ticketId/parties/:partyNumber/invite
+ * Issue a new invite link for a driver who has not joined yet (the previous link stops working)
+ *
+ * Response: { invite: { party_number, token, expires_at } } - the link is index.html?invite=<token>;
+ * 409 when the party already joined
+ */
+router.post('/:ticketId/parties/:partyNumber/invite', verifyToken, requirePermission('tickets:update'), (req, res) => {
+    try {
+        const { ticketId } = req.params;
+        const partyNumber = parsePartyNumber(req.params.partyNumber);
+        const invite = partyNumber ? partyStore.createInvite(ticketId, partyNumber) : null;
+
+        if (!invite) {
+            return res.status(404).json({
+                success: false,
+                message: 'Party not found'
+            });
+        }
+
+        recordAuditEvent({
+            action: 'ticket.party_invite',
+            actor: req.user,
+            ip: req.ip,
+            targetType: 'ticket',
+            target: ticketId,
+            details: { party_number: partyNumber }
+        });
+
+        console.log(`🔗 New invite for party ${partyNumber} of ${ticketId} (${req.user.username})`);
+
+        res.json({
+            success: true,
+            message: 'Invite link created',
+            invite
+        });
+    } catch (error) {
+        if (error.code === 'PARTY_JOINED') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Party invite error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating invite link'
+        });
+    }
+});
+
+/**
+ * POST /api/tickets/:ticketId/liability
+ * Propose fault percentages from the accident facts (tickets/liability-rules.js)
+ *
+ * Body:
+ * - facts: { scenario: 'rear_end' | 'lane_change' | 'intersection' | 'reversing',
+ *            primary_party, other_party, ...scenario flags (true/false) }
+ *
+ * Response: { ticket } with ticket.liability; 400 with errors for invalid facts.
+ * A new assessment replaces an earlier override.
+ */
+router.post('/:ticketId/liability', verifyToken, requirePermission('tickets:liability'), (req, res) => {
+    try {
+        const { ticketId } = req.params;
+        const result = ticketStore.assessLiability(ticketId, req.body.facts, { actor: req.user });
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found'
+            });
+        }
+
+        if (result.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: result.errors[0],
+                errors: result.errors
+            });
+        }
+
+        const { liability } = result.ticket;
+
+        recordAuditEvent({
+            action: 'ticket.liability_assessed',
+            actor: req.user,
+            ip: req.ip,
+            targetType: 'ticket',
+            target: ticketId,
+            details: { rule: liability.rule.id, shares: liability.shares }
+        });
+
+        console.log(`⚖️ Liability of ${ticketId}: ${liability.rule.id} (${req.user.username})`);
+
+        res.json({
+            success: true,
+            message: 'Liability assessed',
+            ticket: result.ticket
+        });
+    } catch (error) {
+        console.error('Liability assessment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error assessing liability'
+        });
+    }
+});
+
+/**
+ * PUT /api/tickets/:ticketId/liability
+ * Override the proposed fault percentages
+ *
+ * Body:
+ * - shares: [{ party_number, fault_percent }] - steps of 25 adding up to 100 (parties left out get 0)
+ * - reason: Why the proposal is overridden (required)
+ *
+ * Response: { ticket }; 409 when liability has not been assessed yet
+ */
+router.put('/:ticketId/liability', verifyToken, requirePermission('tickets:liability'), (req, res) => {
+    try {
+        const { ticketId } = req.params;
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+        if (!reason) {
+            return res.status(400).json({
                 success: false,
-                message: 'Admin access required'
+                message: 'A reason is required to override the liability assessment'
             });
         }
 
-        // Delete ticket (cascades to conversations, findings, audio_files)
-        const stmt = db.prepare('DELETE FROM tickets WHERE ticket_id = ?');
-        const result = stmt.run(ticketId);
+        const result = ticketStore.overrideLiability(ticketId, req.body.shares, { actor: req.user, reason });
 
-        if (result.changes === 0) {
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found'
+            });
+        }
+
+        if (result.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: result.errors[0],
+                errors: result.errors
+            });
+        }
+
+        recordAuditEvent({
+            action: 'ticket.liability_overridden',
+            actor: req.user,
+            ip: req.ip,
+            targetType: 'ticket',
+            target: ticketId,
+            details: { shares: result.ticket.liability.shares, reason }
+        });
+
+        console.log(`⚖️ Liability of ${ticketId} overridden by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Liability overridden',
+            ticket: result.ticket
+        });
+    } catch (error) {
+        if (error.code === 'LIABILITY_NOT_ASSESSED') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Liability override error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error overriding liability'
+        });
+    }
+});
+
+/**
+ * DELETE /api/tickets/:ticketId
+ * Delete ticket (409 while it is under legal hold)
+ */
+router.delete('/:ticketId', verifyToken, requirePermission('tickets:delete'), (req, res) => {
+    try {
+        const { ticketId } = req.params;
+
+        // Delete ticket (cascades to conversations, findings, audio_files, attachments)
+        if (!ticketStore.deleteTicket(ticketId)) {
             return res.status(404).json({
                 success: false,
                 message: 'Ticket not found'
@@ -280,6 +631,13 @@ router.delete('/:ticketId', verifyToken, (req, res) => {
             message: 'Ticket deleted successfully'
         });
     } catch (error) {
+        if (error.code === 'LEGAL_HOLD') {
+            return res.status(409).json({
+                success: false,
+                message: 'Ticket is under legal hold and cannot be deleted'
+            });
+        }
+
         console.error('Delete ticket error:', error);
         res.status(500).json({
             success: false,
@@ -288,11 +646,74 @@ router.delete('/:ticketId', verifyToken, (req, res) => {
     }
 });
 
+/**
+ * PUT /api/tickets/:ticketId/legal-hold
+ * Place or release a legal hold (held tickets keep all their files and transcripts,
+ * see retention/purge-job.js)
+ *
+ * Body:
+ * - hold: true to place, false to release
+ * - reason: Why the ticket is held (required when placing), e.g. a case number
+ */
+router.put('/:ticketId/legal-hold', verifyToken, requirePermission('tickets:legal_hold'), (req, res) => {
+    try {
+        const { ticketId } = req.params;
+        const { hold } = req.body;
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+        if (typeof hold !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'hold must be true or false'
+            });
+        }
+
+        if (hold && !reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required to place a legal hold'
+            });
+        }
+
+        const ticket = ticketStore.setLegalHold(ticketId, hold, { actor: req.user, reason });
+
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found'
+            });
+        }
+
+        recordAuditEvent({
+            action: hold ? 'ticket.legal_hold_placed' : 'ticket.legal_hold_released',
+            actor: req.user,
+            ip: req.ip,
+            targetType: 'ticket',
+            target: ticketId,
+            details: { reason: reason || undefined }
+        });
+
+        console.log(`⚖️ Legal hold ${hold ? 'placed on' : 'released from'} ${ticketId} by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: hold ? 'Legal hold placed' : 'Legal hold released',
+            ticket
+        });
+    } catch (error) {
+        console.error('Legal hold error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating legal hold'
+        });
+    }
+});
+
 /**
  * POST /api/tickets/:ticketId/conversations
  * Add conversation message to ticket
  */
-router.post('/:ticketId/conversations', (req, res) => {
+router.post('/:ticketId/conversations', verifyToken, requirePermission('tickets:annotate'), (req, res) => {
     try {
         const { ticketId } = req.params;
         const { role, content, audio_path, transcription } = req.body;
@@ -334,7 +755,7 @@ router.post('/:ticketId/conversations', (req, res) => {
  * POST /api/tickets/:ticketId/findings
  * Add extracted finding to ticket
  */
-router.post('/:ticketId/findings', (req, res) => {
+router.post('/:ticketId/findings', verifyToken, requirePermission('tickets:annotate'), (req, res) => {
     try {
         const { ticketId } = req.params;
         const { field_name, field_value, confidence, source } = req.body;
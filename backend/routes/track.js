@@ -0,0 +1,94 @@
+// Ticket Tracking Routes (public: citizens follow up on their report)
+const express = require('express');
+const router = express.Router();
+const ticketStore = require('../database/ticket-store');
+const ticketTracking = require('../tickets/ticket-tracking');
+const ticketIds = require('../tickets/ticket-id');
+const trackingThrottle = require('../tickets/tracking-throttle');
+const { recordAuditEvent } = require('../audit/audit-log');
+
+/**
+ * POST /api/track
+ * Status of a ticket for the citizen who reported it
+ *
+ * Body: { ticket_id, verification } - verification is the last 4-10 digits of a phone
+ * number or national/iqama ID given in the report (tickets/ticket-tracking.js)
+ *
+ * Response: { ticket: { ticket_id, status, final, created_at, updated_at,
+ *             missing_documents, timeline: [{ status, at, note }] } }
+ * Malformed ticket IDs (tickets/ticket-id.js) get 400. Unknown tickets and wrong digits
+ * get the same 404; repeated failures get 429 with retryAfter (tickets/tracking-throttle.js).
+ */
+router.post('/', async (req, res) => {
+    try {
+        const ticketId = ticketIds.normalizeTicketId(req.body.ticket_id);
+        const digits = ticketTracking.parseVerificationDigits(req.body.verification);
+
+        if (!ticketId || !digits) {
+            return res.status(400).json({
+                success: false,
+                message: `ticket_id and verification (the last ${ticketTracking.MIN_VERIFICATION_DIGITS}-${ticketTracking.MAX_VERIFICATION_DIGITS} digits of your phone or ID number) are required`
+            });
+        }
+
+        if (!ticketIds.isValidTicketId(ticketId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid ticket ID'
+            });
+        }
+
+        // Counted before the ticket is read; handed back below when the lookup matches
+        const attempt = await trackingThrottle.reserve(ticketId, req.ip);
+
+        if (!attempt.allowed) {
+            const retryAfter = Math.ceil(attempt.retryAfterMs / 1000);
+
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                message: 'Too many attempts. Please wait before trying again',
+                retryAfter
+            });
+        }
+
+        const ticket = ticketStore.getTicket(ticketId);
+
+        if (!ticket || !ticketTracking.matchesVerification(ticket, digits)) {
+            recordAuditEvent({
+                action: 'ticket.track_failed',
+                ip: req.ip,
+                targetType: 'ticket',
+                target: ticketId,
+                details: { reason: ticket ? 'verification' : 'unknown_ticket', failures: attempt.failures }
+            });
+
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found or verification failed'
+            });
+        }
+
+        await trackingThrottle.recordSuccess(ticketId, req.ip);
+
+        recordAuditEvent({
+            action: 'ticket.track',
+            ip: req.ip,
+            targetType: 'ticket',
+            target: ticketId
+        });
+
+        res.json({
+            success: true,
+            ticket: ticketTracking.getTrackingView(ticket)
+        });
+    } catch (error) {
+        console.error('Track ticket error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error tracking ticket'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,280 @@
+// Two-Factor Authentication Routes (each staff user manages their own 2FA)
+// Enrolment: POST /setup (password) -> scan the otpauth URI -> POST /enable (first code)
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const userStore = require('../database/user-store');
+const totp = require('../users/totp');
+const twoFactor = require('../users/two-factor');
+const loginThrottle = require('../users/login-throttle');
+const { recordAuditEvent } = require('../audit/audit-log');
+const { verifyToken } = require('./auth');
+
+router.use(verifyToken);
+
+/**
+ * Check the signed-in user's current password (counted by the login throttle)
+ * @returns {Promise<boolean>} true if a 403/429 response was sent
+ */
+async function rejectWrongPassword(req, res, user) {
+    // Reserved before the comparison so parallel guesses cannot all get through
+    const throttle = await loginThrottle.beginAttempt(user.username, req.ip);
+
+    if (!throttle.allowed) {
+        const retryAfter = Math.ceil(throttle.retryAfterMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({
+            success: false,
+            message: 'Too many login attempts. Please wait before trying again',
+            retryAfter
+        });
+        return true;
+    }
+
+    if (req.body.password && await bcrypt.compare(req.body.password, user.password_hash)) {
+        await loginThrottle.releaseAttempt(user.username, req.ip);
+        return false;
+    }
+
+    await loginThrottle.recordFailure(user.username, req.ip);
+
+    recordAuditEvent({
+        action: 'auth.reauth_failed',
+        actor: user,
+        ip: req.ip,
+        target: user.username,
+        details: { path: req.originalUrl }
+    });
+
+    // 403, not 401: the session itself is still valid
+    res.status(403).json({
+        success: false,
+        message: 'Password is incorrect'
+    });
+    return true;
+}
+
+/**
+ * Send 400 for a rejected verification code
+ * @returns {boolean} true if a response was sent
+ */
+function rejectInvalidCode(req, res, user, valid) {
+    if (valid) {
+        return false;
+    }
+
+    recordAuditEvent({
+        action: 'auth.2fa_code_rejected',
+        actor: user,
+        ip: req.ip,
+        target: user.username
+    });
+
+    res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+    });
+    return true;
+}
+
+/**
+ * GET /api/auth/2fa
+ * 2FA status of the signed-in user
+ */
+router.get('/', (req, res) => {
+    try {
+        const user = userStore.getUserRecordById(req.user.id);
+
+        res.json({
+            success: true,
+            enabled: user.totp_enabled === 1,
+            recoveryCodesRemaining: userStore.countRecoveryCodes(user.id)
+        });
+    } catch (error) {
+        console.error('Get 2FA status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching two-factor status'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrolment: create a secret and return its provisioning URI
+ *
+ * Body: { password }
+ */
+router.post('/setup', async (req, res) => {
+    try {
+        const user = userStore.getUserRecordById(req.user.id);
+
+        if (user.totp_enabled) {
+            return res.status(409).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        if (await rejectWrongPassword(req, res, user)) return;
+
+        const secret = totp.generateSecret();
+        userStore.setPendingTotpSecret(user.id, secret);
+
+        res.json({
+            success: true,
+            message: 'Scan the code with an authenticator app, then confirm with a code',
+            secret,
+            otpauthUrl: totp.getProvisioningUri(secret, user.username)
+        });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error setting up two-factor authentication'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrolment with the first code from the app
+ * Returns the recovery codes (shown once)
+ *
+ * Body: { code }
+ */
+router.post('/enable', (req, res) => {
+    try {
+        const user = userStore.getUserRecordById(req.user.id);
+
+        if (user.totp_enabled) {
+            return res.status(409).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        if (!user.totp_secret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start the setup first (POST /api/auth/2fa/setup)'
+            });
+        }
+
+        const step = totp.verifyCode(user.totp_secret, req.body.code);
+        if (rejectInvalidCode(req, res, user, step !== null)) return;
+
+        const { codes, hashes } = totp.generateRecoveryCodes();
+        userStore.enableTotp(user.id, hashes, step);
+
+        recordAuditEvent({
+            action: 'auth.2fa_enabled',
+            actor: req.user,
+            ip: req.ip,
+            target: user.username
+        });
+
+        console.log(`🔐 2FA enabled: ${user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error enabling two-factor authentication'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes (the old ones stop working)
+ *
+ * Body: { code } - current code from the app
+ */
+router.post('/recovery-codes', (req, res) => {
+    try {
+        const user = userStore.getUserRecordById(req.user.id);
+
+        if (!user.totp_enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (rejectInvalidCode(req, res, user, twoFactor.verifySecondFactor(user, req.body.code) === 'totp')) return;
+
+        const { codes, hashes } = totp.generateRecoveryCodes();
+        userStore.setRecoveryCodes(user.id, hashes);
+
+        recordAuditEvent({
+            action: 'auth.2fa_recovery_codes_regenerated',
+            actor: req.user,
+            ip: req.ip,
+            target: user.username
+        });
+
+        res.json({
+            success: true,
+            message: 'New recovery codes generated',
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        console.error('2FA recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error generating recovery codes'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn off 2FA for the signed-in user
+ *
+ * Body: { password, code } - code from the app or a recovery code
+ */
+router.post('/disable', async (req, res) => {
+    try {
+        const user = userStore.getUserRecordById(req.user.id);
+
+        if (!user.totp_enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (await rejectWrongPassword(req, res, user)) return;
+        if (rejectInvalidCode(req, res, user, !!twoFactor.verifySecondFactor(user, req.body.code))) return;
+
+        userStore.disableTotp(user.id);
+
+        recordAuditEvent({
+            action: 'auth.2fa_disabled',
+            actor: req.user,
+            ip: req.ip,
+            target: user.username
+        });
+
+        console.log(`🔓 2FA disabled: ${user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error disabling two-factor authentication'
+        });
+    }
+});
+
+module.exports = router;
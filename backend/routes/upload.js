@@ -3,24 +3,25 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../database/db');
-
-// Ensure upload directory exists
-const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '../uploads/audio');
-if (!fs.existsSync(UPLOAD_DIR)) {
-    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
-}
+const ticketStore = require('../database/ticket-store');
+const { getStorage } = require('../storage');
+const { isNotFound } = require('../storage/errors');
+const { multerStorage } = require('../storage/multer-storage');
+const { verifyToken } = require('./auth');
+const { requirePermission } = require('../middleware/authorize');
+const { sendStoredFile } = require('../middleware/upload-access');
+
+// Audio files are stored under audio/ in the upload storage
+const AUDIO_FOLDER = 'audio';
+const fileStorage = getStorage();
 
 // Configure multer for audio upload
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, UPLOAD_DIR);
-    },
-    filename: (req, file, cb) => {
+const storage = multerStorage(fileStorage, {
+    key: (req, file, cb) => {
         const uniqueName = `${uuidv4()}-${Date.now()}${path.extname(file.originalname)}`;
-        cb(null, uniqueName);
+        cb(null, `${AUDIO_FOLDER}/${uniqueName}`);
     }
 });
 
@@ -45,7 +46,7 @@ const upload = multer({
  * POST /api/upload/audio
  * Upload audio file (user recording or AI response)
  */
-router.post('/audio', upload.single('audio'), async (req, res) => {
+router.post('/audio', verifyToken, requirePermission('uploads:create'), upload.single('audio'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -86,7 +87,7 @@ router.post('/audio', upload.single('audio'), async (req, res) => {
 
         // Delete file if database insert failed
         if (req.file) {
-            fs.unlinkSync(req.file.path);
+            await fileStorage.delete(req.file.key).catch(() => {});
         }
 
         res.status(500).json({
@@ -100,7 +101,7 @@ router.post('/audio', upload.single('audio'), async (req, res) => {
  * POST /api/upload/transcribe
  * Upload audio and transcribe with Groq Whisper
  */
-router.post('/transcribe', upload.single('audio'), async (req, res) => {
+router.post('/transcribe', verifyToken, requirePermission('uploads:create'), upload.single('audio'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -112,8 +113,7 @@ router.post('/transcribe', upload.single('audio'), async (req, res) => {
         const { ticket_id, language = 'ar' } = req.body;
 
         // Read audio file
-        const audioBuffer = fs.readFileSync(req.file.path);
-        const audioBlob = new Blob([audioBuffer], { type: req.file.mimetype });
+        const audioBuffer = await fileStorage.get(req.file.key);
 
         // Call Groq Whisper API
         const FormData = require('form-data');
@@ -175,7 +175,7 @@ router.post('/transcribe', upload.single('audio'), async (req, res) => {
 
         // Delete file on error
         if (req.file) {
-            fs.unlinkSync(req.file.path);
+            await fileStorage.delete(req.file.key).catch(() => {});
         }
 
         res.status(500).json({
@@ -189,21 +189,12 @@ router.post('/transcribe', upload.single('audio'), async (req, res) => {
  * GET /api/upload/audio/:filename
  * Download/stream audio file
  */
-router.get('/audio/:filename', (req, res) => {
+router.get('/audio/:filename', verifyToken, requirePermission('uploads:read'), async (req, res) => {
     try {
         const { filename } = req.params;
-        const filePath = path.join(UPLOAD_DIR, filename);
-
-        // Check if file exists
-        if (!fs.existsSync(filePath)) {
-            return res.status(404).json({
-                success: false,
-                message: 'Audio file not found'
-            });
-        }
 
         // Stream file
-        res.sendFile(filePath);
+        await sendStoredFile(req, res, fileStorage, `${AUDIO_FOLDER}/${filename}`, 'Audio file not found');
     } catch (error) {
         console.error('Download error:', error);
         res.status(500).json({
@@ -215,15 +206,22 @@ router.get('/audio/:filename', (req, res) => {
 
 /**
  * DELETE /api/upload/audio/:filename
- * Delete audio file
+ * Delete audio file (409 while its ticket is under legal hold)
  */
-router.delete('/audio/:filename', (req, res) => {
+router.delete('/audio/:filename', verifyToken, requirePermission('uploads:delete'), async (req, res) => {
     try {
         const { filename } = req.params;
-        const filePath = path.join(UPLOAD_DIR, filename);
 
-        // Check if file exists
-        if (!fs.existsSync(filePath)) {
+        const owners = db.prepare('SELECT DISTINCT ticket_id FROM audio_files WHERE file_path = ?').all(filename);
+        owners.forEach(row => ticketStore.assertNotHeld(row.ticket_id));
+
+        // Delete file
+        const deleted = await fileStorage.delete(`${AUDIO_FOLDER}/${filename}`).catch(error => {
+            if (isNotFound(error)) return false;
+            throw error;
+        });
+
+        if (!deleted) {
             return res.status(404).json({
                 success: false,
                 message: 'Audio file not found'
@@ -233,14 +231,18 @@ router.delete('/audio/:filename', (req, res) => {
         // Delete from database
         db.prepare('DELETE FROM audio_files WHERE file_path = ?').run(filename);
 
-        // Delete file
-        fs.unlinkSync(filePath);
-
         res.json({
             success: true,
             message: 'Audio file deleted successfully'
         });
     } catch (error) {
+        if (error.code === 'LEGAL_HOLD') {
+            return res.status(409).json({
+                success: false,
+                message: 'Audio file belongs to a ticket under legal hold and cannot be deleted'
+            });
+        }
+
         console.error('Delete error:', error);
         res.status(500).json({
             success: false,
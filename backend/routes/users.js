@@ -0,0 +1,426 @@
+// User Management Routes (admin only)
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const userStore = require('../database/user-store');
+const sessionStore = require('../database/session-store');
+const passwordPolicy = require('../users/password-policy');
+const loginThrottle = require('../users/login-throttle');
+const { recordAuditEvent } = require('../audit/audit-log');
+const { verifyToken } = require('./auth');
+const { ROLES, requirePermission } = require('../middleware/authorize');
+
+router.use(verifyToken, requirePermission('users:manage'));
+
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,32}$/;
+
+/**
+ * Reject a password that fails the policy
+ * @returns {boolean} true if a 400 response was sent
+ */
+function rejectWeakPassword(res, password, username) {
+    const errors = passwordPolicy.validatePassword(password, username);
+
+    if (errors.length === 0) {
+        return false;
+    }
+
+    res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors
+    });
+    return true;
+}
+
+/**
+ * Reject a change that would leave no enabled admin
+ * @returns {boolean} true if a 409 response was sent
+ */
+function rejectLastAdminChange(res, user) {
+    if (user.role !== 'admin' || user.disabled || userStore.countActiveAdmins(user.id) > 0) {
+        return false;
+    }
+
+    res.status(409).json({
+        success: false,
+        message: 'At least one active admin is required'
+    });
+    return true;
+}
+
+/**
+ * GET /api/users
+ * List staff accounts with last login, failed-attempt counts and login lockouts
+ */
+router.get('/', async (req, res) => {
+    try {
+        const users = await Promise.all(userStore.listUsers().map(async (user) => {
+            const lockedUntil = await loginThrottle.getLockout(user.username);
+            return { ...user, locked_until: lockedUntil ? lockedUntil.toISOString() : null };
+        }));
+
+        res.json({
+            success: true,
+            count: users.length,
+            roles: Object.keys(ROLES),
+            users
+        });
+    } catch (error) {
+        console.error('Get users error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching users'
+        });
+    }
+});
+
+/**
+ * POST /api/users
+ * Create a user
+ *
+ * Body: { username, password, role }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { username, password, role } = req.body;
+
+        if (!username || !USERNAME_PATTERN.test(username)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Username must be 3-32 characters (letters, digits, . _ -)'
+            });
+        }
+
+        if (!ROLES[role]) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid role. Expected one of: ${Object.keys(ROLES).join(', ')}`
+            });
+        }
+
+        if (rejectWeakPassword(res, password, username)) return;
+
+        if (userStore.usernameExists(username)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Username already exists'
+            });
+        }
+
+        const passwordHash = await bcrypt.hash(password, passwordPolicy.BCRYPT_ROUNDS);
+        const user = userStore.createUser({ username, passwordHash, role });
+
+        console.log(`👤 User created: ${username} (${role}) by ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'User created successfully',
+            user
+        });
+    } catch (error) {
+        console.error('Create user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating user'
+        });
+    }
+});
+
+/**
+ * GET /api/users/:id
+ * Get a single user
+ */
+router.get('/:id', (req, res) => {
+    try {
+        const user = userStore.getUser(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            user
+        });
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching user'
+        });
+    }
+});
+
+/**
+ * PUT /api/users/:id
+ * Change role and/or disable/enable a user
+ *
+ * Body: { role, disabled }
+ */
+router.put('/:id', (req, res) => {
+    try {
+        const { role, disabled } = req.body;
+        const user = userStore.getUser(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (role !== undefined && !ROLES[role]) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid role. Expected one of: ${Object.keys(ROLES).join(', ')}`
+            });
+        }
+
+        if (disabled !== undefined && typeof disabled !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'disabled must be true or false'
+            });
+        }
+
+        const demoted = role !== undefined && role !== 'admin';
+        if ((demoted || disabled === true) && rejectLastAdminChange(res, user)) return;
+
+        if (disabled === true && user.id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot disable your own account'
+            });
+        }
+
+        const updated = userStore.updateUser(user.id, { role, disabled });
+
+        if (disabled === true) {
+            sessionStore.revokeUserSessions(user.id, 'user_disabled');
+        }
+
+        console.log(`👤 User updated: ${updated.username} (${updated.role}${updated.disabled ? ', disabled' : ''}) by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'User updated successfully',
+            user: updated
+        });
+    } catch (error) {
+        console.error('Update user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating user'
+        });
+    }
+});
+
+/**
+ * POST /api/users/:id/logout
+ * Force logout: revoke every session of the user
+ */
+router.post('/:id/logout', (req, res) => {
+    try {
+        const user = userStore.getUser(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const revoked = sessionStore.revokeUserSessions(user.id, 'admin_forced');
+
+        console.log(`🔒 Forced logout: ${user.username} (${revoked} session(s)) by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'User signed out of all devices',
+            revoked,
+            user: userStore.getUser(user.id)
+        });
+    } catch (error) {
+        console.error('Force logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error signing out user'
+        });
+    }
+});
+
+/**
+ * POST /api/users/:id/unlock
+ * Lift a login lockout and clear the failed-attempt count
+ */
+router.post('/:id/unlock', async (req, res) => {
+    try {
+        const user = userStore.getUser(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const lockedUntil = await loginThrottle.getLockout(user.username);
+        await loginThrottle.unlockUser(user.username);
+        userStore.resetFailedAttempts(user.id);
+
+        recordAuditEvent({
+            action: 'auth.unlock',
+            actor: req.user,
+            ip: req.ip,
+            target: user.username,
+            details: { wasLocked: !!lockedUntil }
+        });
+
+        console.log(`🔓 Login unlocked: ${user.username} by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'User unlocked successfully',
+            user: { ...userStore.getUser(user.id), locked_until: null }
+        });
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error unlocking user'
+        });
+    }
+});
+
+/**
+ * POST /api/users/:id/reset-2fa
+ * Turn off a user's 2FA (lost phone); they can enrol again after logging in
+ */
+router.post('/:id/reset-2fa', (req, res) => {
+    try {
+        const user = userStore.getUser(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (!userStore.disableTotp(user.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not set up for this user'
+            });
+        }
+
+        recordAuditEvent({
+            action: 'auth.2fa_reset',
+            actor: req.user,
+            ip: req.ip,
+            target: user.username
+        });
+
+        console.log(`🔓 2FA reset: ${user.username} by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication reset',
+            user: userStore.getUser(user.id)
+        });
+    } catch (error) {
+        console.error('Reset 2FA error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error resetting two-factor authentication'
+        });
+    }
+});
+
+/**
+ * POST /api/users/:id/reset-password
+ * Set a new password (also clears the failed-attempt count and lockout, and signs the user out)
+ *
+ * Body: { password }
+ */
+router.post('/:id/reset-password', async (req, res) => {
+    try {
+        const { password } = req.body;
+        const user = userStore.getUser(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (rejectWeakPassword(res, password, user.username)) return;
+
+        const passwordHash = await bcrypt.hash(password, passwordPolicy.BCRYPT_ROUNDS);
+        userStore.setPasswordHash(user.id, passwordHash);
+        sessionStore.revokeUserSessions(user.id, 'password_reset');
+        await loginThrottle.unlockUser(user.username);
+
+        console.log(`🔑 Password reset: ${user.username} by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully',
+            user: userStore.getUser(user.id)
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error resetting password'
+        });
+    }
+});
+
+/**
+ * DELETE /api/users/:id
+ * Delete a user (prefer disabling to keep the account on record)
+ */
+router.delete('/:id', (req, res) => {
+    try {
+        const user = userStore.getUser(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot delete your own account'
+            });
+        }
+
+        if (rejectLastAdminChange(res, user)) return;
+
+        userStore.deleteUser(user.id);
+
+        console.log(`🗑️  User deleted: ${user.username} by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'User deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting user'
+        });
+    }
+});
+
+module.exports = router;
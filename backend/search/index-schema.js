@@ -0,0 +1,102 @@
+// Full-Text Search Index Schema
+// FTS5 table over conversation messages, transcriptions and ticket descriptions.
+// Triggers keep it in sync with every write path; text is normalized by the
+// search_normalize() SQL function registered in database/db.js.
+//
+// rowid encodes the source row so updates/deletes hit a single index entry:
+//   conversations.id * 4     → message content
+//   conversations.id * 4 + 1 → voice transcription
+//   tickets.id * 4 + 2       → ticket description
+
+const CREATE_TABLE = `
+    CREATE VIRTUAL TABLE search_index USING fts5(
+        content,
+        ticket_id UNINDEXED,
+        source UNINDEXED,
+        source_id UNINDEXED,
+        tokenize = 'unicode61 remove_diacritics 2'
+    )
+`;
+
+// Index statements for a row alias: 'new' inside triggers, or a table alias plus FROM for rebuilds
+const INSERT_CONVERSATION = (row, from = '') => `
+    INSERT INTO search_index (rowid, content, ticket_id, source, source_id)
+    SELECT ${row}.id * 4, search_normalize(${row}.content), ${row}.ticket_id, 'message', ${row}.id
+    ${from} WHERE ${row}.content IS NOT NULL;
+
+    INSERT INTO search_index (rowid, content, ticket_id, source, source_id)
+    SELECT ${row}.id * 4 + 1, search_normalize(${row}.transcription), ${row}.ticket_id, 'transcription', ${row}.id
+    ${from} WHERE ${row}.transcription IS NOT NULL AND ${row}.transcription != ${row}.content;
+`;
+
+const INSERT_DESCRIPTION = (row, from = '') => `
+    INSERT INTO search_index (rowid, content, ticket_id, source, source_id)
+    SELECT ${row}.id * 4 + 2, search_normalize(${row}.description), ${row}.ticket_id, 'description', ${row}.id
+    ${from} WHERE ${row}.description IS NOT NULL;
+`;
+
+const CREATE_TRIGGERS = `
+    CREATE TRIGGER IF NOT EXISTS conversations_search_insert AFTER INSERT ON conversations BEGIN
+        ${INSERT_CONVERSATION('new')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS conversations_search_update AFTER UPDATE ON conversations BEGIN
+        DELETE FROM search_index WHERE rowid IN (old.id * 4, old.id * 4 + 1);
+        ${INSERT_CONVERSATION('new')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS conversations_search_delete AFTER DELETE ON conversations BEGIN
+        DELETE FROM search_index WHERE rowid IN (old.id * 4, old.id * 4 + 1);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS tickets_search_insert AFTER INSERT ON tickets BEGIN
+        ${INSERT_DESCRIPTION('new')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS tickets_search_update AFTER UPDATE OF description ON tickets BEGIN
+        DELETE FROM search_index WHERE rowid = old.id * 4 + 2;
+        ${INSERT_DESCRIPTION('new')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS tickets_search_delete AFTER DELETE ON tickets BEGIN
+        DELETE FROM search_index WHERE rowid = old.id * 4 + 2;
+    END;
+`;
+
+/**
+ * Re-index every conversation message and ticket description
+ * (run after changing normalize.js)
+ * @param {Database} db - better-sqlite3 connection with search_normalize registered
+ */
+function rebuildSearchIndex(db) {
+    db.transaction(() => {
+        db.exec('DELETE FROM search_index');
+        db.exec(INSERT_CONVERSATION('c', 'FROM conversations c'));
+        db.exec(INSERT_DESCRIPTION('t', 'FROM tickets t'));
+    })();
+}
+
+/**
+ * Create the search index and its triggers; populate it on first creation
+ * @param {Database} db - better-sqlite3 connection with search_normalize registered
+ */
+function initializeSearchIndex(db) {
+    const exists = db.prepare(`
+        SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'search_index'
+    `).get();
+
+    if (!exists) {
+        db.exec(CREATE_TABLE);
+    }
+
+    db.exec(CREATE_TRIGGERS);
+
+    if (!exists) {
+        rebuildSearchIndex(db);
+    }
+}
+
+module.exports = {
+    initializeSearchIndex,
+    rebuildSearchIndex
+};
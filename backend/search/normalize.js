@@ -0,0 +1,73 @@
+// Search Text Normalization
+// Folds Arabic spelling variants so "مدرسة"/"مدرسه" and "إصابة"/"اصابه" match,
+// strips diacritics and tatweel, converts Arabic-Indic digits and lowercases English.
+
+// Harakat, superscript alef and Quranic annotation marks
+const DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/;
+const TATWEEL = '\u0640';
+
+const CHAR_MAP = {
+    'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ٱ': 'ا',
+    'ى': 'ي', 'ی': 'ي',
+    'ة': 'ه',
+    'ک': 'ك'
+};
+
+// Arabic-Indic (U+0660) and Eastern Arabic-Indic (U+06F0) digits
+function mapDigit(char) {
+    const code = char.charCodeAt(0);
+    if (code >= 0x0660 && code <= 0x0669) return String(code - 0x0660);
+    if (code >= 0x06F0 && code <= 0x06F9) return String(code - 0x06F0);
+    return null;
+}
+
+/**
+ * Normalize text and keep the position of every output character in the input
+ * (used to highlight matches in the original text)
+ * @param {string} text - Original text
+ * @returns {Object} { text, map } - map[i] is the input index of output character i
+ */
+function normalizeWithMap(text) {
+    let output = '';
+    const map = [];
+
+    if (!text) return { text: output, map };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (char === TATWEEL || DIACRITICS.test(char)) continue;
+
+        const folded = CHAR_MAP[char] || mapDigit(char) || char.toLowerCase();
+        for (const unit of folded) {
+            output += unit;
+            map.push(i);
+        }
+    }
+
+    return { text: output, map };
+}
+
+/**
+ * Normalize text for indexing and querying
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return normalizeWithMap(text).text;
+}
+
+/**
+ * Split normalized text into word tokens
+ * @param {string} text - Raw or normalized text
+ * @returns {Array<string>} Normalized tokens
+ */
+function tokenize(text) {
+    return normalizeText(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+module.exports = {
+    normalizeText,
+    normalizeWithMap,
+    tokenize
+};
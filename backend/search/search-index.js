@@ -0,0 +1,240 @@
+// Full-Text Search
+// Queries the FTS5 index (search/index-schema.js) and builds highlighted snippets
+const db = require('../database/db');
+const { normalizeWithMap, tokenize } = require('./normalize');
+const piiRedaction = require('../privacy/pii-redaction');
+
+// Arabic article forms ("the", "and the", "with the", ...) and one-letter proclitics,
+// so "سيارة" also finds "السيارة" and "بالسيارة"
+const ARTICLES = ['وال', 'بال', 'فال', 'كال', 'ال', 'لل'];
+const PROCLITICS = [...ARTICLES, 'و', 'ب', 'ف', 'ك', 'ل'];
+const ARABIC_LETTER = /[\u0621-\u064A]/;
+
+const SNIPPET_RADIUS = 60;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Expand a normalized token into the spellings searched for
+ * @param {string} token - Normalized token
+ * @returns {Array<string>} Variants (the bare word first)
+ */
+function expandToken(token) {
+    if (!ARABIC_LETTER.test(token)) {
+        return [token];
+    }
+
+    // Drop a typed article so both forms are searched
+    let base = token;
+    for (const prefix of ARTICLES) {
+        if (token.startsWith(prefix) && token.length - prefix.length >= 2) {
+            base = token.slice(prefix.length);
+            break;
+        }
+    }
+
+    const stems = [base];
+
+    // Ta marbuta (folded to ه) becomes ت before suffixes: سيارة → سيارتي
+    if (base.length >= 3 && base.endsWith('ه')) {
+        stems.push(base.slice(0, -1) + 'ت');
+    }
+
+    return stems.flatMap(stem => [stem, ...PROCLITICS.map(prefix => prefix + stem)]);
+}
+
+/**
+ * Parse a user query into the terms to search for
+ * @param {string} query - Raw search text
+ * @returns {Array<Array<string>>} One variant list per word
+ */
+function parseQuery(query) {
+    return tokenize(query).map(expandToken);
+}
+
+/**
+ * Build an FTS5 MATCH expression: every word must match (any variant, as a prefix)
+ * @param {string} query - Raw search text
+ * @returns {string|null} MATCH expression, or null when the query has no words
+ */
+function buildMatchQuery(query) {
+    const terms = parseQuery(query);
+
+    if (terms.length === 0) {
+        return null;
+    }
+
+    return terms
+        .map(variants => `(${variants.map(variant => `"${variant}"*`).join(' OR ')})`)
+        .join(' AND ');
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Find the ranges of the original text that match the query terms
+ * @returns {Array<Array<number>>} [start, end) ranges in the original text, one per matching word
+ */
+function findMatches(text, terms) {
+    const { text: normalized, map } = normalizeWithMap(text);
+    const ranges = [];
+
+    for (const word of normalized.matchAll(/[\p{L}\p{N}]+/gu)) {
+        let length = 0;
+
+        for (const variants of terms) {
+            for (const variant of variants) {
+                if (variant.length > length && word[0].startsWith(variant)) {
+                    length = variant.length;
+                }
+            }
+        }
+
+        if (length > 0) {
+            const start = map[word.index];
+            const end = map[word.index + length - 1] + 1;
+            ranges.push([start, end]);
+        }
+    }
+
+    return ranges;
+}
+
+/**
+ * Build an HTML snippet around the first match, with matches wrapped in <mark>
+ * @param {string} text - Original text
+ * @param {Array<Array<string>>} terms - From parseQuery
+ * @returns {string} Escaped HTML
+ */
+function buildSnippet(text, terms) {
+    const ranges = findMatches(text, terms);
+
+    let start = 0;
+    let end = text.length;
+    if (ranges.length > 0) {
+        start = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+        end = Math.min(text.length, ranges[0][1] + SNIPPET_RADIUS);
+    } else {
+        end = Math.min(text.length, SNIPPET_RADIUS * 2);
+    }
+
+    let html = start > 0 ? '…' : '';
+    let position = start;
+
+    for (const [matchStart, matchEnd] of ranges) {
+        if (matchEnd <= start || matchStart >= end) continue;
+
+        const from = Math.max(matchStart, position);
+        const to = Math.min(matchEnd, end);
+        html += escapeHtml(text.slice(position, from));
+        html += `<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+        position = to;
+    }
+
+    html += escapeHtml(text.slice(position, end));
+    if (end < text.length) html += '…';
+
+    return html;
+}
+
+/**
+ * Load the original text of index entries (the index stores normalized text)
+ * @returns {Object} Map of `${source}:${source_id}` → { text, role, created_at }
+ */
+function loadOriginals(rows) {
+    const originals = {};
+
+    const conversationIds = rows.filter(row => row.source !== 'description').map(row => row.source_id);
+    if (conversationIds.length > 0) {
+        const conversations = db.prepare(`
+            SELECT id, role, content, transcription, created_at FROM conversations
+            WHERE id IN (${conversationIds.map(() => '?').join(', ')})
+        `).all(...conversationIds);
+
+        for (const row of conversations) {
+            originals[`message:${row.id}`] = { text: row.content, role: row.role, created_at: row.created_at };
+            originals[`transcription:${row.id}`] = { text: row.transcription, role: row.role, created_at: row.created_at };
+        }
+    }
+
+    const ticketIds = rows.filter(row => row.source === 'description').map(row => row.source_id);
+    if (ticketIds.length > 0) {
+        const tickets = db.prepare(`
+            SELECT id, description, created_at FROM tickets
+            WHERE id IN (${ticketIds.map(() => '?').join(', ')})
+        `).all(...ticketIds);
+
+        for (const row of tickets) {
+            originals[`description:${row.id}`] = { text: row.description, role: null, created_at: row.created_at };
+        }
+    }
+
+    return originals;
+}
+
+/**
+ * Search conversation messages, transcriptions and ticket descriptions
+ * @param {string} query - Raw search text (Arabic or English)
+ * @param {Object} options - { limit, offset, redacted } (redacted masks PII in snippets)
+ * @returns {Object|null} { total, results } or null when the query has no words
+ */
+function search(query, options = {}) {
+    const match = buildMatchQuery(query);
+
+    if (!match) {
+        return null;
+    }
+
+    const limit = Math.min(options.limit || DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = options.offset || 0;
+
+    const total = db.prepare(`
+        SELECT COUNT(*) AS count FROM search_index WHERE search_index MATCH ?
+    `).get(match).count;
+
+    const rows = db.prepare(`
+        SELECT ticket_id, source, source_id, bm25(search_index) AS score
+        FROM search_index
+        WHERE search_index MATCH ?
+        ORDER BY score
+        LIMIT ? OFFSET ?
+    `).all(match, limit, offset);
+
+    const terms = parseQuery(query);
+    const originals = loadOriginals(rows);
+
+    const results = rows.map(row => {
+        const original = originals[`${row.source}:${row.source_id}`] || { text: '', role: null, created_at: null };
+        const messageId = row.source === 'description' ? null : row.source_id;
+
+        return {
+            ticket_id: row.ticket_id,
+            source: row.source,
+            message_id: messageId,
+            role: original.role,
+            created_at: original.created_at,
+            snippet: buildSnippet(options.redacted ? piiRedaction.mask(original.text || '') : original.text || '', terms),
+            link: `admin.html?ticket=${encodeURIComponent(row.ticket_id)}${messageId ? `&message=${messageId}` : ''}`
+        };
+    });
+
+    return { total, results };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    buildMatchQuery,
+    buildSnippet,
+    parseQuery,
+    search
+};
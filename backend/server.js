@@ -3,7 +3,6 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -24,14 +23,24 @@ app.use(cors({
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
+// Behind a reverse proxy (nginx), use X-Forwarded-For for req.ip (login throttling, audit log)
+// TRUST_PROXY: number of proxy hops, "true", or an Express trust-proxy list (e.g. "loopback")
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' || trustProxy);
+}
+
 // Parse JSON bodies
 app.use(express.json());
 
 // Parse URL-encoded bodies
 app.use(express.urlencoded({ extended: true }));
 
-// Serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve uploaded files to signed-in users or through signed URLs (every access is audited)
+const { auditAccess } = require('./middleware/audit-access');
+const { requireUploadAccess, serveUploads } = require('./middleware/upload-access');
+const { getStorage } = require('./storage');
+app.use('/uploads', auditAccess('file'), requireUploadAccess, serveUploads(getStorage()));
 
 // Request logging (development)
 if (process.env.NODE_ENV !== 'production') {
@@ -57,13 +66,28 @@ app.get('/health', (req, res) => {
 
 // API Routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/two-factor');
 const ticketsRoutes = require('./routes/tickets');
 const uploadRoutes = require('./routes/upload');
 const ocrRoutes = require('./routes/ocr');
-
+const conversationsRoutes = require('./routes/conversations');
+const searchRoutes = require('./routes/search');
+const usersRoutes = require('./routes/users');
+const auditRoutes = require('./routes/audit');
+const retentionRoutes = require('./routes/retention');
+const trackRoutes = require('./routes/track');
+
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
-app.use('/api/tickets', ticketsRoutes);
-app.use('/api/upload', uploadRoutes);
+app.use('/api/tickets', auditAccess('ticket'), ticketsRoutes);
+app.use('/api/upload', auditAccess('file'), uploadRoutes);
+app.use('/api/conversations', conversationsRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/users', usersRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/retention', retentionRoutes);
+app.use('/api/track', trackRoutes);
+app.use(['/api/ocr-upload', '/api/image'], auditAccess('file'));
 app.use('/api', ocrRoutes); // OCR routes: /api/ocr-upload
 
 // API Root
@@ -75,8 +99,18 @@ app.get('/api', (req, res) => {
         endpoints: {
             auth: {
                 login: 'POST /api/auth/login',
+                loginTwoFactor: 'POST /api/auth/login/2fa',
+                refresh: 'POST /api/auth/refresh',
                 verify: 'GET /api/auth/verify',
-                logout: 'POST /api/auth/logout'
+                logout: 'POST /api/auth/logout',
+                logoutAll: 'POST /api/auth/logout-all'
+            },
+            twoFactor: {
+                status: 'GET /api/auth/2fa',
+                setup: 'POST /api/auth/2fa/setup',
+                enable: 'POST /api/auth/2fa/enable',
+                recoveryCodes: 'POST /api/auth/2fa/recovery-codes',
+                disable: 'POST /api/auth/2fa/disable'
             },
             tickets: {
                 list: 'GET /api/tickets',
@@ -84,6 +118,7 @@ app.get('/api', (req, res) => {
                 create: 'POST /api/tickets',
                 update: 'PUT /api/tickets/:ticketId',
                 delete: 'DELETE /api/tickets/:ticketId',
+                legalHold: 'PUT /api/tickets/:ticketId/legal-hold',
                 addConversation: 'POST /api/tickets/:ticketId/conversations',
                 addFinding: 'POST /api/tickets/:ticketId/findings'
             },
@@ -98,6 +133,38 @@ app.get('/api', (req, res) => {
                 batch: 'POST /api/ocr-upload/batch',
                 getImage: 'GET /api/ocr-upload/image/:filename',
                 deleteImage: 'DELETE /api/ocr-upload/image/:filename'
+            },
+            conversations: {
+                start: 'POST /api/conversations',
+                get: 'GET /api/conversations/:sessionId',
+                resume: 'POST /api/conversations/resume',
+                sendMessage: 'POST /api/conversations/:sessionId/messages'
+            },
+            search: {
+                transcripts: 'GET /api/search?q='
+            },
+            users: {
+                list: 'GET /api/users',
+                get: 'GET /api/users/:id',
+                create: 'POST /api/users',
+                update: 'PUT /api/users/:id',
+                resetPassword: 'POST /api/users/:id/reset-password',
+                forceLogout: 'POST /api/users/:id/logout',
+                unlock: 'POST /api/users/:id/unlock',
+                resetTwoFactor: 'POST /api/users/:id/reset-2fa',
+                delete: 'DELETE /api/users/:id'
+            },
+            audit: {
+                verify: 'GET /api/audit/verify',
+                export: 'GET /api/audit/export?from=&to='
+            },
+            retention: {
+                policy: 'GET /api/retention/policy',
+                report: 'GET /api/retention/report',
+                purge: 'POST /api/retention/purge'
+            },
+            track: {
+                ticket: 'POST /api/track'
             }
         }
     });
@@ -153,20 +220,27 @@ app.use((err, req, res, next) => {
 // START SERVER
 // ============================================
 
-app.listen(PORT,"0.0.0.0",() => {
-    console.log('\n🚀 Najm Assistant Backend Server Started\n');
-    console.log(`📡 Server running on: http://localhost:${PORT}`);
-    console.log(`🏥 Health check: http://localhost:${PORT}/health`);
-    console.log(`📋 API docs: http://localhost:${PORT}/api`);
-    console.log(`🌐 CORS enabled for: ${process.env.FRONTEND_URL || 'http://localhost:8000'}`);
-    console.log(`📁 Database: ${process.env.DB_PATH || './database/najm.db'}`);
-    console.log(`\n✅ Backend ready! Press Ctrl+C to stop\n`);
-});
+// Scheduled retention purge (the server stops if a RETENTION_*_DAYS value is invalid)
+const retentionJob = require('./retention/purge-job');
+
+// Only listen when run directly (tests require the app and listen on a free port)
+if (require.main === module) {
+    app.listen(PORT,"0.0.0.0",() => {
+        console.log('\n🚀 Najm Assistant Backend Server Started\n');
+        console.log(`📡 Server running on: http://localhost:${PORT}`);
+        console.log(`🏥 Health check: http://localhost:${PORT}/health`);
+        console.log(`📋 API docs: http://localhost:${PORT}/api`);
+        console.log(`🌐 CORS enabled for: ${process.env.FRONTEND_URL || 'http://localhost:8000'}`);
+        console.log(`📁 Database: ${process.env.DB_PATH || './database/najm.db'}`);
+        retentionJob.startSchedule();
+        console.log(`\n✅ Backend ready! Press Ctrl+C to stop\n`);
+    });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\n\n👋 Shutting down gracefully...');
-    process.exit(0);
-});
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('\n\n👋 Shutting down gracefully...');
+        process.exit(0);
+    });
+}
 
 module.exports = app;
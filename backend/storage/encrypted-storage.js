@@ -0,0 +1,101 @@
+/**
+ * Encrypted Storage
+ * Wraps a storage driver so objects in the document folders (id_cards/, driving_licenses/,
+ * vehicle_registrations/) are encrypted on put and decrypted on get/stream
+ * (storage/file-encryption.js). Objects with a file_keys row are decrypted wherever they
+ * are; plain objects written before encryption was enabled are returned as they are.
+ */
+
+const { pipeline, PassThrough } = require('stream');
+const fileEncryption = require('./file-encryption');
+const fileKeyStore = require('../database/file-key-store');
+
+function folderOf(key) {
+    return key.split('/')[0];
+}
+
+/**
+ * Add encryption to a driver
+ * @param {Object} driver - Storage driver (storage/local-driver.js, storage/s3-driver.js)
+ * @returns {Object} Storage with the driver's interface; `raw` is the unwrapped driver
+ */
+function withEncryption(driver) {
+    return {
+        name: driver.name,
+        raw: driver,
+
+        async put(key, body, options = {}) {
+            if (!fileEncryption.isEncryptedFolder(folderOf(key))) {
+                return driver.put(key, body, options);
+            }
+
+            let size;
+            let encrypted;
+            let saveKey;
+
+            if (Buffer.isBuffer(body)) {
+                size = body.length;
+                ({ data: encrypted, saveKey } = fileEncryption.encryptBuffer(body, key));
+            } else {
+                const encryption = fileEncryption.createEncryptStream(key);
+                const counter = new PassThrough();
+                size = 0;
+                counter.on('data', chunk => { size += chunk.length; });
+
+                saveKey = encryption.saveKey;
+                encrypted = pipeline(body, counter, encryption.stream, () => {});
+            }
+
+            // Key first: an object without its key could never be read again
+            saveKey();
+            try {
+                await driver.put(key, encrypted, { ...options, contentType: 'application/octet-stream' });
+            } catch (error) {
+                fileKeyStore.deleteFileKey(key);
+                throw error;
+            }
+
+            return { key, size };
+        },
+
+        async get(key) {
+            const data = await driver.get(key);
+            const row = fileKeyStore.getFileKey(key);
+            return row ? fileEncryption.decryptBuffer(data, row) : data;
+        },
+
+        async stream(key) {
+            const stored = await driver.stream(key);
+            const row = fileKeyStore.getFileKey(key);
+            if (!row) return stored;
+
+            let decrypt;
+            try {
+                decrypt = fileEncryption.createDecryptStream(row);
+            } catch (error) {
+                stored.stream.destroy();
+                throw error;
+            }
+
+            return {
+                ...stored,
+                stream: pipeline(stored.stream, decrypt, () => {}),
+                size: stored.size - fileEncryption.ENCRYPTION_OVERHEAD
+            };
+        },
+
+        async delete(key) {
+            const existed = await driver.delete(key);
+            fileKeyStore.deleteFileKey(key);
+            return existed;
+        },
+
+        list(prefix) {
+            return driver.list(prefix);
+        }
+    };
+}
+
+module.exports = {
+    withEncryption
+};
@@ -0,0 +1,33 @@
+/**
+ * Storage Errors
+ * Drivers report missing objects and rejected keys with these codes, so callers
+ * can answer 404 without knowing which driver is active.
+ */
+
+const NOT_FOUND = 'STORAGE_NOT_FOUND';
+const INVALID_KEY = 'STORAGE_INVALID_KEY';
+
+function notFoundError(key) {
+    const error = new Error(`Object not found: ${key}`);
+    error.code = NOT_FOUND;
+    return error;
+}
+
+function invalidKeyError(key) {
+    const error = new Error(`Invalid storage key: ${key}`);
+    error.code = INVALID_KEY;
+    return error;
+}
+
+/**
+ * Check whether an error means "no such object" (missing or invalid key)
+ */
+function isNotFound(error) {
+    return !!error && (error.code === NOT_FOUND || error.code === INVALID_KEY);
+}
+
+module.exports = {
+    notFoundError,
+    invalidKeyError,
+    isNotFound
+};
@@ -0,0 +1,260 @@
+/**
+ * File Encryption (envelope encryption for identity documents)
+ *
+ * Each file is encrypted with its own random data key (AES-256-GCM). The data key is
+ * wrapped by the master key and stored in file_keys (database/file-key-store.js), so
+ * rotating the master key only re-wraps the small data keys (database/rotate-file-keys.js)
+ * and never rewrites the files. storage/encrypted-storage.js applies this to every object
+ * in the document folders, whichever storage driver is active.
+ *
+ * Encrypted file layout: MAGIC (4) | IV (12) | ciphertext | auth tag (16)
+ *
+ * Master key: FILE_MASTER_KEY (32 bytes as 64 hex characters or base64) or FILE_MASTER_KEY_FILE.
+ * Keys being rotated out: FILE_MASTER_KEY_PREVIOUS (comma-separated) or FILE_MASTER_KEY_PREVIOUS_FILE
+ * (one key per line).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { Transform } = require('stream');
+const fileKeyStore = require('../database/file-key-store');
+
+// Upload folders whose files are encrypted
+const ENCRYPTED_FOLDERS = ['id_cards', 'driving_licenses', 'vehicle_registrations'];
+
+const ALGORITHM = 'aes-256-gcm';
+const MAGIC = Buffer.from('NJE1');
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + IV_LENGTH;
+
+// Stored size minus plain size
+const ENCRYPTION_OVERHEAD = HEADER_LENGTH + TAG_LENGTH;
+
+let keyring = null;
+
+/**
+ * Parse a 256-bit key written as hex or base64
+ */
+function parseKey(text, name) {
+    const value = String(text).trim();
+    const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+
+    if (key.length !== 32) {
+        throw new Error(`${name} must be 32 bytes (64 hex characters or base64)`);
+    }
+    return key;
+}
+
+/**
+ * Short, stable ID of a master key (stored with each wrapped data key)
+ */
+function keyIdOf(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function readKeys(envName) {
+    const fileName = process.env[`${envName}_FILE`];
+    const text = fileName ? fs.readFileSync(fileName, 'utf8') : process.env[envName];
+    return (text || '').split(/[\s,]+/).filter(Boolean).map(value => parseKey(value, envName));
+}
+
+/**
+ * Load the master keys from the environment (once)
+ * @returns {Object} { current: { id, key }, byId: Map<id, key> }
+ */
+function loadKeyring() {
+    if (keyring) return keyring;
+
+    const [current] = readKeys('FILE_MASTER_KEY');
+    if (!current) {
+        throw new Error('FILE_MASTER_KEY is not set. Add a 32-byte key (or FILE_MASTER_KEY_FILE) to .env');
+    }
+
+    const byId = new Map();
+    for (const key of [current, ...readKeys('FILE_MASTER_KEY_PREVIOUS')]) {
+        byId.set(keyIdOf(key), key);
+    }
+
+    keyring = { current: { id: keyIdOf(current), key: current }, byId };
+    return keyring;
+}
+
+/**
+ * Check whether files in an upload folder are encrypted
+ * @param {string} folder - e.g. 'id_cards'
+ */
+function isEncryptedFolder(folder) {
+    return ENCRYPTED_FOLDERS.includes(folder);
+}
+
+/**
+ * Wrap a data key with the current master key
+ * The file path is authenticated too, so a wrapped key cannot be moved to another file.
+ * @returns {Object} { keyId, wrappedKey }
+ */
+function wrapKey(dataKey, filePath) {
+    const { current } = loadKeyring();
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+    cipher.setAAD(Buffer.from(filePath));
+
+    const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    return {
+        keyId: current.id,
+        wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')
+    };
+}
+
+/**
+ * Unwrap the data key of a file_keys row
+ */
+function unwrapKey(row) {
+    const masterKey = loadKeyring().byId.get(row.key_id);
+    if (!masterKey) {
+        throw new Error(`Master key ${row.key_id} is not configured (add it to FILE_MASTER_KEY_PREVIOUS)`);
+    }
+
+    const data = Buffer.from(row.wrapped_key, 'base64');
+    const decipher = crypto.createDecipheriv(ALGORITHM, masterKey, data.subarray(0, IV_LENGTH));
+    decipher.setAAD(Buffer.from(row.file_path));
+    decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * Start encrypting a new file
+ * Pipe the plaintext through `stream`; call `saveKey()` before the output is stored.
+ * @param {string} filePath - Path relative to the upload directory (e.g. id_cards/<name>.jpg)
+ * @returns {Object} { stream: Transform, saveKey: Function }
+ */
+function createEncryptStream(filePath) {
+    const dataKey = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+    // Wrap now, so a missing master key fails before anything is written
+    const { keyId, wrappedKey } = wrapKey(dataKey, filePath);
+
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            callback(null, cipher.update(chunk));
+        },
+        flush(callback) {
+            this.push(cipher.final());
+            this.push(cipher.getAuthTag());
+            callback();
+        }
+    });
+    stream.push(Buffer.concat([MAGIC, iv]));
+
+    return {
+        stream,
+        saveKey: () => fileKeyStore.saveFileKey(filePath, keyId, wrappedKey)
+    };
+}
+
+/**
+ * Encrypt a whole object in memory
+ * @returns {Object} { data: Buffer, saveKey: Function } - call saveKey() before storing data
+ */
+function encryptBuffer(plain, filePath) {
+    const dataKey = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+    const { keyId, wrappedKey } = wrapKey(dataKey, filePath);
+
+    return {
+        data: Buffer.concat([MAGIC, iv, cipher.update(plain), cipher.final(), cipher.getAuthTag()]),
+        saveKey: () => fileKeyStore.saveFileKey(filePath, keyId, wrappedKey)
+    };
+}
+
+function notEncryptedError(filePath) {
+    return new Error(`${filePath} is not an encrypted file`);
+}
+
+/**
+ * Decrypt a whole object in memory
+ * @param {Buffer} data - Stored object
+ * @param {Object} row - Its file_keys row
+ */
+function decryptBuffer(data, row) {
+    if (data.length < ENCRYPTION_OVERHEAD || !data.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw notEncryptedError(row.file_path);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, unwrapKey(row), data.subarray(MAGIC.length, HEADER_LENGTH));
+    decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(HEADER_LENGTH, data.length - TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * Transform that decrypts a stored object as it streams through
+ * Reads the IV from the header and keeps the trailing auth tag back from the cipher.
+ * GCM only verifies the tag in final(), after the plaintext went out, so the last chunk is
+ * also held back until then: a reader of a tampered file never gets the complete file.
+ * @param {Object} row - file_keys row of the object
+ * @returns {Transform}
+ */
+function createDecryptStream(row) {
+    const dataKey = unwrapKey(row);
+    let header = Buffer.alloc(0);
+    let decipher = null;
+    let tail = Buffer.alloc(0);
+    let pending = null;
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            if (!decipher) {
+                header = Buffer.concat([header, chunk]);
+                if (header.length < HEADER_LENGTH) return callback();
+                if (!header.subarray(0, MAGIC.length).equals(MAGIC)) return callback(notEncryptedError(row.file_path));
+
+                decipher = crypto.createDecipheriv(ALGORITHM, dataKey, header.subarray(MAGIC.length, HEADER_LENGTH));
+                chunk = header.subarray(HEADER_LENGTH);
+            }
+
+            // The last TAG_LENGTH bytes seen so far may be the auth tag
+            const data = Buffer.concat([tail, chunk]);
+            const cut = Math.max(data.length - TAG_LENGTH, 0);
+            tail = data.subarray(cut);
+
+            const plain = decipher.update(data.subarray(0, cut));
+            if (plain.length === 0) return callback();
+
+            const previous = pending;
+            pending = plain;
+            callback(null, previous);
+        },
+
+        flush(callback) {
+            if (!decipher || tail.length < TAG_LENGTH) {
+                return callback(notEncryptedError(row.file_path));
+            }
+
+            let last;
+            try {
+                decipher.setAuthTag(tail);
+                last = decipher.final();
+            } catch (error) {
+                return callback(new Error(`${row.file_path} failed the integrity check`));
+            }
+
+            if (pending) this.push(pending);
+            callback(null, last);
+        }
+    });
+}
+
+module.exports = {
+    ENCRYPTED_FOLDERS,
+    ENCRYPTION_OVERHEAD,
+    loadKeyring,
+    isEncryptedFolder,
+    wrapKey,
+    unwrapKey,
+    createEncryptStream,
+    encryptBuffer,
+    decryptBuffer,
+    createDecryptStream
+};
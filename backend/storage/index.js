@@ -0,0 +1,119 @@
+/**
+ * Upload Storage
+ * One interface for uploaded files on both servers, whichever backend holds them:
+ *
+ *   put(key, body, { contentType }) → { key, size }   body: Buffer or readable stream
+ *   get(key)                        → Buffer
+ *   stream(key)                     → { stream, size, lastModified }
+ *   delete(key)                     → true if the object existed
+ *   list(prefix)                    → [{ key, size, lastModified }]
+ *
+ * Keys are slash-separated paths such as id_cards/<name>.jpg or audio/<name>.webm; a
+ * missing object or a rejected key throws an error that storage/errors.js isNotFound()
+ * recognises. Identity documents are encrypted on the way in (storage/encrypted-storage.js).
+ *
+ * STORAGE_DRIVER=local (default) | s3
+ */
+
+const path = require('path');
+const { createLocalDriver } = require('./local-driver');
+const { createS3Driver } = require('./s3-driver');
+const { withEncryption } = require('./encrypted-storage');
+const { invalidKeyError } = require('./errors');
+
+const drivers = {
+    local: ({ root }) => createLocalDriver({ root }),
+    s3: () => createS3Driver({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined,
+        prefix: process.env.S3_PREFIX
+    })
+};
+
+// Backend upload directory (server/server.js passes its own)
+const DEFAULT_ROOT = process.env.UPLOAD_DIR || path.join(__dirname, '../uploads');
+
+// Uploads of the conversation server (server/server.js UPLOAD_DIR)
+const CONVERSATION_UPLOAD_DIR = process.env.CONVERSATION_UPLOAD_DIR || path.join(__dirname, '../../server/uploads');
+
+let defaultStorage = null;
+let conversationStorage = null;
+
+/**
+ * Reject keys that could leave the upload area or name hidden files
+ */
+function checkKey(key) {
+    const valid = typeof key === 'string'
+        && key.length > 0
+        && key.length <= 512
+        && !/[\\\0]/.test(key)
+        && key.split('/').every(segment => segment.length > 0 && !segment.startsWith('.'));
+
+    if (!valid) {
+        throw invalidKeyError(key);
+    }
+}
+
+/**
+ * Check every key before it reaches the driver
+ */
+function withKeyCheck(storage) {
+    const checked = { ...storage };
+
+    for (const method of ['put', 'get', 'stream', 'delete']) {
+        checked[method] = async (key, ...args) => {
+            checkKey(key);
+            return storage[method](key, ...args);
+        };
+    }
+    return checked;
+}
+
+/**
+ * Create a storage instance
+ * @param {Object} options
+ * @param {string} options.driver - Driver name (default: STORAGE_DRIVER or 'local')
+ * @param {string} options.root - Directory of the local driver
+ * @returns {Object} Storage (see above)
+ */
+function createStorage({ driver = process.env.STORAGE_DRIVER || 'local', root = DEFAULT_ROOT } = {}) {
+    const factory = drivers[driver];
+
+    if (!factory) {
+        throw new Error(`Unknown storage driver: ${driver}`);
+    }
+
+    return withKeyCheck(withEncryption(factory({ root })));
+}
+
+/**
+ * Get the backend's storage, creating it from the environment on first use
+ */
+function getStorage() {
+    if (!defaultStorage) {
+        defaultStorage = createStorage();
+        console.log(`🗄️ Upload storage: ${defaultStorage.name}${defaultStorage.raw.root ? ` (${defaultStorage.raw.root})` : ''}`);
+    }
+    return defaultStorage;
+}
+
+/**
+ * Get the storage the conversation server writes citizen uploads to (POST /upload),
+ * creating it from the environment on first use
+ */
+function getConversationStorage() {
+    if (!conversationStorage) {
+        conversationStorage = createStorage({ root: CONVERSATION_UPLOAD_DIR });
+    }
+    return conversationStorage;
+}
+
+module.exports = {
+    createStorage,
+    getStorage,
+    getConversationStorage
+};
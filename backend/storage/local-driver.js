@@ -0,0 +1,117 @@
+/**
+ * Local Filesystem Storage Driver
+ * Objects are files below `root`; the key is the path relative to it (e.g. id_cards/<name>.jpg).
+ * Writes go to a temporary file first, so readers never see half-written objects.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const { notFoundError } = require('./errors');
+
+const TEMP_SUFFIX = '.partial';
+
+/**
+ * Create a local storage driver
+ * @param {Object} options
+ * @param {string} options.root - Upload directory
+ */
+function createLocalDriver({ root }) {
+    const rootDir = path.resolve(root);
+
+    function fullPath(key) {
+        return path.join(rootDir, ...key.split('/'));
+    }
+
+    async function statFile(key) {
+        try {
+            const stats = await fs.promises.stat(fullPath(key));
+            if (stats.isFile()) return stats;
+        } catch (error) {
+            if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+        }
+        throw notFoundError(key);
+    }
+
+    async function walk(dir, prefix, results) {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return;
+            throw error;
+        }
+
+        for (const entry of entries) {
+            if (entry.name.startsWith('.') || entry.name.endsWith(TEMP_SUFFIX)) continue;
+
+            const key = path.posix.join(path.relative(rootDir, dir).split(path.sep).join('/'), entry.name);
+            const entryPath = path.join(dir, entry.name);
+
+            if (entry.isDirectory()) {
+                await walk(entryPath, prefix, results);
+            } else if (entry.isFile() && key.startsWith(prefix)) {
+                const stats = await fs.promises.stat(entryPath);
+                results.push({ key, size: stats.size, lastModified: stats.mtime });
+            }
+        }
+    }
+
+    return {
+        name: 'local',
+        root: rootDir,
+
+        async put(key, body) {
+            const target = fullPath(key);
+            const tempPath = `${target}.${uuidv4()}${TEMP_SUFFIX}`;
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+            try {
+                await pipeline(Buffer.isBuffer(body) ? Readable.from([body]) : body, fs.createWriteStream(tempPath));
+                await fs.promises.rename(tempPath, target);
+            } catch (error) {
+                await fs.promises.unlink(tempPath).catch(() => {});
+                throw error;
+            }
+
+            const { size } = await fs.promises.stat(target);
+            return { key, size };
+        },
+
+        async get(key) {
+            await statFile(key);
+            return fs.promises.readFile(fullPath(key));
+        },
+
+        async stream(key) {
+            const stats = await statFile(key);
+            return { stream: fs.createReadStream(fullPath(key)), size: stats.size, lastModified: stats.mtime };
+        },
+
+        async delete(key) {
+            try {
+                await fs.promises.unlink(fullPath(key));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        },
+
+        async list(prefix = '') {
+            // Start at the deepest directory named by the prefix
+            const slash = prefix.lastIndexOf('/');
+            const startDir = slash >= 0 ? fullPath(prefix.slice(0, slash)) : rootDir;
+
+            const results = [];
+            await walk(startDir, prefix, results);
+            return results.sort((a, b) => a.key.localeCompare(b.key));
+        }
+    };
+}
+
+module.exports = {
+    createLocalDriver
+};
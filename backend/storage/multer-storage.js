@@ -0,0 +1,42 @@
+/**
+ * Multer Storage Engine
+ * Streams each uploaded file into the upload storage (storage/index.js), so routes
+ * work the same with the local and the S3 driver.
+ *
+ * Sets on each file: key (storage key), filename, folder, size
+ */
+
+const path = require('path');
+
+/**
+ * Create a multer storage engine
+ * @param {Object} storage - Storage from storage/index.js
+ * @param {Object} options
+ * @param {Function} options.key - (req, file, cb) → storage key, e.g. 'audio/<name>.webm'
+ */
+function multerStorage(storage, { key }) {
+    return {
+        _handleFile(req, file, cb) {
+            key(req, file, (error, storageKey) => {
+                if (error) return cb(error);
+
+                storage.put(storageKey, file.stream, { contentType: file.mimetype })
+                    .then(({ size }) => cb(null, {
+                        key: storageKey,
+                        filename: path.posix.basename(storageKey),
+                        folder: path.posix.dirname(storageKey),
+                        size
+                    }))
+                    .catch(cb);
+            });
+        },
+
+        _removeFile(req, file, cb) {
+            storage.delete(file.key).then(() => cb(null), cb);
+        }
+    };
+}
+
+module.exports = {
+    multerStorage
+};
@@ -0,0 +1,221 @@
+/**
+ * S3-Compatible Storage Driver
+ * Talks to AWS S3, MinIO or any S3-compatible service with Signature V4 requests.
+ * Objects are buffered in memory before upload (uploads are capped at 10 MB).
+ *
+ * Options (from env in storage/index.js):
+ * - bucket, region, accessKeyId, secretAccessKey
+ * - endpoint: e.g. http://localhost:9000 for MinIO (default: https://s3.<region>.amazonaws.com)
+ * - forcePathStyle: http://host/bucket/key instead of http://bucket.host/key (default: true with an endpoint)
+ * - prefix: key prefix inside the bucket (e.g. "najm/")
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { notFoundError } = require('./errors');
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * URI-encode per RFC 3986 (as SigV4 requires)
+ */
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&amp;/g, '&');
+}
+
+function xmlValue(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXml(match[1]) : null;
+}
+
+async function collectBody(body) {
+    if (Buffer.isBuffer(body)) return body;
+
+    const chunks = [];
+    for await (const chunk of body) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Create an S3-compatible storage driver
+ */
+function createS3Driver({ bucket, region = 'us-east-1', accessKeyId, secretAccessKey, endpoint, forcePathStyle, prefix = '' }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    const pathStyle = forcePathStyle !== undefined ? forcePathStyle : !!endpoint;
+
+    function objectUrl(key, query = {}) {
+        const url = new URL(baseUrl.href);
+        const encodedKey = key ? (prefix + key).split('/').map(encodeRfc3986).join('/') : '';
+
+        if (pathStyle) {
+            url.pathname = `${url.pathname.replace(/\/$/, '')}/${encodeRfc3986(bucket)}/${encodedKey}`;
+        } else {
+            url.hostname = `${bucket}.${url.hostname}`;
+            url.pathname = `/${encodedKey}`;
+        }
+
+        url.search = Object.keys(query).sort()
+            .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+            .join('&');
+        return url;
+    }
+
+    /**
+     * Sign a request with AWS Signature Version 4
+     */
+    function signHeaders(method, url, headers, payloadHash) {
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+        const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+        const allHeaders = {
+            ...headers,
+            host: url.host,
+            'x-amz-date': amzDate,
+            'x-amz-content-sha256': payloadHash
+        };
+        const names = Object.keys(allHeaders).map(name => name.toLowerCase()).sort();
+        const lowerCased = Object.fromEntries(Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), value]));
+
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            url.search.replace(/^\?/, ''),
+            names.map(name => `${name}:${String(lowerCased[name]).trim()}\n`).join(''),
+            names.join(';'),
+            payloadHash
+        ].join('\n');
+
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+        const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        delete lowerCased.host;
+        return {
+            ...lowerCased,
+            authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+        };
+    }
+
+    async function request(method, key, { query, body, headers = {}, responseType = 'arraybuffer' } = {}) {
+        const url = objectUrl(key, query);
+        const payload = body || Buffer.alloc(0);
+
+        const response = await axios({
+            method,
+            url: url.href,
+            data: body,
+            headers: signHeaders(method, url, headers, sha256Hex(payload)),
+            responseType,
+            maxBodyLength: Infinity,
+            maxContentLength: Infinity,
+            validateStatus: () => true
+        });
+
+        if (response.status >= 300 && !(response.status === 404 && key)) {
+            let detail = '';
+            if (responseType === 'arraybuffer') {
+                detail = xmlValue(Buffer.from(response.data).toString('utf8'), 'Code') || '';
+            } else {
+                response.data.resume();
+            }
+            throw new Error(`S3 ${method} ${key || bucket} failed: ${response.status} ${detail}`.trim());
+        }
+        return response;
+    }
+
+    return {
+        name: 's3',
+
+        async put(key, body, { contentType } = {}) {
+            const data = await collectBody(body);
+            await request('PUT', key, {
+                body: data,
+                headers: {
+                    'content-type': contentType || 'application/octet-stream',
+                    'content-length': String(data.length)
+                }
+            });
+            return { key, size: data.length };
+        },
+
+        async get(key) {
+            const response = await request('GET', key);
+            if (response.status === 404) throw notFoundError(key);
+            return Buffer.from(response.data);
+        },
+
+        async stream(key) {
+            const response = await request('GET', key, { responseType: 'stream' });
+            if (response.status === 404) {
+                response.data.resume();
+                throw notFoundError(key);
+            }
+
+            return {
+                stream: response.data,
+                size: parseInt(response.headers['content-length'], 10),
+                lastModified: response.headers['last-modified'] ? new Date(response.headers['last-modified']) : null
+            };
+        },
+
+        async delete(key) {
+            // S3 answers 204 whether or not the object existed
+            const head = await request('HEAD', key);
+            if (head.status === 404) return false;
+
+            await request('DELETE', key);
+            return true;
+        },
+
+        async list(listPrefix = '') {
+            const results = [];
+            let continuationToken = null;
+
+            do {
+                const query = { 'list-type': '2', prefix: prefix + listPrefix };
+                if (continuationToken) query['continuation-token'] = continuationToken;
+
+                const xml = Buffer.from((await request('GET', '', { query })).data).toString('utf8');
+
+                for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                    results.push({
+                        key: xmlValue(entry, 'Key').slice(prefix.length),
+                        size: parseInt(xmlValue(entry, 'Size'), 10),
+                        lastModified: new Date(xmlValue(entry, 'LastModified'))
+                    });
+                }
+
+                continuationToken = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+            } while (continuationToken);
+
+            return results;
+        }
+    };
+}
+
+module.exports = {
+    createS3Driver
+};
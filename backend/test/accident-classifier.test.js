@@ -0,0 +1,103 @@
+// Accident classifier: taxonomy per description, confidence and when to ask again
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const accidentClassifier = require('../tickets/accident-classifier');
+
+const { classifyAccident, needsClarification } = accidentClassifier;
+
+describe('accident classifier', () => {
+    describe('classifyAccident', () => {
+        const cases = [
+            ['rear_end', 'صدمني واحد من الخلف عند الإشارة'],
+            ['rear_end', 'The car behind me rear ended me when I braked'],
+            ['side_swipe', 'سيارة غيرت المسار وصدمتني من الجنب'],
+            ['side_swipe', 'A truck changed lanes and cut me off'],
+            ['head_on', 'a car came the wrong way and hit us head on'],
+            ['head_on', 'سيارة جاية عكس السير'],
+            ['parking', 'كنت راجع في الموقف وصدمت سيارة واقفة'],
+            ['parking', 'Someone reversed into my PARKED car'],
+            ['single_vehicle', 'I lost control and hit a lamp post'],
+            ['single_vehicle', 'انقلبت السيارة بعد ما انزلقت'],
+            ['pedestrian', 'دهست شخص كان يعبر الشارع'],
+            ['pedestrian', 'I hit a child at the zebra crossing']
+        ];
+
+        for (const [type, description] of cases) {
+            it(`${description} → ${type}`, () => {
+                const result = classifyAccident(description);
+
+                assert.equal(result.type, type);
+                assert.equal(result.candidates[0], type);
+                assert.equal(needsClarification(result), false, JSON.stringify(result));
+            });
+        }
+
+        it('matches Arabic words with prefixes and suffixes but not inside other words', () => {
+            assert.equal(classifyAccident('صدمت بالعمود').type, 'single_vehicle');
+            assert.equal(classifyAccident('دهسني وهو مسرع').type, 'pedestrian');
+            assert.equal(classifyAccident('the car inside the tunnel').type, null);
+        });
+
+        it('combines the description with the reporter turns and skips non-text', () => {
+            const result = classifyAccident(['hit me from behind', null, 42, 'in the parking']);
+
+            assert.equal(result.type, 'rear_end');
+            assert.deepEqual(result.candidates, ['rear_end', 'parking']);
+        });
+
+        it('returns no type when nothing matches', () => {
+            for (const texts of ['حصل حادث', '', null, undefined, []]) {
+                assert.deepEqual(classifyAccident(texts), { type: null, confidence: 0, candidates: [] });
+            }
+        });
+
+        it('keeps confidence between 0 and 1 with two decimals', () => {
+            for (const texts of ['خلف', 'someone hit my side mirror', 'he hit me from behind in the parking', 'head on from behind by the wall']) {
+                const { confidence } = classifyAccident(texts);
+
+                assert.ok(confidence > 0 && confidence <= 1, texts);
+                assert.equal(Math.round(confidence * 100) / 100, confidence);
+            }
+        });
+
+        it('is less confident with thin or mixed evidence', () => {
+            const strong = classifyAccident('صدمني من الخلف وهو مسرع وما فرمل');
+            const hintOnly = classifyAccident('خلف');
+            const mixed = classifyAccident(['Rear-end collision', 'وصدمني بالعمود']);
+
+            assert.equal(strong.confidence, 1);
+            assert.equal(hintOnly.type, 'rear_end');
+            assert.ok(hintOnly.confidence < strong.confidence);
+            assert.ok(mixed.confidence < strong.confidence);
+            assert.deepEqual(mixed.candidates, ['rear_end', 'single_vehicle']);
+        });
+
+        it('lists at most three candidates', () => {
+            const result = classifyAccident('from behind, changed lanes, wrong way, parked, hit a pole and a pedestrian');
+
+            assert.equal(result.candidates.length, 3);
+        });
+    });
+
+    describe('needsClarification', () => {
+        it('asks while confidence is below the threshold', () => {
+            assert.equal(needsClarification({ type: null, confidence: 0, candidates: [] }), true);
+            assert.equal(needsClarification(classifyAccident('someone hit my side mirror')), true);
+            assert.equal(needsClarification({ type: 'rear_end', confidence: accidentClassifier.MIN_CONFIDENCE, candidates: ['rear_end'] }), false);
+            assert.equal(needsClarification({ type: 'rear_end', confidence: accidentClassifier.MIN_CONFIDENCE - 0.01, candidates: ['rear_end'] }), true);
+        });
+    });
+
+    describe('isKnownType', () => {
+        it('accepts only the taxonomy types', () => {
+            for (const type of Object.keys(accidentClassifier.ACCIDENT_TYPES)) {
+                assert.equal(accidentClassifier.isKnownType(type), true);
+            }
+            assert.deepEqual(Object.keys(accidentClassifier.ACCIDENT_TYPES),
+                ['rear_end', 'side_swipe', 'head_on', 'parking', 'single_vehicle', 'pedestrian']);
+            for (const type of ['collision', 'toString', '__proto__', '']) {
+                assert.equal(accidentClassifier.isKnownType(type), false, type);
+            }
+        });
+    });
+});
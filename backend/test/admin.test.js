@@ -0,0 +1,145 @@
+// Sign-in, user management, audit and retention endpoints as each role (and without a session)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, createStaff, cleanup } = require('./helpers');
+
+describe('staff and administration endpoints', () => {
+    let server;
+    let admin;
+    let reviewer;
+    let auditor;
+
+    const call = (method, urlPath, options) => request(server.baseUrl, method, urlPath, options);
+
+    before(async () => {
+        server = await startServer();
+        admin = await createStaff(server.baseUrl, 'admin');
+        reviewer = await createStaff(server.baseUrl, 'reviewer');
+        auditor = await createStaff(server.baseUrl, 'auditor');
+    });
+
+    after(async () => {
+        await server.close();
+        cleanup();
+    });
+
+    describe('unauthenticated', () => {
+        it('gets 401 from every staff endpoint', async () => {
+            const endpoints = [
+                ['GET', '/api/auth/verify'],
+                ['GET', '/api/users'],
+                ['POST', '/api/users'],
+                ['GET', '/api/audit/verify'],
+                ['GET', '/api/audit/export'],
+                ['GET', '/api/retention/policy'],
+                ['POST', '/api/retention/purge'],
+                ['GET', '/api/upload/audio/missing.webm'],
+                ['DELETE', '/api/upload/audio/missing.webm']
+            ];
+
+            for (const [method, urlPath] of endpoints) {
+                const response = await call(method, urlPath, method === 'POST' ? { body: {} } : undefined);
+                assert.equal(response.status, 401, `${method} ${urlPath}`);
+            }
+        });
+
+        it('cannot sign in with a wrong password', async () => {
+            const response = await call('POST', '/api/auth/login', {
+                body: { username: admin.user.username, password: 'Wrong-password-1' }
+            });
+            assert.equal(response.status, 401);
+        });
+    });
+
+    describe('every role', () => {
+        it('gets its own permissions from /api/auth/verify', async () => {
+            const expected = {
+                admin: ['users:manage', 'tickets:delete', 'pii:read'],
+                reviewer: ['tickets:status', 'pii:read'],
+                auditor: ['audit:read', 'retention:read']
+            };
+
+            for (const [role, staff] of Object.entries({ admin, reviewer, auditor })) {
+                const response = await call('GET', '/api/auth/verify', { token: staff.token });
+
+                assert.equal(response.status, 200);
+                assert.equal(response.body.user.role, role);
+                for (const permission of expected[role]) {
+                    assert.ok(response.body.user.permissions.includes(permission), `${role} has ${permission}`);
+                }
+            }
+        });
+
+        it('cannot use the token after logging out', async () => {
+            const staff = await createStaff(server.baseUrl, 'reviewer');
+
+            assert.equal((await call('POST', '/api/auth/logout', { token: staff.token })).status, 200);
+            assert.equal((await call('GET', '/api/auth/verify', { token: staff.token })).status, 401);
+        });
+    });
+
+    describe('admin', () => {
+        it('manages users', async () => {
+            const created = await call('POST', '/api/users', {
+                token: admin.token,
+                body: { username: 'new.reviewer', password: 'Tq8!vbNw2xLp', role: 'reviewer' }
+            });
+            assert.equal(created.status, 201);
+            assert.equal(created.body.user.role, 'reviewer');
+
+            const list = await call('GET', '/api/users', { token: admin.token });
+            assert.equal(list.status, 200);
+            assert.ok(list.body.users.some(user => user.username === 'new.reviewer'));
+
+            const weak = await call('POST', '/api/users', {
+                token: admin.token,
+                body: { username: 'weak.user', password: 'short', role: 'agent' }
+            });
+            assert.equal(weak.status, 400);
+        });
+
+        it('reads the audit log and the retention policy', async () => {
+            assert.equal((await call('GET', '/api/audit/verify', { token: admin.token })).status, 200);
+            assert.equal((await call('GET', '/api/retention/policy', { token: admin.token })).status, 200);
+        });
+    });
+
+    describe('reviewer', () => {
+        it('cannot manage users, read the audit log or run retention', async () => {
+            assert.equal((await call('GET', '/api/users', { token: reviewer.token })).status, 403);
+            assert.equal((await call('POST', '/api/users', {
+                token: reviewer.token,
+                body: { username: 'sneaky', password: 'Tq8!vbNw2xLp', role: 'admin' }
+            })).status, 403);
+            assert.equal((await call('GET', '/api/audit/verify', { token: reviewer.token })).status, 403);
+            assert.equal((await call('GET', '/api/retention/policy', { token: reviewer.token })).status, 403);
+        });
+
+        it('cannot delete uploads', async () => {
+            const response = await call('DELETE', '/api/upload/audio/missing.webm', { token: reviewer.token });
+            assert.equal(response.status, 403);
+        });
+    });
+
+    describe('auditor', () => {
+        it('verifies and exports the audit log', async () => {
+            const verify = await call('GET', '/api/audit/verify', { token: auditor.token });
+            assert.equal(verify.status, 200);
+            assert.equal(verify.body.valid, true);
+
+            const exported = await call('GET', '/api/audit/export', { token: auditor.token });
+            assert.equal(exported.status, 200);
+            assert.match(exported.headers.get('content-type'), /text\/csv/);
+        });
+
+        it('reads the retention policy and dry-run report but cannot purge', async () => {
+            assert.equal((await call('GET', '/api/retention/policy', { token: auditor.token })).status, 200);
+            assert.equal((await call('GET', '/api/retention/report', { token: auditor.token })).status, 200);
+            assert.equal((await call('POST', '/api/retention/purge', { token: auditor.token, body: {} })).status, 403);
+        });
+
+        it('cannot manage users', async () => {
+            assert.equal((await call('GET', '/api/users', { token: auditor.token })).status, 403);
+        });
+    });
+});
@@ -0,0 +1,157 @@
+// Conversation endpoints (public, used by the reporting page) driven by the mock LLM
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, createStaff, cleanup } = require('./helpers');
+const llm = require('../llm');
+const { createMockProvider } = require('../llm/mock-provider');
+const { getConversationStorage } = require('../storage');
+
+const FOLDERS = {
+    accident_photos: 'accident_photos',
+    id_card: 'id_cards',
+    driving_license: 'driving_licenses',
+    vehicle_registration: 'vehicle_registrations'
+};
+
+/**
+ * Document sent with a turn, as the conversation server's POST /upload returns it
+ * (the files are stored in before())
+ */
+function upload(type, n = 1) {
+    return { type, filename: `${type}-${n}.jpg`, url: `/uploads/${FOLDERS[type]}/${type}-${n}.jpg` };
+}
+
+// A full report, one reporter turn per phase
+const REPORT_TURNS = [
+    { content: 'صدمتني سيارة من الخلف عند الإشارة' },
+    { content: 'جدة، طريق الملك' },
+    { content: '1' },
+    { content: 'لا' },
+    { content: 'صورة 1', upload: upload('accident_photos', 1) },
+    { content: 'صورة 2', upload: upload('accident_photos', 2) },
+    { content: 'صورة 3', upload: upload('accident_photos', 3) },
+    { content: 'محمد أحمد، ABC1234، التعاونية، 0551234567' },
+    { content: 'id_card', upload: upload('id_card') },
+    { content: 'driving_license', upload: upload('driving_license') },
+    { content: 'vehicle_registration', upload: upload('vehicle_registration') },
+    { content: 'نعم' }
+];
+
+describe('conversation endpoints', () => {
+    let server;
+
+    const call = (method, urlPath, options) => request(server.baseUrl, method, urlPath, options);
+
+    before(async () => {
+        llm.setProvider(createMockProvider());
+        server = await startServer();
+
+        for (const { upload: file } of REPORT_TURNS.filter(turn => turn.upload)) {
+            await getConversationStorage().put(file.url.replace('/uploads/', ''), Buffer.from(file.filename));
+        }
+    });
+
+    after(async () => {
+        await server.close();
+        cleanup();
+    });
+
+    it('starts a session without signing in', async () => {
+        const response = await call('POST', '/api/conversations', { body: { language: 'ar' } });
+
+        assert.equal(response.status, 201);
+        assert.ok(response.body.sessionId);
+        assert.ok(response.body.resumeToken);
+        assert.ok(response.body.message);
+    });
+
+    it('rejects an empty message and an unknown session', async () => {
+        const { body: { sessionId } } = await call('POST', '/api/conversations', { body: {} });
+
+        assert.equal((await call('POST', `/api/conversations/${sessionId}/messages`, { body: { content: ' ' } })).status, 400);
+        assert.equal((await call('POST', '/api/conversations/unknown/messages', { body: { content: 'hi' } })).status, 404);
+        assert.equal((await call('GET', '/api/conversations/unknown')).status, 404);
+    });
+
+    it('rejects an invalid invite or resume token', async () => {
+        assert.equal((await call('POST', '/api/conversations', { body: { invite: 'nope' } })).status, 404);
+        assert.equal((await call('POST', '/api/conversations/resume', { body: { resumeToken: 'nope' } })).status, 404);
+        assert.equal((await call('POST', '/api/conversations/resume', { body: {} })).status, 400);
+    });
+
+    it('only records uploads stored in the folder of their type', async () => {
+        const { body: { sessionId } } = await call('POST', '/api/conversations', { body: { language: 'ar' } });
+        const send = (fileUpload) => call('POST', `/api/conversations/${sessionId}/messages`, {
+            body: { content: 'صورة', upload: fileUpload }
+        });
+        const photo = upload('accident_photos', 1);
+
+        const rejected = [
+            { type: 'id_card', filename: photo.filename, url: photo.url },
+            { ...photo, url: '/uploads/accident_photos/other.jpg' },
+            { type: 'accident_photos', filename: "x');fetch('//evil')//", url: "/uploads/accident_photos/x');fetch('//evil')//" },
+            { type: 'accident_photos', filename: '../id_cards/id_card-1.jpg', url: '/uploads/accident_photos/../id_cards/id_card-1.jpg' },
+            { type: 'accident_photos', filename: 'missing.jpg', url: '/uploads/accident_photos/missing.jpg' },
+            { type: 'selfie', filename: photo.filename, url: photo.url },
+            { type: 'accident_photos', filename: photo.filename }
+        ];
+        for (const fileUpload of rejected) {
+            const response = await send(fileUpload);
+            assert.equal(response.status, 400, JSON.stringify(fileUpload));
+        }
+
+        // The same photo sent twice counts once
+        assert.equal((await send(photo)).status, 200);
+        assert.equal((await send(photo)).status, 200);
+        const { body: { session } } = await call('GET', `/api/conversations/${sessionId}`);
+        assert.deepEqual(session.uploads.accident_photos.map(file => file.url), [photo.url]);
+    });
+
+    it('walks a report through every phase to done', async () => {
+        const start = await call('POST', '/api/conversations', { body: { language: 'ar' } });
+        const { sessionId, resumeToken } = start.body;
+        const phases = [];
+
+        for (const turn of REPORT_TURNS) {
+            const response = await call('POST', `/api/conversations/${sessionId}/messages`, { body: turn });
+            assert.equal(response.status, 200, JSON.stringify(response.body));
+            phases.push(response.body.phase);
+        }
+
+        assert.equal(phases[phases.length - 1], 'done');
+        assert.ok(phases.includes('driver'));
+
+        const { body: { session } } = await call('GET', `/api/conversations/${sessionId}`);
+        assert.equal(session.phase, 'done');
+        assert.equal(session.ticket.phone, '0551234567');
+        assert.equal(session.ticket.accident_photos_count, 3);
+        assert.equal(session.uploads.accident_photos.length, 3);
+
+        // Still a draft until the conversation server creates the ticket
+        const resumed = await call('POST', '/api/conversations/resume', { body: { resumeToken } });
+        assert.equal(resumed.status, 200);
+        assert.equal(resumed.body.session.sessionId, sessionId);
+    });
+
+    it('keeps the driver phase until a phone number is given', async () => {
+        const { body: { sessionId } } = await call('POST', '/api/conversations', { body: { language: 'ar' } });
+        let phase;
+
+        for (const turn of REPORT_TURNS.slice(0, 7)) {
+            ({ body: { phase } } = await call('POST', `/api/conversations/${sessionId}/messages`, { body: turn }));
+        }
+        ({ body: { phase } } = await call('POST', `/api/conversations/${sessionId}/messages`, {
+            body: { content: 'محمد أحمد، ABC1234، التعاونية' }
+        }));
+
+        assert.equal(phase, 'driver');
+    });
+
+    it('does not create tickets that staff can see before submission', async () => {
+        const reviewer = await createStaff(server.baseUrl, 'reviewer');
+        const response = await call('GET', '/api/tickets', { token: reviewer.token });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.total, 0);
+    });
+});
@@ -0,0 +1,123 @@
+// Test Helpers
+// Runs the backend app on a free port against a temporary database. node --test starts
+// each test file in its own process, so every file gets a fresh database.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'najm-test-'));
+
+// Set before any backend module is required (the database opens on first require)
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    DB_PATH: path.join(tempDir, 'najm.db'),
+    UPLOAD_DIR: path.join(tempDir, 'uploads'),
+    CONVERSATION_UPLOAD_DIR: path.join(tempDir, 'conversation-uploads'),
+    JWT_SECRET: crypto.randomBytes(32).toString('hex'),
+    FILE_MASTER_KEY: crypto.randomBytes(32).toString('hex'),
+    LLM_PROVIDER: 'mock',
+    RETENTION_PURGE_INTERVAL_HOURS: '0'
+});
+
+// database/db.js logs every SQL statement; keep the test output readable
+console.log = () => {};
+
+const bcrypt = require('bcryptjs');
+const app = require('../server');
+const userStore = require('../database/user-store');
+const { createMemoryAttemptStore } = require('../users/memory-attempt-store');
+
+/**
+ * Start the app on a free port
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+function startServer() {
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                baseUrl: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+        server.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON request
+ * @param {string} baseUrl - From startServer()
+ * @param {string} method - HTTP method
+ * @param {string} urlPath - e.g. /api/tickets
+ * @param {Object} options - { token, body }
+ * @returns {Promise<Object>} { status, headers, body } - body is parsed when the response is JSON
+ */
+async function request(baseUrl, method, urlPath, { token, body } = {}) {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(baseUrl + urlPath, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+    return {
+        status: response.status,
+        headers: response.headers,
+        body: isJson && text ? JSON.parse(text) : text
+    };
+}
+
+/**
+ * Create a staff account and sign in
+ * @param {string} baseUrl - From startServer()
+ * @param {string} role - admin | reviewer | agent | auditor
+ * @returns {Promise<Object>} { user, token }
+ */
+async function createStaff(baseUrl, role) {
+    const username = `${role}-${crypto.randomBytes(4).toString('hex')}`;
+    const password = `Pw${crypto.randomBytes(8).toString('hex')}7`;
+
+    // Low bcrypt cost: the login route compares against whatever cost the hash has
+    const user = userStore.createUser({ username, passwordHash: bcrypt.hashSync(password, 4), role });
+    const login = await request(baseUrl, 'POST', '/api/auth/login', { body: { username, password } });
+
+    if (login.status !== 200) {
+        throw new Error(`Login as ${role} failed: ${login.status} ${JSON.stringify(login.body)}`);
+    }
+    return { user, token: login.body.token };
+}
+
+/**
+ * The in-process attempt store with a round trip before every call, as with a shared
+ * store (setStore() of users/login-throttle.js and tickets/tracking-throttle.js)
+ * @returns {Object} Attempt store
+ */
+function createSlowStore() {
+    const store = createMemoryAttemptStore();
+    const slow = method => async (...args) => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return store[method](...args);
+    };
+
+    return { get: slow('get'), set: slow('set'), update: slow('update'), delete: slow('delete') };
+}
+
+/**
+ * Remove the temporary database and uploads
+ */
+function cleanup() {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+module.exports = {
+    startServer,
+    request,
+    createStaff,
+    createSlowStore,
+    cleanup
+};
@@ -0,0 +1,163 @@
+// Liability rules: which rule fires for each scenario, the shares it proposes, and validation
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const liabilityRules = require('../tickets/liability-rules');
+
+const PARTIES = [1, 2];
+
+/**
+ * Assess a collision where party 1 is the primary party
+ */
+function assess(scenario, flags = {}, partyNumbers = PARTIES) {
+    return liabilityRules.assessLiability({ scenario, primary_party: 1, other_party: 2, ...flags }, partyNumbers);
+}
+
+function faultOf(result) {
+    return result.shares.map(share => share.fault_percent);
+}
+
+describe('liability rules', () => {
+    describe('assessLiability', () => {
+        const cases = [
+            ['rear_end', {}, 'REAR_END', [100, 0]],
+            ['rear_end', { other_stopped_suddenly: true }, 'REAR_END_SUDDEN_STOP', [75, 25]],
+            ['rear_end', { other_reversing: true, other_stopped_suddenly: true }, 'REAR_END_OTHER_REVERSING', [0, 100]],
+            ['lane_change', {}, 'LANE_CHANGE_NO_SIGNAL', [100, 0]],
+            ['lane_change', { signaled: true }, 'LANE_CHANGE_SIGNALED', [75, 25]],
+            ['lane_change', { signaled: false, other_changing_lane: true }, 'LANE_CHANGE_BOTH', [50, 50]],
+            ['intersection', {}, 'INTERSECTION_FAILED_TO_YIELD', [100, 0]],
+            ['intersection', { other_speeding: true }, 'INTERSECTION_OTHER_SPEEDING', [75, 25]],
+            ['intersection', { ran_red_light: true, other_speeding: true }, 'INTERSECTION_RED_LIGHT', [100, 0]],
+            ['intersection', { no_right_of_way: true, ran_red_light: true }, 'INTERSECTION_NO_PRIORITY', [50, 50]],
+            ['reversing', {}, 'REVERSING', [100, 0]],
+            ['reversing', { other_parked_illegally: true }, 'REVERSING_OTHER_PARKED_ILLEGALLY', [75, 25]],
+            ['reversing', { other_reversing: true, other_parked_illegally: true }, 'REVERSING_BOTH', [50, 50]]
+        ];
+
+        for (const [scenario, flags, ruleId, fault] of cases) {
+            it(`${scenario} ${JSON.stringify(flags)} → ${ruleId}`, () => {
+                const result = assess(scenario, flags);
+
+                assert.equal(result.valid, true);
+                assert.equal(result.rule.id, ruleId);
+                assert.equal(result.rule.share, fault[0]);
+                assert.deepEqual(faultOf(result), fault);
+            });
+        }
+
+        it('gives the shares to the parties named in the facts', () => {
+            const result = liabilityRules.assessLiability({ scenario: 'rear_end', primary_party: 2, other_party: 1 }, PARTIES);
+
+            assert.deepEqual(result.shares, [{ party_number: 1, fault_percent: 0 }, { party_number: 2, fault_percent: 100 }]);
+        });
+
+        it('gives 0% to parties outside the collision', () => {
+            const result = assess('lane_change', { signaled: true }, [1, 2, 3]);
+
+            assert.deepEqual(faultOf(result), [75, 25, 0]);
+        });
+
+        it('returns the facts with every flag of the scenario set', () => {
+            const result = assess('intersection', { other_speeding: true });
+
+            assert.deepEqual(result.facts, {
+                scenario: 'intersection',
+                primary_party: 1,
+                other_party: 2,
+                no_right_of_way: false,
+                ran_red_light: false,
+                other_speeding: true
+            });
+            assert.ok(result.rule.description.ar && result.rule.description.en);
+        });
+
+        it('only proposes shares in steps of 25%', () => {
+            for (const [scenario, definition] of Object.entries(liabilityRules.SCENARIOS)) {
+                // Every combination of the scenario's flags
+                for (let mask = 0; mask < 2 ** definition.flags.length; mask++) {
+                    const flags = Object.fromEntries(definition.flags.map((flag, index) => [flag, !!(mask & (1 << index))]));
+                    const result = assess(scenario, flags);
+
+                    assert.equal(result.valid, true);
+                    assert.ok(faultOf(result).every(percent => percent % liabilityRules.FAULT_STEP === 0));
+                    assert.equal(faultOf(result).reduce((sum, percent) => sum + percent, 0), 100);
+                }
+            }
+        });
+    });
+
+    describe('validateFacts', () => {
+        it('rejects facts that are not an object', () => {
+            for (const facts of [null, 'rear_end', ['rear_end']]) {
+                assert.deepEqual(liabilityRules.validateFacts(facts, PARTIES).errors, ['facts must be an object']);
+            }
+        });
+
+        it('rejects unknown scenarios', () => {
+            const result = liabilityRules.validateFacts({ scenario: 'head_on', primary_party: 1, other_party: 2 }, PARTIES);
+
+            assert.equal(result.valid, false);
+            assert.match(result.errors[0], /Unknown scenario "head_on"/);
+        });
+
+        it('rejects parties that are not on the ticket or are the same', () => {
+            assert.equal(liabilityRules.validateFacts({ scenario: 'rear_end', primary_party: 1, other_party: 3 }, PARTIES).valid, false);
+            assert.equal(liabilityRules.validateFacts({ scenario: 'rear_end', primary_party: '1', other_party: 2 }, PARTIES).valid, false);
+
+            const same = liabilityRules.validateFacts({ scenario: 'rear_end', primary_party: 1, other_party: 1 }, PARTIES);
+            assert.deepEqual(same.errors, ['primary_party and other_party must be different parties']);
+        });
+
+        it('rejects flags of another scenario and non-boolean flags', () => {
+            const foreign = liabilityRules.validateFacts({ scenario: 'rear_end', primary_party: 1, other_party: 2, signaled: true }, PARTIES);
+            assert.match(foreign.errors[0], /Unknown fact "signaled" for rear_end/);
+
+            const mistyped = liabilityRules.validateFacts({ scenario: 'rear_end', primary_party: 1, other_party: 2, other_reversing: 'yes' }, PARTIES);
+            assert.deepEqual(mistyped.errors, ['other_reversing must be true or false']);
+            assert.equal(mistyped.value, null);
+        });
+    });
+
+    describe('validateShares', () => {
+        it('accepts overrides that add up to 100 and fills in left-out parties', () => {
+            const result = liabilityRules.validateShares([{ party_number: 2, fault_percent: 25 }, { party_number: 1, fault_percent: 75 }], [1, 2, 3]);
+
+            assert.equal(result.valid, true);
+            assert.deepEqual(result.value, [
+                { party_number: 1, fault_percent: 75 },
+                { party_number: 2, fault_percent: 25 },
+                { party_number: 3, fault_percent: 0 }
+            ]);
+        });
+
+        it('rejects steps other than 25%, unknown or repeated parties, and totals other than 100', () => {
+            const invalid = [
+                [],
+                'half',
+                [{ party_number: 1, fault_percent: 60 }, { party_number: 2, fault_percent: 40 }],
+                [{ party_number: 1, fault_percent: 100 }, { party_number: 3, fault_percent: 0 }],
+                [{ party_number: 1, fault_percent: 50 }, { party_number: 1, fault_percent: 50 }],
+                [{ party_number: 1, fault_percent: 50 }, { party_number: 2, fault_percent: 25 }],
+                [{ party_number: 1, fault_percent: 125 }, { party_number: 2, fault_percent: -25 }],
+                [{ party_number: 1, fault_percent: '100' }],
+                [null]
+            ];
+
+            for (const shares of invalid) {
+                const result = liabilityRules.validateShares(shares, PARTIES);
+                assert.equal(result.valid, false, JSON.stringify(shares));
+                assert.equal(result.value, null);
+            }
+        });
+    });
+
+    describe('getRule', () => {
+        it('looks up rules without their conditions', () => {
+            const rule = liabilityRules.getRule('REAR_END');
+
+            assert.deepEqual(Object.keys(rule), ['id', 'scenario', 'share', 'description']);
+            assert.equal(rule.share, 100);
+            assert.equal(liabilityRules.getRule('NO_SUCH_RULE'), null);
+        });
+    });
+});
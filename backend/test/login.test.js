@@ -0,0 +1,77 @@
+// Login throttle: parallel guesses and the password → 2FA code steps
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { startServer, request, createSlowStore, cleanup } = require('./helpers');
+const userStore = require('../database/user-store');
+const loginThrottle = require('../users/login-throttle');
+const totp = require('../users/totp');
+
+describe('login throttle', () => {
+    let server;
+
+    const login = body => request(server.baseUrl, 'POST', '/api/auth/login', { body });
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    function createAccount({ secret = null } = {}) {
+        const username = `staff-${crypto.randomBytes(4).toString('hex')}`;
+        const password = `Pw${crypto.randomBytes(8).toString('hex')}7`;
+        const user = userStore.createUser({ username, passwordHash: bcrypt.hashSync(password, 4), role: 'reviewer' });
+
+        if (secret) {
+            userStore.setPendingTotpSecret(user.id, secret);
+            userStore.enableTotp(user.id, [], null);
+        }
+        return { username, password };
+    }
+
+    before(async () => {
+        loginThrottle.setStore(createSlowStore());
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.close();
+        cleanup();
+    });
+
+    it('lets one of several parallel guesses through', async () => {
+        const { username } = createAccount();
+
+        const responses = await Promise.all(['a', 'b', 'c', 'd'].map(guess => login({ username, password: guess })));
+        const statuses = responses.map(response => response.status).sort();
+
+        assert.deepEqual(statuses, [401, 429, 429, 429]);
+    });
+
+    it('starts the 2FA step without backoff after a correct password', async () => {
+        const secret = totp.generateSecret();
+        const { username, password } = createAccount({ secret });
+
+        assert.equal((await login({ username, password: 'wrong' })).status, 401);
+        // Past the one-second backoff of that failure
+        await wait(1100);
+
+        const first = await login({ username, password });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.twoFactorRequired, true);
+
+        const second = await request(server.baseUrl, 'POST', '/api/auth/login/2fa', {
+            body: { challengeToken: first.body.challengeToken, code: totp.generateCode(secret, totp.currentStep()) }
+        });
+        assert.equal(second.status, 200);
+        assert.ok(second.body.token);
+    });
+
+    it('still counts a wrong 2FA code', async () => {
+        const secret = totp.generateSecret();
+        const { username, password } = createAccount({ secret });
+
+        const first = await login({ username, password });
+        const code = { challengeToken: first.body.challengeToken, code: '000000' };
+
+        assert.equal((await request(server.baseUrl, 'POST', '/api/auth/login/2fa', { body: code })).status, 401);
+        assert.equal((await request(server.baseUrl, 'POST', '/api/auth/login/2fa', { body: code })).status, 429);
+    });
+});
@@ -0,0 +1,128 @@
+// PII redaction: detection in both digit scripts, overlaps, and the tokenize → LLM → restore round trip
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const piiRedaction = require('../privacy/pii-redaction');
+
+function found(text) {
+    return piiRedaction.findPii(text).map(item => [item.type, item.value]);
+}
+
+describe('PII redaction', () => {
+    describe('findPii', () => {
+        it('finds Saudi phone numbers in their usual forms', () => {
+            for (const phone of ['0551234567', '551234567', '055-123-4567', '+966 55 123 4567', '00966551234567', '0112345678', '+966 11 234 5678']) {
+                assert.deepEqual(found(`call me on ${phone} please`), [['PHONE', phone]], phone);
+            }
+        });
+
+        it('finds national and iqama IDs but not other 10-digit numbers', () => {
+            assert.deepEqual(found('هويتي 1012345678'), [['NATIONAL_ID', '1012345678']]);
+            assert.deepEqual(found('iqama 2123456789'), [['NATIONAL_ID', '2123456789']]);
+            assert.deepEqual(found('3012345678'), []);
+            assert.deepEqual(found('1012345678901'), []);
+        });
+
+        it('finds emails and plates', () => {
+            assert.deepEqual(found('mail me at m.ahmed@example.com'), [['EMAIL', 'm.ahmed@example.com']]);
+            assert.deepEqual(found('plate ABD 1234, or 1234-ABD'), [['PLATE', 'ABD 1234'], ['PLATE', '1234-ABD']]);
+            assert.deepEqual(found('اللوحة أ ب ح ١٢٣٤'), [['PLATE', 'أ ب ح ١٢٣٤']]);
+            // Arabic letters must be spaced, so ordinary words are not plates
+            assert.deepEqual(found('كان معي 3 ركاب'), []);
+        });
+
+        it('recognises Arabic-Indic and Persian digits', () => {
+            assert.deepEqual(found('رقمي ٠٥٥١٢٣٤٥٦٧ وهويتي ١٠١٢٣٤٥٦٧٨'), [
+                ['PHONE', '٠٥٥١٢٣٤٥٦٧'],
+                ['NATIONAL_ID', '١٠١٢٣٤٥٦٧٨']
+            ]);
+            assert.deepEqual(found('جوالي ۰۵۵۱۲۳۴۵۶۷'), [['PHONE', '۰۵۵۱۲۳۴۵۶۷']]);
+            assert.deepEqual(found('+٩٦٦ ٥٥ ١٢٣ ٤٥٦٧'), [['PHONE', '+٩٦٦ ٥٥ ١٢٣ ٤٥٦٧']]);
+            assert.deepEqual(found('٠٠٩٦٦٥٥١٢٣٤٥٦٧'), [['PHONE', '٠٠٩٦٦٥٥١٢٣٤٥٦٧']]);
+            assert.deepEqual(found('الإقامة ۲۰۱۲۳۴۵۶۷۸'), [['NATIONAL_ID', '۲۰۱۲۳۴۵۶۷۸']]);
+        });
+
+        it('lets earlier types win where matches overlap', () => {
+            // An ID inside an email address, and an ID after a country code
+            assert.deepEqual(found('1012345678@example.com'), [['EMAIL', '1012345678@example.com']]);
+            assert.deepEqual(found('+966 1012345678'), [['PHONE', '+966 1012345678']]);
+        });
+
+        it('returns matches in text order with their positions', () => {
+            const text = 'ID 1012345678, phone 0551234567, mail a@b.co';
+            const items = piiRedaction.findPii(text);
+
+            assert.deepEqual(items.map(item => item.type), ['NATIONAL_ID', 'PHONE', 'EMAIL']);
+            for (const item of items) {
+                assert.equal(text.slice(item.start, item.end), item.value);
+            }
+        });
+    });
+
+    describe('tokenize and restore', () => {
+        const text = 'أنا محمد، هويتي ١٠١٢٣٤٥٦٧٨ وجوالي 0551234567 ولوحتي ABD 1234، إيميلي m@example.com';
+
+        it('sends no PII and gets it all back', () => {
+            const vault = {};
+            const safe = piiRedaction.tokenize(text, vault);
+
+            assert.equal(safe, 'أنا محمد، هويتي [NATIONAL_ID_1] وجوالي [PHONE_1] ولوحتي [PLATE_1]، إيميلي [EMAIL_1]');
+            assert.deepEqual(piiRedaction.findPii(safe), []);
+            assert.equal(piiRedaction.restore(safe, vault), text);
+        });
+
+        it('reuses the placeholder for a value repeated in another digit script or spacing', () => {
+            const vault = {};
+
+            assert.equal(piiRedaction.tokenize('0551234567', vault), '[PHONE_1]');
+            assert.equal(piiRedaction.tokenize('٠٥٥١٢٣٤٥٦٧', vault), '[PHONE_1]');
+            assert.equal(piiRedaction.tokenize('055 123 4567', vault), '[PHONE_1]');
+            assert.equal(piiRedaction.tokenize('0561234567', vault), '[PHONE_2]');
+            assert.deepEqual(Object.keys(vault), ['[PHONE_1]', '[PHONE_2]']);
+        });
+
+        it('restores placeholders inside the structured data the LLM returns', () => {
+            const vault = {};
+            piiRedaction.tokenize(text, vault);
+
+            const reply = {
+                message: 'Thanks, is [PHONE_1] your number?',
+                extracted_data: { national_id: '[NATIONAL_ID_1]', plates: ['[PLATE_1]'], vehicles: 2, injuries: null }
+            };
+
+            assert.deepEqual(piiRedaction.restore(reply, vault), {
+                message: 'Thanks, is 0551234567 your number?',
+                extracted_data: { national_id: '١٠١٢٣٤٥٦٧٨', plates: ['ABD 1234'], vehicles: 2, injuries: null }
+            });
+        });
+
+        it('keeps placeholders the vault does not know', () => {
+            assert.equal(piiRedaction.restore('[PHONE_7] and [constructor_1]', { '[PHONE_1]': '0551234567' }), '[PHONE_7] and [constructor_1]');
+        });
+    });
+
+    describe('mask', () => {
+        it('replaces values with their type for the redacted view', () => {
+            assert.equal(
+                piiRedaction.mask('هويتي ١٠١٢٣٤٥٦٧٨ وجوالي ٠٥٥١٢٣٤٥٦٧'),
+                'هويتي [NATIONAL_ID] وجوالي [PHONE]'
+            );
+            assert.equal(piiRedaction.mask(''), '');
+            assert.equal(piiRedaction.mask(null), null);
+        });
+    });
+
+    describe('isPiiQuery', () => {
+        it('flags PII and digit runs that could start a phone or ID', () => {
+            assert.equal(piiRedaction.isPiiQuery('0551234567'), true);
+            assert.equal(piiRedaction.isPiiQuery('١٠١٢'), true);
+            assert.equal(piiRedaction.isPiiQuery('rear bumper'), false);
+            assert.equal(piiRedaction.isPiiQuery('12'), false);
+        });
+    });
+
+    describe('toAsciiDigits', () => {
+        it('converts both Arabic digit scripts', () => {
+            assert.equal(piiRedaction.toAsciiDigits('٠١٢٣٤٥٦٧٨٩ ۰۱۲۳۴۵۶۷۸۹'), '0123456789 0123456789');
+        });
+    });
+});
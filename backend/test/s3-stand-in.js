@@ -0,0 +1,152 @@
+// S3 Stand-In
+// In-memory S3-compatible server (path-style, like MinIO) for testing storage/s3-driver.js.
+// Every request must carry a Signature V4 Authorization header that matches the one
+// computed by aws4, an independent SigV4 implementation, and a payload hash that matches
+// the body; otherwise it is answered like S3 does (403 SignatureDoesNotMatch, 400
+// XAmzContentSHA256Mismatch).
+//
+// Supports PutObject, GetObject, HeadObject, DeleteObject and ListObjectsV2 (with
+// pagination, pageSize keys per page).
+const http = require('http');
+const crypto = require('crypto');
+const aws4 = require('aws4');
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function sendError(res, status, code, method) {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(method === 'HEAD' ? undefined : `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`);
+}
+
+/**
+ * Recompute the Authorization header of a request with aws4
+ * @returns {string|null} Expected header, null when the request is not SigV4-signed
+ */
+function expectedAuthorization(req, { region, accessKeyId, secretAccessKey }) {
+    const match = /SignedHeaders=([^,]+)/.exec(req.headers.authorization || '');
+    if (!match) return null;
+
+    const headers = {};
+    for (const name of match[1].split(';')) {
+        headers[name] = req.headers[name];
+    }
+
+    const signed = aws4.sign({
+        service: 's3',
+        region,
+        method: req.method,
+        host: req.headers.host,
+        path: req.url,
+        headers,
+        doNotModifyHeaders: true
+    }, { accessKeyId, secretAccessKey });
+
+    return signed.headers.Authorization;
+}
+
+function listObjects(objects, query, pageSize) {
+    const prefix = query.get('prefix') || '';
+    const start = parseInt(query.get('continuation-token') || '0', 10);
+    const keys = [...objects.keys()].filter(key => key.startsWith(prefix)).sort();
+    const page = keys.slice(start, start + pageSize);
+    const truncated = start + pageSize < keys.length;
+
+    return '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>'
+        + `<Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${page.length}</KeyCount>`
+        + `<IsTruncated>${truncated}</IsTruncated>`
+        + (truncated ? `<NextContinuationToken>${start + pageSize}</NextContinuationToken>` : '')
+        + page.map(key => {
+            const object = objects.get(key);
+            return `<Contents><Key>${escapeXml(key)}</Key><LastModified>${object.lastModified.toISOString()}</LastModified>`
+                + `<Size>${object.body.length}</Size></Contents>`;
+        }).join('')
+        + '</ListBucketResult>';
+}
+
+/**
+ * Start the stand-in on a free port
+ * @param {Object} options - { bucket, region, accessKeyId, secretAccessKey, pageSize }
+ * @returns {Promise<Object>} { endpoint, objects, requests, close }
+ *   objects: Map of key → { body, contentType, lastModified }
+ *   requests: [{ method, url, status }] in arrival order
+ */
+function startS3StandIn({ bucket, region = 'us-east-1', accessKeyId, secretAccessKey, pageSize = 1000 }) {
+    const objects = new Map();
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            res.on('finish', () => requests.push({ method: req.method, url: req.url, status: res.statusCode }));
+
+            const authorization = expectedAuthorization(req, { region, accessKeyId, secretAccessKey });
+            if (!authorization || authorization !== req.headers.authorization) {
+                return sendError(res, 403, 'SignatureDoesNotMatch', req.method);
+            }
+            if (crypto.createHash('sha256').update(body).digest('hex') !== req.headers['x-amz-content-sha256']) {
+                return sendError(res, 400, 'XAmzContentSHA256Mismatch', req.method);
+            }
+
+            const url = new URL(req.url, 'http://stand-in');
+            const [, bucketName, ...keyParts] = url.pathname.split('/');
+
+            if (decodeURIComponent(bucketName) !== bucket) {
+                return sendError(res, 404, 'NoSuchBucket', req.method);
+            }
+
+            const key = keyParts.map(decodeURIComponent).join('/');
+
+            if (!key) {
+                if (req.method !== 'GET' || url.searchParams.get('list-type') !== '2') {
+                    return sendError(res, 501, 'NotImplemented', req.method);
+                }
+                res.writeHead(200, { 'Content-Type': 'application/xml' });
+                return res.end(listObjects(objects, url.searchParams, pageSize));
+            }
+
+            const object = objects.get(key);
+
+            switch (req.method) {
+                case 'PUT':
+                    objects.set(key, { body, contentType: req.headers['content-type'], lastModified: new Date() });
+                    res.writeHead(200);
+                    return res.end();
+                case 'GET':
+                case 'HEAD':
+                    if (!object) return sendError(res, 404, 'NoSuchKey', req.method);
+                    res.writeHead(200, {
+                        'Content-Type': object.contentType,
+                        'Content-Length': object.body.length,
+                        'Last-Modified': object.lastModified.toUTCString()
+                    });
+                    return res.end(req.method === 'GET' ? object.body : undefined);
+                case 'DELETE':
+                    objects.delete(key);
+                    res.writeHead(204);
+                    return res.end();
+                default:
+                    return sendError(res, 405, 'MethodNotAllowed', req.method);
+            }
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                endpoint: `http://127.0.0.1:${server.address().port}`,
+                objects,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+        server.on('error', reject);
+    });
+}
+
+module.exports = {
+    startS3StandIn
+};
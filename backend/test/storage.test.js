@@ -0,0 +1,241 @@
+// Upload storage: local driver, signed /uploads URLs, and the S3 driver's Signature V4
+// requests against an S3-compatible stand-in
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { startServer, request, createStaff, cleanup } = require('./helpers');
+const { startS3StandIn } = require('./s3-stand-in');
+const { createLocalDriver } = require('../storage/local-driver');
+const { createS3Driver } = require('../storage/s3-driver');
+const { getStorage } = require('../storage');
+const { isNotFound } = require('../storage/errors');
+const { signUploadUrl } = require('../middleware/upload-access');
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+describe('local driver', () => {
+    let root;
+    let driver;
+
+    before(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'najm-local-'));
+        driver = createLocalDriver({ root });
+    });
+
+    after(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('puts buffers and streams and reads them back', async () => {
+        assert.deepEqual(await driver.put('audio/a.webm', Buffer.from('first')), { key: 'audio/a.webm', size: 5 });
+        assert.deepEqual(await driver.put('audio/b.webm', Readable.from([Buffer.from('sec'), Buffer.from('ond')])), {
+            key: 'audio/b.webm',
+            size: 6
+        });
+
+        assert.equal((await driver.get('audio/a.webm')).toString(), 'first');
+
+        const stored = await driver.stream('audio/b.webm');
+        assert.equal(stored.size, 6);
+        assert.ok(stored.lastModified instanceof Date);
+        assert.equal((await readAll(stored.stream)).toString(), 'second');
+    });
+
+    it('overwrites without leaving temporary files', async () => {
+        await driver.put('audio/a.webm', Buffer.from('replaced'));
+
+        assert.equal((await driver.get('audio/a.webm')).toString(), 'replaced');
+        assert.deepEqual(fs.readdirSync(path.join(root, 'audio')).sort(), ['a.webm', 'b.webm']);
+    });
+
+    it('lists by prefix, skipping hidden and half-written files', async () => {
+        await driver.put('images/c.jpg', Buffer.from('c'));
+        fs.writeFileSync(path.join(root, 'images', '.hidden'), 'x');
+        fs.writeFileSync(path.join(root, 'images', 'd.jpg.1234.partial'), 'x');
+
+        assert.deepEqual((await driver.list('audio/')).map(object => object.key), ['audio/a.webm', 'audio/b.webm']);
+        assert.deepEqual((await driver.list('images/')).map(object => object.key), ['images/c.jpg']);
+        assert.deepEqual((await driver.list('missing/')), []);
+        assert.equal((await driver.list()).length, 3);
+    });
+
+    it('reports missing objects as not found', async () => {
+        await assert.rejects(driver.get('audio/missing.webm'), isNotFound);
+        await assert.rejects(driver.stream('audio/missing.webm'), isNotFound);
+        await assert.rejects(driver.get('audio'), isNotFound);
+    });
+
+    it('deletes objects once', async () => {
+        assert.equal(await driver.delete('audio/b.webm'), true);
+        assert.equal(await driver.delete('audio/b.webm'), false);
+        await assert.rejects(driver.get('audio/b.webm'), isNotFound);
+    });
+});
+
+describe('signed upload URLs', () => {
+    let server;
+    let reviewer;
+    const storage = getStorage();
+    const document = Buffer.from('id card image');
+
+    const call = (urlPath, options) => request(server.baseUrl, 'GET', urlPath, options);
+
+    before(async () => {
+        server = await startServer();
+        reviewer = await createStaff(server.baseUrl, 'reviewer');
+        await storage.put('id_cards/card.jpg', document, { contentType: 'image/jpeg' });
+        await storage.put('id_cards/other.jpg', Buffer.from('someone else'), { contentType: 'image/jpeg' });
+    });
+
+    after(async () => {
+        await server.close();
+        cleanup();
+    });
+
+    it('stores identity documents encrypted on disk', () => {
+        const onDisk = fs.readFileSync(path.join(process.env.UPLOAD_DIR, 'id_cards', 'card.jpg'));
+        assert.ok(!onDisk.includes(document));
+    });
+
+    it('serves the decrypted file through a signed URL without a session', async () => {
+        const response = await fetch(server.baseUrl + signUploadUrl('/uploads/id_cards/card.jpg', reviewer.user));
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('cache-control'), 'private, no-store');
+        assert.deepEqual(Buffer.from(await response.arrayBuffer()), document);
+    });
+
+    it('needs a session or a signature', async () => {
+        assert.equal((await call('/uploads/id_cards/card.jpg')).status, 401);
+        assert.equal((await call('/uploads/id_cards/card.jpg', { token: reviewer.token })).status, 200);
+    });
+
+    it('rejects a tampered, reused or expired link', async () => {
+        const signed = signUploadUrl('/uploads/id_cards/card.jpg', reviewer.user);
+        const query = signed.slice(signed.indexOf('?'));
+
+        assert.equal((await call(`${signed.slice(0, -2)}xx`)).status, 403);
+        assert.equal((await call(`/uploads/id_cards/other.jpg${query}`)).status, 403);
+        assert.equal((await call(signed.replace(/uid=\d+/, 'uid=999'))).status, 403);
+
+        // Issued ten minutes ago with the default five-minute lifetime
+        const now = Date.now();
+        mock.method(Date, 'now', () => now - 10 * 60 * 1000);
+        const expired = signUploadUrl('/uploads/id_cards/card.jpg', reviewer.user);
+        mock.restoreAll();
+
+        const response = await call(expired);
+        assert.equal(response.status, 403);
+        assert.match(response.body.message, /expired/);
+    });
+
+    it('answers 404 once the file is deleted', async () => {
+        const signed = signUploadUrl('/uploads/id_cards/card.jpg', reviewer.user);
+
+        assert.equal(await storage.delete('id_cards/card.jpg'), true);
+        assert.equal((await call(signed)).status, 404);
+    });
+
+    it('only signs well-formed upload paths', () => {
+        assert.equal(signUploadUrl("/uploads/x');fetch('//evil')//", reviewer.user), null);
+        assert.equal(signUploadUrl('/uploads/id_cards/"><img src=x>.jpg', reviewer.user), null);
+        assert.equal(signUploadUrl('/uploads/id_cards/../../server.js', reviewer.user), null);
+        assert.equal(signUploadUrl('/uploads/id_cards/.hidden', reviewer.user), null);
+        assert.equal(signUploadUrl('https://evil.example/uploads/id_cards/card.jpg', reviewer.user), null);
+        assert.ok(signUploadUrl('/uploads/id_cards/3f1c9a2e-1760000000000.jpg', reviewer.user));
+    });
+
+    it('does not serve keys outside the upload area', async () => {
+        assert.equal((await call('/uploads/id_cards%2F..%2F..%2Fserver.js', { token: reviewer.token })).status, 404);
+        assert.equal((await call('/uploads/id_cards/.hidden', { token: reviewer.token })).status, 404);
+    });
+});
+
+describe('S3 driver', () => {
+    const credentials = {
+        bucket: 'najm-uploads',
+        region: 'me-south-1',
+        accessKeyId: 'NAJMTESTACCESSKEY',
+        secretAccessKey: 'najm/test+secret/key'
+    };
+    let standIn;
+    let driver;
+
+    before(async () => {
+        standIn = await startS3StandIn({ ...credentials, pageSize: 2 });
+        driver = createS3Driver({ ...credentials, endpoint: standIn.endpoint, prefix: 'najm/' });
+    });
+
+    after(async () => {
+        await standIn.close();
+    });
+
+    it('signs PUT and GET requests the way S3 verifies them', async () => {
+        const body = Buffer.from('accident photo');
+
+        assert.deepEqual(await driver.put('accident_photos/a.jpg', body, { contentType: 'image/jpeg' }), {
+            key: 'accident_photos/a.jpg',
+            size: body.length
+        });
+        assert.equal(standIn.objects.get('najm/accident_photos/a.jpg').contentType, 'image/jpeg');
+        assert.deepEqual(await driver.get('accident_photos/a.jpg'), body);
+        assert.ok(standIn.requests.every(entry => entry.status < 300));
+    });
+
+    it('encodes keys with spaces, Arabic and reserved characters', async () => {
+        const key = "id_cards/صورة الهوية (1)+a&b=c!'*.jpg";
+
+        await driver.put(key, Buffer.from('card'));
+
+        assert.ok(standIn.objects.has(`najm/${key}`));
+        assert.equal((await driver.get(key)).toString(), 'card');
+        assert.ok((await driver.list('id_cards/')).some(object => object.key === key));
+    });
+
+    it('uploads streams and streams downloads', async () => {
+        await driver.put('audio/a.webm', Readable.from([Buffer.from('voice '), Buffer.from('note')]));
+        const stored = await driver.stream('audio/a.webm');
+
+        assert.equal(stored.size, 10);
+        assert.ok(stored.lastModified instanceof Date);
+        assert.equal((await readAll(stored.stream)).toString(), 'voice note');
+    });
+
+    it('lists every page below a prefix', async () => {
+        for (const name of ['b', 'c', 'd', 'e']) {
+            await driver.put(`accident_photos/${name}.jpg`, Buffer.from(name));
+        }
+
+        const listed = await driver.list('accident_photos/');
+
+        assert.deepEqual(listed.map(object => object.key), ['a', 'b', 'c', 'd', 'e'].map(name => `accident_photos/${name}.jpg`));
+        assert.equal(listed[1].size, 1);
+        assert.ok(listed.every(object => object.lastModified instanceof Date));
+        assert.ok(standIn.requests.filter(entry => entry.url.includes('continuation-token')).length >= 2);
+    });
+
+    it('reports missing objects as not found and deletes once', async () => {
+        await assert.rejects(driver.get('audio/missing.webm'), isNotFound);
+        await assert.rejects(driver.stream('audio/missing.webm'), isNotFound);
+
+        assert.equal(await driver.delete('audio/a.webm'), true);
+        assert.equal(await driver.delete('audio/a.webm'), false);
+        assert.ok(!standIn.objects.has('najm/audio/a.webm'));
+    });
+
+    it('fails with the S3 error code when the signature does not match', async () => {
+        const wrongSecret = createS3Driver({ ...credentials, secretAccessKey: 'wrong', endpoint: standIn.endpoint });
+        const wrongRegion = createS3Driver({ ...credentials, region: 'eu-west-1', endpoint: standIn.endpoint });
+
+        await assert.rejects(wrongSecret.put('audio/x.webm', Buffer.from('x')), /403 SignatureDoesNotMatch/);
+        await assert.rejects(wrongRegion.list(), /403 SignatureDoesNotMatch/);
+        assert.ok(!standIn.objects.has('audio/x.webm'));
+    });
+});
@@ -0,0 +1,105 @@
+// Ticket IDs: Damm check digit, sequence numbers and legacy formats
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { cleanup } = require('./helpers');
+const db = require('../database/db');
+const ticketIds = require('../tickets/ticket-id');
+
+describe('ticket IDs', () => {
+    after(() => {
+        cleanup();
+    });
+
+    describe('check digit', () => {
+        it('matches known Damm vectors', () => {
+            assert.equal(ticketIds.dammCheckDigit('572'), 4);
+            assert.equal(ticketIds.dammCheckDigit('5724'), 0);
+            assert.equal(ticketIds.dammCheckDigit('112946'), 0);
+            assert.equal(ticketIds.dammCheckDigit(''), 0);
+        });
+
+        it('formats IDs with the check digit of year, region letters and number', () => {
+            assert.equal(ticketIds.formatTicketId(2026, 'RYD', 123), 'NJM-2026-RYD-000123-8');
+            assert.equal(ticketIds.formatTicketId(2026, 'MKH', 1), 'NJM-2026-MKH-000001-6');
+            assert.deepEqual(ticketIds.parseTicketId('NJM-2026-RYD-000123-8'), { year: 2026, region: 'RYD', sequence: 123 });
+        });
+
+        it('rejects every single mistyped digit', () => {
+            const id = 'NJM-2026-RYD-000123-8';
+
+            for (let index = 0; index < id.length; index++) {
+                if (!/\d/.test(id[index])) continue;
+                for (let digit = 0; digit <= 9; digit++) {
+                    if (String(digit) === id[index]) continue;
+                    const typo = id.slice(0, index) + digit + id.slice(index + 1);
+                    assert.equal(ticketIds.parseTicketId(typo), null, typo);
+                }
+            }
+        });
+
+        it('rejects swapped neighbouring digits', () => {
+            assert.equal(ticketIds.parseTicketId('NJM-2026-RYD-000132-8'), null);
+            assert.equal(ticketIds.parseTicketId('NJM-2026-RYD-001023-8'), null);
+            assert.equal(ticketIds.parseTicketId('NJM-2062-RYD-000123-8'), null);
+            assert.equal(ticketIds.isValidTicketId('NJM-2026-RYD-000132-8'), false);
+        });
+
+        it('rejects unknown regions', () => {
+            assert.equal(ticketIds.parseTicketId(ticketIds.formatTicketId(2026, 'XYZ', 1)), null);
+        });
+    });
+
+    describe('normalizeTicketId', () => {
+        it('accepts spaces, lowercase and Arabic-Indic digits', () => {
+            assert.equal(ticketIds.normalizeTicketId(' njm-٢٠٢٦-ryd-٠٠٠١٢٣-٨ '), 'NJM-2026-RYD-000123-8');
+            assert.equal(ticketIds.normalizeTicketId(42), '');
+        });
+    });
+
+    describe('legacy IDs', () => {
+        it('accepts the formats issued before server-side IDs', () => {
+            assert.equal(ticketIds.isValidTicketId('T-1731412345678-42'), true);
+            assert.equal(ticketIds.isValidTicketId('A-1001'), true);
+            assert.equal(ticketIds.parseTicketId('A-1001'), null);
+        });
+
+        it('rejects anything else', () => {
+            for (const id of ['T-123-4', 'T-1731412345678-4242', 'A-', 'A-1001-2', 'a-1001', 'B-1001', 'T-1731412345678-42; DROP', '', null]) {
+                assert.equal(ticketIds.isValidTicketId(id), false, String(id));
+            }
+        });
+    });
+
+    describe('nextTicketId', () => {
+        const sequence = (year, region) =>
+            db.prepare('SELECT last_value FROM ticket_sequences WHERE year = ? AND region = ?').get(year, region);
+
+        it('numbers each year and region from 1', () => {
+            const date = '2031-05-01T10:00:00Z';
+
+            assert.equal(ticketIds.nextTicketId({ region: 'RYD', date }), ticketIds.formatTicketId(2031, 'RYD', 1));
+            assert.equal(ticketIds.nextTicketId({ region: 'ryd', date }), ticketIds.formatTicketId(2031, 'RYD', 2));
+            assert.equal(ticketIds.nextTicketId({ region: 'MKH', date }), ticketIds.formatTicketId(2031, 'MKH', 1));
+            assert.equal(ticketIds.nextTicketId({ region: 'RYD', date: '2032-05-01T10:00:00Z' }), ticketIds.formatTicketId(2032, 'RYD', 1));
+            assert.equal(sequence(2031, 'RYD').last_value, 2);
+        });
+
+        it('counts in Saudi time and detects the region from the location', () => {
+            // 21:30 UTC on 31 December is 00:30 on 1 January in Riyadh
+            const id = ticketIds.nextTicketId({ location: 'طريق الملك عبدالعزيز، جده', date: '2033-12-31T21:30:00Z' });
+            assert.equal(id, ticketIds.formatTicketId(2034, 'MKH', 1));
+        });
+
+        it('hands the number back when the surrounding transaction fails', () => {
+            const date = '2035-01-15T10:00:00Z';
+            const failedSave = db.transaction(() => {
+                ticketIds.nextTicketId({ region: 'EST', date });
+                throw new Error('save failed');
+            });
+
+            assert.throws(() => failedSave(), /save failed/);
+            assert.equal(sequence(2035, 'EST'), undefined);
+            assert.equal(ticketIds.nextTicketId({ region: 'EST', date }), ticketIds.formatTicketId(2035, 'EST', 1));
+        });
+    });
+});
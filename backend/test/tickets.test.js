@@ -0,0 +1,281 @@
+// Ticket, search and legal hold endpoints as each role (and without a session)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, createStaff, cleanup } = require('./helpers');
+
+const TICKET = {
+    region: 'RYD',
+    plate: 'ABC1234',
+    vehicles: 1,
+    description: 'Hit from behind at the traffic light',
+    extracted_data: {
+        description: 'Hit from behind at the traffic light',
+        location: 'Riyadh',
+        driver_name: 'Mohammed Ahmed',
+        phone: '0551234567',
+        national_id: '1012345678',
+        plate: 'ABC1234'
+    },
+    transcript: [
+        { role: 'assistant', content: 'What happened?' },
+        { role: 'user', content: 'My ID is 1012345678 and my phone is 0551234567' }
+    ]
+};
+
+describe('ticket endpoints', () => {
+    let server;
+    let admin;
+    let reviewer;
+    let agent;
+    let auditor;
+    let ticketId;
+
+    const call = (method, urlPath, options) => request(server.baseUrl, method, urlPath, options);
+
+    before(async () => {
+        server = await startServer();
+        admin = await createStaff(server.baseUrl, 'admin');
+        reviewer = await createStaff(server.baseUrl, 'reviewer');
+        agent = await createStaff(server.baseUrl, 'agent');
+        auditor = await createStaff(server.baseUrl, 'auditor');
+
+        const created = await call('POST', '/api/tickets', { token: reviewer.token, body: TICKET });
+        assert.equal(created.status, 201);
+        ticketId = created.body.ticket.ticket_id;
+    });
+
+    after(async () => {
+        await server.close();
+        cleanup();
+    });
+
+    describe('unauthenticated', () => {
+        it('cannot list, read, create or delete tickets', async () => {
+            assert.equal((await call('GET', '/api/tickets')).status, 401);
+            assert.equal((await call('GET', `/api/tickets/${ticketId}`)).status, 401);
+            assert.equal((await call('POST', '/api/tickets', { body: TICKET })).status, 401);
+            assert.equal((await call('DELETE', `/api/tickets/${ticketId}`)).status, 401);
+        });
+
+        it('cannot search transcripts', async () => {
+            assert.equal((await call('GET', '/api/search?q=behind')).status, 401);
+        });
+
+        it('is rejected with a forged token', async () => {
+            const response = await call('GET', '/api/tickets', { token: 'not-a-token' });
+            assert.equal(response.status, 401);
+        });
+    });
+
+    describe('reviewer', () => {
+        it('reads tickets with personal data', async () => {
+            const response = await call('GET', `/api/tickets/${ticketId}`, { token: reviewer.token });
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.redacted, false);
+            assert.equal(response.body.ticket.plate, 'ABC1234');
+            assert.equal(response.body.ticket.extracted_data.phone, '0551234567');
+        });
+
+        it('filters by plate', async () => {
+            const response = await call('GET', '/api/tickets?plate=ABC1234', { token: reviewer.token });
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.body.tickets.map(ticket => ticket.ticket_id), [ticketId]);
+        });
+
+        it('changes the status', async () => {
+            const response = await call('PUT', `/api/tickets/${ticketId}`, {
+                token: reviewer.token,
+                body: { status: 'under_review' }
+            });
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.ticket.status, 'under_review');
+        });
+
+        it('rejects mistyped fields', async () => {
+            const bodies = [
+                { plate: { $gt: '' } },
+                { damage: ['front'] },
+                { vehicles: 'many' },
+                { vehicles: 2.5 },
+                { vehicles: 0 },
+                { vehicles: 11 },
+                { status: ['closed'] },
+                { status: 'rejected', reason: 42 }
+            ];
+
+            for (const body of bodies) {
+                const response = await call('PUT', `/api/tickets/${ticketId}`, { token: reviewer.token, body });
+                assert.equal(response.status, 400, JSON.stringify(body));
+            }
+        });
+
+        it('saves nothing when the status change is refused', async () => {
+            const { body: { ticket: original } } = await call('GET', `/api/tickets/${ticketId}`, { token: reviewer.token });
+            const response = await call('PUT', `/api/tickets/${ticketId}`, {
+                token: reviewer.token,
+                body: { damage: 'Rear bumper', vehicles: 2, status: 'closed' }
+            });
+            assert.equal(response.status, 409);
+            assert.equal(response.body.status, 'under_review');
+
+            const { body: { ticket } } = await call('GET', `/api/tickets/${ticketId}`, { token: reviewer.token });
+            assert.notEqual(ticket.damage, 'Rear bumper');
+            assert.equal(ticket.vehicles, 1);
+            assert.equal(ticket.status_history.length, original.status_history.length);
+            assert.equal(ticket.updated_at, original.updated_at);
+        });
+
+        it('saves the fields and the status change together', async () => {
+            const response = await call('PUT', `/api/tickets/${ticketId}`, {
+                token: reviewer.token,
+                body: { damage: 'Rear bumper', status: 'awaiting_documents', reason: 'Missing license' }
+            });
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.ticket.damage, 'Rear bumper');
+            assert.equal(response.body.ticket.status, 'awaiting_documents');
+        });
+
+        it('cannot place a legal hold or delete', async () => {
+            const hold = await call('PUT', `/api/tickets/${ticketId}/legal-hold`, {
+                token: reviewer.token,
+                body: { hold: true, reason: 'Case 1' }
+            });
+            assert.equal(hold.status, 403);
+            assert.equal((await call('DELETE', `/api/tickets/${ticketId}`, { token: reviewer.token })).status, 403);
+        });
+
+        it('rejects a client-supplied ticket ID', async () => {
+            const response = await call('POST', '/api/tickets', {
+                token: reviewer.token,
+                body: { ...TICKET, ticket_id: 'NJM-2026-RYD-999999-1' }
+            });
+            assert.equal(response.status, 400);
+        });
+    });
+
+    describe('agent', () => {
+        it('creates tickets and reads them with personal data', async () => {
+            const created = await call('POST', '/api/tickets', { token: agent.token, body: TICKET });
+            assert.equal(created.status, 201);
+
+            const response = await call('GET', `/api/tickets/${created.body.ticket.ticket_id}`, { token: agent.token });
+            assert.equal(response.status, 200);
+            assert.equal(response.body.redacted, false);
+            assert.equal(response.body.ticket.extracted_data.phone, '0551234567');
+        });
+
+        it('updates fields', async () => {
+            const response = await call('PUT', `/api/tickets/${ticketId}`, {
+                token: agent.token,
+                body: { damage: 'Scratched door', vehicles: 2 }
+            });
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.ticket.damage, 'Scratched door');
+            assert.equal(response.body.ticket.vehicles, 2);
+        });
+
+        it('cannot change the status, even together with fields', async () => {
+            const { body: { ticket: original } } = await call('GET', `/api/tickets/${ticketId}`, { token: agent.token });
+
+            const statusOnly = await call('PUT', `/api/tickets/${ticketId}`, {
+                token: agent.token,
+                body: { status: 'closed' }
+            });
+            assert.equal(statusOnly.status, 403);
+            assert.deepEqual(statusOnly.body.required, ['tickets:status']);
+
+            const withFields = await call('PUT', `/api/tickets/${ticketId}`, {
+                token: agent.token,
+                body: { damage: 'Front bumper', status: 'closed' }
+            });
+            assert.equal(withFields.status, 403);
+
+            const { body: { ticket } } = await call('GET', `/api/tickets/${ticketId}`, { token: agent.token });
+            assert.equal(ticket.status, original.status);
+            assert.equal(ticket.damage, 'Scratched door');
+        });
+
+        it('cannot place a legal hold or delete', async () => {
+            const hold = await call('PUT', `/api/tickets/${ticketId}/legal-hold`, {
+                token: agent.token,
+                body: { hold: true, reason: 'Case 1' }
+            });
+            assert.equal(hold.status, 403);
+            assert.equal((await call('DELETE', `/api/tickets/${ticketId}`, { token: agent.token })).status, 403);
+            assert.equal((await call('GET', `/api/tickets/${ticketId}`, { token: agent.token })).status, 200);
+        });
+    });
+
+    describe('auditor', () => {
+        it('lists and reads tickets with personal data masked', async () => {
+            const list = await call('GET', '/api/tickets', { token: auditor.token });
+            assert.equal(list.status, 200);
+            assert.equal(list.body.redacted, true);
+            assert.ok(list.body.tickets.every(ticket => ticket.plate === null || ticket.plate === '[PLATE]'));
+
+            const detail = await call('GET', `/api/tickets/${ticketId}`, { token: auditor.token });
+            const body = JSON.stringify(detail.body);
+
+            assert.equal(detail.status, 200);
+            assert.equal(detail.body.ticket.plate, '[PLATE]');
+            assert.equal(detail.body.ticket.extracted_data.phone, '[PHONE]');
+            assert.equal(detail.body.ticket.extracted_data.national_id, '[NATIONAL_ID]');
+            for (const value of ['ABC1234', '0551234567', '1012345678', 'Mohammed Ahmed']) {
+                assert.ok(!body.includes(value), `${value} is masked`);
+            }
+        });
+
+        it('cannot search by personal data', async () => {
+            for (const query of ['plate=ABC1234', 'national_id=1012345678', 'q=0551234567']) {
+                const response = await call('GET', `/api/tickets?${query}`, { token: auditor.token });
+                assert.equal(response.status, 403, query);
+            }
+            assert.equal((await call('GET', '/api/search?q=1012', { token: auditor.token })).status, 403);
+            assert.equal((await call('GET', '/api/search?q=behind', { token: auditor.token })).status, 200);
+        });
+
+        it('cannot create, update, hold or delete tickets', async () => {
+            assert.equal((await call('POST', '/api/tickets', { token: auditor.token, body: TICKET })).status, 403);
+            assert.equal((await call('PUT', `/api/tickets/${ticketId}`, {
+                token: auditor.token,
+                body: { damage: 'None' }
+            })).status, 403);
+            assert.equal((await call('PUT', `/api/tickets/${ticketId}/legal-hold`, {
+                token: auditor.token,
+                body: { hold: true, reason: 'Case 1' }
+            })).status, 403);
+            assert.equal((await call('DELETE', `/api/tickets/${ticketId}`, { token: auditor.token })).status, 403);
+        });
+    });
+
+    describe('admin', () => {
+        it('cannot delete a ticket under legal hold', async () => {
+            const hold = await call('PUT', `/api/tickets/${ticketId}/legal-hold`, {
+                token: admin.token,
+                body: { hold: true, reason: 'Court case 2026/1187' }
+            });
+            assert.equal(hold.status, 200);
+            assert.equal(hold.body.ticket.legal_hold.reason, 'Court case 2026/1187');
+
+            const blocked = await call('DELETE', `/api/tickets/${ticketId}`, { token: admin.token });
+            assert.equal(blocked.status, 409);
+            assert.equal((await call('GET', `/api/tickets/${ticketId}`, { token: admin.token })).status, 200);
+        });
+
+        it('deletes the ticket once the hold is released', async () => {
+            const release = await call('PUT', `/api/tickets/${ticketId}/legal-hold`, {
+                token: admin.token,
+                body: { hold: false }
+            });
+            assert.equal(release.status, 200);
+
+            assert.equal((await call('DELETE', `/api/tickets/${ticketId}`, { token: admin.token })).status, 200);
+            assert.equal((await call('GET', `/api/tickets/${ticketId}`, { token: admin.token })).status, 404);
+        });
+    });
+});
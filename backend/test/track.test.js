@@ -0,0 +1,71 @@
+// Public ticket tracking: verification and the lockout after repeated wrong answers
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, createStaff, createSlowStore, cleanup } = require('./helpers');
+const trackingThrottle = require('../tickets/tracking-throttle');
+
+const TICKET = {
+    region: 'RYD',
+    plate: 'ABC1234',
+    vehicles: 1,
+    description: 'Hit from behind at the traffic light',
+    extracted_data: { phone: '0551234567', national_id: '1012345678' }
+};
+
+describe('ticket tracking', () => {
+    let server;
+    let reviewer;
+
+    const call = (method, urlPath, options) => request(server.baseUrl, method, urlPath, options);
+    const track = (ticketId, verification) => call('POST', '/api/track', { body: { ticket_id: ticketId, verification } });
+
+    async function createTicket() {
+        const created = await call('POST', '/api/tickets', { token: reviewer.token, body: TICKET });
+        assert.equal(created.status, 201);
+        return created.body.ticket.ticket_id;
+    }
+
+    before(async () => {
+        server = await startServer();
+        reviewer = await createStaff(server.baseUrl, 'reviewer');
+    });
+
+    after(async () => {
+        await server.close();
+        cleanup();
+    });
+
+    it('answers with the status for the last digits of the phone or ID', async () => {
+        const ticketId = await createTicket();
+
+        const byPhone = await track(ticketId, '4567');
+        assert.equal(byPhone.status, 200);
+        assert.equal(byPhone.body.ticket.ticket_id, ticketId);
+        assert.equal((await track(ticketId, '345678')).status, 200);
+        assert.equal((await track(ticketId, '9999')).status, 404);
+    });
+
+    it('lets only the allowed number of parallel guesses through', async () => {
+        trackingThrottle.setStore(createSlowStore());
+        const ticketId = await createTicket();
+        const guesses = Array.from({ length: trackingThrottle.MAX_TICKET_FAILURES + 3 }, (_, index) => `000${index}`);
+
+        const responses = await Promise.all(guesses.map(guess => track(ticketId, guess)));
+        const statuses = responses.map(response => response.status);
+
+        assert.equal(statuses.filter(status => status === 404).length, trackingThrottle.MAX_TICKET_FAILURES);
+        assert.equal(statuses.filter(status => status === 429).length, 3);
+        assert.equal((await track(ticketId, '4567')).status, 429);
+    });
+
+    it('clears the ticket counter after a correct answer', async () => {
+        const ticketId = await createTicket();
+
+        for (let i = 0; i < trackingThrottle.MAX_TICKET_FAILURES - 1; i++) {
+            assert.equal((await track(ticketId, '0000')).status, 404);
+        }
+        assert.equal((await track(ticketId, '4567')).status, 200);
+        assert.equal((await track(ticketId, '0000')).status, 404);
+        assert.equal((await track(ticketId, '4567')).status, 200);
+    });
+});
@@ -0,0 +1,119 @@
+// Audio upload and OCR routes as each role (and without a session)
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, createStaff, cleanup } = require('./helpers');
+
+const CREATE_ROLES = ['admin', 'reviewer', 'agent'];
+const ROLES = [...CREATE_ROLES, 'auditor'];
+
+describe('upload and OCR endpoints', () => {
+    let server;
+    const staff = {};
+
+    const call = (method, urlPath, options) => request(server.baseUrl, method, urlPath, options);
+
+    /**
+     * Send files as multipart/form-data
+     * @param {Array} files - [{ field, name, type }]
+     */
+    async function sendFiles(urlPath, token, files) {
+        const form = new FormData();
+        for (const file of files) {
+            form.append(file.field, new Blob([Buffer.from('test file')], { type: file.type }), file.name);
+        }
+
+        const response = await fetch(server.baseUrl + urlPath, {
+            method: 'POST',
+            headers: token ? { Authorization: `Bearer ${token}` } : {},
+            body: form
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    const audio = { field: 'audio', name: 'note.webm', type: 'audio/webm' };
+    const image = field => ({ field, name: 'car.jpg', type: 'image/jpeg' });
+
+    before(async () => {
+        // ocr.js logs an error for every image while no OCR service is configured
+        mock.method(console, 'error', () => {});
+        server = await startServer();
+        for (const role of ROLES) {
+            staff[role] = await createStaff(server.baseUrl, role);
+        }
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await server.close();
+        cleanup();
+    });
+
+    describe('unauthenticated', () => {
+        it('gets 401 from every upload and OCR route', async () => {
+            assert.equal((await sendFiles('/api/upload/audio', null, [audio])).status, 401);
+            assert.equal((await sendFiles('/api/upload/transcribe', null, [audio])).status, 401);
+            assert.equal((await call('GET', '/api/upload/audio/note.webm')).status, 401);
+            assert.equal((await call('DELETE', '/api/upload/audio/note.webm')).status, 401);
+            assert.equal((await sendFiles('/api/ocr-upload', null, [image('image')])).status, 401);
+            assert.equal((await sendFiles('/api/ocr-upload/batch', null, [image('images')])).status, 401);
+            assert.equal((await call('GET', '/api/image/car.jpg')).status, 401);
+            assert.equal((await call('DELETE', '/api/image/car.jpg')).status, 401);
+        });
+    });
+
+    for (const role of ROLES) {
+        const canCreate = CREATE_ROLES.includes(role);
+
+        describe(role, () => {
+            let audioFile;
+            let imageFile;
+
+            before(async () => {
+                // Files to read and delete, uploaded by an admin
+                audioFile = (await sendFiles('/api/upload/audio', staff.admin.token, [audio])).body.file.filename;
+                imageFile = (await sendFiles('/api/ocr-upload', staff.admin.token, [image('image')])).body.file.filename;
+            });
+
+            it(canCreate ? 'uploads audio and images' : 'cannot upload audio or images', async () => {
+                const token = staff[role].token;
+                const uploaded = await sendFiles('/api/upload/audio', token, [audio]);
+                const ocr = await sendFiles('/api/ocr-upload', token, [image('image')]);
+                const batch = await sendFiles('/api/ocr-upload/batch', token, [image('images'), image('images')]);
+
+                if (canCreate) {
+                    assert.equal(uploaded.status, 200);
+                    assert.match(uploaded.body.file.path, /^\/uploads\/audio\//);
+                    // No OCR service is configured here; the image is still stored
+                    assert.equal(ocr.status, 200);
+                    assert.match(ocr.body.file.url, /^\/uploads\/images\//);
+                    assert.equal(batch.status, 200);
+                    assert.equal(batch.body.count, 2);
+                } else {
+                    assert.equal(uploaded.status, 403);
+                    assert.equal(ocr.status, 403);
+                    assert.equal(batch.status, 403);
+                }
+            });
+
+            it(canCreate ? 'may transcribe' : 'cannot transcribe', async () => {
+                // Without a file, so allowed roles stop at validation instead of calling Whisper
+                const response = await call('POST', '/api/upload/transcribe', { token: staff[role].token, body: {} });
+                assert.equal(response.status, canCreate ? 400 : 403);
+            });
+
+            it('reads uploaded audio and images', async () => {
+                const token = staff[role].token;
+                assert.equal((await call('GET', `/api/upload/audio/${audioFile}`, { token })).status, 200);
+                assert.equal((await call('GET', `/api/image/${imageFile}`, { token })).status, 200);
+            });
+
+            it(role === 'admin' ? 'deletes audio and images' : 'cannot delete audio or images', async () => {
+                const token = staff[role].token;
+                const expected = role === 'admin' ? 200 : 403;
+
+                assert.equal((await call('DELETE', `/api/upload/audio/${audioFile}`, { token })).status, expected);
+                assert.equal((await call('DELETE', `/api/image/${imageFile}`, { token })).status, expected);
+            });
+        });
+    }
+});
@@ -0,0 +1,145 @@
+// Accident Classifier
+// Maps the reporter's description and chat answers to a fixed accident taxonomy, with a
+// confidence between 0 and 1. The assistant asks a clarifying question while confidence
+// is below ACCIDENT_TYPE_MIN_CONFIDENCE (conversation/orchestrator.js).
+//
+// Scoring is by keywords (Arabic and English, folded like search text): a strong phrase
+// names the accident type outright ("من الخلف", "head-on"), a hint only points at it.
+// Confidence is the best type's share of all the evidence, scaled down while that
+// evidence is thin.
+//
+// This is what happened, for filtering and triage; the liability scenarios
+// (tickets/liability-rules.js) are set separately by reviewers.
+const { normalizeText } = require('../search/normalize');
+
+const STRONG_WEIGHT = 3;
+const HINT_WEIGHT = 1;
+
+// Evidence needed for full confidence: a strong phrase plus a hint
+const FULL_EVIDENCE = STRONG_WEIGHT + HINT_WEIGHT;
+
+const MIN_CONFIDENCE = parseFloat(process.env.ACCIDENT_TYPE_MIN_CONFIDENCE) || 0.6;
+
+const ACCIDENT_TYPES = {
+    rear_end: {
+        ar: 'اصطدام من الخلف',
+        en: 'Rear-end collision',
+        strong: ['من الخلف', 'من خلفي', 'من ورا', 'من وراء', 'اللي قدامي', 'الي قدامي',
+            'rear end', 'rear ended', 'from behind', 'from the back', 'car in front', 'car ahead'],
+        hints: ['خلف', 'ورا', 'فرامل', 'فرمل', 'توقف فجاه', 'وقف فجاه', 'brake', 'braked', 'behind', 'stopped suddenly']
+    },
+    side_swipe: {
+        ar: 'احتكاك جانبي',
+        en: 'Side-swipe',
+        strong: ['من الجنب', 'من الجانب', 'احتكاك', 'غير المسار', 'غير مساره', 'تغيير المسار', 'دخل علي',
+            'sideswipe', 'side swipe', 'side swiped', 'changed lanes', 'changing lanes', 'lane change', 'cut me off', 'cut in'],
+        hints: ['جانب', 'جنب', 'مسار', 'مرايه', 'side', 'lane', 'mirror']
+    },
+    head_on: {
+        ar: 'اصطدام وجهاً لوجه',
+        en: 'Head-on collision',
+        strong: ['وجها لوجه', 'عكس السير', 'عكس الاتجاه', 'الاتجاه المعاكس', 'المسار المعاكس',
+            'head on', 'wrong way', 'oncoming', 'opposite direction'],
+        hints: ['عكس', 'مقابل', 'قادمه']
+    },
+    parking: {
+        ar: 'حادث في موقف',
+        en: 'Parking',
+        strong: ['موقف', 'مواقف', 'parking', 'parked', 'car park'],
+        hints: ['واقفه', 'متوقفه', 'ارجع', 'رجعت', 'ترجع', 'reversing', 'reversed', 'backing']
+    },
+    single_vehicle: {
+        ar: 'مركبة واحدة',
+        en: 'Single vehicle',
+        strong: ['عمود', 'رصيف', 'حاجز', 'جدار', 'شجره', 'انقلبت', 'انقلاب', 'تدهورت', 'جمل', 'بعير', 'مواشي', 'حيوان',
+            'لوحدي', 'بمفردي', 'فقدت السيطره', 'pole', 'lamp post', 'curb', 'kerb', 'barrier', 'guardrail',
+            'wall', 'tree', 'rolled over', 'rollover', 'flipped', 'camel', 'animal', 'lost control', 'by myself'],
+        hints: ['انزلق', 'حفره', 'مطب', 'skid', 'pothole', 'ditch']
+    },
+    pedestrian: {
+        ar: 'دهس مشاة',
+        en: 'Pedestrian',
+        strong: ['مشاه', 'دهس', 'عابر', 'يعبر', 'يقطع الشارع', 'pedestrian', 'ran over',
+            'crossing the road', 'crossing the street', 'crosswalk', 'zebra crossing', 'hit a person', 'hit a man', 'hit a woman', 'hit a child'],
+        hints: ['شخص', 'طفل', 'person', 'child', 'walking']
+    }
+};
+
+// Arabic prefixes a word can carry (والمسار، بالعمود، للرصيف)
+const PREFIXES = ['', 'و', 'ب', 'ف', 'ل', 'ال', 'وال', 'بال', 'فال', 'لل'];
+
+/**
+ * Fold text like search text and keep only words separated by single spaces
+ */
+function toWords(text) {
+    return normalizeText(text).replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Keywords folded once; matched at the start of a word (suffixes allowed: دهسني، parked)
+const KEYWORDS = Object.entries(ACCIDENT_TYPES).flatMap(([type, definition]) => [
+    ...definition.strong.map(keyword => ({ type, keyword: toWords(keyword), weight: STRONG_WEIGHT })),
+    ...definition.hints.map(keyword => ({ type, keyword: toWords(keyword), weight: HINT_WEIGHT }))
+]);
+
+/**
+ * Check whether an accident type is in the taxonomy
+ * @param {string} type
+ * @returns {boolean}
+ */
+function isKnownType(type) {
+    return Object.prototype.hasOwnProperty.call(ACCIDENT_TYPES, type);
+}
+
+/**
+ * Classify an accident from what the reporter said
+ * @param {string|Array<string>} texts - Description and/or the reporter's chat turns
+ * @returns {Object} { type, confidence, candidates }
+ *   type: best matching type, null when nothing matched
+ *   confidence: 0-1 (two decimals)
+ *   candidates: types with any evidence, best first (at most 3)
+ */
+function classifyAccident(texts) {
+    const text = ` ${(Array.isArray(texts) ? texts : [texts])
+        .filter(value => typeof value === 'string')
+        .map(toWords)
+        .join(' ')} `;
+
+    const scores = {};
+    for (const { type, keyword, weight } of KEYWORDS) {
+        if (PREFIXES.some(prefix => text.includes(` ${prefix}${keyword}`))) {
+            scores[type] = (scores[type] || 0) + weight;
+        }
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0) {
+        return { type: null, confidence: 0, candidates: [] };
+    }
+
+    const [type, best] = ranked[0];
+    const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+    const confidence = (best / total) * Math.min(1, best / FULL_EVIDENCE);
+
+    return {
+        type,
+        confidence: Math.round(confidence * 100) / 100,
+        candidates: ranked.slice(0, 3).map(([candidate]) => candidate)
+    };
+}
+
+/**
+ * Whether a classification is too uncertain to keep without asking the reporter
+ * @param {Object} result - From classifyAccident
+ * @returns {boolean}
+ */
+function needsClarification(result) {
+    return !result.type || result.confidence < MIN_CONFIDENCE;
+}
+
+module.exports = {
+    ACCIDENT_TYPES,
+    MIN_CONFIDENCE,
+    isKnownType,
+    classifyAccident,
+    needsClarification
+};
@@ -0,0 +1,302 @@
+// Liability Rules
+// Proposes a fault percentage per party from structured accident facts, following
+// Najm's fault-ratio practice (shares in steps of 25%). Reviewers can override the result.
+//
+// Facts name the two parties that collided by their role in the scenario:
+// - primary_party: the vehicle whose manoeuvre caused the collision (the rear vehicle,
+//   the one changing lanes, the one without right of way, the one reversing)
+// - other_party: the vehicle it hit
+// Any other party on the ticket gets 0%.
+
+const FAULT_STEP = 25;
+
+// Scenario → what primary_party means and the facts reviewers can set (all booleans)
+const SCENARIOS = {
+    rear_end: {
+        primary: 'rear vehicle',
+        flags: ['other_reversing', 'other_stopped_suddenly']
+    },
+    lane_change: {
+        primary: 'vehicle changing lanes',
+        flags: ['other_changing_lane', 'signaled']
+    },
+    intersection: {
+        primary: 'vehicle without right of way',
+        flags: ['no_right_of_way', 'ran_red_light', 'other_speeding']
+    },
+    reversing: {
+        primary: 'reversing vehicle',
+        flags: ['other_reversing', 'other_parked_illegally']
+    }
+};
+
+// Checked in order for the scenario; the first rule whose condition holds fires.
+// share is the primary party's fault percentage (the other party gets the rest).
+const RULES = [
+    {
+        id: 'REAR_END_OTHER_REVERSING',
+        scenario: 'rear_end',
+        when: facts => facts.other_reversing,
+        share: 0,
+        description: {
+            ar: 'المركبة الأمامية كانت ترجع للخلف فتتحمل كامل المسؤولية',
+            en: 'The front vehicle was reversing and is fully at fault'
+        }
+    },
+    {
+        id: 'REAR_END_SUDDEN_STOP',
+        scenario: 'rear_end',
+        when: facts => facts.other_stopped_suddenly,
+        share: 75,
+        description: {
+            ar: 'الاصطدام من الخلف مع توقف مفاجئ للمركبة الأمامية دون سبب',
+            en: 'Rear-end collision; the front vehicle stopped suddenly without cause'
+        }
+    },
+    {
+        id: 'REAR_END',
+        scenario: 'rear_end',
+        when: () => true,
+        share: 100,
+        description: {
+            ar: 'المركبة الخلفية لم تترك مسافة أمان كافية',
+            en: 'The rear vehicle did not keep a safe distance'
+        }
+    },
+    {
+        id: 'LANE_CHANGE_BOTH',
+        scenario: 'lane_change',
+        when: facts => facts.other_changing_lane,
+        share: 50,
+        description: {
+            ar: 'المركبتان كانتا تغيران المسار في الوقت نفسه',
+            en: 'Both vehicles were changing lanes at the same time'
+        }
+    },
+    {
+        id: 'LANE_CHANGE_NO_SIGNAL',
+        scenario: 'lane_change',
+        when: facts => !facts.signaled,
+        share: 100,
+        description: {
+            ar: 'تغيير المسار دون استخدام الإشارة',
+            en: 'Changed lanes without signaling'
+        }
+    },
+    {
+        id: 'LANE_CHANGE_SIGNALED',
+        scenario: 'lane_change',
+        when: () => true,
+        share: 75,
+        description: {
+            ar: 'تغيير المسار مع الإشارة دون التأكد من خلو المسار',
+            en: 'Signaled but changed lanes before the lane was clear'
+        }
+    },
+    {
+        id: 'INTERSECTION_NO_PRIORITY',
+        scenario: 'intersection',
+        when: facts => facts.no_right_of_way,
+        share: 50,
+        description: {
+            ar: 'تقاطع دون أولوية مرور لأي من المركبتين',
+            en: 'Intersection where neither vehicle had right of way'
+        }
+    },
+    {
+        id: 'INTERSECTION_RED_LIGHT',
+        scenario: 'intersection',
+        when: facts => facts.ran_red_light,
+        share: 100,
+        description: {
+            ar: 'قطع الإشارة الضوئية الحمراء',
+            en: 'Ran a red light'
+        }
+    },
+    {
+        id: 'INTERSECTION_OTHER_SPEEDING',
+        scenario: 'intersection',
+        when: facts => facts.other_speeding,
+        share: 75,
+        description: {
+            ar: 'عدم إعطاء الأولوية مع تجاوز المركبة الأخرى للسرعة المحددة',
+            en: 'Failed to yield; the other vehicle was speeding'
+        }
+    },
+    {
+        id: 'INTERSECTION_FAILED_TO_YIELD',
+        scenario: 'intersection',
+        when: () => true,
+        share: 100,
+        description: {
+            ar: 'عدم إعطاء الأولوية للمركبة صاحبة حق المرور',
+            en: 'Failed to yield to the vehicle with right of way'
+        }
+    },
+    {
+        id: 'REVERSING_BOTH',
+        scenario: 'reversing',
+        when: facts => facts.other_reversing,
+        share: 50,
+        description: {
+            ar: 'المركبتان كانتا ترجعان للخلف',
+            en: 'Both vehicles were reversing'
+        }
+    },
+    {
+        id: 'REVERSING_OTHER_PARKED_ILLEGALLY',
+        scenario: 'reversing',
+        when: facts => facts.other_parked_illegally,
+        share: 75,
+        description: {
+            ar: 'الرجوع للخلف والمركبة الأخرى متوقفة في مكان ممنوع',
+            en: 'Reversed into a vehicle that was parked illegally'
+        }
+    },
+    {
+        id: 'REVERSING',
+        scenario: 'reversing',
+        when: () => true,
+        share: 100,
+        description: {
+            ar: 'الرجوع للخلف دون التأكد من خلو الطريق',
+            en: 'Reversed without making sure the way was clear'
+        }
+    }
+];
+
+/**
+ * Look up a rule by ID
+ * @param {string} ruleId
+ * @returns {Object|null} { id, scenario, share, description }
+ */
+function getRule(ruleId) {
+    const rule = RULES.find(candidate => candidate.id === ruleId);
+    return rule ? { id: rule.id, scenario: rule.scenario, share: rule.share, description: rule.description } : null;
+}
+
+/**
+ * Check facts against the scenario definitions and the ticket's parties
+ * @param {Object} facts - { scenario, primary_party, other_party, ...flags }
+ * @param {Array<number>} partyNumbers - Parties on the ticket
+ * @returns {Object} { valid, errors, value } - value: facts with every flag of the scenario set
+ */
+function validateFacts(facts, partyNumbers) {
+    if (!facts || typeof facts !== 'object' || Array.isArray(facts)) {
+        return { valid: false, errors: ['facts must be an object'], value: null };
+    }
+
+    const scenario = SCENARIOS[facts.scenario];
+    if (!scenario) {
+        return {
+            valid: false,
+            errors: [`Unknown scenario "${facts.scenario}". Expected one of: ${Object.keys(SCENARIOS).join(', ')}`],
+            value: null
+        };
+    }
+
+    const errors = [];
+
+    for (const role of ['primary_party', 'other_party']) {
+        if (!partyNumbers.includes(facts[role])) {
+            errors.push(`${role} must be one of the ticket's parties (${partyNumbers.join(', ')})`);
+        }
+    }
+    if (facts.primary_party === facts.other_party) {
+        errors.push('primary_party and other_party must be different parties');
+    }
+
+    const value = { scenario: facts.scenario, primary_party: facts.primary_party, other_party: facts.other_party };
+
+    for (const [field, flag] of Object.entries(facts)) {
+        if (['scenario', 'primary_party', 'other_party'].includes(field)) continue;
+
+        if (!scenario.flags.includes(field)) {
+            errors.push(`Unknown fact "${field}" for ${facts.scenario}. Expected: ${scenario.flags.join(', ')}`);
+        } else if (typeof flag !== 'boolean') {
+            errors.push(`${field} must be true or false`);
+        }
+    }
+    for (const flag of scenario.flags) {
+        value[flag] = facts[flag] === true;
+    }
+
+    return { valid: errors.length === 0, errors, value: errors.length === 0 ? value : null };
+}
+
+/**
+ * Propose fault percentages for an accident
+ * @param {Object} facts - { scenario, primary_party, other_party, ...flags } (see SCENARIOS)
+ * @param {Array<number>} partyNumbers - Parties on the ticket
+ * @returns {Object} { valid, errors, facts, rule, shares } - shares: [{ party_number, fault_percent }]
+ *   for every party on the ticket
+ */
+function assessLiability(facts, partyNumbers) {
+    const check = validateFacts(facts, partyNumbers);
+
+    if (!check.valid) {
+        return { valid: false, errors: check.errors };
+    }
+
+    const rule = RULES.find(candidate => candidate.scenario === check.value.scenario && candidate.when(check.value));
+    const shares = partyNumbers.map(partyNumber => ({
+        party_number: partyNumber,
+        fault_percent: partyNumber === check.value.primary_party ? rule.share
+            : partyNumber === check.value.other_party ? 100 - rule.share
+                : 0
+    }));
+
+    return { valid: true, errors: [], facts: check.value, rule: getRule(rule.id), shares };
+}
+
+/**
+ * Check fault shares set by a reviewer
+ * @param {Array} shares - [{ party_number, fault_percent }]
+ * @param {Array<number>} partyNumbers - Parties on the ticket
+ * @returns {Object} { valid, errors, value } - value: one share per party (0 for parties left out)
+ */
+function validateShares(shares, partyNumbers) {
+    if (!Array.isArray(shares) || shares.length === 0) {
+        return { valid: false, errors: ['shares must be a non-empty array'], value: null };
+    }
+
+    const errors = [];
+    const byParty = new Map();
+
+    for (const share of shares) {
+        const partyNumber = share && share.party_number;
+        const percent = share && share.fault_percent;
+
+        if (!partyNumbers.includes(partyNumber)) {
+            errors.push(`Unknown party ${partyNumber}`);
+        } else if (byParty.has(partyNumber)) {
+            errors.push(`Party ${partyNumber} is listed more than once`);
+        } else if (!Number.isInteger(percent) || percent < 0 || percent > 100 || percent % FAULT_STEP !== 0) {
+            errors.push(`Party ${partyNumber}: fault_percent must be 0-100 in steps of ${FAULT_STEP}`);
+        } else {
+            byParty.set(partyNumber, percent);
+        }
+    }
+
+    const total = [...byParty.values()].reduce((sum, percent) => sum + percent, 0);
+    if (errors.length === 0 && total !== 100) {
+        errors.push(`Fault percentages must add up to 100 (got ${total})`);
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        value: errors.length === 0
+            ? partyNumbers.map(partyNumber => ({ party_number: partyNumber, fault_percent: byParty.get(partyNumber) || 0 }))
+            : null
+    };
+}
+
+module.exports = {
+    FAULT_STEP,
+    SCENARIOS,
+    getRule,
+    validateFacts,
+    assessLiability,
+    validateShares
+};
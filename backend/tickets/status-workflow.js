@@ -0,0 +1,112 @@
+// Ticket Status Workflow
+// Defines the ticket lifecycle and the transitions reviewers may make
+
+const STATUSES = [
+    'submitted',
+    'under_review',
+    'awaiting_documents',
+    'liability_assessed',
+    'closed',
+    'rejected'
+];
+
+const INITIAL_STATUS = 'submitted';
+
+// Allowed moves from each status (closed and rejected are final)
+const TRANSITIONS = {
+    submitted: ['under_review', 'rejected'],
+    under_review: ['awaiting_documents', 'liability_assessed', 'rejected'],
+    awaiting_documents: ['under_review', 'rejected'],
+    liability_assessed: ['under_review', 'closed'],
+    closed: [],
+    rejected: []
+};
+
+// Statuses that need a reason so the citizen and other reviewers know why
+const REASON_REQUIRED = ['awaiting_documents', 'rejected'];
+
+// Values written by earlier versions (tickets.status defaulted to 'open')
+const LEGACY_STATUSES = {
+    open: 'submitted',
+    pending: 'submitted'
+};
+
+/**
+ * Map a stored status to the lifecycle (legacy values included)
+ * @param {string} status - Stored status
+ * @returns {string} Lifecycle status
+ */
+function normalizeStatus(status) {
+    if (!status) return INITIAL_STATUS;
+    return LEGACY_STATUSES[status] || status;
+}
+
+/**
+ * Check whether a value is a lifecycle status
+ */
+function isKnownStatus(status) {
+    return STATUSES.includes(status);
+}
+
+/**
+ * Get the statuses a ticket can move to next
+ * @param {string} from - Current status
+ * @returns {Array<string>}
+ */
+function getAllowedTransitions(from) {
+    return TRANSITIONS[normalizeStatus(from)] || [];
+}
+
+/**
+ * Validate a status change
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} reason - Reason given by the actor
+ * @returns {Object} { allowed, from, to, reason } - reason explains a rejection
+ */
+function validateTransition(from, to, reason) {
+    const current = normalizeStatus(from);
+
+    if (!isKnownStatus(to)) {
+        return {
+            allowed: false,
+            from: current,
+            to,
+            reason: `Unknown status "${to}". Expected one of: ${STATUSES.join(', ')}`
+        };
+    }
+
+    if (!getAllowedTransitions(current).includes(to)) {
+        const allowed = getAllowedTransitions(current);
+        return {
+            allowed: false,
+            from: current,
+            to,
+            reason: allowed.length > 0
+                ? `Cannot move from "${current}" to "${to}". Allowed: ${allowed.join(', ')}`
+                : `Ticket is ${current}; no further status changes are allowed`
+        };
+    }
+
+    if (REASON_REQUIRED.includes(to) && !(typeof reason === 'string' && reason.trim())) {
+        return {
+            allowed: false,
+            from: current,
+            to,
+            reason: `A reason is required to move a ticket to "${to}"`
+        };
+    }
+
+    return { allowed: true, from: current, to, reason: null };
+}
+
+module.exports = {
+    STATUSES,
+    INITIAL_STATUS,
+    TRANSITIONS,
+    REASON_REQUIRED,
+    normalizeStatus,
+    isKnownStatus,
+    getAllowedTransitions,
+    validateTransition
+};
@@ -0,0 +1,208 @@
+// Ticket IDs
+// Issued by the server: NJM-<year>-<region>-<number>-<check digit>, e.g. NJM-2026-RYD-000123-8
+//
+// - The number is sequential per year and region, taken atomically from the
+//   ticket_sequences table (both servers share the database, so no two requests get it twice)
+// - The region comes from the accident location (REGIONS keywords), or TICKET_DEFAULT_REGION
+// - The check digit (Damm algorithm) catches any mistyped digit and any swap of two
+//   neighbouring digits when a citizen types the ID on track.html
+//
+// Tickets created before server-issued IDs (T-<timestamp>-<random>, A-1001) keep
+// their IDs and are still accepted (LEGACY_PATTERNS).
+const db = require('../database/db');
+const { normalizeText } = require('../search/normalize');
+const piiRedaction = require('../privacy/pii-redaction');
+
+const PREFIX = 'NJM';
+const SEQUENCE_DIGITS = 6;
+
+// Saudi Arabia is UTC+3 all year: a ticket filed at 01:00 on 1 January counts for the new year
+const UTC_OFFSET_HOURS = 3;
+
+const TICKET_ID_PATTERN = /^NJM-(\d{4})-([A-Z]{3})-(\d{6,})-(\d)$/;
+const LEGACY_PATTERNS = [/^T-\d{13}-\d{1,3}$/, /^A-\d{1,9}$/];
+
+// Administrative regions: code → names and the cities that map to them
+const REGIONS = {
+    RYD: { ar: 'الرياض', en: 'Riyadh', keywords: ['الرياض', 'riyadh', 'الخرج', 'kharj', 'الدرعية', 'diriyah', 'المجمعة', 'majmaah'] },
+    MKH: { ar: 'مكة المكرمة', en: 'Makkah', keywords: ['مكة', 'makkah', 'mecca', 'جدة', 'jeddah', 'jiddah', 'الطائف', 'taif', 'رابغ', 'rabigh'] },
+    MDN: { ar: 'المدينة المنورة', en: 'Madinah', keywords: ['المدينة المنورة', 'madinah', 'medina', 'ينبع', 'yanbu', 'العلا', 'alula'] },
+    EST: { ar: 'المنطقة الشرقية', en: 'Eastern Province', keywords: ['الشرقية', 'eastern province', 'الدمام', 'dammam', 'الخبر', 'khobar', 'الظهران', 'dhahran', 'الجبيل', 'jubail', 'الأحساء', 'ahsa', 'الهفوف', 'hofuf', 'القطيف', 'qatif', 'حفر الباطن', 'hafar'] },
+    QSM: { ar: 'القصيم', en: 'Qassim', keywords: ['القصيم', 'qassim', 'بريدة', 'buraidah', 'buraydah', 'عنيزة', 'unaizah', 'الرس'] },
+    ASR: { ar: 'عسير', en: 'Asir', keywords: ['عسير', 'asir', 'أبها', 'abha', 'خميس مشيط', 'khamis mushait'] },
+    TBK: { ar: 'تبوك', en: 'Tabuk', keywords: ['تبوك', 'tabuk'] },
+    HAL: { ar: 'حائل', en: 'Hail', keywords: ['حائل', 'hail', "ha'il"] },
+    NBR: { ar: 'الحدود الشمالية', en: 'Northern Borders', keywords: ['الحدود الشمالية', 'northern borders', 'عرعر', 'arar'] },
+    JZN: { ar: 'جازان', en: 'Jazan', keywords: ['جازان', 'جيزان', 'jazan', 'jizan'] },
+    NJR: { ar: 'نجران', en: 'Najran', keywords: ['نجران', 'najran'] },
+    BAH: { ar: 'الباحة', en: 'Al Bahah', keywords: ['الباحة', 'bahah', 'baha'] },
+    JWF: { ar: 'الجوف', en: 'Al Jawf', keywords: ['الجوف', 'jawf', 'سكاكا', 'sakaka'] }
+};
+
+const DEFAULT_REGION = REGIONS[String(process.env.TICKET_DEFAULT_REGION || '').toUpperCase()]
+    ? process.env.TICKET_DEFAULT_REGION.toUpperCase()
+    : 'RYD';
+
+// Keywords folded like search text ("جده" finds جدة), matched as whole words
+const REGION_KEYWORDS = Object.entries(REGIONS).flatMap(([code, region]) =>
+    region.keywords.map(keyword => ({ code, keyword: normalizeText(keyword) }))
+);
+
+// Damm algorithm operation table (weakly totally anti-symmetric quasigroup of order 10)
+const DAMM_TABLE = [
+    [0, 3, 1, 7, 5, 9, 8, 6, 4, 2],
+    [7, 0, 9, 2, 1, 5, 4, 8, 6, 3],
+    [4, 2, 0, 6, 8, 7, 1, 3, 5, 9],
+    [1, 7, 5, 0, 9, 8, 3, 4, 2, 6],
+    [6, 1, 2, 3, 0, 4, 5, 9, 7, 8],
+    [3, 6, 7, 4, 2, 0, 9, 5, 8, 1],
+    [5, 8, 6, 9, 7, 2, 0, 1, 3, 4],
+    [8, 9, 4, 5, 3, 6, 2, 0, 1, 7],
+    [9, 4, 3, 8, 6, 1, 7, 2, 0, 5],
+    [2, 5, 8, 1, 4, 3, 6, 7, 9, 0]
+];
+
+/**
+ * Damm check digit of a digit string (appending it makes the result come out 0)
+ * @param {string} digits - e.g. '572' → 4
+ * @returns {number} 0-9
+ */
+function dammCheckDigit(digits) {
+    let interim = 0;
+    for (const digit of digits) {
+        interim = DAMM_TABLE[interim][Number(digit)];
+    }
+    return interim;
+}
+
+/**
+ * Check digit of the year, region and number
+ * Region letters count as two digits each (A=10 ... Z=35, as in IBANs).
+ * @returns {number} 0-9
+ */
+function checkDigit(year, region, number) {
+    return dammCheckDigit(`${year}${[...region].map(letter => letter.charCodeAt(0) - 55).join('')}${number}`);
+}
+
+/**
+ * Format a ticket ID
+ * @param {number} year - e.g. 2026
+ * @param {string} region - Region code (REGIONS)
+ * @param {number} sequence - Number within the year and region (from 1)
+ * @returns {string} e.g. NJM-2026-RYD-000123-8
+ */
+function formatTicketId(year, region, sequence) {
+    const number = String(sequence).padStart(SEQUENCE_DIGITS, '0');
+    return `${PREFIX}-${year}-${region}-${number}-${checkDigit(year, region, number)}`;
+}
+
+/**
+ * Clean up a ticket ID typed by a person (spaces, lowercase, Arabic-Indic digits)
+ * @param {*} value
+ * @returns {string}
+ */
+function normalizeTicketId(value) {
+    if (typeof value !== 'string') return '';
+    return piiRedaction.toAsciiDigits(value).replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Split a server-issued ticket ID into its parts
+ * @param {string} ticketId
+ * @returns {Object|null} { year, region, sequence }, or null unless the format, region and check digit are valid
+ */
+function parseTicketId(ticketId) {
+    const match = TICKET_ID_PATTERN.exec(ticketId);
+    if (!match) return null;
+
+    const [, year, region, number, check] = match;
+    if (!REGIONS[region] || checkDigit(year, region, number) !== Number(check)) return null;
+
+    return { year: Number(year), region, sequence: Number(number) };
+}
+
+/**
+ * Whether a ticket ID is well formed (server-issued, or one of the legacy formats)
+ * @param {string} ticketId - Normalized ID (normalizeTicketId)
+ * @returns {boolean}
+ */
+function isValidTicketId(ticketId) {
+    if (typeof ticketId !== 'string') return false;
+    return parseTicketId(ticketId) !== null || LEGACY_PATTERNS.some(pattern => pattern.test(ticketId));
+}
+
+/**
+ * Region of an accident location, e.g. "طريق الملك فهد، الرياض" → RYD
+ * The keyword found first in the text wins.
+ * @param {string} location - Free text (Arabic or English)
+ * @returns {string} Region code, DEFAULT_REGION when nothing matches
+ */
+function detectRegion(location) {
+    if (typeof location !== 'string' || !location.trim()) return DEFAULT_REGION;
+
+    const text = ` ${normalizeText(location).replace(/[^\p{L}\p{N}']+/gu, ' ')} `;
+    let best = null;
+
+    for (const { code, keyword } of REGION_KEYWORDS) {
+        // With or without the Arabic conjunction/prepositions (بالرياض، والدمام)
+        const position = [` ${keyword} `, ` ب${keyword} `, ` و${keyword} `]
+            .map(form => text.indexOf(form))
+            .filter(index => index >= 0)
+            .sort((a, b) => a - b)[0];
+
+        if (position !== undefined && (!best || position < best.position)) {
+            best = { code, position };
+        }
+    }
+
+    return best ? best.code : DEFAULT_REGION;
+}
+
+/**
+ * Year a ticket is numbered in (Saudi local time)
+ * @param {Date|string} [date] - Defaults to now
+ * @returns {number}
+ */
+function ticketYear(date) {
+    const time = date ? new Date(date).getTime() : Date.now();
+    return new Date((isNaN(time) ? Date.now() : time) + UTC_OFFSET_HOURS * 3600 * 1000).getUTCFullYear();
+}
+
+const nextSequenceStmt = db.prepare(`
+    INSERT INTO ticket_sequences (year, region, last_value)
+    VALUES (?, ?, 1)
+    ON CONFLICT (year, region) DO UPDATE SET last_value = last_value + 1
+    RETURNING last_value
+`);
+
+/**
+ * Issue the next ticket ID
+ * A single UPSERT ... RETURNING statement, so concurrent requests (in either server)
+ * never get the same number. Inside saveTicket's transaction, a failed save hands its number back.
+ * @param {Object} options
+ * @param {string} [options.region] - Region code; detected from options.location when missing or unknown
+ * @param {string} [options.location] - Accident location
+ * @param {Date|string} [options.date] - Creation time (defaults to now)
+ * @returns {string} Ticket ID
+ */
+function nextTicketId({ region, location, date } = {}) {
+    const code = typeof region === 'string' && REGIONS[region.toUpperCase()]
+        ? region.toUpperCase()
+        : detectRegion(location);
+    const year = ticketYear(date);
+    const { last_value: sequence } = nextSequenceStmt.get(year, code);
+
+    return formatTicketId(year, code, sequence);
+}
+
+module.exports = {
+    REGIONS,
+    DEFAULT_REGION,
+    dammCheckDigit,
+    formatTicketId,
+    normalizeTicketId,
+    parseTicketId,
+    isValidTicketId,
+    detectRegion,
+    nextTicketId
+};
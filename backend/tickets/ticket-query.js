@@ -0,0 +1,207 @@
+// Ticket List Query
+// Parses and validates the search/filter/sort/pagination parameters of the ticket list
+const statusWorkflow = require('./status-workflow');
+const accidentClassifier = require('./accident-classifier');
+const piiRedaction = require('../privacy/pii-redaction');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Sort keys accepted in ?sort= (mapped to SQL in the ticket store)
+const SORT_FIELDS = ['created_at', 'updated_at', 'status', 'vehicles', 'ticket_id'];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parameters read below; Express turns a repeated one (?q=a&q=b) into an array
+const QUERY_PARAMS = ['q', 'status', 'from', 'to', 'plate', 'national_id', 'vehicles', 'injuries',
+    'accident_type', 'sort', 'order', 'limit', 'cursor'];
+
+/**
+ * Parse a date filter; date-only "to" values include the whole day
+ * @returns {Date|null|undefined} undefined when absent, null when invalid
+ */
+function parseDate(value, endOfDay) {
+    if (value === undefined || value === '') return undefined;
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+
+    if (endOfDay && DATE_ONLY.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date;
+}
+
+/**
+ * Parse a boolean filter ('true'/'false'/'1'/'0')
+ * @returns {boolean|null|undefined} undefined when absent, null when invalid
+ */
+function parseBoolean(value) {
+    if (value === undefined || value === '') return undefined;
+    if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+    if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+    return null;
+}
+
+/**
+ * Encode the position after the last row of a page
+ * @param {Object} position - { sort, order, value, id }
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @returns {Object|null} Position or null if malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!position || !Number.isInteger(position.id)) return null;
+
+        // The value is compared with the sort column in SQL: a count for vehicles, text otherwise
+        const validValue = position.sort === 'vehicles'
+            ? Number.isInteger(position.value)
+            : typeof position.value === 'string';
+        return validValue ? position : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parse ticket list query parameters
+ *
+ * Query:
+ * - q: Free text over description and transcript
+ * - status: One or more statuses (comma separated)
+ * - from, to: Created date range (ISO date or date-time)
+ * - plate: Plate number (partial match)
+ * - national_id: National/iqama ID (exact match)
+ * - vehicles: Number of vehicles
+ * - injuries: true | false
+ * - accident_type: One or more accident types (comma separated, see tickets/accident-classifier.js)
+ * - sort: created_at | updated_at | status | vehicles | ticket_id (default created_at)
+ * - order: asc | desc (default desc)
+ * - limit: Page size (default 20, max 100)
+ * - cursor: nextCursor from the previous page
+ *
+ * @param {Object} query - req.query
+ * @returns {Object} { options } or { error }
+ */
+function parseTicketQuery(query = {}) {
+    const repeated = QUERY_PARAMS.filter(name => query[name] !== undefined && typeof query[name] !== 'string');
+    if (repeated.length > 0) {
+        return { error: `Invalid ${repeated.join(', ')}: expected a single value` };
+    }
+
+    const options = {
+        sort: query.sort || 'created_at',
+        order: (query.order || 'desc').toLowerCase(),
+        limit: DEFAULT_LIMIT
+    };
+
+    if (!SORT_FIELDS.includes(options.sort)) {
+        return { error: `Invalid sort "${options.sort}". Expected one of: ${SORT_FIELDS.join(', ')}` };
+    }
+
+    if (!['asc', 'desc'].includes(options.order)) {
+        return { error: 'Invalid order. Expected asc or desc' };
+    }
+
+    if (query.limit !== undefined) {
+        const limit = parseInt(query.limit, 10);
+        if (isNaN(limit) || limit < 1) {
+            return { error: 'Invalid limit' };
+        }
+        options.limit = Math.min(limit, MAX_LIMIT);
+    }
+
+    if (query.q && query.q.trim()) {
+        options.q = query.q.trim();
+    }
+
+    if (query.status) {
+        const statuses = String(query.status).split(',').map(status => status.trim()).filter(Boolean);
+        const unknown = statuses.filter(status => !statusWorkflow.isKnownStatus(status));
+        if (unknown.length > 0) {
+            return { error: `Invalid status: ${unknown.join(', ')}` };
+        }
+        options.statuses = statuses;
+    }
+
+    const from = parseDate(query.from, false);
+    const to = parseDate(query.to, true);
+    if (from === null || to === null) {
+        return { error: 'Invalid date range' };
+    }
+    if (from) options.from = from;
+    if (to) options.to = to;
+
+    if (query.plate && query.plate.trim()) {
+        options.plate = query.plate.trim();
+    }
+
+    if (query.national_id && query.national_id.trim()) {
+        options.nationalId = query.national_id.trim();
+    }
+
+    if (query.vehicles !== undefined && query.vehicles !== '') {
+        const vehicles = parseInt(query.vehicles, 10);
+        if (isNaN(vehicles) || vehicles < 0) {
+            return { error: 'Invalid vehicles' };
+        }
+        options.vehicles = vehicles;
+    }
+
+    const injuries = parseBoolean(query.injuries);
+    if (injuries === null) {
+        return { error: 'Invalid injuries. Expected true or false' };
+    }
+    if (injuries !== undefined) options.injuries = injuries;
+
+    if (query.accident_type) {
+        const types = String(query.accident_type).split(',').map(type => type.trim()).filter(Boolean);
+        const unknown = types.filter(type => !accidentClassifier.isKnownType(type));
+        if (unknown.length > 0) {
+            return { error: `Invalid accident_type: ${unknown.join(', ')}` };
+        }
+        options.accidentTypes = types;
+    }
+
+    if (query.cursor) {
+        const position = decodeCursor(query.cursor);
+        if (!position || position.sort !== options.sort || position.order !== options.order) {
+            return { error: 'Invalid cursor for this sort order' };
+        }
+        options.after = position;
+    }
+
+    return { options };
+}
+
+/**
+ * List the filters that look tickets up by personal data (refused without pii:read,
+ * since a match would confirm a person's plate, ID or phone)
+ * @param {Object} options - From parseTicketQuery
+ * @returns {Array<string>} Query parameter names, e.g. ['plate', 'q']
+ */
+function piiFilters(options) {
+    const filters = [];
+    if (options.plate) filters.push('plate');
+    if (options.nationalId) filters.push('national_id');
+    if (piiRedaction.isPiiQuery(options.q)) filters.push('q');
+    return filters;
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    SORT_FIELDS,
+    parseTicketQuery,
+    piiFilters,
+    encodeCursor,
+    decodeCursor
+};
@@ -0,0 +1,134 @@
+// Ticket Tracking
+// Public "Track my report" view for citizens (POST /api/track)
+//
+// A ticket opens with its ID plus the last digits of a phone number or national/iqama ID
+// on record for it: in the extracted data, in OCR findings, or typed/said by the citizen
+// in the report conversation. The view holds the status, its timeline with the reasons
+// reviewers gave, and the missing documents; never the description, transcript or files.
+const db = require('../database/db');
+const statusWorkflow = require('./status-workflow');
+const { REQUIRED_ACCIDENT_PHOTOS } = require('../conversation/state-machine');
+const piiRedaction = require('../privacy/pii-redaction');
+
+const MIN_VERIFICATION_DIGITS = 4;
+const MAX_VERIFICATION_DIGITS = 10;
+
+// Where verification values come from (extracted_data keys / findings field names, PII types)
+const VERIFICATION_FIELDS = ['national_id', 'phone'];
+const VERIFICATION_PII_TYPES = ['NATIONAL_ID', 'PHONE'];
+
+const DOCUMENT_TYPES = ['id_card', 'driving_license', 'vehicle_registration'];
+
+// No documents are requested once a ticket is closed or rejected
+const FINAL_STATUSES = ['closed', 'rejected'];
+
+/**
+ * Parse the digits a citizen entered (Arabic-Indic digits, spaces and dashes allowed)
+ * @param {*} value - Request value
+ * @returns {string|null} ASCII digits, or null unless MIN..MAX_VERIFICATION_DIGITS digits
+ */
+function parseVerificationDigits(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+
+    const digits = piiRedaction.toAsciiDigits(String(value)).replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(digits)) return null;
+
+    return digits.length >= MIN_VERIFICATION_DIGITS && digits.length <= MAX_VERIFICATION_DIGITS ? digits : null;
+}
+
+/**
+ * Phone numbers and national/iqama IDs on record for a ticket
+ * @param {Object} ticket - From ticketStore.getTicket
+ * @returns {Array<string>} Digits only
+ */
+function getVerificationValues(ticket) {
+    const values = [];
+
+    for (const field of VERIFICATION_FIELDS) {
+        if (ticket.extracted_data && ticket.extracted_data[field]) {
+            values.push(String(ticket.extracted_data[field]));
+        }
+    }
+
+    const findings = db.prepare(`
+        SELECT field_value FROM findings
+        WHERE ticket_id = ? AND field_name IN (${VERIFICATION_FIELDS.map(() => '?').join(', ')})
+    `).all(ticket.ticket_id, ...VERIFICATION_FIELDS);
+    values.push(...findings.map(row => row.field_value || ''));
+
+    // Only the citizen's own turns (the assistant repeats what it was told)
+    const messages = db.prepare(`
+        SELECT content, transcription FROM conversations
+        WHERE ticket_id = ? AND role = 'user'
+    `).all(ticket.ticket_id);
+    for (const row of messages) {
+        for (const text of [row.content, row.transcription]) {
+            if (!text) continue;
+            for (const item of piiRedaction.findPii(text)) {
+                if (VERIFICATION_PII_TYPES.includes(item.type)) values.push(item.value);
+            }
+        }
+    }
+
+    return values
+        .map(value => piiRedaction.toAsciiDigits(value).replace(/\D/g, ''))
+        .filter(value => value.length >= MIN_VERIFICATION_DIGITS);
+}
+
+/**
+ * Check the verification digits against the ticket's phone numbers and IDs
+ * @param {Object} ticket - From ticketStore.getTicket
+ * @param {string} digits - From parseVerificationDigits
+ * @returns {boolean}
+ */
+function matchesVerification(ticket, digits) {
+    return getVerificationValues(ticket).some(value => value.endsWith(digits));
+}
+
+/**
+ * Documents the ticket still needs
+ * @returns {Array<string>} 'accident_photos' | 'id_card' | 'driving_license' | 'vehicle_registration'
+ */
+function getMissingDocuments(ticket) {
+    if (FINAL_STATUSES.includes(ticket.status)) return [];
+
+    const missing = [];
+    if (ticket.uploads.accident_photos.length < REQUIRED_ACCIDENT_PHOTOS) {
+        missing.push('accident_photos');
+    }
+    for (const type of DOCUMENT_TYPES) {
+        if (!ticket.uploads[type]) missing.push(type);
+    }
+    return missing;
+}
+
+/**
+ * Build the citizen-facing view of a ticket
+ * @param {Object} ticket - From ticketStore.getTicket
+ * @returns {Object} { ticket_id, status, final, created_at, updated_at, missing_documents,
+ *                     timeline: [{ status, at, note }] } - note is the reviewer's reason
+ */
+function getTrackingView(ticket) {
+    return {
+        ticket_id: ticket.ticket_id,
+        status: ticket.status,
+        final: statusWorkflow.getAllowedTransitions(ticket.status).length === 0,
+        created_at: ticket.createdAt,
+        updated_at: ticket.updatedAt,
+        missing_documents: getMissingDocuments(ticket),
+        timeline: ticket.status_history.map(entry => ({
+            status: statusWorkflow.normalizeStatus(entry.to_status),
+            at: entry.created_at,
+            note: entry.reason || null
+        }))
+    };
+}
+
+module.exports = {
+    MIN_VERIFICATION_DIGITS,
+    MAX_VERIFICATION_DIGITS,
+    parseVerificationDigits,
+    matchesVerification,
+    getMissingDocuments,
+    getTrackingView
+};
@@ -0,0 +1,126 @@
+/**
+ * Tracking Throttle
+ * Failure counters for the public tracking endpoint (POST /api/track), so the last
+ * digits of a phone or ID cannot be guessed. After TRACK_MAX_ATTEMPTS wrong answers
+ * for a ticket ID, or TRACK_MAX_ATTEMPTS_PER_IP from an IP, lookups are locked for
+ * TRACK_LOCKOUT_MINUTES. Unknown ticket IDs are counted too, so responses do not
+ * reveal which tickets exist. Attempts are reserved before the ticket is read (see
+ * reserve()), so parallel requests cannot exceed the limits.
+ *
+ * Uses the attempt store interface of users/memory-attempt-store.js.
+ */
+
+const { createMemoryAttemptStore } = require('../users/memory-attempt-store');
+
+const MAX_TICKET_FAILURES = parseInt(process.env.TRACK_MAX_ATTEMPTS, 10) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.TRACK_MAX_ATTEMPTS_PER_IP, 10) || 20;
+const LOCKOUT_MS = (parseInt(process.env.TRACK_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+
+// Counters outlive the lockout so a failure right after it ends locks again
+const RECORD_TTL_MS = LOCKOUT_MS * 2;
+
+let store = createMemoryAttemptStore();
+
+/**
+ * Replace the attempt store (e.g. with a shared store across instances)
+ * @param {Object} attemptStore - Object implementing get/set/update/delete (see users/memory-attempt-store.js)
+ */
+function setStore(attemptStore) {
+    store = attemptStore;
+}
+
+function ticketKey(ticketId) {
+    return `track:ticket:${String(ticketId).trim().toUpperCase()}`;
+}
+
+function ipKey(ip) {
+    return `track:ip:${ip || 'unknown'}`;
+}
+
+function lockedFor(record, now) {
+    return record && record.lockedUntil && record.lockedUntil > now ? record.lockedUntil - now : 0;
+}
+
+/**
+ * Count an attempt against one key unless it is locked, locking it at maxFailures
+ * @returns {Promise<Object>} { retryAfterMs, failures }
+ */
+async function reserveKey(key, maxFailures, now) {
+    let retryAfterMs = 0;
+
+    const record = await store.update(key, current => {
+        const record = current || { failures: 0, lockedUntil: null };
+
+        retryAfterMs = lockedFor(record, now);
+        if (retryAfterMs) return record;
+
+        record.failures += 1;
+        record.lastFailureAt = now;
+        if (record.failures >= maxFailures) {
+            record.lockedUntil = now + LOCKOUT_MS;
+        }
+        return record;
+    }, RECORD_TTL_MS);
+
+    return { retryAfterMs, failures: record.failures };
+}
+
+/**
+ * Hand back an attempt counted by reserveKey (lifting the lock it may have set)
+ */
+async function giveBack(key, maxFailures) {
+    await store.update(key, current => {
+        if (!current) return null;
+
+        current.failures = Math.max(0, current.failures - 1);
+        if (current.failures < maxFailures) current.lockedUntil = null;
+        return current;
+    }, RECORD_TTL_MS);
+}
+
+/**
+ * Reserve a tracking lookup before the ticket is read. The attempt is counted as a
+ * failure up front (one atomic update per counter), so concurrent guesses cannot all
+ * pass the check before any of them is recorded; recordSuccess() hands it back.
+ * @param {string} ticketId - Requested ticket ID
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object>} { allowed, retryAfterMs, failures } - failures for the ticket ID
+ */
+async function reserve(ticketId, ip) {
+    const now = Date.now();
+    const ticket = await reserveKey(ticketKey(ticketId), MAX_TICKET_FAILURES, now);
+
+    if (ticket.retryAfterMs) {
+        return { allowed: false, retryAfterMs: ticket.retryAfterMs, failures: ticket.failures };
+    }
+
+    const address = await reserveKey(ipKey(ip), MAX_IP_FAILURES, now);
+
+    if (address.retryAfterMs) {
+        await giveBack(ticketKey(ticketId), MAX_TICKET_FAILURES);
+        return { allowed: false, retryAfterMs: address.retryAfterMs, failures: ticket.failures - 1 };
+    }
+    return { allowed: true, retryAfterMs: 0, failures: ticket.failures };
+}
+
+/**
+ * Settle a reserved lookup that matched: clear the ticket's counter and hand the
+ * attempt back to the IP counter
+ * @param {string} ticketId - Requested ticket ID
+ * @param {string} ip - Client IP
+ */
+async function recordSuccess(ticketId, ip) {
+    await Promise.all([
+        store.delete(ticketKey(ticketId)),
+        giveBack(ipKey(ip), MAX_IP_FAILURES)
+    ]);
+}
+
+module.exports = {
+    MAX_TICKET_FAILURES,
+    MAX_IP_FAILURES,
+    LOCKOUT_MS,
+    setStore,
+    reserve,
+    recordSuccess
+};
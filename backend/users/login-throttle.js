@@ -0,0 +1,233 @@
+/**
+ * Login Throttle
+ * Per-username and per-IP failure counters with exponential backoff and
+ * temporary lockout (brute-force protection for POST /api/auth/login).
+ *
+ * After each failure the next attempt for that username must wait
+ * 1s, 2s, 4s, ... (max 30s). An IP only starts backing off once it has more
+ * failures than one username may have, so a shared office IP is not slowed down
+ * by a single mistyped password. After LOGIN_MAX_ATTEMPTS failures for a username,
+ * or LOGIN_MAX_ATTEMPTS_PER_IP failures from an IP, it is locked for
+ * LOGIN_LOCKOUT_MINUTES. Unknown usernames are counted too, so responses do not
+ * reveal which accounts exist.
+ *
+ * beginAttempt() reserves the attempt before the password is checked, in the same
+ * atomic store update as the backoff check. A reserved attempt counts as a failure
+ * for the next check, so parallel requests cannot all pass before any failure is
+ * recorded. It is then settled by recordFailure(), recordSuccess() or
+ * releaseAttempt() (password accepted, 2FA code still to come), which leaves no
+ * backoff behind.
+ */
+
+const { createMemoryAttemptStore } = require('./memory-attempt-store');
+
+const MAX_USER_FAILURES = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP, 10) || 20;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30 * 1000;
+
+// Counters outlive the lockout so a failure right after it ends locks again
+const RECORD_TTL_MS = LOCKOUT_MS * 2;
+
+let store = createMemoryAttemptStore();
+
+/**
+ * Replace the attempt store (e.g. with a shared store across instances)
+ * @param {Object} attemptStore - Object implementing get/set/update/delete (see memory-attempt-store.js)
+ */
+function setStore(attemptStore) {
+    store = attemptStore;
+}
+
+function userKey(username) {
+    return `user:${String(username).trim().toLowerCase()}`;
+}
+
+function ipKey(ip) {
+    return `ip:${ip || 'unknown'}`;
+}
+
+function emptyRecord() {
+    return { failures: 0, lastFailureAt: null, lockedUntil: null, pending: 0, reservedAt: null };
+}
+
+function isLocked(record, now) {
+    return !!(record && record.lockedUntil && record.lockedUntil > now);
+}
+
+/**
+ * Delay required after `failures` consecutive failures
+ */
+function backoffMs(failures) {
+    return failures > 0 ? Math.min(BACKOFF_BASE_MS * 2 ** (failures - 1), BACKOFF_MAX_MS) : 0;
+}
+
+/**
+ * Milliseconds until a counter allows the next attempt. Reserved attempts still being
+ * checked count as failures made when they were reserved.
+ * @param {number} freeFailures - Failures allowed before backoff starts
+ */
+function waitFor(record, now, freeFailures = 0) {
+    if (!record) return 0;
+
+    if (isLocked(record, now)) {
+        return record.lockedUntil - now;
+    }
+
+    const pending = record.pending || 0;
+    const since = pending > 0 ? Math.max(record.reservedAt, record.lastFailureAt || 0) : record.lastFailureAt;
+
+    return Math.max(since + backoffMs(record.failures + pending - freeFailures) - now, 0);
+}
+
+/**
+ * Reserve an attempt against one key unless it is backing off or locked
+ * @returns {Promise<Object>} { waitMs, locked }
+ */
+async function reserveKey(key, freeFailures, now) {
+    let waitMs = 0;
+    let locked = false;
+
+    await store.update(key, current => {
+        const record = current || emptyRecord();
+
+        waitMs = waitFor(current, now, freeFailures);
+        locked = isLocked(current, now);
+        if (waitMs > 0) return record;
+
+        record.pending = (record.pending || 0) + 1;
+        record.reservedAt = now;
+        return record;
+    }, RECORD_TTL_MS);
+
+    return { waitMs, locked };
+}
+
+/**
+ * Settle one reserved attempt on a key
+ * @param {Object} options - { failed, maxFailures, clear }
+ * @returns {Promise<Object>} { failures, lockedNow }
+ */
+async function settleKey(key, { failed = false, maxFailures = 0, clear = false }, now) {
+    let lockedNow = false;
+
+    const record = await store.update(key, current => {
+        // The counter may have been cleared meanwhile (admin unlock)
+        if (clear || (!current && !failed)) return null;
+
+        const record = current || emptyRecord();
+        record.pending = Math.max((record.pending || 0) - 1, 0);
+        lockedNow = false;
+
+        if (failed) {
+            record.failures += 1;
+            record.lastFailureAt = now;
+            if (record.failures >= maxFailures && !isLocked(record, now)) {
+                record.lockedUntil = now + LOCKOUT_MS;
+                lockedNow = true;
+            }
+        }
+        return record;
+    }, RECORD_TTL_MS);
+
+    return { failures: record ? record.failures : 0, lockedNow };
+}
+
+/**
+ * Reserve a login attempt (call before checking the password or code, then settle it
+ * with recordFailure, recordSuccess or releaseAttempt)
+ * @param {string} username - Attempted username
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object>} { allowed, retryAfterMs, locked, scope: 'user' | 'ip' | null }
+ */
+async function beginAttempt(username, ip) {
+    const now = Date.now();
+    const user = await reserveKey(userKey(username), 0, now);
+
+    if (user.waitMs > 0) {
+        return { allowed: false, retryAfterMs: user.waitMs, locked: user.locked, scope: 'user' };
+    }
+
+    const address = await reserveKey(ipKey(ip), MAX_USER_FAILURES, now);
+
+    if (address.waitMs > 0) {
+        // Hand back the username reservation: this attempt never ran
+        await settleKey(userKey(username), {}, now);
+        return { allowed: false, retryAfterMs: address.waitMs, locked: address.locked, scope: 'ip' };
+    }
+    return { allowed: true, retryAfterMs: 0, locked: false, scope: null };
+}
+
+/**
+ * Record a failed login (settles the attempt from beginAttempt)
+ * @returns {Promise<Object>} { failures, userLocked, ipLocked } (locked flags are true only when the lock starts now)
+ */
+async function recordFailure(username, ip) {
+    const now = Date.now();
+    const [user, address] = await Promise.all([
+        settleKey(userKey(username), { failed: true, maxFailures: MAX_USER_FAILURES }, now),
+        settleKey(ipKey(ip), { failed: true, maxFailures: MAX_IP_FAILURES }, now)
+    ]);
+
+    return {
+        failures: user.failures,
+        userLocked: user.lockedNow,
+        ipLocked: address.lockedNow
+    };
+}
+
+/**
+ * Clear a username's counter after a successful login
+ * (the IP counter only gets its reservation back, so one valid account cannot reset it)
+ */
+async function recordSuccess(username, ip) {
+    const now = Date.now();
+    await Promise.all([
+        settleKey(userKey(username), { clear: true }, now),
+        settleKey(ipKey(ip), {}, now)
+    ]);
+}
+
+/**
+ * Release an attempt that did not fail but did not finish the login either
+ * (password accepted, 2FA code still to come); earlier failures are kept, and
+ * nothing is added to them
+ */
+async function releaseAttempt(username, ip) {
+    const now = Date.now();
+    await Promise.all([
+        settleKey(userKey(username), {}, now),
+        settleKey(ipKey(ip), {}, now)
+    ]);
+}
+
+/**
+ * Admin unlock: clear a username's counter and lockout
+ */
+async function unlockUser(username) {
+    await store.delete(userKey(username));
+}
+
+/**
+ * Get the end of a username's lockout
+ * @returns {Promise<Date|null>} null when not locked
+ */
+async function getLockout(username) {
+    const record = await store.get(userKey(username));
+    return isLocked(record, Date.now()) ? new Date(record.lockedUntil) : null;
+}
+
+module.exports = {
+    MAX_USER_FAILURES,
+    MAX_IP_FAILURES,
+    LOCKOUT_MS,
+    setStore,
+    beginAttempt,
+    recordFailure,
+    recordSuccess,
+    releaseAttempt,
+    unlockUser,
+    getLockout
+};
@@ -0,0 +1,71 @@
+/**
+ * In-Process Attempt Store
+ * Keeps attempt counters (users/login-throttle.js, tickets/tracking-throttle.js) in a
+ * Map. Counters are lost on restart and are not shared between processes; replace it
+ * with a shared store (e.g. Redis) through loginThrottle.setStore() and
+ * trackingThrottle.setStore() when running more than one backend instance.
+ *
+ * Store interface (all methods return Promises so shared stores can be async):
+ * - get(key) → record | null
+ * - set(key, record, ttlMs)
+ * - update(key, updater, ttlMs) → record | null - replaces the record with
+ *   updater(current record or null) as one atomic step; a null result deletes it.
+ *   The updater must be synchronous and may run more than once in a shared store
+ *   (e.g. a Redis WATCH/MULTI retry)
+ * - delete(key)
+ */
+
+// Expired entries are swept when the map grows past this size
+const SWEEP_THRESHOLD = 10000;
+
+function createMemoryAttemptStore() {
+    const entries = new Map();
+
+    function sweep(now) {
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    }
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return { ...entry.record };
+        },
+
+        async set(key, record, ttlMs) {
+            const now = Date.now();
+            if (entries.size >= SWEEP_THRESHOLD) sweep(now);
+            entries.set(key, { record: { ...record }, expiresAt: now + ttlMs });
+        },
+
+        async update(key, updater, ttlMs) {
+            const now = Date.now();
+            const entry = entries.get(key);
+            const record = updater(entry && entry.expiresAt > now ? { ...entry.record } : null);
+
+            // No await between the read and the write, so concurrent updates cannot interleave
+            if (!record) {
+                entries.delete(key);
+                return null;
+            }
+            if (entries.size >= SWEEP_THRESHOLD) sweep(now);
+            entries.set(key, { record: { ...record }, expiresAt: now + ttlMs });
+            return { ...record };
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+module.exports = { createMemoryAttemptStore };
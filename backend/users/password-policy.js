@@ -0,0 +1,47 @@
+// Password Policy
+// Rules checked before a password is hashed with bcrypt (create user, reset password)
+
+const MIN_LENGTH = 8;
+
+// bcrypt only uses the first 72 bytes of the input
+const MAX_BYTES = 72;
+
+const BCRYPT_ROUNDS = 10;
+
+/**
+ * Check a password against the policy
+ * @param {string} password - Plain-text password
+ * @param {string} username - Account username (the password must not contain it)
+ * @returns {Array<string>} Policy violations (empty when the password is accepted)
+ */
+function validatePassword(password, username) {
+    if (typeof password !== 'string' || password.length === 0) {
+        return ['Password is required'];
+    }
+
+    const errors = [];
+
+    if (password.length < MIN_LENGTH) {
+        errors.push(`Password must be at least ${MIN_LENGTH} characters`);
+    }
+
+    if (Buffer.byteLength(password, 'utf8') > MAX_BYTES) {
+        errors.push(`Password must be at most ${MAX_BYTES} bytes`);
+    }
+
+    if (!/\p{L}/u.test(password) || !/\p{N}/u.test(password)) {
+        errors.push('Password must contain both letters and digits');
+    }
+
+    if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+        errors.push('Password must not contain the username');
+    }
+
+    return errors;
+}
+
+module.exports = {
+    MIN_LENGTH,
+    BCRYPT_ROUNDS,
+    validatePassword
+};
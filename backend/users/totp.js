@@ -0,0 +1,152 @@
+/**
+ * TOTP (RFC 6238) for staff two-factor authentication
+ * Compatible with Google Authenticator, Microsoft Authenticator, 1Password, ...
+ * (SHA-1, 6 digits, 30-second steps).
+ *
+ * Recovery codes are single-use; only their SHA-256 hashes are stored.
+ */
+
+const crypto = require('crypto');
+
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+// Accept codes from one step before/after the current one (clock drift)
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+const ISSUER = process.env.TOTP_ISSUER || 'Najm';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new shared secret (160 bits, base32)
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * otpauth:// URI for authenticator apps (render it as a QR code, or open it on the phone)
+ */
+function getProvisioningUri(secret, username) {
+    const label = encodeURIComponent(`${ISSUER}:${username}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Code for a time step (HOTP, RFC 4226)
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Check a code from the user's authenticator app
+ * @param {string} secret - Base32 secret
+ * @param {string} code - 6-digit code (spaces allowed)
+ * @returns {number|null} The matched time step (store it to reject replays), or null
+ */
+function verifyCode(secret, code, now = Date.now()) {
+    const clean = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(clean)) return null;
+
+    const step = currentStep(now);
+    for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+        const candidate = generateCode(secret, step + drift);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(clean))) {
+            return step + drift;
+        }
+    }
+    return null;
+}
+
+/**
+ * Hash a recovery code for storage and lookup (case and dashes ignored)
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} { codes: ['1a2b3-c4d5e', ...] (shown once), hashes }
+ */
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+module.exports = {
+    generateSecret,
+    getProvisioningUri,
+    generateCode,
+    currentStep,
+    verifyCode,
+    hashRecoveryCode,
+    generateRecoveryCodes
+};
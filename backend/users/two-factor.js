@@ -0,0 +1,32 @@
+/**
+ * Two-Factor Checks
+ * Verifies the second factor of a staff account: a TOTP code from the
+ * authenticator app, or one of the single-use recovery codes.
+ */
+
+const totp = require('./totp');
+const userStore = require('../database/user-store');
+
+/**
+ * Verify a second-factor code for a user with 2FA enabled
+ * @param {Object} user - Full users row (see userStore.getUserRecord)
+ * @param {string} code - 6-digit TOTP code or recovery code
+ * @returns {string|null} 'totp' | 'recovery_code', or null if the code was rejected
+ */
+function verifySecondFactor(user, code) {
+    if (!user.totp_secret || !code) return null;
+
+    const clean = String(code).trim();
+
+    if (/^\d{3}\s?\d{3}$/.test(clean)) {
+        const step = totp.verifyCode(user.totp_secret, clean);
+        // A code is only accepted once (useTotpStep rejects replays)
+        return step !== null && userStore.useTotpStep(user.id, step) ? 'totp' : null;
+    }
+
+    return userStore.consumeRecoveryCode(user.id, totp.hashRecoveryCode(clean)) ? 'recovery_code' : null;
+}
+
+module.exports = {
+    verifySecondFactor
+};
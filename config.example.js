@@ -1,17 +1,13 @@
-// API Configuration Template
-// Copy this file to config.js and add your actual API key
+// Frontend Configuration Template
+// Copy this file to config.js. It holds no API keys: chat runs on the backend
+// orchestrator and speech goes through the conversation server (/stt, /tts),
+// whose keys live in backend/.env and server/.env.
 
 const CONFIG = {
-    // Get your API key from: https://platform.openai.com/api-keys
-    OPENAI_API_KEY: 'your-openai-api-key-here',
-    OPENAI_API_URL: 'https://api.openai.com/v1',
-
     // Model configurations
     MODELS: {
         CHAT: 'gpt-4o',
-        VISION: 'gpt-4o',
-        WHISPER: 'whisper-1',
-        TTS: 'tts-1'
+        VISION: 'gpt-4o'
     },
 
     // System prompts
@@ -46,20 +42,6 @@ Return ONLY valid JSON in this exact format:
 }
 
 If information is unclear, use "غير واضح" (unclear). Be concise.`
-    },
-
-    // Admin credentials (CHANGE THESE in production!)
-    ADMIN: {
-        USERNAME: 'admin',
-        PASSWORD: '1234'
     }
 };
 
-// Validate API key on load
-function validateConfig() {
-    if (CONFIG.OPENAI_API_KEY === 'your-openai-api-key-here') {
-        console.warn('⚠️ Please set your OpenAI API key in config.js');
-        return false;
-    }
-    return true;
-}
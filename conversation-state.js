@@ -1,15 +1,52 @@
 /**
- * Conversation State Machine - DEPRECATED
+ * Conversation State - Accident report phases (client side)
  *
- * This file has been replaced by LLM-driven JSON state management.
- * The LLM now controls the entire conversation flow via JSON output.
- *
- * Keeping this file as a stub to avoid breaking imports.
+ * The backend state machine (backend/conversation/state-machine.js) is the
+ * authority: it validates every LLM-proposed transition and returns the phase
+ * the report is actually in. This module only mirrors the phase list so the
+ * UI can decide what to enable for a phase.
+ */
+
+const PHASES = [
+    'greeting',
+    'description',
+    'location',
+    'vehicles',
+    'injuries',
+    'accident_photos',
+    'driver',
+    'id_card',
+    'driving_license',
+    'vehicle_registration',
+    'confirm',
+    'done'
+];
+
+const UPLOAD_PHASES = ['accident_photos', 'id_card', 'driving_license', 'vehicle_registration'];
+
+/**
+ * Check whether a phase accepts file uploads
+ * @param {string} phase - Phase name
+ * @returns {boolean}
  */
+function isUploadPhase(phase) {
+    return UPLOAD_PHASES.includes(phase);
+}
 
-console.warn("⚠️ conversation-state.js is disabled — using LLM JSON flow.");
+/**
+ * Check whether a phase name is known
+ * @param {string} phase - Phase name
+ * @returns {boolean}
+ */
+function isKnownPhase(phase) {
+    return PHASES.includes(phase);
+}
 
-// Empty stub to prevent import errors
-window.conversationState = null;
+window.conversationState = {
+    PHASES,
+    UPLOAD_PHASES,
+    isUploadPhase,
+    isKnownPhase
+};
 
-console.log('✅ Conversation State stub loaded (LLM JSON mode active)');
+console.log('✅ Conversation State loaded (server-validated phases)');
@@ -8,11 +8,24 @@ const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
 const axios = require('axios');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const FormData = require('form-data');
 
+// Shared ticket persistence (SQLite, same database as the backend API)
+const ticketStore = require('../backend/database/ticket-store');
+const orchestrator = require('../backend/conversation/orchestrator');
+const { auditAccess } = require('../backend/middleware/audit-access');
+const { validateTicketIdParam } = require('../backend/middleware/ticket-id-param');
+// Needs the backend's JWT_SECRET (and UPLOAD_URL_SECRET, if set) in this server's .env too
+const { requireUploadAccess, serveUploads } = require('../backend/middleware/upload-access');
+// Identity documents are encrypted at rest (needs FILE_MASTER_KEY, see backend/storage/file-encryption.js)
+const fileEncryption = require('../backend/storage/file-encryption');
+fileEncryption.loadKeyring();
+// Local disk or S3-compatible, chosen by STORAGE_DRIVER (see backend/storage/index.js)
+const { createStorage } = require('../backend/storage');
+const { multerStorage } = require('../backend/storage/multer-storage');
+
 // Initialize Express
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -25,55 +38,43 @@ app.use(cors({
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Create necessary directories
+// Upload storage (UPLOAD_DIR is the local driver's directory)
 const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
-const DATA_FILE = process.env.DATA_FILE || './tickets.json';
-
-[UPLOAD_DIR,
- path.join(UPLOAD_DIR, 'accident_photos'),
- path.join(UPLOAD_DIR, 'id_cards'),
- path.join(UPLOAD_DIR, 'driving_licenses'),
- path.join(UPLOAD_DIR, 'vehicle_registrations')
-].forEach(dir => {
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-    }
-});
+const fileStorage = createStorage({ root: UPLOAD_DIR });
 
-// Serve uploaded files statically
-app.use('/uploads', express.static(UPLOAD_DIR));
+// Uploaded files need a staff session or a signed URL from GET /api/tickets/:ticketId
+// (every access is audited, see backend/audit/audit-log.js)
+app.use('/uploads', auditAccess('file'), requireUploadAccess, serveUploads(fileStorage));
+app.use('/upload', auditAccess('file'));
+app.use('/tickets', auditAccess('ticket'));
 
-// Initialize tickets data file
-if (!fs.existsSync(DATA_FILE)) {
-    fs.writeFileSync(DATA_FILE, JSON.stringify({ tickets: [] }, null, 2));
-}
+// Every /:ticketId route gets a well-formed, normalized ticket ID (400 otherwise)
+app.param('ticketId', validateTicketIdParam);
 
 // ============================================
 // MULTER CONFIGURATION FOR FILE UPLOADS
 // ============================================
 
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
+// Subfolder for each upload type
+const typeFolderMap = {
+    'accident_photos': 'accident_photos',
+    'id_card': 'id_cards',
+    'id_cards': 'id_cards', // Accept plural form
+    'driving_license': 'driving_licenses',
+    'driving_licenses': 'driving_licenses', // Accept plural form
+    'vehicle_registration': 'vehicle_registrations',
+    'vehicle_registrations': 'vehicle_registrations' // Accept plural form
+};
+
+// Files in id_cards/, driving_licenses/ and vehicle_registrations/ are encrypted as they are written
+const storage = multerStorage(fileStorage, {
+    key: (req, file, cb) => {
         // Determine subfolder based on file type
-        const type = req.body.type || 'accident_photos';
-        const subfolders = {
-            'accident_photos': 'accident_photos',
-            'id_card': 'id_cards',
-            'id_cards': 'id_cards', // Accept plural form
-            'driving_license': 'driving_licenses',
-            'driving_licenses': 'driving_licenses', // Accept plural form
-            'vehicle_registration': 'vehicle_registrations',
-            'vehicle_registrations': 'vehicle_registrations' // Accept plural form
-        };
-
-        const subfolder = subfolders[type] || 'accident_photos';
-        const uploadPath = path.join(UPLOAD_DIR, subfolder);
-
-        cb(null, uploadPath);
-    },
-    filename: (req, file, cb) => {
-        const uniqueName = `${uuidv4()}-${Date.now()}${path.extname(file.originalname)}`;
-        cb(null, uniqueName);
+        const subfolder = typeFolderMap[req.body.type] || 'accident_photos';
+        // Keep only a plain extension: the name ends up in URLs and the admin panel
+        const extension = path.extname(file.originalname).toLowerCase();
+        const uniqueName = `${uuidv4()}-${Date.now()}${/^\.[a-z0-9]{1,8}$/.test(extension) ? extension : ''}`;
+        cb(null, `${subfolder}/${uniqueName}`);
     }
 });
 
@@ -94,19 +95,8 @@ const upload = multer({
 });
 
 // Separate multer configuration for audio files (STT)
-const audioStorage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const tempDir = path.join(UPLOAD_DIR, 'temp_audio');
-        if (!fs.existsSync(tempDir)) {
-            fs.mkdirSync(tempDir, { recursive: true });
-        }
-        cb(null, tempDir);
-    },
-    filename: (req, file, cb) => {
-        const uniqueName = `audio-${uuidv4()}-${Date.now()}${path.extname(file.originalname)}`;
-        cb(null, uniqueName);
-    }
-});
+// Kept in memory: the recording is only forwarded to Groq, never stored
+const audioStorage = multer.memoryStorage();
 
 const audioFileFilter = (req, file, cb) => {
     const allowedAudioTypes = ['audio/webm', 'audio/wav', 'audio/mp3', 'audio/mpeg', 'audio/ogg', 'audio/x-m4a'];
@@ -124,36 +114,6 @@ const audioUpload = multer({
     limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
-// ============================================
-// HELPER FUNCTIONS
-// ============================================
-
-/**
- * Read tickets data from JSON file
- */
-function readTicketsData() {
-    try {
-        const data = fs.readFileSync(DATA_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error('Error reading tickets data:', error);
-        return { tickets: [] };
-    }
-}
-
-/**
- * Write tickets data to JSON file
- */
-function writeTicketsData(data) {
-    try {
-        fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
-        return true;
-    } catch (error) {
-        console.error('Error writing tickets data:', error);
-        return false;
-    }
-}
-
 // ============================================
 // API ENDPOINTS
 // ============================================
@@ -180,9 +140,11 @@ app.get('/health', (req, res) => {
  * Body (multipart/form-data):
  * - files: Array of files
  * - type: 'accident_photos' | 'id_card' | 'driving_license' | 'vehicle_registration'
- * - ticket_id: Optional ticket ID
+ *
+ * Files reach a ticket through the conversation session that references them, never
+ * by ticket ID, so nobody can attach files to someone else's ticket.
  */
-app.post('/upload', upload.array('files', 10), (req, res) => {
+app.post('/upload', upload.array('files', 10), async (req, res) => {
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({
@@ -191,80 +153,49 @@ app.post('/upload', upload.array('files', 10), (req, res) => {
             });
         }
 
+        if (req.body.ticket_id !== undefined) {
+            await Promise.all(req.files.map(file => fileStorage.delete(file.key)));
+            return res.status(400).json({
+                success: false,
+                message: 'ticket_id is not accepted; files are added to a ticket through its conversation session'
+            });
+        }
+
         const type = req.body.type || 'accident_photos';
-        const ticketId = req.body.ticket_id;
 
         console.log(`📤 Uploaded ${req.files.length} files (Type: ${type})`);
 
         // Process uploaded files
-        const typeFolderMap = {
-            'accident_photos': 'accident_photos',
-            'id_card': 'id_cards',
-            'id_cards': 'id_cards',
-            'driving_license': 'driving_licenses',
-            'driving_licenses': 'driving_licenses',
-            'vehicle_registration': 'vehicle_registrations',
-            'vehicle_registrations': 'vehicle_registrations'
-        };
         const folder = typeFolderMap[type] || 'accident_photos';
 
-        // ✅ FIX: Move files to correct directory if multer saved them to wrong location
-        const uploadedFiles = req.files.map(file => {
-            const correctPath = path.join(UPLOAD_DIR, folder, file.filename);
+        // ✅ FIX: Move files to correct folder if multer stored them before the type field arrived
+        const uploadedFiles = [];
+        for (const file of req.files) {
+            const correctKey = `${folder}/${file.filename}`;
 
-            // If file is not in the correct directory, move it
-            if (file.path !== correctPath) {
+            if (file.key !== correctKey) {
                 try {
-                    // Ensure target directory exists
-                    const targetDir = path.join(UPLOAD_DIR, folder);
-                    if (!fs.existsSync(targetDir)) {
-                        fs.mkdirSync(targetDir, { recursive: true });
-                    }
-
-                    // Move file to correct location
-                    fs.renameSync(file.path, correctPath);
-                    console.log(`📦 Moved file from ${file.path} to ${correctPath}`);
+                    // Re-put rather than rename, so the object is encrypted if the folder needs it
+                    await fileStorage.put(correctKey, await fileStorage.get(file.key), { contentType: file.mimetype });
+                    await fileStorage.delete(file.key);
+                    console.log(`📦 Moved file from ${file.key} to ${correctKey}`);
 
-                    file.path = correctPath;
+                    file.key = correctKey;
                 } catch (moveError) {
                     console.error(`❌ Error moving file:`, moveError);
                 }
             }
 
-            return {
+            uploadedFiles.push({
                 filename: file.filename,
                 originalName: file.originalname,
-                path: correctPath,
-                url: `/uploads/${folder}/${file.filename}`,
+                path: file.key,
+                url: `/uploads/${file.key}`,
                 type: type,
                 size: file.size,
                 mimetype: file.mimetype,
                 uploadedAt: new Date().toISOString()
-            };
-        });
-
-        // If ticket_id is provided, save to tickets data
-        if (ticketId) {
-            const ticketsData = readTicketsData();
-            let ticket = ticketsData.tickets.find(t => t.id === ticketId);
-
-            if (!ticket) {
-                // Create new ticket
-                ticket = {
-                    id: ticketId,
-                    createdAt: new Date().toISOString(),
-                    uploads: []
-                };
-                ticketsData.tickets.push(ticket);
-            }
-
-            // Add uploaded files to ticket
-            ticket.uploads = ticket.uploads || [];
-            ticket.uploads.push(...uploadedFiles);
-            ticket.updatedAt = new Date().toISOString();
-
-            writeTicketsData(ticketsData);
-            console.log(`✅ Files saved to ticket: ${ticketId}`);
+            });
         }
 
         res.json({
@@ -385,11 +316,11 @@ app.post('/stt', audioUpload.single('audio'), async (req, res) => {
             });
         }
 
-        console.log(`🎤 STT Request: ${req.file.filename} (${language})`);
+        console.log(`🎤 STT Request: ${req.file.originalname} (${language})`);
 
         // Prepare form data for Groq API
         const formData = new FormData();
-        formData.append('file', fs.createReadStream(req.file.path), {
+        formData.append('file', req.file.buffer, {
             filename: req.file.originalname,
             contentType: req.file.mimetype
         });
@@ -412,13 +343,6 @@ app.post('/stt', audioUpload.single('audio'), async (req, res) => {
 
         console.log(`✅ STT result: "${transcription}"`);
 
-        // Clean up uploaded audio file
-        try {
-            fs.unlinkSync(req.file.path);
-        } catch (unlinkError) {
-            console.error('Error deleting temp audio file:', unlinkError);
-        }
-
         res.json({
             success: true,
             transcription: transcription,
@@ -428,15 +352,6 @@ app.post('/stt', audioUpload.single('audio'), async (req, res) => {
     } catch (error) {
         console.error('❌ STT error:', error.message);
 
-        // Clean up file on error
-        if (req.file) {
-            try {
-                fs.unlinkSync(req.file.path);
-            } catch (unlinkError) {
-                console.error('Error deleting temp audio file:', unlinkError);
-            }
-        }
-
         res.status(500).json({
             success: false,
             message: 'Error transcribing audio',
@@ -447,52 +362,92 @@ app.post('/stt', audioUpload.single('audio'), async (req, res) => {
 
 /**
  * POST /tickets
- * Create or update a ticket with conversation data
+ * Create a ticket from a finished conversation
+ * New tickets get a server-issued ID (backend/tickets/ticket-id.js), returned in ticket.ticket_id.
+ *
+ * The ticket is built from the server-side session only (collected fields, recorded uploads
+ * and the user-facing transcript), once the conversation has reached the 'done' phase;
+ * anything else in the body is ignored. A ticket_id in the body is rejected.
  *
  * Body:
- * - ticket_id: Ticket ID
- * - transcript: Conversation transcript
- * - extracted_data: OCR/extracted information
- * - description: Accident description
+ * - session_id: Conversation session of the report (required; marks it submitted). A session
+ *   that was already submitted returns its ticket, so a retried request does not create another.
+ *
+ * Response includes invites ([{ party_number, token, expires_at }]) for the other drivers
+ * when more than one vehicle was involved; each link is index.html?invite=<token>.
+ * Sessions started from an invite are submitted with POST /tickets/:ticketId/parties/:partyNumber.
  */
 app.post('/tickets', (req, res) => {
     try {
-        const { ticket_id, transcript, extracted_data, description } = req.body;
+        const { session_id } = req.body;
+
+        if (req.body.ticket_id !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'ticket_id is not accepted; a ticket is only updated through its report\'s session_id'
+            });
+        }
 
-        if (!ticket_id) {
+        if (!session_id || typeof session_id !== 'string') {
             return res.status(400).json({
                 success: false,
-                message: 'Ticket ID is required'
+                message: 'session_id is required'
             });
         }
 
-        const ticketsData = readTicketsData();
-        let ticket = ticketsData.tickets.find(t => t.id === ticket_id);
+        const session = orchestrator.getSession(session_id);
 
-        if (!ticket) {
-            // Create new ticket
-            ticket = {
-                id: ticket_id,
-                createdAt: new Date().toISOString(),
-                uploads: []
-            };
-            ticketsData.tickets.push(ticket);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation session not found'
+            });
         }
 
-        // Update ticket data
-        if (transcript) ticket.transcript = transcript;
-        if (extracted_data) ticket.extracted_data = extracted_data;
-        if (description) ticket.description = description;
-        ticket.updatedAt = new Date().toISOString();
+        if (session.partyNumber) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invited driver sessions are submitted to the ticket\'s parties'
+            });
+        }
 
-        writeTicketsData(ticketsData);
+        // Retried request: the ticket was already created from this session
+        if (session.ticketId) {
+            res.locals.ticketId = session.ticketId;
 
-        console.log(`✅ Ticket saved: ${ticket_id}`);
+            return res.json({
+                success: true,
+                message: 'Ticket already submitted',
+                ticket: ticketStore.getTicket(session.ticketId),
+                invites: []
+            });
+        }
 
-        res.json({
+        if (session.phase !== 'done') {
+            return res.status(409).json({
+                success: false,
+                message: 'The conversation is not finished yet'
+            });
+        }
+
+        // Uploads recorded on the session become attachments
+        const { ticket, created, invites } = ticketStore.saveTicket({
+            transcript: session.messages,
+            extracted_data: { ...session.ticket, uploads: session.uploads },
+            description: session.ticket.description
+        });
+        res.locals.ticketId = ticket.ticket_id;
+
+        // The report's draft session is done (no longer offered for resuming)
+        orchestrator.markSubmitted(session_id, ticket.ticket_id);
+
+        console.log(`✅ Ticket ${created ? 'created' : 'saved'}: ${ticket.ticket_id}`);
+
+        res.status(created ? 201 : 200).json({
             success: true,
             message: 'Ticket saved successfully',
-            ticket: ticket
+            ticket: ticket,
+            invites
         });
 
     } catch (error) {
@@ -506,51 +461,78 @@ app.post('/tickets', (req, res) => {
 });
 
 /**
- * GET /tickets
- * Get all tickets
+ * POST /tickets/:ticketId/parties/:partyNumber
+ * Submit an invited driver's details and documents to the shared ticket
+ *
+ * Like POST /tickets, the party is built from the server-side session only (collected
+ * fields and recorded uploads) once its conversation has reached the 'done' phase;
+ * anything else in the body is ignored. A party is only submitted once.
+ *
+ * Body:
+ * - session_id: Conversation session started from the party's invite (required)
  */
-app.get('/tickets', (req, res) => {
+app.post('/tickets/:ticketId/parties/:partyNumber', (req, res) => {
     try {
-        const ticketsData = readTicketsData();
-        res.json({
-            success: true,
-            tickets: ticketsData.tickets
-        });
-    } catch (error) {
-        console.error('❌ Error fetching tickets:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Error fetching tickets',
-            error: error.message
-        });
-    }
-});
+        const { ticketId } = req.params;
+        const partyNumber = parseInt(req.params.partyNumber, 10);
+        const { session_id } = req.body;
+        const session = typeof session_id === 'string' ? orchestrator.getSession(session_id) : null;
 
-/**
- * GET /tickets/:id
- * Get a specific ticket
- */
-app.get('/tickets/:id', (req, res) => {
-    try {
-        const ticketsData = readTicketsData();
-        const ticket = ticketsData.tickets.find(t => t.id === req.params.id);
+        // Only the session opened from this party's invite may fill it in
+        if (!session || session.ticketId !== ticketId || session.partyNumber !== partyNumber) {
+            return res.status(404).json({
+                success: false,
+                message: 'Party session not found'
+            });
+        }
+
+        if (session.status !== 'draft') {
+            return res.status(409).json({
+                success: false,
+                message: 'These details were already submitted'
+            });
+        }
+
+        if (session.phase !== 'done') {
+            return res.status(409).json({
+                success: false,
+                message: 'The conversation is not finished yet'
+            });
+        }
+
+        const ticket = ticketStore.saveParty(ticketId, partyNumber, {
+            details: session.ticket,
+            uploads: session.uploads
+        });
 
         if (!ticket) {
             return res.status(404).json({
                 success: false,
-                message: 'Ticket not found'
+                message: 'Party not found'
             });
         }
 
+        orchestrator.markSubmitted(session_id, ticketId);
+
+        console.log(`✅ Party ${partyNumber} joined ticket: ${ticketId}`);
+
         res.json({
             success: true,
-            ticket: ticket
+            message: 'Party details saved successfully',
+            party: ticket.parties.find(party => party.party_number === partyNumber)
         });
     } catch (error) {
-        console.error('❌ Error fetching ticket:', error);
+        if (error.code === 'PARTY_JOINED') {
+            return res.status(409).json({
+                success: false,
+                message: 'This driver has already joined the report'
+            });
+        }
+
+        console.error('❌ Error saving party:', error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching ticket',
+            message: 'Error saving party',
             error: error.message
         });
     }
@@ -586,21 +568,24 @@ app.use((err, req, res, next) => {
 // START SERVER
 // ============================================
 
-app.listen(PORT, () => {
-    console.log('\n🚀 Najm Conversation Server Started\n');
-    console.log(`📡 Server running on: http://localhost:${PORT}`);
-    console.log(`🏥 Health check: http://localhost:${PORT}/health`);
-    console.log(`🌐 CORS enabled for: ${process.env.FRONTEND_URL || 'http://localhost:8000'}`);
-    console.log(`🔊 TTS: ElevenLabs (Voice: ${process.env.ELEVENLABS_VOICE_ID})`);
-    console.log(`🎤 STT: Groq Whisper`);
-    console.log(`📁 Uploads: ${UPLOAD_DIR}`);
-    console.log(`💾 Data file: ${DATA_FILE}`);
-    console.log(`\n✅ Server ready! Press Ctrl+C to stop\n`);
-});
+// Only listen when run directly (tests require the app and listen on a free port)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log('\n🚀 Najm Conversation Server Started\n');
+        console.log(`📡 Server running on: http://localhost:${PORT}`);
+        console.log(`🏥 Health check: http://localhost:${PORT}/health`);
+        console.log(`🌐 CORS enabled for: ${process.env.FRONTEND_URL || 'http://localhost:8000'}`);
+        console.log(`🔊 TTS: ElevenLabs (Voice: ${process.env.ELEVENLABS_VOICE_ID})`);
+        console.log(`🎤 STT: Groq Whisper`);
+        console.log(`📁 Uploads: ${fileStorage.name}${fileStorage.raw.root ? ` (${fileStorage.raw.root})` : ''}`);
+        console.log(`💾 Tickets: SQLite (shared with backend API)`);
+        console.log(`\n✅ Server ready! Press Ctrl+C to stop\n`);
+    });
 
-process.on('SIGINT', () => {
-    console.log('\n\n👋 Shutting down gracefully...');
-    process.exit(0);
-});
+    process.on('SIGINT', () => {
+        console.log('\n\n👋 Shutting down gracefully...');
+        process.exit(0);
+    });
+}
 
 module.exports = app;
@@ -0,0 +1,97 @@
+// Test Helpers
+// Runs the conversation server on a free port against a temporary database (the same
+// SQLite database the backend uses). node --test starts each test file in its own process,
+// so every file gets a fresh database.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'najm-server-test-'));
+
+// Set before any server or backend module is required (the database opens on first require)
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    DB_PATH: path.join(tempDir, 'najm.db'),
+    UPLOAD_DIR: path.join(tempDir, 'uploads'),
+    // Where the backend's conversation orchestrator looks for this server's uploads
+    CONVERSATION_UPLOAD_DIR: path.join(tempDir, 'uploads'),
+    JWT_SECRET: crypto.randomBytes(32).toString('hex'),
+    FILE_MASTER_KEY: crypto.randomBytes(32).toString('hex'),
+    LLM_PROVIDER: 'mock'
+});
+
+// backend/database/db.js logs every SQL statement; keep the test output readable
+console.log = () => {};
+
+const app = require('../server');
+const orchestrator = require('../../backend/conversation/orchestrator');
+
+/**
+ * Start the app on a free port
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+function startServer() {
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                baseUrl: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+        server.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON request
+ * @param {string} baseUrl - From startServer()
+ * @param {string} method - HTTP method
+ * @param {string} urlPath - e.g. /tickets
+ * @param {Object} options - { body }
+ * @returns {Promise<Object>} { status, headers, body } - body is parsed when the response is JSON
+ */
+async function request(baseUrl, method, urlPath, { body } = {}) {
+    const response = await fetch(baseUrl + urlPath, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+    return {
+        status: response.status,
+        headers: response.headers,
+        body: isJson && text ? JSON.parse(text) : text
+    };
+}
+
+/**
+ * Start a conversation and send it user turns (the mock LLM moves one phase per answer)
+ * @param {Array} turns - [{ content, upload }]
+ * @param {Object} options - Passed to orchestrator.startSession ({ party })
+ * @returns {Promise<string>} Session ID
+ */
+async function runConversation(turns, options = {}) {
+    const { sessionId } = await orchestrator.startSession('ar', options);
+
+    for (const turn of turns) {
+        await orchestrator.sendMessage(sessionId, turn.content, turn.upload || null);
+    }
+    return sessionId;
+}
+
+/**
+ * Remove the temporary database and uploads
+ */
+function cleanup() {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+module.exports = {
+    startServer,
+    request,
+    runConversation,
+    cleanup
+};
@@ -0,0 +1,123 @@
+// Submitting a report and an invited driver's part to the shared ticket
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, runConversation, cleanup } = require('./helpers');
+const partyStore = require('../../backend/database/party-store');
+const { getConversationStorage } = require('../../backend/storage');
+
+const FOLDERS = {
+    accident_photos: 'accident_photos',
+    id_card: 'id_cards',
+    driving_license: 'driving_licenses',
+    vehicle_registration: 'vehicle_registrations'
+};
+
+/**
+ * Document sent with a turn, as POST /upload returns it (the files are stored in before())
+ */
+function upload(type, n = 1) {
+    return { type, filename: `${type}-${n}.jpg`, url: `/uploads/${FOLDERS[type]}/${type}-${n}.jpg` };
+}
+
+// A two-vehicle report, one reporter turn per phase
+const REPORT_TURNS = [
+    { content: 'صدمتني سيارة من الخلف عند الإشارة' },
+    { content: 'جدة، طريق الملك' },
+    { content: '2' },
+    { content: 'لا' },
+    { content: 'صورة 1', upload: upload('accident_photos', 1) },
+    { content: 'صورة 2', upload: upload('accident_photos', 2) },
+    { content: 'صورة 3', upload: upload('accident_photos', 3) },
+    { content: 'محمد أحمد، ABC1234، التعاونية، 0551234567' },
+    { content: 'id_card', upload: upload('id_card') },
+    { content: 'driving_license', upload: upload('driving_license') },
+    { content: 'vehicle_registration', upload: upload('vehicle_registration') },
+    { content: 'نعم' }
+];
+
+// The invited driver's flow: driver → id_card → driving_license → vehicle_registration → confirm
+const PARTY_TURNS = [
+    { content: 'خالد سعد، XYZ987، ملاذ، 0559876543' },
+    { content: 'id_card', upload: upload('id_card', 2) },
+    { content: 'driving_license', upload: upload('driving_license', 2) },
+    { content: 'vehicle_registration', upload: upload('vehicle_registration', 2) },
+    { content: 'نعم' }
+];
+
+describe('party submission', () => {
+    let server;
+    let ticketId;
+    let inviteToken;
+    let party;
+
+    const call = (method, urlPath, options) => request(server.baseUrl, method, urlPath, options);
+    const submitParty = (sessionId, body = {}) => call('POST', `/tickets/${ticketId}/parties/2`, {
+        body: { session_id: sessionId, ...body }
+    });
+
+    before(async () => {
+        server = await startServer();
+
+        for (const { upload: file } of [...REPORT_TURNS, ...PARTY_TURNS].filter(turn => turn.upload)) {
+            await getConversationStorage().put(file.url.replace('/uploads/', ''), Buffer.from(file.filename));
+        }
+
+        const reportSession = await runConversation(REPORT_TURNS);
+        const created = await call('POST', '/tickets', { body: { session_id: reportSession } });
+        assert.equal(created.status, 201, JSON.stringify(created.body));
+        assert.equal(created.body.invites.length, 1);
+
+        ticketId = created.body.ticket.ticket_id;
+        inviteToken = created.body.invites[0].token;
+        const found = partyStore.findPartyByInvite(inviteToken);
+        party = { ticketId: found.ticket_id, partyNumber: found.party_number };
+    });
+
+    after(async () => {
+        await server.close();
+        cleanup();
+    });
+
+    it('refuses a party session that is not finished', async () => {
+        const sessionId = await runConversation(PARTY_TURNS.slice(0, 2), { party });
+        const response = await submitParty(sessionId);
+
+        assert.equal(response.status, 409);
+        assert.equal(partyStore.listParties(ticketId)[1].invite_status, 'pending');
+    });
+
+    it('refuses a session that was not started from the party\'s invite', async () => {
+        const reportSession = await runConversation(REPORT_TURNS);
+        assert.equal((await submitParty(reportSession)).status, 404);
+        assert.equal((await submitParty(undefined)).status, 404);
+    });
+
+    it('saves the details and documents from the session, not the request body', async () => {
+        // Another phone opened the same invite before either driver finished
+        const first = await runConversation(PARTY_TURNS, { party });
+        const second = await runConversation(PARTY_TURNS, { party });
+
+        const response = await submitParty(first, {
+            extracted_data: {
+                driver_name: 'Someone Else',
+                plate: 'FAKE1',
+                uploads: { id_card: { filename: 'forged.jpg', url: '/uploads/id_cards/forged.jpg' } }
+            }
+        });
+
+        assert.equal(response.status, 200, JSON.stringify(response.body));
+        assert.equal(response.body.party.driver_name, 'خالد سعد');
+        assert.equal(response.body.party.plate, 'XYZ987');
+        assert.equal(response.body.party.invite_status, 'joined');
+        assert.equal(response.body.party.documents.id_card.filename, 'id_card-2.jpg');
+
+        // The second session cannot overwrite the driver who already joined
+        const overwrite = await submitParty(second);
+        assert.equal(overwrite.status, 409);
+        assert.equal(partyStore.listParties(ticketId)[1].driver_name, 'خالد سعد');
+    });
+
+    it('stops the invite link once the driver has joined', async () => {
+        assert.equal(partyStore.findPartyByInvite(inviteToken), null);
+    });
+});
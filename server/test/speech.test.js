@@ -0,0 +1,169 @@
+// Speech: the browser sends recordings to POST /stt (Groq Whisper) and text to POST /tts
+// (ElevenLabs). axios gets a stand-in adapter, so no request leaves the machine.
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { startServer, request, cleanup } = require('./helpers');
+
+describe('speech endpoints', () => {
+    let server;
+    let calls;
+    let reply;
+    const originalAdapter = axios.defaults.adapter;
+
+    /**
+     * Send a recording the way voice-conversation.js does
+     */
+    async function sendRecording(fields, file = { content: 'webm audio', type: 'audio/webm', name: 'recording.webm' }) {
+        const form = new FormData();
+        if (file) form.append('audio', new Blob([Buffer.from(file.content)], { type: file.type }), file.name);
+        for (const [name, value] of Object.entries(fields)) form.append(name, value);
+
+        const response = await fetch(`${server.baseUrl}/stt`, { method: 'POST', body: form });
+        return { status: response.status, body: await response.json() };
+    }
+
+    before(async () => {
+        Object.assign(process.env, {
+            GROQ_API_KEY: 'groq-test-key',
+            ELEVENLABS_API_KEY: 'elevenlabs-test-key',
+            ELEVENLABS_VOICE_ID: 'voice-123'
+        });
+
+        // Every axios request is answered here; reply() decides the response
+        axios.defaults.adapter = async (config) => {
+            calls.push(config);
+            const { status = 200, data } = await reply(config);
+
+            if (status >= 400) {
+                const error = new Error(`Request failed with status code ${status}`);
+                error.response = { status, data };
+                throw error;
+            }
+            return { status, statusText: 'OK', headers: {}, config, data };
+        };
+
+        // The routes log provider errors
+        mock.method(console, 'error', () => {});
+        server = await startServer();
+    });
+
+    beforeEach(() => {
+        calls = [];
+    });
+
+    after(async () => {
+        axios.defaults.adapter = originalAdapter;
+        mock.restoreAll();
+        await server.close();
+        cleanup();
+    });
+
+    describe('POST /stt', () => {
+        it('forwards the recording to Groq Whisper and returns the transcription', async () => {
+            reply = async () => ({ data: { text: 'صدمني واحد من الخلف' } });
+
+            const response = await sendRecording({ language: 'ar' });
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.body, { success: true, transcription: 'صدمني واحد من الخلف', language: 'ar' });
+
+            assert.equal(calls.length, 1);
+            const [call] = calls;
+            assert.equal(call.method, 'post');
+            assert.equal(call.url, 'https://api.groq.com/openai/v1/audio/transcriptions');
+            assert.equal(call.headers.Authorization, 'Bearer groq-test-key');
+            assert.match(call.headers['Content-Type'] || call.headers['content-type'], /^multipart\/form-data; boundary=/);
+
+            const sent = call.data.getBuffer().toString();
+            assert.ok(sent.includes('webm audio'));
+            assert.match(sent, /filename="recording\.webm"/);
+            assert.match(sent, /name="model"\r\n\r\nwhisper-large-v3-turbo/);
+            assert.match(sent, /name="language"\r\n\r\nar/);
+        });
+
+        it('passes the language on and defaults to Arabic', async () => {
+            reply = async () => ({ data: { text: 'hit from behind' } });
+
+            const english = await sendRecording({ language: 'en' });
+            assert.equal(english.body.language, 'en');
+            assert.match(calls[0].data.getBuffer().toString(), /name="language"\r\n\r\nen/);
+
+            const unspecified = await sendRecording({});
+            assert.equal(unspecified.body.language, 'ar');
+        });
+
+        it('needs an audio file', async () => {
+            const missing = await sendRecording({ language: 'ar' }, null);
+            assert.equal(missing.status, 400);
+
+            const image = await sendRecording({}, { content: 'jpeg', type: 'image/jpeg', name: 'photo.jpg' });
+            assert.ok(image.status >= 400);
+            assert.equal(image.body.success, false);
+
+            assert.equal(calls.length, 0);
+        });
+
+        it('answers 500 when Groq fails or is not configured', async () => {
+            reply = async () => ({ status: 401, data: { error: { message: 'Invalid API Key' } } });
+
+            const failed = await sendRecording({});
+            assert.equal(failed.status, 500);
+            assert.equal(failed.body.success, false);
+
+            delete process.env.GROQ_API_KEY;
+            calls = [];
+            const unconfigured = await sendRecording({});
+            process.env.GROQ_API_KEY = 'groq-test-key';
+
+            assert.equal(unconfigured.status, 500);
+            assert.equal(unconfigured.body.message, 'Groq API key not configured');
+            assert.equal(calls.length, 0);
+        });
+    });
+
+    describe('POST /tts', () => {
+        it('asks ElevenLabs for speech and returns it as a data URL', async () => {
+            const audio = Buffer.from('mp3 bytes');
+            reply = async () => ({ data: audio });
+
+            const response = await request(server.baseUrl, 'POST', '/tts', { body: { text: 'مرحباً، كيف أساعدك؟', language: 'ar' } });
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.format, 'audio/mpeg');
+            assert.equal(response.body.audio, `data:audio/mpeg;base64,${audio.toString('base64')}`);
+
+            assert.equal(calls.length, 1);
+            const [call] = calls;
+            assert.equal(call.url, 'https://api.elevenlabs.io/v1/text-to-speech/voice-123');
+            assert.equal(call.headers['xi-api-key'], 'elevenlabs-test-key');
+            assert.equal(call.responseType, 'arraybuffer');
+            assert.equal(JSON.parse(call.data).text, 'مرحباً، كيف أساعدك؟');
+            assert.equal(JSON.parse(call.data).model_id, 'eleven_multilingual_v2');
+        });
+
+        it('needs text', async () => {
+            const response = await request(server.baseUrl, 'POST', '/tts', { body: { language: 'ar' } });
+
+            assert.equal(response.status, 400);
+            assert.equal(calls.length, 0);
+        });
+
+        it('answers 500 when ElevenLabs fails or is not configured', async () => {
+            reply = async () => ({ status: 429, data: Buffer.from('quota exceeded') });
+
+            const failed = await request(server.baseUrl, 'POST', '/tts', { body: { text: 'Hello' } });
+            assert.equal(failed.status, 500);
+            assert.equal(failed.body.message, 'Error generating speech');
+
+            delete process.env.ELEVENLABS_VOICE_ID;
+            calls = [];
+            const unconfigured = await request(server.baseUrl, 'POST', '/tts', { body: { text: 'Hello' } });
+            process.env.ELEVENLABS_VOICE_ID = 'voice-123';
+
+            assert.equal(unconfigured.status, 500);
+            assert.equal(unconfigured.body.message, 'ElevenLabs credentials not configured');
+            assert.equal(calls.length, 0);
+        });
+    });
+});
@@ -8,10 +8,10 @@ let voiceConversation = null;
 function initVoiceChat() {
     console.log('🎙️ Initializing Voice Chat System...');
 
-    // Create voice conversation instance
+    // Create voice conversation instance (speech goes through the conversation server)
     voiceConversation = new VoiceConversation({
-        openaiApiKey: CONFIG.OPENAI_API_KEY,
         language: currentLanguage, // Use global language state
+        getAIResponse: getVoiceAIResponse,
 
         // Callbacks for UI updates
         onTranscriptionStart: () => {
@@ -217,56 +217,29 @@ if (typeof originalToggleLanguage === 'function') {
 }
 
 // Enhanced AI Response Function (Integrates with existing chat)
+// The conversation runs on the backend orchestrator, so no API key is needed here
 async function getVoiceAIResponse(userMessage) {
     try {
-        // Use existing chat system if available
-        if (typeof chatHistory !== 'undefined' && typeof getAIResponse === 'function') {
-            // Add user message to history
-            chatHistory.push({
-                role: 'user',
-                content: userMessage
-            });
-
-            // Get AI response using existing function
-            await getAIResponse();
-
-            // Return the last assistant message
-            const lastMessage = chatHistory[chatHistory.length - 1];
-            if (lastMessage && lastMessage.role === 'assistant') {
-                return lastMessage.content;
-            }
+        if (typeof chatHistory === 'undefined' || typeof getAIResponse !== 'function') {
+            throw new Error('Chat system not loaded');
         }
 
-        // Fallback: Direct API call
-        const response = await fetch(`${CONFIG.OPENAI_API_URL}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${CONFIG.OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: CONFIG.MODELS.CHAT,
-                messages: [
-                    {
-                        role: 'system',
-                        content: CONFIG.PROMPTS.CHAT_SYSTEM
-                    },
-                    {
-                        role: 'user',
-                        content: userMessage
-                    }
-                ],
-                temperature: 0.7,
-                max_tokens: 300
-            })
+        // Add user message to history
+        chatHistory.push({
+            role: 'user',
+            content: userMessage
         });
 
-        if (!response.ok) {
-            throw new Error(`API Error: ${response.status}`);
+        // Get AI response using existing function
+        await getAIResponse(userMessage);
+
+        // Return the last assistant message
+        const lastMessage = chatHistory[chatHistory.length - 1];
+        if (lastMessage && lastMessage.role === 'assistant') {
+            return lastMessage.content;
         }
 
-        const data = await response.json();
-        return data.choices[0].message.content;
+        throw new Error('No assistant response');
 
     } catch (error) {
         console.error('❌ AI response error:', error);
@@ -274,11 +247,6 @@ async function getVoiceAIResponse(userMessage) {
     }
 }
 
-// Override AI response method in VoiceConversation
-if (voiceConversation) {
-    voiceConversation.getAIResponse = getVoiceAIResponse;
-}
-
 // Auto-initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', function() {
     // Check if we're on chat page
@@ -1,9 +1,11 @@
 // Voice Conversation System - Two-Way Voice Chat with AI
-// Supports: Arabic & English | Groq Whisper STT | OpenAI TTS
+// Supports: Arabic & English | Groq Whisper STT | ElevenLabs TTS
+// Speech goes through the conversation server (/stt, /tts); no API keys in the browser
 
 class VoiceConversation {
     constructor(config) {
-        this.openaiApiKey = config.openaiApiKey;
+        this.serverUrl = config.serverUrl || window.conversationState?.SERVER_URL || 'https://13.51.235.197';
+        this.respond = config.getAIResponse || null; // (userMessage) => Promise<string>
         this.language = config.language || 'ar'; // 'ar' or 'en'
         this.mediaRecorder = null;
         this.audioChunks = [];
@@ -103,41 +105,35 @@ class VoiceConversation {
     // ============================================
 
     /**
-     * Transcribe audio using OpenAI Whisper API
+     * Transcribe audio with Groq Whisper on the conversation server (POST /stt)
      * @param {Blob} audioBlob - Audio blob to transcribe
      * @returns {Promise<string>} Transcribed text
      */
     async transcribeAudio(audioBlob) {
-        console.log('🔄 Transcribing audio with OpenAI Whisper...');
+        console.log('🔄 Transcribing audio...');
         this.onTranscriptionStart();
 
         try {
-            // Convert webm to format Whisper expects
-            const audioFile = new File([audioBlob], 'audio.webm', { type: 'audio/webm' });
-
-            // Prepare form data
             const formData = new FormData();
-            formData.append('file', audioFile);
-            formData.append('model', 'whisper-1');
+            formData.append('audio', audioBlob, 'recording.webm');
             formData.append('language', this.language); // ar or en
-            formData.append('response_format', 'json');
 
-            // Call OpenAI Whisper API
-            const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
+            const response = await fetch(`${this.serverUrl}/stt`, {
                 method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`
-                },
                 body: formData
             });
 
             if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`OpenAI Whisper API error: ${response.status} - ${errorText}`);
+                throw new Error(`STT request failed: ${response.status}`);
             }
 
             const data = await response.json();
-            const transcription = data.text;
+
+            if (!data.success) {
+                throw new Error(data.message || 'STT transcription failed');
+            }
+
+            const transcription = data.transcription;
 
             console.log('✅ Transcription:', transcription);
             this.onTranscriptionComplete(transcription);
@@ -156,8 +152,8 @@ class VoiceConversation {
     // ============================================
 
     /**
-     * Get AI response from your existing chatbot
-     * This should integrate with your existing AI system (GPT/Claude)
+     * Get the assistant's reply from the chat (config.getAIResponse), which runs the
+     * conversation on the backend orchestrator
      * @param {string} userMessage - User's transcribed message
      * @returns {Promise<string>} AI response text
      */
@@ -166,41 +162,11 @@ class VoiceConversation {
         this.onAIResponseStart();
 
         try {
-            // This should integrate with your existing chat system
-            // For now, I'll show how to call OpenAI GPT-4
-
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.openaiApiKey}`
-                },
-                body: JSON.stringify({
-                    model: 'gpt-4',
-                    messages: [
-                        {
-                            role: 'system',
-                            content: this.language === 'ar'
-                                ? 'أنت مساعد نجم الذكي. ساعد المستخدم في تقديم بلاغ الحادث بطريقة ودية ومهنية.'
-                                : 'You are Najm AI Assistant. Help the user file an accident report in a friendly and professional manner.'
-                        },
-                        {
-                            role: 'user',
-                            content: userMessage
-                        }
-                    ],
-                    temperature: 0.7,
-                    max_tokens: 300
-                })
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`AI API error: ${response.status} - ${errorText}`);
+            if (!this.respond) {
+                throw new Error('No chat connected (pass getAIResponse in the config)');
             }
 
-            const data = await response.json();
-            const aiResponse = data.choices[0].message.content;
+            const aiResponse = await this.respond(userMessage);
 
             console.log('✅ AI Response:', aiResponse);
             this.onAIResponseComplete(aiResponse);
@@ -215,7 +181,7 @@ class VoiceConversation {
     }
 
     // ============================================
-    // 4. TEXT-TO-SPEECH (OpenAI TTS)
+    // 4. TEXT-TO-SPEECH (ElevenLabs)
     // ============================================
 
     /**
@@ -233,33 +199,29 @@ class VoiceConversation {
                 this.currentAudio = null;
             }
 
-            // Select voice based on language
-            const voice = this.language === 'ar' ? 'alloy' : 'nova'; // OpenAI TTS voices
-
-            // Call OpenAI TTS API
-            const response = await fetch('https://api.openai.com/v1/audio/speech', {
+            // ElevenLabs on the conversation server (POST /tts); returns a data URL
+            const response = await fetch(`${this.serverUrl}/tts`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.openaiApiKey}`
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    model: 'tts-1',
-                    input: text,
-                    voice: voice,
-                    response_format: 'mp3',
-                    speed: 1.0
+                    text: text,
+                    language: this.language
                 })
             });
 
             if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`TTS API error: ${response.status} - ${errorText}`);
+                throw new Error(`TTS request failed: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'TTS generation failed');
             }
 
-            // Get audio blob
-            const audioBlob = await response.blob();
-            const audioUrl = URL.createObjectURL(audioBlob);
+            const audioUrl = data.audio;
 
             // Play the audio
             this.currentAudio = new Audio(audioUrl);
@@ -268,7 +230,6 @@ class VoiceConversation {
                 console.log('✅ Speech playback complete');
                 this.isSpeaking = false;
                 this.onSpeechComplete();
-                URL.revokeObjectURL(audioUrl);
             };
 
             this.currentAudio.onerror = (error) => {
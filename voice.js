@@ -123,13 +123,6 @@ function updateTimerDisplay() {
 }
 
 async function transcribeAudio(audioBlob) {
-    if (!validateConfig()) {
-        addMessage('system', currentLanguage === 'ar'
-            ? '⚠️ يرجى تكوين مفتاح OpenAI API في config.js'
-            : '⚠️ Please configure OpenAI API key in config.js');
-        return;
-    }
-
     // Show processing message
     const processingText = currentLanguage === 'ar'
         ? '🎤 جاري تحويل الصوت إلى نص...'
@@ -137,26 +130,11 @@ async function transcribeAudio(audioBlob) {
     addMessage('system', processingText);
 
     try {
-        // Convert webm to a format Whisper accepts (we'll send as is, Whisper supports webm)
-        const formData = new FormData();
-        formData.append('file', audioBlob, 'recording.webm');
-        formData.append('model', CONFIG.MODELS.WHISPER);
-        formData.append('language', currentLanguage === 'ar' ? 'ar' : 'en');
-
-        const response = await fetch(`${CONFIG.OPENAI_API_URL}/audio/transcriptions`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${CONFIG.OPENAI_API_KEY}`
-            },
-            body: formData
-        });
-
-        if (!response.ok) {
-            throw new Error(`Whisper API Error: ${response.status}`);
-        }
-
-        const data = await response.json();
-        const transcribedText = data.text;
+        // Whisper on the conversation server (POST /stt); no API key in the browser
+        const transcribedText = await window.elevenLabsTTS.speechToText(
+            audioBlob,
+            currentLanguage === 'ar' ? 'ar' : 'en'
+        );
 
         if (transcribedText && transcribedText.trim()) {
             // Add transcribed text as user message
@@ -169,7 +147,7 @@ async function transcribeAudio(audioBlob) {
             });
 
             // Get LLM response (LLM-driven flow)
-            await getAIResponse();
+            await getAIResponse(transcribedText);
 
         } else {
             addMessage('system', currentLanguage === 'ar'
@@ -196,33 +174,11 @@ async function speakText(text) {
     }
 }
 
-// Alternative: OpenAI TTS (premium feature)
-async function speakWithOpenAI(text) {
-    if (!validateConfig()) return;
-
+// Alternative: ElevenLabs TTS on the conversation server (POST /tts)
+async function speakWithServerTTS(text) {
     try {
-        const response = await fetch(`${CONFIG.OPENAI_API_URL}/audio/speech`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${CONFIG.OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: CONFIG.MODELS.TTS,
-                input: text,
-                voice: 'alloy',
-                speed: 1.0
-            })
-        });
-
-        if (!response.ok) {
-            throw new Error(`TTS API Error: ${response.status}`);
-        }
-
-        const audioBlob = await response.blob();
-        const audioUrl = URL.createObjectURL(audioBlob);
-        const audio = new Audio(audioUrl);
-        audio.play();
+        const audioDataUrl = await window.elevenLabsTTS.textToSpeech(text, currentLanguage);
+        await window.elevenLabsTTS.playAudio(audioDataUrl);
 
     } catch (error) {
         console.error('Error with TTS:', error);